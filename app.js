@@ -93,6 +93,9 @@ const feedbackRoutes = require('./routes/feedback.routes');
 const termsRoutes = require('./routes/terms.routes');
 const iapRoutes = require('./routes/iap.routes');
 const webhookRoutes = require('./routes/webhook.routes');
+const matchRoutes = require('./routes/match.routes');
+const reviewRoutes = require('./routes/review.routes');
+const adminRoutes = require('./routes/admin.routes');
 const postController = require('./controllers/post.controller');
 
 // Generic file serving route for all attachments (posts, profiles, etc.)
@@ -109,6 +112,9 @@ app.use('/api/feedback', feedbackRoutes);
 app.use('/api/terms', termsRoutes);
 app.use('/api/iap', iapRoutes);
 app.use('/api/webhooks', webhookRoutes);
+app.use('/api/matches', matchRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/health', healthRoutes);
 
 app.get('/app-ads.txt', (req, res) => {
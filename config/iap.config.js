@@ -32,6 +32,48 @@ module.exports = {
     // Add more products as needed
   },
 
+  // Subscription tier unlocked by each product ID (stored in User.subscription_tier).
+  // Active products missing here fall back to DEFAULT_PAID_TIER.
+  PRODUCT_TIERS: {
+    monthly_subscription: 'premium',
+    yearly_subscription: 'premium'
+  },
+
+  DEFAULT_PAID_TIER: 'premium',
+
+  // Entitlements per tier. Numbers are limits (null = unlimited), booleans are features.
+  // max_sessions is the number of devices signed in at once; 1 means single device login.
+  TIER_ENTITLEMENTS: {
+    free: {
+      daily_swipes: 30,
+      monthly_posts: 5,
+      max_attachment_mb: 10,
+      see_right_swipes: false,
+      max_sessions: 2
+    },
+    basic: {
+      daily_swipes: 100,
+      monthly_posts: 20,
+      max_attachment_mb: 15,
+      see_right_swipes: false,
+      max_sessions: 3
+    },
+    premium: {
+      daily_swipes: null,
+      monthly_posts: 100,
+      max_attachment_mb: 25,
+      see_right_swipes: true,
+      max_sessions: 5
+    },
+    enterprise: {
+      daily_swipes: null,
+      monthly_posts: null,
+      max_attachment_mb: 25,
+      see_right_swipes: true,
+      max_sessions: 10
+    }
+  },
+
   // Grace period settings (in days)
   GRACE_PERIOD_DAYS: 3,
 
@@ -0,0 +1,53 @@
+// Read a non-negative number from the environment, falling back to a default
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+module.exports = {
+  // Relative weight of each factor in the match score. A weight of 0 turns a factor off.
+  WEIGHTS: {
+    skill: envNumber('MATCH_WEIGHT_SKILL', 30),
+    sub_skill: envNumber('MATCH_WEIGHT_SUB_SKILL', 15),
+    proficiency: envNumber('MATCH_WEIGHT_PROFICIENCY', 10),
+    looking_skills: envNumber('MATCH_WEIGHT_LOOKING_SKILLS', 15),
+    distance: envNumber('MATCH_WEIGHT_DISTANCE', 15),
+    medium: envNumber('MATCH_WEIGHT_MEDIUM', 5),
+    urgency: envNumber('MATCH_WEIGHT_URGENCY', 5),
+    reputation: envNumber('MATCH_WEIGHT_REPUTATION', 5)
+  },
+
+  // Value of the viewer's proficiency in the post's skill
+  PROFICIENCY_SCORES: {
+    Expert: 1,
+    Intermediate: 0.7,
+    Beginner: 0.4
+  },
+  UNKNOWN_PROFICIENCY_SCORE: 0.5,
+
+  // Value of a post medium when the viewer has no preferred medium
+  MEDIUM_SCORES: {
+    online: 1,
+    hybrid: 0.8,
+    offline: 0.6
+  },
+
+  // Distance: coordinates score linearly down to 0 at MAX_DISTANCE_KM,
+  // otherwise the closest shared postal code / city / state counts
+  MAX_DISTANCE_KM: envNumber('MATCH_MAX_DISTANCE_KM', 50),
+  LOCATION_SCORES: {
+    postal_code: 1,
+    city: 0.6,
+    state: 0.3
+  },
+
+  // Deadlines within this many days count as urgent, sooner = more urgent
+  URGENCY_WINDOW_DAYS: envNumber('MATCH_URGENCY_WINDOW_DAYS', 30),
+
+  // Ratings are smoothed towards the prior so a single review does not dominate
+  REPUTATION_PRIOR_RATING: 3.5,
+  REPUTATION_PRIOR_REVIEWS: 3,
+
+  // Maximum number of candidate posts scored per request
+  MAX_CANDIDATES: envNumber('MATCH_MAX_CANDIDATES', 500)
+};
@@ -0,0 +1,38 @@
+// Read a comma-separated list from the environment, falling back to a default
+const envList = (name, fallback = []) => {
+  const value = process.env[name];
+  if (!value) {
+    return fallback;
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+module.exports = {
+  // ID tokens are accepted from these issuers, for these client IDs (the aud
+  // claim), when signed by a key from the JWKS. A provider without client IDs
+  // is turned off. Point JWKS_URI at a local server or a JSON file to sign
+  // test tokens with your own key.
+  PROVIDERS: {
+    google: {
+      NAME: 'Google',
+      ISSUERS: envList('GOOGLE_OAUTH_ISSUERS', ['https://accounts.google.com', 'accounts.google.com']),
+      JWKS_URI: process.env.GOOGLE_OAUTH_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+      CLIENT_IDS: envList('GOOGLE_OAUTH_CLIENT_IDS') // Web, Android and iOS client IDs
+    },
+    apple: {
+      NAME: 'Apple',
+      ISSUERS: envList('APPLE_SIGN_IN_ISSUERS', ['https://appleid.apple.com']),
+      JWKS_URI: process.env.APPLE_SIGN_IN_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+      CLIENT_IDS: envList('APPLE_SIGN_IN_CLIENT_IDS') // App bundle ID and Services ID
+    }
+  },
+
+  // Signing keys are fetched again after this long, or sooner when a token
+  // names an unknown key, at most once per JWKS_MIN_REFRESH_SECONDS
+  JWKS_CACHE_MINUTES: 60,
+  JWKS_MIN_REFRESH_SECONDS: 60,
+  JWKS_TIMEOUT_MS: 5000,
+
+  // Allowed clock difference when checking exp and iat
+  CLOCK_TOLERANCE_SECONDS: 60
+};
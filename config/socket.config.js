@@ -1,8 +1,222 @@
 const socketIo = require('socket.io');
-const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const db = require('../models');
 const chatService = require('../services/chatService');
+const presenceService = require('../services/presenceService');
+const sessionService = require('../services/sessionService');
+
+/**
+ * Send a presence event to the users allowed to see it (people who share a
+ * conversation with the user and have no block either way)
+ * @param {Object} io - Socket.io instance
+ * @param {number} userId - User whose presence changed
+ * @param {string} event - 'user_online' or 'user_offline'
+ * @param {Object} payload - Event payload
+ */
+async function emitPresence(io, userId, event, payload) {
+  const audience = await presenceService.getPresenceAudience(userId);
+  if (audience.length > 0) {
+    io.to(audience.map(id => `user_${id}`)).emit(event, payload);
+  }
+}
+
+/**
+ * Broadcast a new message and the matching conversation list update
+ * to the conversation room
+ * @param {Object} io - Socket.io instance
+ * @param {Object} message - Message returned by chatService.sendMessage
+ */
+function broadcastNewMessage(io, message) {
+  const room = `conversation_${message.conversation_id}`;
+
+  io.to(room).emit('new_message', message);
+
+  // Emit conversation update to refresh conversation lists
+  io.to(room).emit('conversation_updated', {
+    conversationId: message.conversation_id,
+    lastMessage: {
+      id: message.id,
+      content: message.content,
+      message_type: message.message_type,
+      created_at: message.created_at,
+      sender_id: message.sender_id,
+      sender: message.sender && {
+        id: message.sender.id,
+        name: message.sender.name,
+        profile: message.sender.profile
+      }
+    },
+    last_message_at: new Date()
+  });
+}
+
+/**
+ * Join every member's devices to a new conversation room and notify them
+ * @param {Object} io - Socket.io instance
+ * @param {Object} conversation - Conversation with members
+ */
+function broadcastConversationCreated(io, conversation) {
+  conversation.members.forEach(member => {
+    io.in(`user_${member.user_id}`).socketsJoin(`conversation_${conversation.id}`);
+    io.to(`user_${member.user_id}`).emit('conversation_created', conversation);
+  });
+}
+
+/**
+ * Broadcast a group membership or info change to the conversation room.
+ * Added members' sockets join the room first so they receive the change;
+ * removed or leaving members receive it and are then taken out of the room.
+ * @param {Object} io - Socket.io instance
+ * @param {Object} change - Data returned by a chatService group method
+ */
+function broadcastGroupChange(io, change) {
+  const { systemMessage, ...update } = change;
+  const room = `conversation_${change.conversationId}`;
+
+  if (change.action === 'members_added') {
+    change.userIds.forEach(userId => io.in(`user_${userId}`).socketsJoin(room));
+  }
+
+  io.to(room).emit('group_updated', { ...update, timestamp: new Date() });
+  io.to(room).emit('new_message', systemMessage);
+  io.to(room).emit('conversation_updated', {
+    conversationId: change.conversationId,
+    lastMessage: {
+      id: systemMessage.id,
+      content: systemMessage.content,
+      message_type: systemMessage.message_type,
+      created_at: systemMessage.created_at,
+      sender_id: systemMessage.sender_id,
+      sender: systemMessage.sender
+    },
+    last_message_at: new Date()
+  });
+
+  if (change.action === 'members_removed' || change.action === 'member_left') {
+    change.userIds.forEach(userId => {
+      io.to(`user_${userId}`).emit('conversation_removed', {
+        conversationId: change.conversationId,
+        reason: change.action
+      });
+      io.in(`user_${userId}`).socketsLeave(room);
+    });
+  }
+}
+
+/**
+ * Broadcast an edited or deleted message.
+ * Edits and deletes for everyone go to the conversation room; a delete for
+ * the current user only goes to that user's devices.
+ * @param {Object} io - Socket.io instance
+ * @param {Object} change - Data returned by chatService.editMessage/deleteMessage
+ */
+function broadcastMessageChange(io, change) {
+  const { action, ...payload } = change;
+
+  if (action === 'edited') {
+    io.to(`conversation_${change.conversationId}`).emit('message_edited', payload);
+  } else if (change.scope === 'everyone') {
+    io.to(`conversation_${change.conversationId}`).emit('message_deleted', payload);
+  } else {
+    io.to(`user_${change.userId}`).emit('message_deleted', payload);
+  }
+}
+
+/**
+ * Tell the recipient's devices about their answer to a message request.
+ * The sender only hears about acceptance; after a decline or block the
+ * recipient's devices stop receiving the conversation's events.
+ * @param {Object} io - Socket.io instance
+ * @param {Object} change - Data returned by chatService.respondToMessageRequest
+ */
+function broadcastMessageRequest(io, change) {
+  const payload = { conversationId: change.conversationId, status: change.status };
+
+  io.to(`user_${change.userId}`).emit('message_request_updated', payload);
+
+  if (change.status === 'accepted') {
+    io.to(`user_${change.requesterId}`).emit('message_request_updated', payload);
+  } else {
+    io.in(`user_${change.userId}`).socketsLeave(`conversation_${change.conversationId}`);
+  }
+}
+
+/**
+ * Send updated receipt roll-ups to the senders of the given messages, so
+ * their devices can show "delivered to N of M" and "read" ticks
+ * @param {Object} io - Socket.io instance
+ * @param {Array<number>} messageIds - Messages whose statuses changed
+ */
+async function broadcastReceipts(io, messageIds) {
+  const updates = await chatService.getReceiptUpdates(messageIds);
+  const bySender = {};
+
+  updates.forEach(({ senderId, ...update }) => {
+    bySender[senderId] = bySender[senderId] || [];
+    bySender[senderId].push(update);
+  });
+
+  Object.keys(bySender).forEach(senderId => {
+    io.to(`user_${senderId}`).emit('message_status_updated', { receipts: bySender[senderId] });
+  });
+}
+
+/**
+ * Broadcast a delivery acknowledgement to each affected conversation and
+ * the new receipt roll-ups to the senders
+ * @param {Object} io - Socket.io instance
+ * @param {number} userId - User whose device received the messages
+ * @param {Object} delivery - Data returned by chatService.markMessagesDelivered
+ */
+async function broadcastDelivery(io, userId, delivery) {
+  delivery.conversations.forEach(({ conversationId, messageIds }) => {
+    io.to(`conversation_${conversationId}`).emit('message_delivered', {
+      conversationId,
+      messageIds,
+      userId,
+      deliveredAt: delivery.deliveredAt
+    });
+  });
+
+  await broadcastReceipts(io, delivery.messageIds);
+}
+
+/**
+ * Sign out the live sockets in the given rooms. Each socket is told why
+ * before it is disconnected. The client does not reconnect by itself after
+ * a server-side disconnect, and a new connection is authenticated again.
+ * @param {Object} io - Socket.io instance
+ * @param {Array<string>} rooms - Rooms whose sockets are disconnected
+ * @param {string} reason - Sent to the client in session_revoked
+ */
+function disconnectRooms(io, rooms, reason) {
+  if (!io || rooms.length === 0) {
+    return;
+  }
+
+  io.to(rooms).emit('session_revoked', { reason });
+  io.in(rooms).disconnectSockets();
+}
+
+/**
+ * Disconnect the sockets of revoked sessions
+ * @param {Object} io - Socket.io instance
+ * @param {Array<string>} sessionIds - Session IDs returned by sessionService
+ * @param {string} reason - Sent to the client in session_revoked
+ */
+function disconnectSessions(io, sessionIds, reason) {
+  disconnectRooms(io, (sessionIds || []).map(sessionId => `session_${sessionId}`), reason);
+}
+
+/**
+ * Disconnect every socket of a user, e.g. when the account is blocked
+ * @param {Object} io - Socket.io instance
+ * @param {number} userId - User ID
+ * @param {string} reason - Sent to the client in session_revoked
+ */
+function disconnectUser(io, userId, reason) {
+  disconnectRooms(io, [`user_${userId}`], reason);
+}
 
 /**
  * Initialize Socket.io with authentication and event handlers
@@ -28,19 +242,27 @@ function initializeSocket(server) {
     try {
       const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
 
-      if (!token) {
-        return next(new Error('Authentication token required'));
+      // Same checks as authenticateToken, so a signed out token cannot connect
+      // or reconnect
+      const result = await sessionService.verifyAccessToken(token);
+      if (!result.success) {
+        return next(new Error(result.error));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const { decoded } = result.data;
       const user = await db.User.findByPk(decoded.userId);
 
       if (!user) {
         return next(new Error('User not found'));
       }
 
+      if (user.is_blocked) {
+        return next(new Error('Your account has been blocked. Please contact support.'));
+      }
+
       socket.userId = user.id;
       socket.user = user;
+      socket.sessionId = decoded.sessionId;
       next();
     } catch (error) {
       logger.error('Socket authentication failed:', error);
@@ -53,11 +275,20 @@ function initializeSocket(server) {
     try {
       logger.info(`User connected: ${socket.user.name} (ID: ${socket.userId})`);
 
+      // Join the user's personal room. Every device of the user joins it, so
+      // events addressed to the user reach all of their connections.
+      socket.join(`user_${socket.userId}`);
+
+      // The session room lets a revoked session be disconnected on its own
+      if (socket.sessionId) {
+        socket.join(`session_${socket.sessionId}`);
+      }
+
       // Update user online status
       await db.User.update(
         {
           is_online: true,
-          last_seen: new Date(),
+          last_seen: socket.user.hide_last_seen ? null : new Date(),
           socket_id: socket.id
         },
         { where: { id: socket.userId } }
@@ -70,7 +301,7 @@ function initializeSocket(server) {
       });
 
       // Emit user online status to contacts
-      socket.broadcast.emit('user_online', {
+      await emitPresence(io, socket.userId, 'user_online', {
         userId: socket.user.id,
         name: socket.user.name,
         timestamp: new Date()
@@ -107,8 +338,12 @@ function initializeSocket(server) {
       socket.on('refresh_conversation_list', async () => {
         try {
           const conversations = await chatService.getUserConversations(socket.userId);
+          const isIncomingRequest = conversation =>
+            Boolean(conversation.message_request) && conversation.message_request.recipient_id === socket.userId;
           socket.emit('conversation_list_refreshed', {
-            conversations,
+            conversations: conversations.filter(conversation => !conversation.settings.is_archived && !isIncomingRequest(conversation)),
+            archived: conversations.filter(conversation => conversation.settings.is_archived && !isIncomingRequest(conversation)),
+            requests: conversations.filter(isIncomingRequest),
             timestamp: new Date()
           });
           logger.info(`User ${socket.userId} manually refreshed conversation list`);
@@ -121,39 +356,26 @@ function initializeSocket(server) {
       // Handle sending messages
       socket.on('send_message', async (data) => {
         try {
+          // System messages are only created by the server
+          if (data.messageType === 'system') {
+            socket.emit('error', { message: 'System messages cannot be sent' });
+            return;
+          }
+
           const result = await chatService.sendMessage({
             senderId: socket.userId,
             conversationId: data.conversationId,
             content: data.content,
             messageType: data.messageType || 'text',
             replyToMessageId: data.replyToMessageId,
-            attachmentUrl: data.attachmentUrl,
-            attachmentName: data.attachmentName,
-            attachmentSize: data.attachmentSize,
-            attachmentMimeType: data.attachmentMimeType
+            // Upload the file with POST /api/chat/attachments first
+            attachmentId: data.attachmentId,
+            attachmentUrl: data.attachmentUrl
           });
 
           if (result.success) {
-            // Emit message to all conversation members
-            io.to(`conversation_${data.conversationId}`).emit('new_message', result.data);
-
-            // Emit conversation update to refresh conversation lists
-            io.to(`conversation_${data.conversationId}`).emit('conversation_updated', {
-              conversationId: data.conversationId,
-              lastMessage: {
-                id: result.data.id,
-                content: result.data.content,
-                message_type: result.data.message_type,
-                created_at: result.data.created_at,
-                sender_id: socket.userId,
-                sender: {
-                  id: result.data.sender.id,
-                  name: result.data.sender.name,
-                  profile: result.data.sender.profile
-                }
-              },
-              last_message_at: new Date()
-            });
+            // Emit message and conversation list update to all conversation members
+            broadcastNewMessage(io, result.data);
 
             // Send push notifications to offline users
             await chatService.sendNotificationsForMessage(result.data);
@@ -166,6 +388,50 @@ function initializeSocket(server) {
         }
       });
 
+      // Handle forwarding a message to one or more conversations
+      socket.on('forward_message', async (data = {}) => {
+        try {
+          const result = await chatService.forwardMessage(
+            data.messageId,
+            socket.userId,
+            Array.isArray(data.conversationIds) ? data.conversationIds : []
+          );
+
+          if (result.success) {
+            result.data.forwarded.forEach(message => broadcastNewMessage(io, message));
+            socket.emit('message_forwarded', {
+              messageId: data.messageId,
+              forwarded: result.data.forwarded.map(message => ({
+                conversationId: message.conversation_id,
+                messageId: message.id
+              })),
+              failed: result.data.failed
+            });
+          } else {
+            socket.emit('error', { message: result.error, failed: result.failed });
+          }
+        } catch (error) {
+          logger.error('Error forwarding message:', error);
+          socket.emit('error', { message: 'Failed to forward message' });
+        }
+      });
+
+      // Handle reactions (emoji: null removes the user's reaction)
+      socket.on('react_message', async (data = {}) => {
+        try {
+          const result = await chatService.setReaction(data.messageId, socket.userId, data.emoji || null);
+
+          if (result.success) {
+            io.to(`conversation_${result.data.conversationId}`).emit('message_reaction_updated', result.data);
+          } else {
+            socket.emit('error', { message: result.error });
+          }
+        } catch (error) {
+          logger.error('Error updating reaction:', error);
+          socket.emit('error', { message: 'Failed to update reaction' });
+        }
+      });
+
       // Handle typing indicators
       socket.on('typing_start', async (data) => {
         try {
@@ -213,11 +479,44 @@ function initializeSocket(server) {
             userId: socket.userId,
             readAt: new Date()
           });
+          await broadcastReceipts(io, [messageId]);
         } catch (error) {
           logger.error('Error marking message as read:', error);
         }
       });
 
+      // Handle delivery acknowledgements sent by the client for messages it received
+      socket.on('message_delivered', async (data = {}) => {
+        try {
+          const result = await chatService.markMessagesDelivered(data.messageIds, socket.userId);
+
+          if (result.success) {
+            await broadcastDelivery(io, socket.userId, result.data);
+          } else {
+            socket.emit('error', { message: result.error });
+          }
+        } catch (error) {
+          logger.error('Error marking messages as delivered:', error);
+          socket.emit('error', { message: 'Failed to mark messages as delivered' });
+        }
+      });
+
+      // Handle offline sync: everything that changed since the client's cursor
+      socket.on('sync', async (data = {}) => {
+        try {
+          const result = await chatService.syncSince(socket.userId, data.since, data.limit);
+
+          if (result.success) {
+            socket.emit('sync_result', result.data);
+          } else {
+            socket.emit('error', { message: result.error });
+          }
+        } catch (error) {
+          logger.error('Error syncing chat changes:', error);
+          socket.emit('error', { message: 'Failed to sync' });
+        }
+      });
+
       // Handle marking all messages in a conversation as read (bulk operation)
       socket.on('mark_conversation_read', async (data) => {
         try {
@@ -247,6 +546,7 @@ function initializeSocket(server) {
               conversationId,
               messageCount: result.count
             });
+            await broadcastReceipts(io, result.messageIds);
 
             logger.info(`User ${socket.userId} marked ${result.count} messages as read in conversation ${conversationId}`);
           }
@@ -268,17 +568,7 @@ function initializeSocket(server) {
           });
 
           if (result.success) {
-            // Join creator to the new conversation
-            socket.join(`conversation_${result.data.id}`);
-
-            // Notify other members
-            result.data.members.forEach(member => {
-              if (member.user_id !== socket.userId) {
-                io.to(`user_${member.user_id}`).emit('conversation_created', result.data);
-              }
-            });
-
-            socket.emit('conversation_created', result.data);
+            broadcastConversationCreated(io, result.data);
           } else {
             socket.emit('error', { message: result.error });
           }
@@ -288,16 +578,109 @@ function initializeSocket(server) {
         }
       });
 
+      // Handle editing a message
+      socket.on('edit_message', async (data = {}) => {
+        try {
+          if (typeof data.content !== 'string' || !data.content.trim() || data.content.length > 4000) {
+            socket.emit('error', { message: 'Content must be between 1 and 4000 characters' });
+            return;
+          }
+
+          const result = await chatService.editMessage(data.messageId, socket.userId, data.content.trim());
+
+          if (result.success) {
+            broadcastMessageChange(io, result.data);
+          } else {
+            socket.emit('error', { message: result.error });
+          }
+        } catch (error) {
+          logger.error('Error editing message:', error);
+          socket.emit('error', { message: 'Failed to edit message' });
+        }
+      });
+
+      // Handle deleting a message (scope: 'me' or 'everyone')
+      socket.on('delete_message', async (data = {}) => {
+        try {
+          const scope = data.scope || 'me';
+          if (!['me', 'everyone'].includes(scope)) {
+            socket.emit('error', { message: 'Scope must be either "me" or "everyone"' });
+            return;
+          }
+
+          const result = await chatService.deleteMessage(data.messageId, socket.userId, scope);
+
+          if (result.success) {
+            broadcastMessageChange(io, result.data);
+          } else {
+            socket.emit('error', { message: result.error });
+          }
+        } catch (error) {
+          logger.error('Error deleting message:', error);
+          socket.emit('error', { message: 'Failed to delete message' });
+        }
+      });
+
+      // Group management: each handler runs the chatService method and
+      // broadcasts the change, or reports the failure to the caller
+      const groupEvents = {
+        add_group_members: (data) => chatService.addMembers(data.conversationId, socket.userId, data.memberIds || []),
+        remove_group_members: (data) => chatService.removeMembers(data.conversationId, socket.userId, data.memberIds || []),
+        update_member_role: (data) => chatService.updateMemberRole(data.conversationId, socket.userId, data.memberId, data.role),
+        leave_group: (data) => chatService.leaveConversation(data.conversationId, socket.userId),
+        update_group_info: (data) => chatService.updateGroupInfo(data.conversationId, socket.userId, {
+          name: data.name,
+          description: data.description,
+          avatarUrl: data.avatarUrl
+        })
+      };
+
+      Object.entries(groupEvents).forEach(([event, handler]) => {
+        socket.on(event, async (data = {}) => {
+          try {
+            if (event === 'update_member_role' && !['admin', 'member'].includes(data.role)) {
+              socket.emit('error', { message: 'Role must be either "admin" or "member"' });
+              return;
+            }
+
+            const result = await handler(data);
+
+            if (result.success) {
+              broadcastGroupChange(io, result.data);
+            } else {
+              socket.emit('error', { message: result.error });
+            }
+          } catch (error) {
+            logger.error(`Error handling ${event}:`, error);
+            socket.emit('error', { message: 'Failed to update group' });
+          }
+        });
+      });
+
       // Handle disconnection
       socket.on('disconnect', async () => {
         try {
           logger.info(`User disconnected: ${socket.user.name} (ID: ${socket.userId})`);
 
+          // The user stays online while another device is still connected
+          const remainingSockets = await io.in(`user_${socket.userId}`).fetchSockets();
+          if (remainingSockets.length > 0) {
+            await db.User.update(
+              { socket_id: remainingSockets[0].id },
+              { where: { id: socket.userId, socket_id: socket.id } }
+            );
+            return;
+          }
+
+          // Read the privacy setting again, it may have changed while connected
+          const user = await db.User.findByPk(socket.userId, { attributes: ['id', 'hide_last_seen'] });
+          const lastSeen = user && !user.hide_last_seen ? new Date() : null;
+
           // Update user offline status
           await db.User.update(
             {
               is_online: false,
-              last_seen: new Date(),
+              last_seen: lastSeen,
               socket_id: null
             },
             { where: { id: socket.userId } }
@@ -307,10 +690,10 @@ function initializeSocket(server) {
           await chatService.clearUserTypingStatuses(socket.userId);
 
           // Emit user offline status
-          socket.broadcast.emit('user_offline', {
+          await emitPresence(io, socket.userId, 'user_offline', {
             userId: socket.user.id,
             name: socket.user.name,
-            lastSeen: new Date()
+            lastSeen
           });
         } catch (error) {
           logger.error('Error handling disconnect:', error);
@@ -326,4 +709,15 @@ function initializeSocket(server) {
   return io;
 }
 
-module.exports = { initializeSocket };
\ No newline at end of file
+module.exports = {
+  initializeSocket,
+  broadcastNewMessage,
+  broadcastConversationCreated,
+  broadcastGroupChange,
+  broadcastMessageChange,
+  broadcastReceipts,
+  broadcastDelivery,
+  broadcastMessageRequest,
+  disconnectSessions,
+  disconnectUser
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+const moderationService = require("../services/moderationService");
+const roleService = require("../services/roleService");
+const { disconnectUser } = require("../config/socket.config");
+const logger = require("../utils/logger");
+
+// Shared handler: run a moderation service call and map its result to a response
+const moderationAction = (logMessage, successMessage, run) => async (req, res) => {
+  try {
+    const result = await run(req);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: result.data
+    });
+  } catch (error) {
+    logger.error(logMessage, {
+      requestId: req.requestId,
+      moderatorId: req.user?.id,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+const pageParams = (req) => ({
+  page: parseInt(req.query.page) || 1,
+  limit: Math.min(parseInt(req.query.limit) || 20, 100)
+});
+
+// List post and feed post reports
+exports.getReports = moderationAction(
+  "Error listing reports",
+  "Reports retrieved successfully",
+  (req) => moderationService.listReports({
+    type: req.query.type,
+    status: req.query.status,
+    reporterId: req.query.reporter_id ? parseInt(req.query.reporter_id) : undefined,
+    ...pageParams(req)
+  })
+);
+
+// Get a report with the reported content, reporter and history
+exports.getReportById = moderationAction(
+  "Error retrieving report",
+  "Report retrieved successfully",
+  (req) => moderationService.getReport(req.params.type, parseInt(req.params.id))
+);
+
+// Build a handler that sets a report's status
+const setReportStatus = (status, successMessage) => moderationAction(
+  "Error updating report status",
+  successMessage,
+  async (req) => {
+    const result = await moderationService.updateReportStatus(req.user.id, req.params.type, parseInt(req.params.id), status, {
+      note: req.body?.note,
+      hideContent: req.body?.hide_content === true,
+      blockAuthor: req.body?.block_author === true
+    });
+
+    if (result.success && result.data.author_blocked) {
+      disconnectUser(req.app.get("io"), result.data.author_id, "Account blocked");
+    }
+
+    return result;
+  }
+);
+
+exports.reviewReport = setReportStatus("reviewed", "Report marked as reviewed");
+exports.resolveReport = setReportStatus("resolved", "Report resolved successfully");
+exports.dismissReport = setReportStatus("dismissed", "Report dismissed successfully");
+
+// Hide or restore a post / feed post
+exports.hideContent = moderationAction(
+  "Error hiding content",
+  "Content hidden successfully",
+  (req) => moderationService.setContentHidden(req.user.id, req.params.type, parseInt(req.params.id), true, {
+    note: req.body?.note
+  })
+);
+
+exports.restoreContent = moderationAction(
+  "Error restoring content",
+  "Content restored successfully",
+  (req) => moderationService.setContentHidden(req.user.id, req.params.type, parseInt(req.params.id), false, {
+    note: req.body?.note
+  })
+);
+
+// Block or unblock a user account
+exports.blockUser = moderationAction(
+  "Error blocking user",
+  "User blocked successfully",
+  async (req) => {
+    const result = await moderationService.setUserBlocked(req.user.id, parseInt(req.params.id), true, {
+      note: req.body?.note
+    });
+
+    // A blocked account is refused by the socket handshake, so drop its live connections
+    if (result.success) {
+      disconnectUser(req.app.get("io"), result.data.user_id, "Account blocked");
+    }
+
+    return result;
+  }
+);
+
+exports.unblockUser = moderationAction(
+  "Error unblocking user",
+  "User unblocked successfully",
+  (req) => moderationService.setUserBlocked(req.user.id, parseInt(req.params.id), false, {
+    note: req.body?.note
+  })
+);
+
+// List moderation audit log entries
+exports.getAuditLogs = moderationAction(
+  "Error listing moderation audit logs",
+  "Audit logs retrieved successfully",
+  (req) => moderationService.getAuditLogs({
+    moderatorId: req.query.moderator_id ? parseInt(req.query.moderator_id) : undefined,
+    action: req.query.action,
+    targetType: req.query.target_type,
+    targetId: req.query.target_id ? parseInt(req.query.target_id) : undefined,
+    ...pageParams(req)
+  })
+);
+
+// Get a user's roles
+exports.getUserRoles = moderationAction(
+  "Error retrieving user roles",
+  "Roles retrieved successfully",
+  (req) => roleService.getUserRoles(parseInt(req.params.id))
+);
+
+// Grant a role to a user
+exports.grantRole = moderationAction(
+  "Error granting role",
+  "Role granted successfully",
+  (req) => roleService.changeRole(req.user.id, parseInt(req.params.id), req.body.role, true, {
+    note: req.body?.note
+  })
+);
+
+// Revoke a role from a user
+exports.revokeRole = moderationAction(
+  "Error revoking role",
+  "Role revoked successfully",
+  (req) => roleService.changeRole(req.user.id, parseInt(req.params.id), req.params.role, false, {
+    note: req.body?.note
+  })
+);
+
+module.exports = {
+  getReports: exports.getReports,
+  getReportById: exports.getReportById,
+  reviewReport: exports.reviewReport,
+  resolveReport: exports.resolveReport,
+  dismissReport: exports.dismissReport,
+  hideContent: exports.hideContent,
+  restoreContent: exports.restoreContent,
+  blockUser: exports.blockUser,
+  unblockUser: exports.unblockUser,
+  getAuditLogs: exports.getAuditLogs,
+  getUserRoles: exports.getUserRoles,
+  grantRole: exports.grantRole,
+  revokeRole: exports.revokeRole,
+};
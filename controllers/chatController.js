@@ -1,6 +1,179 @@
 const chatService = require('../services/chatService');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
+const {
+  broadcastNewMessage,
+  broadcastConversationCreated,
+  broadcastGroupChange,
+  broadcastMessageChange,
+  broadcastReceipts,
+  broadcastDelivery,
+  broadcastMessageRequest
+} = require('../config/socket.config');
+const presenceService = require('../services/presenceService');
+const chatAttachmentService = require('../services/chatAttachmentService');
+
+/**
+ * Send the response for a group change and broadcast it over Socket.io
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of a chatService group method
+ * @param {string} message - Success message
+ */
+function respondWithGroupChange(req, res, result, message) {
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  if (req.app.get('io')) {
+    broadcastGroupChange(req.app.get('io'), result.data);
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      conversation: result.data.conversation,
+      systemMessage: result.data.systemMessage
+    }
+  });
+}
+
+/**
+ * Send the response for a reaction change and broadcast it over Socket.io
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of chatService.setReaction
+ * @param {string} message - Success message
+ */
+function respondWithReaction(req, res, result, message) {
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  if (req.app.get('io')) {
+    req.app.get('io').to(`conversation_${result.data.conversationId}`).emit('message_reaction_updated', result.data);
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: result.data
+  });
+}
+
+/**
+ * Send the response for a change to the user's own conversation settings
+ * and sync it to their other devices
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of a chatService settings method
+ * @param {string} message - Success message
+ */
+function respondWithSettings(req, res, result, message) {
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  if (req.app.get('io')) {
+    req.app.get('io').to(`user_${result.data.userId}`).emit('conversation_settings_updated', {
+      conversationId: result.data.conversationId,
+      settings: result.data.settings
+    });
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      conversationId: result.data.conversationId,
+      settings: result.data.settings
+    }
+  });
+}
+
+/**
+ * Accept, decline or block a message request and tell the devices involved
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - 'accept', 'decline' or 'block'
+ * @param {string} message - Success message
+ */
+async function answerMessageRequest(req, res, action, message) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const result = await chatService.respondToMessageRequest(parseInt(req.params.id), req.user.id, action);
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  if (req.app.get('io')) {
+    broadcastMessageRequest(req.app.get('io'), result.data);
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      conversationId: result.data.conversationId,
+      status: result.data.status
+    }
+  });
+}
+
+/**
+ * Stream a chat attachment or its thumbnail after checking access.
+ * Range requests are supported, so voice notes and videos can seek.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} thumbnail - Serve the thumbnail instead of the file
+ */
+async function sendAttachmentFile(req, res, thumbnail) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const result = await chatAttachmentService.getAttachmentFile(parseInt(req.params.id), req.user.id, thumbnail);
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  const { filePath, mimeType, fileName } = result.data;
+  res.sendFile(filePath, {
+    headers: {
+      'Content-Type': mimeType,
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      'Cache-Control': 'private, max-age=3600'
+    }
+  });
+}
 
 /**
  * Chat Controller - Handles HTTP requests for chat functionality
@@ -33,6 +206,10 @@ class ChatController {
       });
 
       if (result.success) {
+        if (req.app.get('io')) {
+          broadcastConversationCreated(req.app.get('io'), result.data);
+        }
+
         res.status(201).json({
           success: true,
           message: result.message || 'Conversation created successfully',
@@ -68,19 +245,26 @@ class ChatController {
   }
 
   /**
-   * Get user's conversations
+   * Get user's conversations, pinned first; archived ones and message
+   * requests are listed separately
    * GET /api/chat/conversations
    */
   async getUserConversations(req, res) {
     try {
       const userId = req.user.id;
       const baseUrl = `${req.protocol}://${req.get('host')}`;
-      const conversations = await chatService.getUserConversations(userId, baseUrl);
+      const [conversations, archivedCount, requestCount] = await Promise.all([
+        chatService.getUserConversations(userId, baseUrl, { archived: false, requests: false }),
+        chatService.countArchivedConversations(userId),
+        chatService.countMessageRequests(userId)
+      ]);
 
       res.json({
         success: true,
         message: 'Conversations retrieved successfully',
-        data: conversations
+        data: conversations,
+        archived_count: archivedCount,
+        request_count: requestCount
       });
     } catch (error) {
       logger.error('Error in getUserConversations:', error);
@@ -91,6 +275,207 @@ class ChatController {
     }
   }
 
+  /**
+   * Get user's archived conversations
+   * GET /api/chat/conversations/archived
+   */
+  async getArchivedConversations(req, res) {
+    try {
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const conversations = await chatService.getUserConversations(req.user.id, baseUrl, { archived: true, requests: false });
+
+      res.json({
+        success: true,
+        message: 'Archived conversations retrieved successfully',
+        data: conversations
+      });
+    } catch (error) {
+      logger.error('Error in getArchivedConversations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get message requests: private chats started by people you don't know yet
+   * GET /api/chat/conversations/requests
+   */
+  async getMessageRequests(req, res) {
+    try {
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const conversations = await chatService.getUserConversations(req.user.id, baseUrl, { requests: true });
+
+      res.json({
+        success: true,
+        message: 'Message requests retrieved successfully',
+        data: conversations
+      });
+    } catch (error) {
+      logger.error('Error in getMessageRequests:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Accept a message request; the conversation moves to the inbox
+   * POST /api/chat/conversations/:id/request/accept
+   */
+  async acceptMessageRequest(req, res) {
+    try {
+      await answerMessageRequest(req, res, 'accept', 'Message request accepted');
+    } catch (error) {
+      logger.error('Error in acceptMessageRequest:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Decline a message request; the sender is not told
+   * POST /api/chat/conversations/:id/request/decline
+   */
+  async declineMessageRequest(req, res) {
+    try {
+      await answerMessageRequest(req, res, 'decline', 'Message request declined');
+    } catch (error) {
+      logger.error('Error in declineMessageRequest:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Decline a message request and block its sender
+   * POST /api/chat/conversations/:id/request/block
+   */
+  async blockMessageRequest(req, res) {
+    try {
+      await answerMessageRequest(req, res, 'block', 'Message request declined and sender blocked');
+    } catch (error) {
+      logger.error('Error in blockMessageRequest:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Pin or unpin a conversation
+   * PUT /api/chat/conversations/:id/pin, DELETE /api/chat/conversations/:id/pin
+   */
+  async pinConversation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const pinned = req.method === 'PUT';
+      const result = await chatService.setConversationPinned(parseInt(req.params.id), req.user.id, pinned);
+      respondWithSettings(req, res, result, pinned ? 'Conversation pinned' : 'Conversation unpinned');
+    } catch (error) {
+      logger.error('Error in pinConversation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Mute a conversation for a duration, or unmute it
+   * PUT /api/chat/conversations/:id/mute { duration }, DELETE /api/chat/conversations/:id/mute
+   */
+  async muteConversation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const duration = req.method === 'PUT' ? req.body.duration : null;
+      const result = await chatService.setConversationMuted(parseInt(req.params.id), req.user.id, duration);
+      respondWithSettings(req, res, result, duration ? 'Conversation muted' : 'Conversation unmuted');
+    } catch (error) {
+      logger.error('Error in muteConversation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Archive or unarchive a conversation
+   * PUT /api/chat/conversations/:id/archive, DELETE /api/chat/conversations/:id/archive
+   */
+  async archiveConversation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const archived = req.method === 'PUT';
+      const result = await chatService.setConversationArchived(parseInt(req.params.id), req.user.id, archived);
+      respondWithSettings(req, res, result, archived ? 'Conversation archived' : 'Conversation unarchived');
+    } catch (error) {
+      logger.error('Error in archiveConversation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Clear a conversation's history for the current user only
+   * POST /api/chat/conversations/:id/clear
+   */
+  async clearConversationHistory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await chatService.clearConversationHistory(parseInt(req.params.id), req.user.id);
+      respondWithSettings(req, res, result, 'Conversation history cleared');
+    } catch (error) {
+      logger.error('Error in clearConversationHistory:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Get conversation by ID
    * GET /api/chat/conversations/:id
@@ -110,7 +495,7 @@ class ChatController {
         });
       }
 
-      const conversation = await chatService.getConversationById(conversationId, baseUrl);
+      const conversation = await chatService.getConversationById(conversationId, baseUrl, userId);
       
       if (!conversation) {
         return res.status(404).json({
@@ -139,13 +524,27 @@ class ChatController {
    */
   async getConversationMessages(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const conversationId = parseInt(req.params.id);
       const userId = req.user.id;
       const page = parseInt(req.query.page) || 1;
       const limit = Math.min(parseInt(req.query.limit) || 50, 100); // Max 100 messages per request
       const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const cursor = {
+        before: parseInt(req.query.before) || null,
+        after: parseInt(req.query.after) || null,
+        around: parseInt(req.query.around) || null
+      };
 
-      const result = await chatService.getConversationMessages(conversationId, userId, page, limit, baseUrl);
+      const result = await chatService.getConversationMessages(conversationId, userId, page, limit, baseUrl, cursor);
 
       if (result.success) {
         res.json({
@@ -154,7 +553,7 @@ class ChatController {
           data: result.data
         });
       } else {
-        res.status(403).json({
+        res.status(result.statusCode || 403).json({
           success: false,
           message: result.error
         });
@@ -191,10 +590,8 @@ class ChatController {
         messageType,
         replyToMessageId,
         forwardFromMessageId,
+        attachmentId,
         attachmentUrl,
-        attachmentName,
-        attachmentSize,
-        attachmentMimeType,
         metadata
       } = req.body;
 
@@ -205,38 +602,15 @@ class ChatController {
         messageType,
         replyToMessageId,
         forwardFromMessageId,
+        attachmentId,
         attachmentUrl,
-        attachmentName,
-        attachmentSize,
-        attachmentMimeType,
         metadata
       }, baseUrl);
 
       if (result.success) {
         // Emit real-time event if Socket.io is available
         if (req.app.get('io')) {
-          const io = req.app.get('io');
-          
-          // Emit message to conversation members
-          io.to(`conversation_${conversationId}`).emit('new_message', result.data);
-          
-          // Emit conversation update to refresh conversation lists
-          io.to(`conversation_${conversationId}`).emit('conversation_updated', {
-            conversationId: conversationId,
-            lastMessage: {
-              id: result.data.id,
-              content: result.data.content,
-              message_type: result.data.message_type,
-              created_at: result.data.created_at,
-              sender_id: senderId,
-              sender: {
-                id: result.data.sender.id,
-                name: result.data.sender.name,
-                profile: result.data.sender.profile
-              }
-            },
-            last_message_at: new Date()
-          });
+          broadcastNewMessage(req.app.get('io'), result.data);
         }
 
         res.status(201).json({
@@ -260,29 +634,41 @@ class ChatController {
   }
 
   /**
-   * Mark message as read
-   * PUT /api/chat/messages/:id/read
+   * Upload a file to send in a chat message
+   * POST /api/chat/attachments (multipart/form-data, field "file")
    */
-  async markMessageAsRead(req, res) {
+  async uploadAttachment(req, res) {
     try {
-      const messageId = parseInt(req.params.id);
-      const userId = req.user.id;
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded. Send the file in the "file" field'
+        });
+      }
 
-      const success = await chatService.markMessageAsRead(messageId, userId);
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const result = await chatAttachmentService.createAttachment(req.file, req.user.id, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        method: req.method,
+        url: req.originalUrl
+      }, baseUrl);
 
-      if (success) {
-        res.json({
-          success: true,
-          message: 'Message marked as read'
-        });
-      } else {
-        res.status(400).json({
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
           success: false,
-          message: 'Failed to mark message as read'
+          message: result.error,
+          ...(result.violations && { violations: result.violations, code: 'SECURITY_VIOLATION' })
         });
       }
+
+      res.status(201).json({
+        success: true,
+        message: 'Attachment uploaded successfully',
+        data: result.data
+      });
     } catch (error) {
-      logger.error('Error in markMessageAsRead:', error);
+      logger.error('Error in uploadAttachment:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error'
@@ -291,24 +677,548 @@ class ChatController {
   }
 
   /**
-   * Mark all messages in a conversation as read (bulk operation)
-   * PUT /api/chat/conversations/:id/read
+   * Download a chat attachment
+   * GET /api/chat/attachments/:id
    */
-  async markConversationAsRead(req, res) {
+  async getAttachment(req, res) {
     try {
-      const conversationId = parseInt(req.params.id);
-      const userId = req.user.id;
-
-      // Check if user is member of conversation
-      const isMember = await chatService.isConversationMember(conversationId, userId);
-      if (!isMember) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. You are not a member of this conversation.'
-        });
-      }
-
-      const result = await chatService.markConversationAsRead(conversationId, userId);
+      await sendAttachmentFile(req, res, false);
+    } catch (error) {
+      logger.error('Error in getAttachment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the thumbnail of an image or video attachment
+   * GET /api/chat/attachments/:id/thumbnail
+   */
+  async getAttachmentThumbnail(req, res) {
+    try {
+      await sendAttachmentFile(req, res, true);
+    } catch (error) {
+      logger.error('Error in getAttachmentThumbnail:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Add members to a group conversation
+   * POST /api/chat/conversations/:id/members
+   */
+  async addMembers(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await chatService.addMembers(
+        parseInt(req.params.id),
+        req.user.id,
+        req.body.memberIds,
+        `${req.protocol}://${req.get('host')}`
+      );
+
+      respondWithGroupChange(req, res, result, 'Members added successfully');
+    } catch (error) {
+      logger.error('Error in addMembers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Remove members from a group conversation
+   * DELETE /api/chat/conversations/:id/members
+   */
+  async removeMembers(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await chatService.removeMembers(
+        parseInt(req.params.id),
+        req.user.id,
+        req.body.memberIds,
+        `${req.protocol}://${req.get('host')}`
+      );
+
+      respondWithGroupChange(req, res, result, 'Members removed successfully');
+    } catch (error) {
+      logger.error('Error in removeMembers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Promote a member to admin or demote an admin
+   * PUT /api/chat/conversations/:id/members/:memberId/role
+   */
+  async updateMemberRole(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await chatService.updateMemberRole(
+        parseInt(req.params.id),
+        req.user.id,
+        parseInt(req.params.memberId),
+        req.body.role,
+        `${req.protocol}://${req.get('host')}`
+      );
+
+      respondWithGroupChange(req, res, result, 'Member role updated successfully');
+    } catch (error) {
+      logger.error('Error in updateMemberRole:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Leave a group conversation
+   * POST /api/chat/conversations/:id/leave
+   */
+  async leaveConversation(req, res) {
+    try {
+      const result = await chatService.leaveConversation(
+        parseInt(req.params.id),
+        req.user.id,
+        `${req.protocol}://${req.get('host')}`
+      );
+
+      respondWithGroupChange(req, res, result, 'You left the conversation');
+    } catch (error) {
+      logger.error('Error in leaveConversation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update a group's name, description or avatar
+   * PUT /api/chat/conversations/:id
+   */
+  async updateConversation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, description, avatarUrl } = req.body;
+
+      const result = await chatService.updateGroupInfo(
+        parseInt(req.params.id),
+        req.user.id,
+        { name, description, avatarUrl },
+        `${req.protocol}://${req.get('host')}`
+      );
+
+      respondWithGroupChange(req, res, result, 'Conversation updated successfully');
+    } catch (error) {
+      logger.error('Error in updateConversation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Edit a message
+   * PUT /api/chat/messages/:id
+   */
+  async editMessage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await chatService.editMessage(parseInt(req.params.id), req.user.id, req.body.content);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      if (req.app.get('io')) {
+        broadcastMessageChange(req.app.get('io'), result.data);
+      }
+
+      res.json({
+        success: true,
+        message: 'Message edited successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in editMessage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Delete a message for the current user (?scope=me, default) or for everyone
+   * DELETE /api/chat/messages/:id
+   */
+  async deleteMessage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await chatService.deleteMessage(
+        parseInt(req.params.id),
+        req.user.id,
+        req.query.scope || 'me'
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      if (req.app.get('io')) {
+        broadcastMessageChange(req.app.get('io'), result.data);
+      }
+
+      res.json({
+        success: true,
+        message: 'Message deleted successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in deleteMessage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Forward a message to one or more conversations
+   * POST /api/chat/messages/:id/forward
+   */
+  async forwardMessage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await chatService.forwardMessage(
+        parseInt(req.params.id),
+        req.user.id,
+        req.body.conversationIds,
+        `${req.protocol}://${req.get('host')}`
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error,
+          failed: result.failed
+        });
+      }
+
+      if (req.app.get('io')) {
+        result.data.forwarded.forEach(message => broadcastNewMessage(req.app.get('io'), message));
+      }
+
+      res.status(201).json({
+        success: true,
+        message: result.data.failed.length > 0
+          ? 'Message forwarded to some conversations'
+          : 'Message forwarded successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in forwardMessage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * React to a message (replaces the user's previous reaction)
+   * PUT /api/chat/messages/:id/reactions
+   */
+  async setReaction(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await chatService.setReaction(parseInt(req.params.id), req.user.id, req.body.emoji);
+      respondWithReaction(req, res, result, 'Reaction saved');
+    } catch (error) {
+      logger.error('Error in setReaction:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Remove the user's reaction from a message
+   * DELETE /api/chat/messages/:id/reactions
+   */
+  async removeReaction(req, res) {
+    try {
+      const result = await chatService.setReaction(parseInt(req.params.id), req.user.id, null);
+      respondWithReaction(req, res, result, 'Reaction removed');
+    } catch (error) {
+      logger.error('Error in removeReaction:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Mark message as read
+   * PUT /api/chat/messages/:id/read
+   */
+  async markMessageAsRead(req, res) {
+    try {
+      const messageId = parseInt(req.params.id);
+      const userId = req.user.id;
+
+      const success = await chatService.markMessageAsRead(messageId, userId);
+
+      if (success) {
+        if (req.app.get('io')) {
+          await broadcastReceipts(req.app.get('io'), [messageId]);
+        }
+
+        res.json({
+          success: true,
+          message: 'Message marked as read'
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          message: 'Failed to mark message as read'
+        });
+      }
+    } catch (error) {
+      logger.error('Error in markMessageAsRead:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Acknowledge delivery of messages to the user's device
+   * PUT /api/chat/messages/delivered
+   */
+  async markMessagesDelivered(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await chatService.markMessagesDelivered(req.body.messageIds, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      if (req.app.get('io')) {
+        await broadcastDelivery(req.app.get('io'), req.user.id, result.data);
+      }
+
+      res.json({
+        success: true,
+        message: 'Messages marked as delivered',
+        data: {
+          messageIds: result.data.messageIds,
+          deliveredAt: result.data.deliveredAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error in markMessagesDelivered:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get who a message was delivered to and read by (sender only)
+   * GET /api/chat/messages/:id/receipts
+   */
+  async getMessageReceipts(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const result = await chatService.getMessageReceipts(parseInt(req.params.id), req.user.id, baseUrl);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Message receipts retrieved successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in getMessageReceipts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get all chat changes since the client's last sync
+   * GET /api/chat/sync?since=<cursor>
+   */
+  async syncChanges(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const result = await chatService.syncSince(req.user.id, req.query.since, req.query.limit, baseUrl);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Changes retrieved successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in syncChanges:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Mark all messages in a conversation as read (bulk operation)
+   * PUT /api/chat/conversations/:id/read
+   */
+  async markConversationAsRead(req, res) {
+    try {
+      const conversationId = parseInt(req.params.id);
+      const userId = req.user.id;
+
+      // Check if user is member of conversation
+      const isMember = await chatService.isConversationMember(conversationId, userId);
+      if (!isMember) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You are not a member of this conversation.'
+        });
+      }
+
+      const result = await chatService.markConversationAsRead(conversationId, userId);
 
       if (result.success) {
         // Emit real-time event if Socket.io is available
@@ -319,6 +1229,7 @@ class ChatController {
             readAt: new Date(),
             messageCount: result.count
           });
+          await broadcastReceipts(req.app.get('io'), result.messageIds);
         }
 
         res.json({
@@ -350,7 +1261,16 @@ class ChatController {
    */
   async searchMessages(req, res) {
     try {
-      const { q: query, conversation_id: conversationId } = req.query;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { q: query, conversation_id: conversationId, sender_id: senderId } = req.query;
       const userId = req.user.id;
       const baseUrl = `${req.protocol}://${req.get('host')}`;
 
@@ -364,7 +1284,16 @@ class ChatController {
       const result = await chatService.searchMessages(
         userId,
         query.trim(),
-        conversationId ? parseInt(conversationId) : null,
+        {
+          conversationId: conversationId ? parseInt(conversationId) : null,
+          senderId: senderId ? parseInt(senderId) : null,
+          from: req.query.from || null,
+          to: req.query.to || null,
+          messageTypes: req.query.type ? String(req.query.type).split(',').map(type => type.trim()) : null,
+          hasAttachment: req.query.has_attachment === undefined ? null : ['true', '1'].includes(req.query.has_attachment),
+          page: parseInt(req.query.page) || 1,
+          limit: parseInt(req.query.limit) || 20
+        },
         baseUrl
       );
 
@@ -372,10 +1301,11 @@ class ChatController {
         res.json({
           success: true,
           message: 'Search completed successfully',
-          data: result.data
+          data: result.data.messages,
+          pagination: result.data.pagination
         });
       } else {
-        res.status(400).json({
+        res.status(result.statusCode || 400).json({
           success: false,
           message: result.error
         });
@@ -414,14 +1344,17 @@ class ChatController {
         });
       }
 
+      // Presence is only visible to people who share a conversation with the user
+      const presence = await presenceService.getVisiblePresence(req.user.id, user);
+
       res.json({
         success: true,
         message: 'User status retrieved successfully',
         data: {
           id: user.id,
           name: user.name,
-          is_online: user.is_online,
-          last_seen: user.last_seen,
+          is_online: presence.is_online,
+          last_seen: presence.last_seen,
           profile: user.profile
         }
       });
@@ -434,6 +1367,75 @@ class ChatController {
     }
   }
 
+  /**
+   * Get the user's chat privacy settings
+   * GET /api/chat/privacy
+   */
+  async getPrivacySettings(req, res) {
+    try {
+      const result = await presenceService.getPrivacySettings(req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Privacy settings retrieved successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in getPrivacySettings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update the user's chat privacy settings
+   * PUT /api/chat/privacy
+   */
+  async updatePrivacySettings(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await presenceService.updatePrivacySettings(req.user.id, {
+        hideLastSeen: req.body.hideLastSeen
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Privacy settings updated successfully',
+        data: result.data
+      });
+    } catch (error) {
+      logger.error('Error in updatePrivacySettings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Get typing status for a conversation
    * GET /api/chat/conversations/:id/typing
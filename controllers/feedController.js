@@ -3,6 +3,7 @@ const FeedPost = db.FeedPost;
 const FeedAttachment = db.FeedAttachment;
 const FeedLike = db.FeedLike;
 const FeedComment = db.FeedComment;
+const FeedCommentLike = db.FeedCommentLike;
 const FeedShare = db.FeedShare;
 const FeedView = db.FeedView;
 const FeedPostReport = db.FeedPostReport;
@@ -13,7 +14,9 @@ const Skill = db.Skill;
 const SubSkill = db.SubSkill;
 const { getFileUrl, getFileCategoryFromPath } = require("../middlewares/upload");
 const { sendFeedPostNotificationToAllUsers, createFeedLikeNotification, createFeedCommentNotification } = require("../services/notificationService");
+const feedFollowService = require("../services/feedFollowService");
 const logger = require("../utils/logger");
+const { FEED: { COMMENT_EDIT_WINDOW_MINUTES } } = require("../utils/constants");
 
 // Helper function to calculate engagement score
 const calculateEngagementScore = (post) => {
@@ -93,6 +96,126 @@ const generateCommentUrls = (comments, baseUrl) => {
   });
 };
 
+// Reaction types supported on feed likes
+const REACTION_TYPES = FeedLike.rawAttributes.like_type.values;
+
+// Helper function to attach the reaction breakdown and the user's own reaction to posts
+const attachReactionSummaries = async (posts, userId) => {
+  if (!posts || posts.length === 0) return posts;
+
+  const postIds = posts.map(post => post.id);
+  const [rows, ownLikes] = await Promise.all([
+    FeedLike.findAll({
+      attributes: [
+        'feed_post_id',
+        'like_type',
+        [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count']
+      ],
+      where: { feed_post_id: { [db.Sequelize.Op.in]: postIds } },
+      group: ['feed_post_id', 'like_type'],
+      raw: true
+    }),
+    FeedLike.findAll({
+      attributes: ['feed_post_id', 'like_type'],
+      where: { feed_post_id: { [db.Sequelize.Op.in]: postIds }, user_id: userId },
+      raw: true
+    })
+  ]);
+
+  const summaries = {};
+  postIds.forEach(postId => {
+    summaries[postId] = {
+      counts: REACTION_TYPES.reduce((counts, reactionType) => ({ ...counts, [reactionType]: 0 }), {}),
+      total: 0,
+      my_reaction: null
+    };
+  });
+
+  rows.forEach(row => {
+    const count = parseInt(row.count);
+    summaries[row.feed_post_id].counts[row.like_type] = count;
+    summaries[row.feed_post_id].total += count;
+  });
+
+  ownLikes.forEach(like => {
+    summaries[like.feed_post_id].my_reaction = like.like_type;
+  });
+
+  return posts.map(post => {
+    post.reactions = summaries[post.id];
+    return post;
+  });
+};
+
+// Share types supported on feed shares
+const SHARE_TYPES = FeedShare.rawAttributes.share_type.values;
+
+// Helper function to build the standard includes of a feed post for the current user
+const feedPostIncludes = (userId) => [
+  {
+    model: User,
+    as: 'user',
+    attributes: ['id', 'name', 'email'],
+    include: [{
+      model: UserProfile,
+      as: 'profile',
+      attributes: ['image_path', 'bio']
+    }]
+  },
+  {
+    model: FeedAttachment,
+    as: 'attachments',
+    attributes: ['id', 'file_path', 'file_name', 'file_type', 'mime_type', 'file_size', 'thumbnail_path', 'width', 'height']
+  },
+  {
+    model: FeedLike,
+    as: 'likes',
+    where: { user_id: userId },
+    required: false,
+    attributes: ['id', 'like_type']
+  }
+];
+
+// Helper function to attach the user's bookmark/repost state to posts
+const attachShareState = async (posts, userId) => {
+  if (!posts || posts.length === 0) return posts;
+
+  const ownShares = await FeedShare.findAll({
+    attributes: ['feed_post_id', 'share_type'],
+    where: {
+      feed_post_id: { [db.Sequelize.Op.in]: posts.map(post => post.id) },
+      user_id: userId,
+      share_type: { [db.Sequelize.Op.in]: ['bookmark', 'repost'] }
+    },
+    raw: true
+  });
+
+  return posts.map(post => {
+    post.is_bookmarked = ownShares.some(s => s.feed_post_id === post.id && s.share_type === 'bookmark');
+    post.is_reposted = ownShares.some(s => s.feed_post_id === post.id && s.share_type === 'repost');
+    return post;
+  });
+};
+
+// Helper function to attach everything the current user needs to render posts
+const attachViewerState = async (posts, userId) => {
+  await attachReactionSummaries(posts, userId);
+  return attachShareState(posts, userId);
+};
+
+// Helper function to get users whose posts the current user should not see (blocked or muted)
+const getExcludedUserIds = async (userId) => {
+  const [blockedUserIds, mutedUserIds] = await Promise.all([
+    UserBlock.findAll({
+      where: { blocker_id: userId },
+      attributes: ['blocked_id']
+    }).then(blocks => blocks.map(b => b.blocked_id)),
+    feedFollowService.getMutedUserIds(userId)
+  ]);
+
+  return [...new Set([...blockedUserIds, ...mutedUserIds])];
+};
+
 // Create a new feed post
 exports.createFeedPost = async (req, res) => {
   try {
@@ -180,24 +303,163 @@ exports.createFeedPost = async (req, res) => {
   }
 };
 
+// Helper function to build the following timeline: posts, reposts and quotes by followed users, newest first
+const getFollowingFeed = async (req, res, { userId, page, limit, offset, excludedUserIds, reportedFeedPostIds }) => {
+  const followingIds = (await feedFollowService.getFollowingIds(userId))
+    .filter(id => !excludedUserIds.includes(id));
+
+  if (followingIds.length === 0) {
+    return res.status(200).json({
+      success: true,
+      message: 'Feed retrieved successfully',
+      data: {
+        posts: [],
+        mode: 'following',
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: 0,
+          hasMore: false
+        }
+      }
+    });
+  }
+
+  const fetchLimit = offset + parseInt(limit);
+
+  const postWhere = {
+    status: 'active',
+    user_id: { [db.Sequelize.Op.in]: followingIds }
+  };
+
+  // Shared posts must still be visible to the current user
+  const sharedPostWhere = {
+    status: 'active',
+    user_id: { [db.Sequelize.Op.notIn]: [userId, ...excludedUserIds] }
+  };
+
+  if (reportedFeedPostIds.length > 0) {
+    postWhere.id = { [db.Sequelize.Op.notIn]: reportedFeedPostIds };
+    sharedPostWhere.id = { [db.Sequelize.Op.notIn]: reportedFeedPostIds };
+  }
+
+  const [posts, shares] = await Promise.all([
+    FeedPost.findAndCountAll({
+      where: postWhere,
+      include: feedPostIncludes(userId),
+      order: [['created_at', 'DESC']],
+      limit: fetchLimit,
+      distinct: true
+    }),
+    FeedShare.findAndCountAll({
+      where: {
+        user_id: { [db.Sequelize.Op.in]: followingIds },
+        share_type: { [db.Sequelize.Op.in]: ['repost', 'quote'] }
+      },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name'],
+          include: [{
+            model: UserProfile,
+            as: 'profile',
+            attributes: ['image_path']
+          }]
+        },
+        {
+          model: FeedPost,
+          as: 'feedPost',
+          where: sharedPostWhere,
+          include: feedPostIncludes(userId)
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: fetchLimit,
+      distinct: true
+    })
+  ]);
+
+  // Merge posts and shares by activity time, then paginate
+  const items = [
+    ...posts.rows.map(post => ({ post, share: null, activity_at: post.created_at })),
+    ...shares.rows.map(share => ({ post: share.feedPost, share, activity_at: share.created_at }))
+  ]
+    .sort((a, b) => new Date(b.activity_at) - new Date(a.activity_at))
+    .slice(offset, offset + parseInt(limit));
+
+  // Generate URLs
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const postsWithUrls = await attachViewerState(generateFeedUrls(items.map(item => item.post), baseUrl), userId);
+
+  const feedItems = postsWithUrls.map((post, index) => {
+    const { share, activity_at } = items[index];
+    let sharedBy = null;
+
+    if (share) {
+      const sharer = share.user ? share.user.toJSON() : null;
+      if (sharer && sharer.profile && sharer.profile.image_path) {
+        sharer.profile.image_url = `${baseUrl}/api/files/${sharer.profile.image_path}`;
+      }
+      sharedBy = {
+        share_id: share.id,
+        share_type: share.share_type,
+        quote_text: share.quote_text,
+        user: sharer,
+        shared_at: share.created_at
+      };
+    }
+
+    return {
+      ...post,
+      feed_item_id: share ? `share_${share.id}` : `post_${post.id}`,
+      feed_item_type: share ? share.share_type : 'post',
+      shared_by: sharedBy,
+      activity_at
+    };
+  });
+
+  const total = posts.count + shares.count;
+
+  return res.status(200).json({
+    success: true,
+    message: 'Feed retrieved successfully',
+    data: {
+      posts: feedItems,
+      mode: 'following',
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        hasMore: (offset + parseInt(limit)) < total
+      }
+    }
+  });
+};
+
 // Get personalized feed
+// mode=following only shows posts, reposts and quotes from followed users
 exports.getFeed = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, mode = 'for_you' } = req.query;
     const offset = (page - 1) * limit;
 
+    if (!['for_you', 'following'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feed mode. Use for_you or following'
+      });
+    }
+
     // Get feed posts reported by the current user
     const reportedFeedPostIds = await FeedPostReport.findAll({
       where: { reported_by: userId },
       attributes: ['feed_post_id']
     }).then(reports => reports.map(r => r.feed_post_id));
 
-    // Get users blocked by the current user
-    const blockedUserIds = await UserBlock.findAll({
-      where: { blocker_id: userId },
-      attributes: ['blocked_id']
-    }).then(blocks => blocks.map(b => b.blocked_id));
+    // Get users blocked or muted by the current user
+    const excludedUserIds = await getExcludedUserIds(userId);
 
     // Build where conditions
     let whereConditions = {
@@ -209,17 +471,22 @@ exports.getFeed = async (req, res) => {
       whereConditions.id = { [db.Sequelize.Op.notIn]: reportedFeedPostIds };
     }
 
-    // Build user_id filter to exclude own posts and blocked users
+    // Build user_id filter to exclude own posts and blocked/muted users
     let userIdFilter = { [db.Sequelize.Op.ne]: userId };
-    if (blockedUserIds.length > 0) {
+    if (excludedUserIds.length > 0) {
       userIdFilter = {
         [db.Sequelize.Op.and]: [
           { [db.Sequelize.Op.ne]: userId },
-          { [db.Sequelize.Op.notIn]: blockedUserIds }
+          { [db.Sequelize.Op.notIn]: excludedUserIds }
         ]
       };
     }
 
+    // Following mode: posts, reposts and quotes by followed users
+    if (mode === 'following') {
+      return getFollowingFeed(req, res, { userId, page, limit, offset, excludedUserIds, reportedFeedPostIds });
+    }
+
     // Get all posts (prioritizing featured and trending)
     let feedPosts = [];
     const allPosts = await FeedPost.findAll({
@@ -277,13 +544,14 @@ exports.getFeed = async (req, res) => {
 
     // Generate URLs
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const postsWithUrls = generateFeedUrls(paginatedPosts, baseUrl);
+    const postsWithUrls = await attachViewerState(generateFeedUrls(paginatedPosts, baseUrl), userId);
 
     res.status(200).json({
       success: true,
       message: 'Feed retrieved successfully',
       data: {
         posts: postsWithUrls,
+        mode,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -356,7 +624,7 @@ exports.getFeedPost = async (req, res) => {
 
     // Generate URLs
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const postWithUrls = generateFeedUrls([feedPost], baseUrl)[0];
+    const [postWithUrls] = await attachViewerState(generateFeedUrls([feedPost], baseUrl), userId);
 
     res.status(200).json({
       success: true,
@@ -374,15 +642,91 @@ exports.getFeedPost = async (req, res) => {
   }
 };
 
+// Helper function to add, change or remove the current user's reaction on a post
+// reactionType null removes the reaction
+const applyReaction = async (feedPost, userId, reactionType) => {
+  return db.sequelize.transaction(async (transaction) => {
+    const existingLike = await FeedLike.findOne({
+      where: { feed_post_id: feedPost.id, user_id: userId },
+      transaction
+    });
+
+    if (!reactionType) {
+      if (!existingLike) {
+        return { action: 'unchanged', reaction: null };
+      }
+      await existingLike.destroy({ transaction });
+      await FeedPost.decrement('like_count', {
+        where: { id: feedPost.id, like_count: { [db.Sequelize.Op.gt]: 0 } },
+        transaction
+      });
+      return { action: 'removed', reaction: null, previous: existingLike.like_type };
+    }
+
+    if (existingLike) {
+      if (existingLike.like_type === reactionType) {
+        return { action: 'unchanged', reaction: reactionType };
+      }
+      const previous = existingLike.like_type;
+      await existingLike.update({ like_type: reactionType }, { transaction });
+      return { action: 'changed', reaction: reactionType, previous };
+    }
+
+    await FeedLike.create({
+      feed_post_id: feedPost.id,
+      user_id: userId,
+      like_type: reactionType
+    }, { transaction });
+    await FeedPost.increment('like_count', { where: { id: feedPost.id }, transaction });
+    return { action: 'added', reaction: reactionType };
+  });
+};
+
+// Helper function to notify the post owner about a new reaction (asynchronously, don't block response)
+const notifyReaction = (feedPost, userId, reactionType) => {
+  User.findByPk(userId, {
+    attributes: ['id', 'name']
+  }).then(likerUser => {
+    if (likerUser) {
+      createFeedLikeNotification(feedPost, likerUser, reactionType).catch(error => {
+        logger.error('Failed to create feed like notification', {
+          feedPostId: feedPost.id,
+          likerUserId: userId,
+          error: error.message
+        });
+      });
+    }
+  }).catch(error => {
+    logger.error('Failed to fetch liker user for notification', {
+      userId: userId,
+      error: error.message
+    });
+  });
+};
+
+// Helper function to get the reaction breakdown of a single post
+const getPostReactionSummary = async (feedPostId, userId) => {
+  const [post] = await attachReactionSummaries([{ id: feedPostId }], userId);
+  return post.reactions;
+};
+
 // Like/Unlike a feed post
+// Sending a different like_type than the current reaction changes it instead of unliking
 exports.toggleLike = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
     const { like_type = 'like' } = req.body;
 
+    if (!REACTION_TYPES.includes(like_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid like type. Allowed types: ${REACTION_TYPES.join(', ')}`
+      });
+    }
+
     // Check if post exists
-    const feedPost = await FeedPost.findByPk(id);
+    const feedPost = await FeedPost.findOne({ where: { id, status: 'active' } });
     if (!feedPost) {
       return res.status(404).json({
         success: false,
@@ -390,57 +734,32 @@ exports.toggleLike = async (req, res) => {
       });
     }
 
-    // Check if user already liked this post
+    // Same reaction again removes it, otherwise set it
     const existingLike = await FeedLike.findOne({
-      where: { feed_post_id: id, user_id: userId }
+      where: { feed_post_id: id, user_id: userId },
+      attributes: ['like_type']
     });
+    const targetType = existingLike && existingLike.like_type === like_type ? null : like_type;
 
-    if (existingLike) {
-      // Unlike the post
-      await existingLike.destroy();
-      await FeedPost.decrement('like_count', { where: { id } });
-
-      res.status(200).json({
-        success: true,
-        message: 'Post unliked successfully',
-        data: { liked: false }
-      });
-    } else {
-      // Like the post
-      await FeedLike.create({
-        feed_post_id: id,
-        user_id: userId,
-        like_type
-      });
-      await FeedPost.increment('like_count', { where: { id } });
-
-      // Create notification for the post owner (asynchronously, don't block response)
-      User.findByPk(userId, {
-        attributes: ['id', 'name']
-      }).then(likerUser => {
-        if (likerUser) {
-          createFeedLikeNotification(feedPost, likerUser).catch(error => {
-            logger.error('Failed to create feed like notification', {
-              feedPostId: feedPost.id,
-              likerUserId: userId,
-              error: error.message
-            });
-          });
-        }
-      }).catch(error => {
-        logger.error('Failed to fetch liker user for notification', {
-          userId: userId,
-          error: error.message
-        });
-      });
+    const result = await applyReaction(feedPost, userId, targetType);
 
-      res.status(200).json({
-        success: true,
-        message: 'Post liked successfully',
-        data: { liked: true, like_type }
-      });
+    if (result.action === 'added') {
+      notifyReaction(feedPost, userId, like_type);
     }
 
+    const reactions = await getPostReactionSummary(feedPost.id, userId);
+
+    res.status(200).json({
+      success: true,
+      message: result.action === 'removed' ? 'Post unliked successfully' :
+        result.action === 'changed' ? 'Reaction updated successfully' : 'Post liked successfully',
+      data: {
+        liked: result.reaction !== null,
+        like_type: result.reaction,
+        reactions
+      }
+    });
+
   } catch (error) {
     console.error('Toggle like error:', error);
     res.status(500).json({
@@ -451,21 +770,63 @@ exports.toggleLike = async (req, res) => {
   }
 };
 
-// Add comment to feed post
-exports.addComment = async (req, res) => {
+// Set or change the current user's reaction on a feed post
+exports.setReaction = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const { content, parent_comment_id } = req.body;
+    const { reaction_type } = req.body;
 
-    if (!content || content.trim().length === 0) {
+    if (!REACTION_TYPES.includes(reaction_type)) {
       return res.status(400).json({
         success: false,
-        message: 'Comment content is required'
+        message: `Invalid reaction type. Allowed types: ${REACTION_TYPES.join(', ')}`
       });
     }
 
-    // Check if post exists
+    const feedPost = await FeedPost.findOne({ where: { id, status: 'active' } });
+    if (!feedPost) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed post not found'
+      });
+    }
+
+    const result = await applyReaction(feedPost, userId, reaction_type);
+
+    if (result.action === 'added') {
+      notifyReaction(feedPost, userId, reaction_type);
+    }
+
+    const reactions = await getPostReactionSummary(feedPost.id, userId);
+
+    res.status(result.action === 'added' ? 201 : 200).json({
+      success: true,
+      message: result.action === 'added' ? 'Reaction added successfully' :
+        result.action === 'changed' ? 'Reaction updated successfully' : 'Reaction unchanged',
+      data: {
+        reaction_type: result.reaction,
+        previous_reaction_type: result.previous || null,
+        reactions
+      }
+    });
+
+  } catch (error) {
+    console.error('Set reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Remove the current user's reaction from a feed post
+exports.removeReaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
     const feedPost = await FeedPost.findByPk(id);
     if (!feedPost) {
       return res.status(404).json({
@@ -474,65 +835,825 @@ exports.addComment = async (req, res) => {
       });
     }
 
-    // Create comment
-    const comment = await FeedComment.create({
-      feed_post_id: id,
-      user_id: userId,
-      parent_comment_id: parent_comment_id || null,
-      content: content.trim()
+    const result = await applyReaction(feedPost, userId, null);
+    if (result.action === 'unchanged') {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not reacted to this post'
+      });
+    }
+
+    const reactions = await getPostReactionSummary(feedPost.id, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reaction removed successfully',
+      data: {
+        reaction_type: null,
+        previous_reaction_type: result.previous,
+        reactions
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
     });
+  }
+};
 
-    // Update comment count
-    await FeedPost.increment('comment_count', { where: { id } });
+// Get users who reacted to a feed post, optionally filtered by reaction type
+exports.getPostReactions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { type, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
 
-    // If it's a reply, update parent comment's reply count
-    if (parent_comment_id) {
-      await FeedComment.increment('reply_count', { where: { id: parent_comment_id } });
+    if (type && !REACTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid reaction type. Allowed types: ${REACTION_TYPES.join(', ')}`
+      });
     }
 
-    // Fetch complete comment with user info
-    const completeComment = await FeedComment.findByPk(comment.id, {
+    const feedPost = await FeedPost.findOne({ where: { id, status: 'active' }, attributes: ['id'] });
+    if (!feedPost) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed post not found'
+      });
+    }
+
+    const blockedUserIds = await getBlockedUserIds(userId);
+
+    const whereConditions = { feed_post_id: feedPost.id };
+    if (type) {
+      whereConditions.like_type = type;
+    }
+    if (blockedUserIds.length > 0) {
+      whereConditions.user_id = { [db.Sequelize.Op.notIn]: blockedUserIds };
+    }
+
+    const { count, rows } = await FeedLike.findAndCountAll({
+      where: whereConditions,
       include: [{
         model: User,
         as: 'user',
-        attributes: ['id', 'name', 'email'],
+        attributes: ['id', 'name'],
         include: [{
           model: UserProfile,
           as: 'profile',
           attributes: ['image_path']
         }]
-      }]
+      }],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: offset
+    });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const users = rows.filter(row => row.user).map(row => {
+      const user = row.user.toJSON();
+      if (user.profile && user.profile.image_path) {
+        user.profile.image_url = `${baseUrl}/api/files/${user.profile.image_path}`;
+      }
+      return {
+        ...user,
+        reaction_type: row.like_type,
+        reacted_at: row.created_at
+      };
+    });
+
+    const reactions = await getPostReactionSummary(feedPost.id, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reactions retrieved successfully',
+      data: {
+        users,
+        reactions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          hasMore: (offset + parseInt(limit)) < count
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get post reactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
     });
+  }
+};
+
+// Helper function to build the include for comment authors
+const commentUserInclude = () => ({
+  model: User,
+  as: 'user',
+  attributes: ['id', 'name', 'email'],
+  include: [{
+    model: UserProfile,
+    as: 'profile',
+    attributes: ['image_path']
+  }]
+});
+
+// Helper function to build the where clause for visible comments.
+// Deleted comments stay visible as placeholders while they still have replies.
+const visibleCommentsWhere = (where, blockedUserIds) => {
+  const conditions = {
+    ...where,
+    [db.Sequelize.Op.or]: [
+      { status: 'active' },
+      { status: 'deleted', reply_count: { [db.Sequelize.Op.gt]: 0 } }
+    ]
+  };
+
+  if (blockedUserIds.length > 0) {
+    conditions.user_id = { [db.Sequelize.Op.notIn]: blockedUserIds };
+  }
+
+  return conditions;
+};
+
+// Helper function to add is_liked / can_edit flags and mask deleted comments
+const applyCommentViewerState = async (comments, userId) => {
+  const commentIds = [];
+  comments.forEach(comment => {
+    commentIds.push(comment.id);
+    (comment.replies || []).forEach(reply => commentIds.push(reply.id));
+  });
+
+  const likedCommentIds = commentIds.length > 0
+    ? await FeedCommentLike.findAll({
+      where: { user_id: userId, feed_comment_id: { [db.Sequelize.Op.in]: commentIds } },
+      attributes: ['feed_comment_id']
+    }).then(likes => likes.map(l => l.feed_comment_id))
+    : [];
+
+  const editDeadline = Date.now() - COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000;
+
+  const applyState = (comment) => {
+    if (comment.status === 'deleted') {
+      comment.content = null;
+      comment.user = null;
+      comment.is_liked = false;
+      comment.can_edit = false;
+      return comment;
+    }
+
+    comment.is_liked = likedCommentIds.includes(comment.id);
+    comment.can_edit = comment.user_id === userId && new Date(comment.created_at).getTime() > editDeadline;
+    return comment;
+  };
+
+  return comments.map(comment => {
+    applyState(comment);
+    if (comment.replies) {
+      comment.replies = comment.replies.map(applyState);
+    }
+    return comment;
+  });
+};
+
+// Helper function to get users blocked by the current user
+const getBlockedUserIds = (userId) => UserBlock.findAll({
+  where: { blocker_id: userId },
+  attributes: ['blocked_id']
+}).then(blocks => blocks.map(b => b.blocked_id));
+
+// Helper function to create a comment or reply and keep counters in sync
+const createComment = async (req, res, feedPostId, parentCommentId) => {
+  const userId = req.user.id;
+  const { content } = req.body;
+
+  if (!content || content.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Comment content is required'
+    });
+  }
+
+  // Check if post exists
+  const feedPost = await FeedPost.findOne({ where: { id: feedPostId, status: 'active' } });
+  if (!feedPost) {
+    return res.status(404).json({
+      success: false,
+      message: 'Feed post not found'
+    });
+  }
+
+  // Replies must target an active comment on the same post
+  let parentComment = null;
+  if (parentCommentId) {
+    parentComment = await FeedComment.findOne({
+      where: { id: parentCommentId, feed_post_id: feedPost.id, status: 'active' }
+    });
+
+    if (!parentComment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent comment not found'
+      });
+    }
+  }
+
+  // Create comment and update counters together
+  const comment = await db.sequelize.transaction(async (transaction) => {
+    const newComment = await FeedComment.create({
+      feed_post_id: feedPost.id,
+      user_id: userId,
+      parent_comment_id: parentComment ? parentComment.id : null,
+      content: content.trim()
+    }, { transaction });
+
+    await FeedPost.increment('comment_count', { where: { id: feedPost.id }, transaction });
+
+    if (parentComment) {
+      await FeedComment.increment('reply_count', { where: { id: parentComment.id }, transaction });
+    }
+
+    return newComment;
+  });
+
+  // Fetch complete comment with user info
+  const completeComment = await FeedComment.findByPk(comment.id, {
+    include: [commentUserInclude()]
+  });
+
+  // Create notification for the post owner (asynchronously, don't block response)
+  User.findByPk(userId, {
+    attributes: ['id', 'name']
+  }).then(commenterUser => {
+    if (commenterUser) {
+      createFeedCommentNotification(feedPost, commenterUser, comment).catch(error => {
+        logger.error('Failed to create feed comment notification', {
+          feedPostId: feedPost.id,
+          commenterUserId: userId,
+          commentId: comment.id,
+          error: error.message
+        });
+      });
+    }
+  }).catch(error => {
+    logger.error('Failed to fetch commenter user for notification', {
+      userId: userId,
+      error: error.message
+    });
+  });
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const [commentWithUrls] = generateCommentUrls([completeComment], baseUrl);
+  commentWithUrls.is_liked = false;
+  commentWithUrls.can_edit = true;
+
+  return res.status(201).json({
+    success: true,
+    message: parentComment ? 'Reply added successfully' : 'Comment added successfully',
+    data: commentWithUrls
+  });
+};
+
+// Add comment to feed post (parent_comment_id makes it a reply)
+exports.addComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { parent_comment_id } = req.body;
+
+    await createComment(req, res, id, parent_comment_id);
+
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Reply to a comment
+exports.replyToComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    const parentComment = await FeedComment.findByPk(commentId, { attributes: ['id', 'feed_post_id'] });
+    if (!parentComment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent comment not found'
+      });
+    }
+
+    await createComment(req, res, parentComment.feed_post_id, parentComment.id);
+
+  } catch (error) {
+    console.error('Reply to comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Get comments for a feed post
+exports.getComments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const blockedUserIds = await getBlockedUserIds(userId);
+
+    const comments = await FeedComment.findAndCountAll({
+      where: visibleCommentsWhere({
+        feed_post_id: id,
+        parent_comment_id: null // Only top-level comments
+      }, blockedUserIds),
+      include: [
+        commentUserInclude(),
+        {
+          model: FeedComment,
+          as: 'replies',
+          separate: true,
+          where: visibleCommentsWhere({}, blockedUserIds),
+          order: [['created_at', 'ASC']],
+          limit: 3, // Preview of the first replies per comment
+          include: [commentUserInclude()]
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: offset,
+      distinct: true
+    });
+
+    // Generate URLs for comments
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const commentsWithUrls = await applyCommentViewerState(generateCommentUrls(comments.rows, baseUrl), userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comments retrieved successfully',
+      data: {
+        comments: commentsWithUrls,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: comments.count,
+          hasMore: (offset + parseInt(limit)) < comments.count
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Get the reply thread of a comment
+exports.getCommentReplies = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const userId = req.user.id;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const parentComment = await FeedComment.findOne({
+      where: { id: commentId, status: { [db.Sequelize.Op.ne]: 'hidden' } },
+      attributes: ['id', 'feed_post_id', 'reply_count']
+    });
+
+    if (!parentComment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const blockedUserIds = await getBlockedUserIds(userId);
+
+    const replies = await FeedComment.findAndCountAll({
+      where: visibleCommentsWhere({ parent_comment_id: parentComment.id }, blockedUserIds),
+      include: [commentUserInclude()],
+      order: [['created_at', 'ASC']], // Oldest first so the thread reads top-down
+      limit: parseInt(limit),
+      offset: offset
+    });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const repliesWithUrls = await applyCommentViewerState(generateCommentUrls(replies.rows, baseUrl), userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Replies retrieved successfully',
+      data: {
+        parent_comment_id: parentComment.id,
+        feed_post_id: parentComment.feed_post_id,
+        replies: repliesWithUrls,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: replies.count,
+          hasMore: (offset + parseInt(limit)) < replies.count
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comment replies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Like/Unlike a comment
+exports.toggleCommentLike = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const userId = req.user.id;
+
+    const comment = await FeedComment.findOne({ where: { id: commentId, status: 'active' } });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const liked = await db.sequelize.transaction(async (transaction) => {
+      const existingLike = await FeedCommentLike.findOne({
+        where: { feed_comment_id: comment.id, user_id: userId },
+        transaction
+      });
+
+      if (existingLike) {
+        await existingLike.destroy({ transaction });
+        await FeedComment.decrement('like_count', {
+          where: { id: comment.id, like_count: { [db.Sequelize.Op.gt]: 0 } },
+          transaction
+        });
+        return false;
+      }
+
+      await FeedCommentLike.create({
+        feed_comment_id: comment.id,
+        user_id: userId
+      }, { transaction });
+      await FeedComment.increment('like_count', { where: { id: comment.id }, transaction });
+      return true;
+    });
+
+    await comment.reload({ attributes: ['id', 'like_count'] });
+
+    res.status(200).json({
+      success: true,
+      message: liked ? 'Comment liked successfully' : 'Comment unliked successfully',
+      data: { liked, like_count: comment.like_count }
+    });
+
+  } catch (error) {
+    console.error('Toggle comment like error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Edit own comment within the edit window
+exports.editComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const userId = req.user.id;
+    const { content } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const comment = await FeedComment.findOne({ where: { id: commentId, status: 'active' } });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.user_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const editDeadline = new Date(comment.created_at).getTime() + COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000;
+    if (Date.now() > editDeadline) {
+      return res.status(403).json({
+        success: false,
+        message: `Comments can only be edited within ${COMMENT_EDIT_WINDOW_MINUTES} minutes of posting`
+      });
+    }
+
+    await comment.update({
+      content: content.trim(),
+      is_edited: true
+    });
+
+    const completeComment = await FeedComment.findByPk(comment.id, {
+      include: [commentUserInclude()]
+    });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const [commentWithUrls] = await applyCommentViewerState(generateCommentUrls([completeComment], baseUrl), userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: commentWithUrls
+    });
+
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Delete a comment (author or post owner)
+exports.deleteComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const userId = req.user.id;
+
+    const comment = await FeedComment.findOne({
+      where: { id: commentId, status: 'active' },
+      include: [{
+        model: FeedPost,
+        as: 'feedPost',
+        attributes: ['id', 'user_id']
+      }]
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const isAuthor = comment.user_id === userId;
+    const isPostOwner = comment.feedPost && comment.feedPost.user_id === userId;
+
+    if (!isAuthor && !isPostOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments or comments on your posts'
+      });
+    }
+
+    // Soft delete and update counters together
+    await db.sequelize.transaction(async (transaction) => {
+      await comment.update({ status: 'deleted' }, { transaction });
+
+      await FeedPost.decrement('comment_count', {
+        where: { id: comment.feed_post_id, comment_count: { [db.Sequelize.Op.gt]: 0 } },
+        transaction
+      });
+
+      if (comment.parent_comment_id) {
+        await FeedComment.decrement('reply_count', {
+          where: { id: comment.parent_comment_id, reply_count: { [db.Sequelize.Op.gt]: 0 } },
+          transaction
+        });
+      }
+    });
+
+    logger.info('Feed comment deleted', {
+      requestId: req.requestId,
+      commentId: comment.id,
+      feedPostId: comment.feed_post_id,
+      deletedBy: userId,
+      byPostOwner: !isAuthor
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Share a feed post
+// repost: one per user, shown in followers' feeds
+// quote: repost with quote_text, several allowed
+// bookmark: private, not counted in share_count
+exports.sharePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { share_type = 'repost', quote_text } = req.body;
+
+    if (!SHARE_TYPES.includes(share_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid share type. Allowed types: ${SHARE_TYPES.join(', ')}`
+      });
+    }
+
+    const trimmedQuote = quote_text ? String(quote_text).trim() : '';
+    if (share_type === 'quote' && trimmedQuote.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quote text is required for quote posts'
+      });
+    }
+
+    if (trimmedQuote.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quote text must not exceed 1000 characters'
+      });
+    }
+
+    // Check if post exists
+    const feedPost = await FeedPost.findOne({ where: { id, status: 'active' } });
+    if (!feedPost) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed post not found'
+      });
+    }
+
+    // Bookmarks and plain reposts are one per user and post
+    if (share_type !== 'quote') {
+      const existingShare = await FeedShare.findOne({
+        where: { feed_post_id: feedPost.id, user_id: userId, share_type }
+      });
+
+      if (existingShare) {
+        return res.status(409).json({
+          success: false,
+          message: share_type === 'bookmark' ? 'Post is already bookmarked' : 'You have already reposted this post',
+          data: { share_id: existingShare.id, share_type }
+        });
+      }
+    }
+
+    // Create share record and update share count together
+    const share = await db.sequelize.transaction(async (transaction) => {
+      const newShare = await FeedShare.create({
+        feed_post_id: feedPost.id,
+        user_id: userId,
+        share_type,
+        quote_text: share_type === 'quote' ? trimmedQuote : null
+      }, { transaction });
+
+      if (share_type !== 'bookmark') {
+        await FeedPost.increment('share_count', { where: { id: feedPost.id }, transaction });
+      }
+
+      return newShare;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: share_type === 'bookmark' ? 'Post bookmarked successfully' : 'Post shared successfully',
+      data: {
+        share_id: share.id,
+        share_type,
+        quote_text: share.quote_text
+      }
+    });
+
+  } catch (error) {
+    console.error('Share post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to delete a share and keep share_count in sync
+const removeShare = async (share) => {
+  await db.sequelize.transaction(async (transaction) => {
+    await share.destroy({ transaction });
+
+    if (share.share_type !== 'bookmark') {
+      await FeedPost.decrement('share_count', {
+        where: { id: share.feed_post_id, share_count: { [db.Sequelize.Op.gt]: 0 } },
+        transaction
+      });
+    }
+  });
+};
+
+// Helper function to build a handler that removes the user's bookmark or repost of a post
+const removeOwnShareOfPost = (shareType) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const share = await FeedShare.findOne({
+      where: { feed_post_id: id, user_id: userId, share_type: shareType }
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: shareType === 'bookmark' ? 'Post is not bookmarked' : 'You have not reposted this post'
+      });
+    }
+
+    await removeShare(share);
+
+    res.status(200).json({
+      success: true,
+      message: shareType === 'bookmark' ? 'Bookmark removed successfully' : 'Repost removed successfully'
+    });
+
+  } catch (error) {
+    console.error(`Remove ${shareType} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Remove bookmark
+exports.removeBookmark = removeOwnShareOfPost('bookmark');
+
+// Undo a repost
+exports.removeRepost = removeOwnShareOfPost('repost');
+
+// Delete own share by ID (used for quote posts, which can exist several times per post)
+exports.deleteShare = async (req, res) => {
+  try {
+    const { shareId } = req.params;
+    const userId = req.user.id;
 
-    // Create notification for the post owner (asynchronously, don't block response)
-    User.findByPk(userId, {
-      attributes: ['id', 'name']
-    }).then(commenterUser => {
-      if (commenterUser) {
-        createFeedCommentNotification(feedPost, commenterUser, comment).catch(error => {
-          logger.error('Failed to create feed comment notification', {
-            feedPostId: feedPost.id,
-            commenterUserId: userId,
-            commentId: comment.id,
-            error: error.message
-          });
-        });
-      }
-    }).catch(error => {
-      logger.error('Failed to fetch commenter user for notification', {
-        userId: userId,
-        error: error.message
+    const share = await FeedShare.findByPk(shareId);
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found'
       });
-    });
+    }
 
-    res.status(201).json({
+    if (share.user_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own shares'
+      });
+    }
+
+    await removeShare(share);
+
+    res.status(200).json({
       success: true,
-      message: 'Comment added successfully',
-      data: completeComment
+      message: 'Share deleted successfully'
     });
 
   } catch (error) {
-    console.error('Add comment error:', error);
+    console.error('Delete share error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -541,114 +1662,51 @@ exports.addComment = async (req, res) => {
   }
 };
 
-// Get comments for a feed post
-exports.getComments = async (req, res) => {
+// Get logged-in user's bookmarked posts
+exports.getBookmarks = async (req, res) => {
   try {
-    const { id } = req.params;
+    const userId = req.user.id;
     const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
 
-    const comments = await FeedComment.findAndCountAll({
-      where: {
-        feed_post_id: id,
-        parent_comment_id: null, // Only top-level comments
-        status: 'active'
-      },
-      include: [
-        {
-          model: User,
-          as: 'user',
-          attributes: ['id', 'name', 'email'],
-          include: [{
-            model: UserProfile,
-            as: 'profile',
-            attributes: ['image_path']
-          }]
-        },
-        {
-          model: FeedComment,
-          as: 'replies',
-          limit: 3, // Limit replies per comment
-          include: [{
-            model: User,
-            as: 'user',
-            attributes: ['id', 'name', 'email'],
-            include: [{
-              model: UserProfile,
-              as: 'profile',
-              attributes: ['image_path']
-            }]
-          }]
-        }
-      ],
+    const { count, rows: bookmarks } = await FeedShare.findAndCountAll({
+      where: { user_id: userId, share_type: 'bookmark' },
+      include: [{
+        model: FeedPost,
+        as: 'feedPost',
+        where: { status: 'active' },
+        include: feedPostIncludes(userId)
+      }],
       order: [['created_at', 'DESC']],
       limit: parseInt(limit),
-      offset: offset
+      offset: offset,
+      distinct: true
     });
 
-    // Generate URLs for comments
+    // Generate URLs
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const commentsWithUrls = generateCommentUrls(comments.rows, baseUrl);
+    const posts = await attachViewerState(generateFeedUrls(bookmarks.map(b => b.feedPost), baseUrl), userId);
 
     res.status(200).json({
       success: true,
-      message: 'Comments retrieved successfully',
+      message: 'Bookmarks retrieved successfully',
       data: {
-        comments: commentsWithUrls,
+        posts: posts.map((post, index) => ({
+          ...post,
+          bookmark_id: bookmarks[index].id,
+          bookmarked_at: bookmarks[index].created_at
+        })),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
-          total: comments.count,
-          hasMore: (offset + parseInt(limit)) < comments.count
+          total: count,
+          hasMore: (offset + parseInt(limit)) < count
         }
       }
     });
 
   } catch (error) {
-    console.error('Get comments error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message
-    });
-  }
-};
-
-// Share a feed post
-exports.sharePost = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.id;
-    const { share_type, quote_text } = req.body;
-
-    // Check if post exists
-    const feedPost = await FeedPost.findByPk(id);
-    if (!feedPost) {
-      return res.status(404).json({
-        success: false,
-        message: 'Feed post not found'
-      });
-    }
-
-    // Create share record
-    await FeedShare.create({
-      feed_post_id: id,
-      user_id: userId,
-      share_type: share_type || 'repost',
-      quote_text: quote_text || null
-    });
-
-    // Update share count
-    await FeedPost.increment('share_count', { where: { id } });
-
-    res.status(201).json({
-      success: true,
-      message: 'Post shared successfully',
-      data: { share_type: share_type || 'repost' }
-    });
-
-  } catch (error) {
-    console.error('Share post error:', error);
+    console.error('Get bookmarks error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -657,7 +1715,6 @@ exports.sharePost = async (req, res) => {
   }
 };
 
-
 // Get trending posts
 exports.getTrendingPosts = async (req, res) => {
   try {
@@ -671,11 +1728,8 @@ exports.getTrendingPosts = async (req, res) => {
       attributes: ['feed_post_id']
     }).then(reports => reports.map(r => r.feed_post_id));
 
-    // Get users blocked by the current user
-    const blockedUserIds = await UserBlock.findAll({
-      where: { blocker_id: userId },
-      attributes: ['blocked_id']
-    }).then(blocks => blocks.map(b => b.blocked_id));
+    // Get users blocked or muted by the current user
+    const excludedUserIds = await getExcludedUserIds(userId);
 
     // Build where conditions
     const whereConditions = {
@@ -687,9 +1741,9 @@ exports.getTrendingPosts = async (req, res) => {
       whereConditions.id = { [db.Sequelize.Op.notIn]: reportedFeedPostIds };
     }
 
-    // Exclude posts from blocked users
-    if (blockedUserIds.length > 0) {
-      whereConditions.user_id = { [db.Sequelize.Op.notIn]: blockedUserIds };
+    // Exclude posts from blocked and muted users
+    if (excludedUserIds.length > 0) {
+      whereConditions.user_id = { [db.Sequelize.Op.notIn]: excludedUserIds };
     }
 
     const trendingPosts = await FeedPost.findAll({
@@ -729,7 +1783,7 @@ exports.getTrendingPosts = async (req, res) => {
 
     // Generate URLs
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const postsWithUrls = generateFeedUrls(trendingPosts, baseUrl);
+    const postsWithUrls = await attachViewerState(generateFeedUrls(trendingPosts, baseUrl), userId);
 
     res.status(200).json({
       success: true,
@@ -797,7 +1851,7 @@ exports.getUserFeedPosts = async (req, res) => {
 
     // Generate URLs
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const postsWithUrls = generateFeedUrls(userPosts.rows, baseUrl);
+    const postsWithUrls = await attachViewerState(generateFeedUrls(userPosts.rows, baseUrl), userId);
 
     res.status(200).json({
       success: true,
@@ -993,3 +2047,272 @@ exports.getUserReportedFeedPosts = async (req, res) => {
     });
   }
 };
+
+// Helper function to validate the target user of a follow/mute action
+const getFollowTarget = async (req, res) => {
+  const userId = req.user.id;
+  const targetId = parseInt(req.params.id);
+
+  if (!targetId || targetId < 1) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID'
+    });
+    return null;
+  }
+
+  if (targetId === userId) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot follow or mute yourself'
+    });
+    return null;
+  }
+
+  const targetUser = await User.findByPk(targetId, { attributes: ['id', 'name'] });
+  if (!targetUser) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return targetUser;
+};
+
+// Follow a user
+exports.followUser = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const targetUser = await getFollowTarget(req, res);
+    if (!targetUser) return;
+
+    if (await feedFollowService.isBlockedEitherWay(userId, targetUser.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot follow this user'
+      });
+    }
+
+    const { changed } = await feedFollowService.setRelation(userId, targetUser.id, 'follow');
+    const counts = await feedFollowService.getFollowCounts(targetUser.id);
+
+    res.status(changed ? 201 : 200).json({
+      success: true,
+      message: changed ? 'User followed successfully' : 'You are already following this user',
+      data: {
+        user_id: targetUser.id,
+        is_following: true,
+        is_muted: false,
+        ...counts
+      }
+    });
+
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Unfollow a user
+exports.unfollowUser = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const targetUser = await getFollowTarget(req, res);
+    if (!targetUser) return;
+
+    const removed = await feedFollowService.removeRelation(userId, targetUser.id, 'follow');
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not following this user'
+      });
+    }
+
+    const counts = await feedFollowService.getFollowCounts(targetUser.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User unfollowed successfully',
+      data: {
+        user_id: targetUser.id,
+        is_following: false,
+        ...counts
+      }
+    });
+
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Mute a user (hides their posts from every feed; replaces a follow)
+exports.muteUser = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const targetUser = await getFollowTarget(req, res);
+    if (!targetUser) return;
+
+    const { changed } = await feedFollowService.setRelation(userId, targetUser.id, 'mute');
+
+    res.status(changed ? 201 : 200).json({
+      success: true,
+      message: changed ? 'User muted successfully' : 'User is already muted',
+      data: {
+        user_id: targetUser.id,
+        is_following: false,
+        is_muted: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Unmute a user
+exports.unmuteUser = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const targetUser = await getFollowTarget(req, res);
+    if (!targetUser) return;
+
+    const removed = await feedFollowService.removeRelation(userId, targetUser.id, 'mute');
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not muted'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unmuted successfully',
+      data: {
+        user_id: targetUser.id,
+        is_muted: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to list followers or followed users of a user
+const listFollowRelations = (direction) => async (req, res) => {
+  try {
+    const viewerId = req.user.id;
+    const targetId = parseInt(req.params.id);
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const targetUser = await User.findByPk(targetId, { attributes: ['id'] });
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // followers: rows pointing at the user; following: rows created by the user
+    const isFollowers = direction === 'followers';
+    const ownKey = isFollowers ? 'following_id' : 'follower_id';
+    const otherAlias = isFollowers ? 'follower' : 'following';
+
+    // Hide users the viewer has blocked
+    const blockedUserIds = await UserBlock.findAll({
+      where: { blocker_id: viewerId },
+      attributes: ['blocked_id']
+    }).then(blocks => blocks.map(b => b.blocked_id));
+
+    const whereConditions = { [ownKey]: targetId, follow_type: 'follow' };
+    if (blockedUserIds.length > 0) {
+      whereConditions[isFollowers ? 'follower_id' : 'following_id'] = { [db.Sequelize.Op.notIn]: blockedUserIds };
+    }
+
+    const { count, rows } = await db.FeedFollow.findAndCountAll({
+      where: whereConditions,
+      include: [{
+        model: User,
+        as: otherAlias,
+        attributes: ['id', 'name'],
+        include: [{
+          model: UserProfile,
+          as: 'profile',
+          attributes: ['image_path', 'bio']
+        }]
+      }],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: offset
+    });
+
+    const [counts, viewerFollowingIds] = await Promise.all([
+      feedFollowService.getFollowCounts(targetId),
+      feedFollowService.getFollowingIds(viewerId)
+    ]);
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const users = rows.filter(row => row[otherAlias]).map(row => {
+      const user = row[otherAlias].toJSON();
+      if (user.profile && user.profile.image_path) {
+        user.profile.image_url = `${baseUrl}/api/files/${user.profile.image_path}`;
+      }
+      return {
+        ...user,
+        followed_at: row.created_at,
+        is_following: viewerFollowingIds.includes(user.id)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: isFollowers ? 'Followers retrieved successfully' : 'Following retrieved successfully',
+      data: {
+        users,
+        ...counts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          hasMore: (offset + parseInt(limit)) < count
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error(`Get ${direction} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Get followers of a user
+exports.getFollowers = listFollowRelations('followers');
+
+// Get users a user follows
+exports.getFollowing = listFollowRelations('following');
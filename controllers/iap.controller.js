@@ -1,4 +1,5 @@
 const subscriptionService = require('../services/subscriptionService');
+const entitlementService = require('../services/entitlementService');
 const googlePlayService = require('../services/googlePlayService');
 const appleAppStoreService = require('../services/appleAppStoreService');
 const db = require('../models');
@@ -250,6 +251,35 @@ exports.checkSubscriptionStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get the user's tier, entitlements, usage and plans for paywalls
+ * GET /api/iap/entitlements
+ */
+exports.getEntitlements = async (req, res) => {
+  try {
+    const entitlements = await entitlementService.getEntitlements(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Entitlements retrieved successfully',
+      data: entitlements
+    });
+
+  } catch (error) {
+    logger.error('Get entitlements error', {
+      userId: req.user?.id,
+      error: error.message,
+      requestId: req.requestId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get entitlements',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 /**
  * Refresh subscription from store (force re-validation)
  * POST /api/iap/refresh/:id
@@ -0,0 +1,161 @@
+const matchService = require("../services/matchService");
+const logger = require("../utils/logger");
+
+const VALID_STATUSES = Object.keys(matchService.MATCH_TRANSITIONS);
+
+// Notify both participants about a match change in real time
+const emitMatchUpdate = (req, match) => {
+  const io = req.app.get("io");
+  if (!io || !match) return;
+
+  [match.requester_id, match.owner_id].forEach((participantId) => {
+    io.to(`user_${participantId}`).emit("match_updated", match);
+  });
+};
+
+// Shared handler for all status-changing endpoints
+const changeMatchStatus = (targetStatus, successMessage, options = {}) => async (req, res) => {
+  try {
+    const matchId = parseInt(req.params.id);
+    const userId = req.user.id;
+
+    const result = await matchService.transitionMatch(matchId, userId, targetStatus, {
+      reason: req.body ? req.body.reason : undefined,
+      decline: options.decline
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    emitMatchUpdate(req, result.data);
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: result.data
+    });
+  } catch (error) {
+    logger.error("Error updating match", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+// Get matches of the logged-in user
+exports.getMatches = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const { status, role } = req.query;
+
+    if (status && !VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VALID_STATUSES.join(", ")}`
+      });
+    }
+
+    if (role && !["requester", "owner"].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid role. Must be 'requester' or 'owner'"
+      });
+    }
+
+    const { matches, pagination } = await matchService.getUserMatches(userId, {
+      status,
+      role,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Matches retrieved successfully",
+      data: matches,
+      pagination
+    });
+  } catch (error) {
+    logger.error("Error retrieving matches", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+// Get a single match
+exports.getMatchById = async (req, res) => {
+  try {
+    const result = await matchService.getMatchForUser(parseInt(req.params.id), req.user.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Match retrieved successfully",
+      data: result.data
+    });
+  } catch (error) {
+    logger.error("Error retrieving match", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+// Accept a proposed match (post owner only)
+exports.acceptMatch = changeMatchStatus("accepted", "Match accepted");
+
+// Decline a proposed match (post owner only)
+exports.declineMatch = changeMatchStatus("cancelled", "Match declined", { decline: true });
+
+// Start the skill exchange
+exports.startMatch = changeMatchStatus("in_progress", "Match started");
+
+// Mark the skill exchange as completed
+exports.completeMatch = changeMatchStatus("completed", "Match completed");
+
+// Cancel an open match (either participant)
+exports.cancelMatch = changeMatchStatus("cancelled", "Match cancelled");
+
+module.exports = {
+  getMatches: exports.getMatches,
+  getMatchById: exports.getMatchById,
+  acceptMatch: exports.acceptMatch,
+  declineMatch: exports.declineMatch,
+  startMatch: exports.startMatch,
+  completeMatch: exports.completeMatch,
+  cancelMatch: exports.cancelMatch,
+};
@@ -23,6 +23,9 @@ const path = require("path");
 const { Op } = require("sequelize");
 const fs = require("fs"); // Added for enhanced file serving
 const { sendPostNotificationToAllUsers } = require("../services/notificationService");
+const matchService = require("../services/matchService");
+const matchScoringService = require("../services/matchScoringService");
+const matchingConfig = require("../config/matching.config");
 
 // Helper function to generate full attachment URLs
 const generateAttachmentUrls = (attachments, baseUrl) => {
@@ -230,7 +233,8 @@ exports.getPosts = async (req, res) => {
 
     // Build where clause for filtering
     const where = {};
-    if (status) where.status = status;
+    // Posts hidden by moderators are never listed
+    where.status = status ? { [Op.eq]: status, [Op.ne]: 'hidden' } : { [Op.ne]: 'hidden' };
     if (medium) where.medium = medium;
     if (skill_id) where.required_skill_id = skill_id;
 
@@ -335,6 +339,7 @@ exports.getMatchingPosts = async (req, res) => {
     const {
       status,
       medium,
+      preferred_medium,
       min_match_score,
       match_skills,
       match_sub_skills,
@@ -358,40 +363,31 @@ exports.getMatchingPosts = async (req, res) => {
       });
     }
 
-    // Get user's skills from their work profiles (only if skill matching is enabled)
-    let userSkills = [];
-    if (shouldMatchSkills || shouldMatchSubSkills) {
-      userSkills = await UserSkill.findAll({
-        include: [
-          {
-            model: WorkProfile,
-            as: "workProfile",
-            where: { user_id },
-            attributes: [],
-          },
-        ],
-        attributes: ["skill_id", "sub_skill_id"],
-      });
-    }
+    const enabledCriteria = {
+      skills: shouldMatchSkills,
+      subSkills: shouldMatchSubSkills,
+      location: shouldMatchLocation,
+    };
 
-    // Get user's zip codes from their addresses (only if location matching is enabled)
-    let userAddresses = [];
-    if (shouldMatchLocation) {
-      userAddresses = await Address.findAll({
-        where: { user_id },
-        attributes: ["zip_code"],
-      });
-    }
+    // Load the user's skills, proficiency, looking skills and locations used for scoring
+    const viewer = await matchScoringService.loadViewerContext(user_id);
+    const userSkillIds = viewer.skillIds;
+    const userSubSkillIds = viewer.subSkillIds;
+    const userZipCodes = [
+      ...new Set(
+        viewer.locations.map((location) => location.postal_code).filter((zip) => zip !== null)
+      ),
+    ];
 
     // Check if user has the required data for enabled matching criteria
     const missingCriteria = [];
-    if (shouldMatchSkills && userSkills.length === 0) {
+    if (shouldMatchSkills && userSkillIds.length === 0) {
       missingCriteria.push("skills");
     }
-    if (shouldMatchSubSkills && userSkills.length === 0) {
+    if (shouldMatchSubSkills && userSkillIds.length === 0) {
       missingCriteria.push("sub-skills");
     }
-    if (shouldMatchLocation && userAddresses.length === 0) {
+    if (shouldMatchLocation && viewer.locations.length === 0) {
       missingCriteria.push("address");
     }
 
@@ -408,28 +404,11 @@ exports.getMatchingPosts = async (req, res) => {
           totalItems: 0,
           itemsPerPage: limit,
         },
-        enabledCriteria: {
-          skills: shouldMatchSkills,
-          subSkills: shouldMatchSubSkills,
-          location: shouldMatchLocation,
-        },
+        enabledCriteria,
       });
     }
 
-    // Extract skill IDs and sub-skill IDs
-    const userSkillIds = [...new Set(userSkills.map((us) => us.skill_id))];
-    const userSubSkillIds = [
-      ...new Set(
-        userSkills.map((us) => us.sub_skill_id).filter((id) => id !== null)
-      ),
-    ];
-    const userZipCodes = [
-      ...new Set(
-        userAddresses.map((addr) => addr.zip_code).filter((zip) => zip !== null)
-      ),
-    ];
-
-    // Build matching conditions based on enabled criteria
+    // Build candidate conditions based on enabled criteria
     const matchingConditions = [];
 
     // Skill matching (only if enabled and user has skills)
@@ -450,13 +429,20 @@ exports.getMatchingPosts = async (req, res) => {
       });
     }
 
-    // Location matching (only if enabled and user has zip codes)
+    // Location matching: posts by users with an address in one of the user's zip codes
     if (shouldMatchLocation && userZipCodes.length > 0) {
-      matchingConditions.push({
-        "$user.addresses.zip_code$": {
-          [Op.in]: userZipCodes,
-        },
-      });
+      const nearbyUserIds = await Address.findAll({
+        where: { zip_code: { [Op.in]: userZipCodes } },
+        attributes: ["user_id"],
+      }).then((addresses) => [...new Set(addresses.map((a) => a.user_id))]);
+
+      if (nearbyUserIds.length > 0) {
+        matchingConditions.push({
+          user_id: {
+            [Op.in]: nearbyUserIds,
+          },
+        });
+      }
     }
 
     if (matchingConditions.length === 0) {
@@ -470,9 +456,9 @@ exports.getMatchingPosts = async (req, res) => {
 
       return res.status(200).json({
         success: true,
-        message: `No matching criteria available. Missing data for enabled criteria: ${enabledButMissingData.join(
-          ", "
-        )}`,
+        message: enabledButMissingData.length > 0
+          ? `No matching criteria available. Missing data for enabled criteria: ${enabledButMissingData.join(", ")}`
+          : "No matching posts found",
         data: [],
         pagination: {
           currentPage: page,
@@ -480,11 +466,7 @@ exports.getMatchingPosts = async (req, res) => {
           totalItems: 0,
           itemsPerPage: limit,
         },
-        enabledCriteria: {
-          skills: shouldMatchSkills,
-          subSkills: shouldMatchSubSkills,
-          location: shouldMatchLocation,
-        },
+        enabledCriteria,
       });
     }
 
@@ -503,7 +485,7 @@ exports.getMatchingPosts = async (req, res) => {
     // Build where clause for additional filters
     const additionalFilters = {
       user_id: { [Op.ne]: user_id }, // Exclude user's own posts
-      status: status || "active", // Default to active posts
+      status: status && status !== "hidden" ? status : "active", // Default to active posts, never hidden ones
     };
 
     if (medium) additionalFilters.medium = medium;
@@ -515,21 +497,16 @@ exports.getMatchingPosts = async (req, res) => {
 
     // Exclude posts from blocked users
     if (blockedUserIds.length > 0) {
-      if (additionalFilters.user_id && typeof additionalFilters.user_id === 'object' && additionalFilters.user_id[Op.ne]) {
-        // Combine with existing user_id filter
-        additionalFilters.user_id = {
-          [Op.and]: [
-            { [Op.ne]: user_id },
-            { [Op.notIn]: blockedUserIds }
-          ]
-        };
-      } else {
-        additionalFilters.user_id = { [Op.notIn]: blockedUserIds };
-      }
+      additionalFilters.user_id = {
+        [Op.and]: [
+          { [Op.ne]: user_id },
+          { [Op.notIn]: blockedUserIds }
+        ]
+      };
     }
 
-    // Main query to find matching posts
-    const { count, rows: posts } = await Post.findAndCountAll({
+    // Fetch the newest candidates with only the fields needed for scoring
+    const candidates = await Post.findAll({
       where: {
         [Op.and]: [
           additionalFilters,
@@ -538,157 +515,126 @@ exports.getMatchingPosts = async (req, res) => {
           },
         ],
       },
-      include: [
-        {
-          model: User,
-          as: "user",
-          attributes: ["id", "name", "email"],
-          include: [
-            {
-              model: Address,
-              as: "addresses",
-              attributes: ["zip_code", "city", "state"],
-              required: false,
-            },
-          ],
-        },
-        {
-          model: Skill,
-          as: "requiredSkill",
-          attributes: ["id", "name"],
-        },
-        {
-          model: SubSkill,
-          as: "requiredSubSkill",
-          attributes: ["id", "name"],
-        },
-        {
-          model: PostAttachment,
-          as: "attachments",
-          where: { is_deleted: false },
-          attributes: [
-            "id",
-            "file_name",
-            "file_path",
-            "file_category",
-            "mime_type",
-            "size",
-            "uploaded_at",
-          ],
-          order: [["uploaded_at", "ASC"]],
-          required: false,
-        },
-      ],
+      attributes: ["id", "user_id", "required_skill_id", "required_sub_skill_id", "medium", "deadline", "created_at"],
       order: [["created_at", "DESC"]],
-      limit,
-      offset,
-      distinct: true,
-    });
-
-    // Calculate match scores for each post based on enabled criteria
-    const postsWithMatchScore = posts.map((post) => {
-      let matchScore = 0;
-      let maxScore = 0;
-      const reasons = {};
-
-      // Skill match scoring (only if enabled)
-      if (shouldMatchSkills) {
-        const skillMatches =
-          post.required_skill_id &&
-          userSkillIds.includes(post.required_skill_id);
-        if (skillMatches) {
-          matchScore += 3;
-        }
-        if (post.required_skill_id) maxScore += 3;
-        reasons.skillMatch = skillMatches;
-      }
-
-      // Sub-skill match scoring (only if enabled)
-      if (shouldMatchSubSkills) {
-        const subSkillMatches =
-          post.required_sub_skill_id &&
-          userSubSkillIds.includes(post.required_sub_skill_id);
-        if (subSkillMatches) {
-          matchScore += 2;
-        }
-        if (post.required_sub_skill_id) maxScore += 2;
-        reasons.subSkillMatch = subSkillMatches;
-      }
+      limit: matchingConfig.MAX_CANDIDATES,
+    });
 
-      // Location match scoring (only if enabled)
-      if (shouldMatchLocation) {
-        const postUserZipCodes =
-          post.user.addresses?.map((addr) => addr.zip_code) || [];
-        const hasLocationMatch = postUserZipCodes.some((zip) =>
-          userZipCodes.includes(zip)
-        );
-        if (hasLocationMatch) {
-          matchScore += 1;
-        }
-        if (postUserZipCodes.length > 0) maxScore += 1;
-        reasons.locationMatch = hasLocationMatch;
-      }
+    // Disabled criteria switch off their scoring factors
+    const disabledFactors = [];
+    if (!shouldMatchSkills) disabledFactors.push("skill", "proficiency");
+    if (!shouldMatchSubSkills) disabledFactors.push("sub_skill");
+    if (!shouldMatchLocation) disabledFactors.push("distance");
 
-      const matchPercentage =
-        maxScore > 0 ? Math.round((matchScore / maxScore) * 100) : 0;
-
-      return {
-        ...post.toJSON(),
-        matchScore: {
-          score: matchScore,
-          maxScore: maxScore,
-          percentage: matchPercentage,
-          reasons,
-          enabledCriteria: {
-            skills: shouldMatchSkills,
-            subSkills: shouldMatchSubSkills,
-            location: shouldMatchLocation,
-          },
-        },
-      };
+    const { scores, weights } = await matchScoringService.scorePosts(candidates, user_id, {
+      viewer,
+      disabledFactors,
+      preferredMedium: ["online", "offline", "hybrid"].includes(preferred_medium) ? preferred_medium : null,
     });
 
-    // Filter by minimum match score if specified
-    let filteredPosts = postsWithMatchScore;
-    if (min_match_score) {
-      const minScore = parseInt(min_match_score);
-      filteredPosts = postsWithMatchScore.filter(
-        (post) => post.matchScore.percentage >= minScore
+    // Filter by minimum match score, then rank by score (newest first on ties)
+    const minScore = min_match_score ? parseInt(min_match_score) : null;
+    const ranked = candidates
+      .filter((post) => !minScore || scores[post.id].match_score >= minScore)
+      .sort((a, b) =>
+        scores[b.id].match_score - scores[a.id].match_score ||
+        new Date(b.created_at) - new Date(a.created_at)
       );
-    }
 
-    // Sort by match score (highest first)
-    filteredPosts.sort(
-      (a, b) => b.matchScore.percentage - a.matchScore.percentage
-    );
+    const count = ranked.length;
+    const pageIds = ranked.slice(offset, offset + limit).map((post) => post.id);
+
+    // Load the full posts for the requested page
+    const pagePosts = pageIds.length > 0
+      ? await Post.findAll({
+        where: { id: { [Op.in]: pageIds } },
+        include: [
+          {
+            model: User,
+            as: "user",
+            attributes: ["id", "name", "email"],
+            include: [
+              {
+                model: Address,
+                as: "addresses",
+                attributes: ["zip_code", "city", "state"],
+                required: false,
+              },
+            ],
+          },
+          {
+            model: Skill,
+            as: "requiredSkill",
+            attributes: ["id", "name"],
+          },
+          {
+            model: SubSkill,
+            as: "requiredSubSkill",
+            attributes: ["id", "name"],
+          },
+          {
+            model: PostAttachment,
+            as: "attachments",
+            where: { is_deleted: false },
+            attributes: [
+              "id",
+              "file_name",
+              "file_path",
+              "file_category",
+              "mime_type",
+              "size",
+              "uploaded_at",
+            ],
+            required: false,
+          },
+        ],
+        order: [[{ model: PostAttachment, as: "attachments" }, "uploaded_at", "ASC"]],
+      })
+      : [];
+
+    const postsById = new Map(pagePosts.map((post) => [post.id, post]));
 
     // Generate full URLs for attachments AFTER all Sequelize processing
     const baseUrl = `${req.protocol}://${req.get("host")}`;
 
-    // Convert to plain objects and add URLs
-    const postsWithUrls = filteredPosts.map((post) => {
-      const postData = post.toJSON ? post.toJSON() : post;
-
-      if (postData.attachments && postData.attachments.length > 0) {
-        postData.attachments = generateAttachmentUrls(
-          postData.attachments,
-          baseUrl
-        );
-      }
+    const postsWithUrls = pageIds
+      .filter((id) => postsById.has(id))
+      .map((id) => {
+        const postData = postsById.get(id).toJSON();
+        const { match_score, match_breakdown } = scores[id];
+
+        if (postData.attachments && postData.attachments.length > 0) {
+          postData.attachments = generateAttachmentUrls(
+            postData.attachments,
+            baseUrl
+          );
+        }
 
-      return postData;
-    });
+        return {
+          ...postData,
+          match_score,
+          match_breakdown,
+          // Kept for older app versions; match_score / match_breakdown replace it
+          matchScore: {
+            score: match_score,
+            maxScore: 100,
+            percentage: match_score,
+            reasons: {
+              skillMatch: match_breakdown.skill.value === 1,
+              subSkillMatch: match_breakdown.sub_skill.value === 1,
+              locationMatch: (match_breakdown.distance.value || 0) > 0,
+            },
+            enabledCriteria,
+          },
+        };
+      });
 
     logger.info("Matching posts retrieved", {
       requestId: req.requestId,
       userId: user_id,
-      totalPosts: count,
-      filteredCount: filteredPosts.length,
-      enabledCriteria: {
-        skills: shouldMatchSkills,
-        subSkills: shouldMatchSubSkills,
-        location: shouldMatchLocation,
-      },
+      candidates: candidates.length,
+      filteredCount: count,
+      enabledCriteria,
       userSkillIds: shouldMatchSkills ? userSkillIds.length : "disabled",
       userSubSkillIds: shouldMatchSubSkills
         ? userSubSkillIds.length
@@ -707,15 +653,13 @@ exports.getMatchingPosts = async (req, res) => {
         itemsPerPage: limit,
       },
       matchingCriteria: {
-        enabled: {
-          skills: shouldMatchSkills,
-          subSkills: shouldMatchSubSkills,
-          location: shouldMatchLocation,
-        },
+        enabled: enabledCriteria,
+        weights,
         userDataCounts: {
           skills: shouldMatchSkills ? userSkillIds.length : null,
           subSkills: shouldMatchSubSkills ? userSubSkillIds.length : null,
           locations: shouldMatchLocation ? userZipCodes.length : null,
+          lookingSkills: viewer.lookingSkillIds.length,
         },
       },
     });
@@ -773,7 +717,8 @@ exports.getPostById = async (req, res) => {
       ],
     });
 
-    if (!post) {
+    // Posts hidden by moderators are only visible to their owner
+    if (!post || (post.status === "hidden" && post.user_id !== req.user.id)) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
@@ -840,6 +785,14 @@ exports.updatePost = async (req, res) => {
       });
     }
 
+    // Only a moderator can restore a hidden post (POST /admin/content/post/:id/restore)
+    if (post.status === "hidden" && status !== undefined && status !== post.status) {
+      return res.status(403).json({
+        success: false,
+        message: "This post was hidden by a moderator and its status can't be changed",
+      });
+    }
+
     // Validate skill if provided
     if (required_skill_id) {
       const skill = await Skill.findByPk(required_skill_id);
@@ -1864,6 +1817,18 @@ exports.swipePost = async (req, res) => {
       }
     });
 
+    // Right swipe proposes a skill exchange (or completes a mutual match)
+    const match = swipeType === 'right'
+      ? await matchService.handleRightSwipe(userId, post)
+      : null;
+
+    if (match && req.app.get('io')) {
+      const io = req.app.get('io');
+      [match.requester_id, match.owner_id].forEach((participantId) => {
+        io.to(`user_${participantId}`).emit('match_updated', match);
+      });
+    }
+
     if (existingSwipe) {
       // Update existing swipe
       await existingSwipe.update({
@@ -1886,7 +1851,8 @@ exports.swipePost = async (req, res) => {
         data: {
           post_id: id,
           swipe_type: swipeType,
-          expires_at: expiresAt
+          expires_at: expiresAt,
+          match: match ? { id: match.id, status: match.status, conversation_id: match.conversation_id } : null
         }
       });
     }
@@ -1916,7 +1882,8 @@ exports.swipePost = async (req, res) => {
         swipe_id: swipe.id,
         post_id: id,
         swipe_type: swipeType,
-        expires_at: expiresAt
+        expires_at: expiresAt,
+        match: match ? { id: match.id, status: match.status, conversation_id: match.conversation_id } : null
       }
     });
 
@@ -2009,6 +1976,76 @@ exports.getUserSwipedPosts = async (req, res) => {
   }
 };
 
+// Get users who right-swiped the logged-in user's posts (premium feature)
+exports.getReceivedRightSwipes = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    // Hide users on either side of a block
+    const blocks = await UserBlock.findAll({
+      where: {
+        [Op.or]: [{ blocker_id: userId }, { blocked_id: userId }]
+      },
+      attributes: ['blocker_id', 'blocked_id']
+    });
+    const blockedUserIds = blocks.map(b => (b.blocker_id === userId ? b.blocked_id : b.blocker_id));
+
+    const whereClause = { swipe_type: 'right' };
+    if (blockedUserIds.length > 0) {
+      whereClause.user_id = { [Op.notIn]: blockedUserIds };
+    }
+
+    const { count, rows: swipes } = await PostSwipe.findAndCountAll({
+      where: whereClause,
+      attributes: ['id', 'post_id', 'created_at'],
+      include: [
+        {
+          model: Post,
+          as: 'post',
+          where: { user_id: userId },
+          attributes: ['id', 'title', 'status']
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'is_verified']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Received right swipes retrieved successfully",
+      data: swipes,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(count / limit),
+        totalItems: count,
+        itemsPerPage: limit
+      }
+    });
+
+  } catch (error) {
+    logger.error("Error retrieving received right swipes", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   addPost: exports.addPost,
   getPosts: exports.getPosts,
@@ -2024,4 +2061,5 @@ module.exports = {
   getUserReportedPosts: exports.getUserReportedPosts,
   swipePost: exports.swipePost,
   getUserSwipedPosts: exports.getUserSwipedPosts,
+  getReceivedRightSwipes: exports.getReceivedRightSwipes,
 };
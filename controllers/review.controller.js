@@ -0,0 +1,373 @@
+const db = require("../models");
+const UserSkillReview = db.UserSkillReview;
+const UserSkill = db.UserSkill;
+const WorkProfile = db.WorkProfile;
+const User = db.User;
+const UserProfile = db.UserProfile;
+const Skill = db.Skill;
+const SubSkill = db.SubSkill;
+const reviewService = require("../services/reviewService");
+const logger = require("../utils/logger");
+const { Op } = require("sequelize");
+
+const reviewIncludes = (baseWhere = {}) => [
+  {
+    model: User,
+    as: "reviewer",
+    attributes: ["id", "name"],
+    include: [{ model: UserProfile, as: "profile", attributes: ["image_path"] }]
+  },
+  {
+    model: UserSkill,
+    as: "userSkill",
+    attributes: ["id", "proficiency_level"],
+    include: [
+      { model: WorkProfile, as: "workProfile", attributes: [], where: baseWhere },
+      { model: Skill, as: "skill", attributes: ["id", "name"] },
+      { model: SubSkill, as: "subSkill", attributes: ["id", "name"] }
+    ]
+  }
+];
+
+// Add reviewer image URL to a review
+const formatReview = (review, baseUrl) => {
+  const reviewData = review.toJSON ? review.toJSON() : review;
+  if (reviewData.reviewer && reviewData.reviewer.profile) {
+    reviewData.reviewer.profile.image_url = reviewData.reviewer.profile.image_path
+      ? `${baseUrl}/api/files/${reviewData.reviewer.profile.image_path}`
+      : null;
+  }
+  return reviewData;
+};
+
+// Submit a review for another user's skill
+exports.createReview = async (req, res) => {
+  try {
+    const reviewerId = req.user.id;
+    const { user_skill_id, rating, comment } = req.body;
+
+    const userSkill = await reviewService.getUserSkillWithOwner(user_skill_id);
+    if (!userSkill || !userSkill.workProfile) {
+      return res.status(404).json({
+        success: false,
+        message: "Skill not found"
+      });
+    }
+
+    const revieweeId = userSkill.workProfile.user_id;
+
+    if (revieweeId === reviewerId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot review your own skills"
+      });
+    }
+
+    const hasInteracted = await reviewService.hasInteractedWith(reviewerId, revieweeId);
+    if (!hasInteracted) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review users you have chatted with or completed a skill exchange with"
+      });
+    }
+
+    const existingReview = await UserSkillReview.findOne({
+      where: { user_skill_id, reviewer_user_id: reviewerId }
+    });
+
+    if (existingReview) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reviewed this skill. Edit your existing review instead.",
+        review_id: existingReview.id
+      });
+    }
+
+    const review = await UserSkillReview.create({
+      user_skill_id,
+      reviewer_user_id: reviewerId,
+      rating,
+      comment: comment || null
+    });
+
+    const skillRatings = await reviewService.getSkillRatings([user_skill_id]);
+
+    logger.info("Skill review created", {
+      requestId: req.requestId,
+      reviewId: review.id,
+      userSkillId: user_skill_id,
+      reviewerId,
+      revieweeId,
+      rating
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Review submitted successfully",
+      data: {
+        review,
+        skill_rating: skillRatings[user_skill_id] || { average_rating: null, review_count: 0 }
+      }
+    });
+  } catch (error) {
+    logger.error("Error creating skill review", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+// Edit own review
+exports.updateReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reviewerId = req.user.id;
+    const { rating, comment } = req.body;
+
+    const review = await UserSkillReview.findByPk(id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found"
+      });
+    }
+
+    if (review.reviewer_user_id !== reviewerId) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only edit your own reviews"
+      });
+    }
+
+    const updates = {};
+    if (rating !== undefined) updates.rating = rating;
+    if (comment !== undefined) updates.comment = comment || null;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing to update. Provide rating or comment."
+      });
+    }
+
+    await review.update(updates);
+
+    const skillRatings = await reviewService.getSkillRatings([review.user_skill_id]);
+
+    res.status(200).json({
+      success: true,
+      message: "Review updated successfully",
+      data: {
+        review,
+        skill_rating: skillRatings[review.user_skill_id] || { average_rating: null, review_count: 0 }
+      }
+    });
+  } catch (error) {
+    logger.error("Error updating skill review", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+// Delete own review
+exports.deleteReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reviewerId = req.user.id;
+
+    const review = await UserSkillReview.findByPk(id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found"
+      });
+    }
+
+    if (review.reviewer_user_id !== reviewerId) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only delete your own reviews"
+      });
+    }
+
+    await review.destroy();
+
+    logger.info("Skill review deleted", {
+      requestId: req.requestId,
+      reviewId: review.id,
+      reviewerId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Review deleted successfully"
+    });
+  } catch (error) {
+    logger.error("Error deleting skill review", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+// List reviews of a user's skills with aggregate ratings
+exports.getUserReviews = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const offset = (page - 1) * limit;
+    const userSkillId = req.query.user_skill_id ? parseInt(req.query.user_skill_id) : null;
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+
+    const user = await User.findByPk(userId, { attributes: ["id", "name"] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    // Hide reviews written by users the requester has blocked
+    const blockedUserIds = await db.UserBlock.findAll({
+      where: { blocker_id: req.user.id },
+      attributes: ["blocked_id"]
+    }).then(blocks => blocks.map(b => b.blocked_id));
+
+    const whereClause = {};
+    if (userSkillId) {
+      whereClause.user_skill_id = userSkillId;
+    }
+    if (blockedUserIds.length > 0) {
+      whereClause.reviewer_user_id = { [Op.notIn]: blockedUserIds };
+    }
+
+    const { count, rows: reviews } = await UserSkillReview.findAndCountAll({
+      where: whereClause,
+      include: reviewIncludes({ user_id: userId }),
+      order: [["updated_at", "DESC"]],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    const ratingSummary = await reviewService.getUserRatingSummary(userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Reviews retrieved successfully",
+      data: {
+        reviews: reviews.map(review => formatReview(review, baseUrl)),
+        rating_summary: ratingSummary
+      },
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(count / limit),
+        totalItems: count,
+        itemsPerPage: limit
+      }
+    });
+  } catch (error) {
+    logger.error("Error retrieving skill reviews", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+// List reviews written by the logged-in user
+exports.getMyReviews = async (req, res) => {
+  try {
+    const reviewerId = req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const offset = (page - 1) * limit;
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+
+    const { count, rows: reviews } = await UserSkillReview.findAndCountAll({
+      where: { reviewer_user_id: reviewerId },
+      include: [
+        {
+          model: UserSkill,
+          as: "userSkill",
+          attributes: ["id", "proficiency_level"],
+          include: [
+            {
+              model: WorkProfile,
+              as: "workProfile",
+              attributes: ["id", "user_id"],
+              include: [{ model: User, as: "user", attributes: ["id", "name"] }]
+            },
+            { model: Skill, as: "skill", attributes: ["id", "name"] },
+            { model: SubSkill, as: "subSkill", attributes: ["id", "name"] }
+          ]
+        }
+      ],
+      order: [["updated_at", "DESC"]],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Reviews retrieved successfully",
+      data: reviews.map(review => formatReview(review, baseUrl)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(count / limit),
+        totalItems: count,
+        itemsPerPage: limit
+      }
+    });
+  } catch (error) {
+    logger.error("Error retrieving own skill reviews", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createReview: exports.createReview,
+  updateReview: exports.updateReview,
+  deleteReview: exports.deleteReview,
+  getUserReviews: exports.getUserReviews,
+  getMyReviews: exports.getMyReviews,
+};
@@ -1,9 +1,7 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const db = require("../models");
 const User = db.User;
-const SessionLog = db.SessionLog;
 const TokenBlacklist = db.TokenBlacklist; // Added TokenBlacklist import
 const ReferralLog = db.ReferralLog; // Added ReferralLog import
 const UserProfile = db.UserProfile; // Added UserProfile import
@@ -22,33 +20,95 @@ const Subscription = db.Subscription; // Added Subscription import
 const PasswordResetOTP = db.PasswordResetOTP; // Added PasswordResetOTP import
 const PendingRegistration = db.PendingRegistration; // Added PendingRegistration import
 const emailService = require('../services/emailService'); // Added email service import
+const reviewService = require('../services/reviewService');
+const feedFollowService = require('../services/feedFollowService');
+const presenceService = require('../services/presenceService');
+const sessionService = require('../services/sessionService');
+const authAttemptService = require('../services/authAttemptService');
+const twoFactorService = require('../services/twoFactorService');
+const referralService = require('../services/referralService');
+const socialAuthService = require('../services/socialAuthService');
+const { AUTH_ATTEMPTS: { OTP_MAX_ATTEMPTS } } = require('../utils/constants');
+const { disconnectSessions, disconnectUser } = require('../config/socket.config');
+const logger = require('../utils/logger');
+
+// Refresh token cookie; set again on every refresh because the token rotates
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+};
 
-// Generate access token (short-lived)
-const generateAccessToken = (user, sessionId) => {
-  return jwt.sign(
-    {
-      userId: user.id,
-      email: user.email,
-      sessionId: sessionId,
-      type: 'access'
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '365d' }
-  );
+// Days since a soft deleted account was deleted
+const daysSinceDeletion = (user) => {
+  return Math.floor((new Date() - new Date(user.deleted_at)) / (1000 * 60 * 60 * 24));
 };
 
-// Generate refresh token (long-lived)
-const generateRefreshToken = (user, sessionId) => {
-  return jwt.sign(
-    {
-      userId: user.id,
-      email: user.email,
-      sessionId: sessionId,
-      type: 'refresh'
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '365d' }
-  );
+// Finish a login once the password, and the second factor if enabled, are
+// verified: reactivate a soft deleted account and start a session
+const completeLogin = async (req, res, user, extra = {}) => {
+  await authAttemptService.clearFailures('login', user.email);
+
+  if (user.deleted_at) {
+    const days = daysSinceDeletion(user);
+
+    // Reactivate the user account
+    await user.restore(); // This removes the deleted_at timestamp
+    
+    // Log the reactivation
+    console.log(`User ${user.id} (${user.email}) account reactivated after ${days} days`);
+  }
+
+  // Start a new session; devices over the tier's limit are signed out
+  const { accessToken, refreshToken, revokedSessionIds } = await sessionService.createSession(user, {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip || req.connection.remoteAddress,
+    deviceName: req.body.device_name || req.get('X-Device-Name')
+  });
+  disconnectSessions(req.app.get('io'), revokedSessionIds, 'Device limit reached');
+
+  // Set refresh token as HttpOnly cookie
+  res.cookie('refreshToken', refreshToken, REFRESH_COOKIE_OPTIONS);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    access_token: accessToken,
+    ...extra
+  });
+};
+
+// The second factor sent with a request, for twoFactorService
+const twoFactorAnswer = (req) => ({
+  challengeToken: req.body?.challenge_token,
+  code: req.body?.code,
+  method: req.body?.method,
+  ipAddress: req.ip || req.connection.remoteAddress
+});
+
+// Answer a request whose second factor is missing or wrong: a new
+// challenge (403), a lockout (429) or the reason the code was refused
+const respondTwoFactorRequired = (res, result) => {
+  if (result.statusCode === 429 && result.retryAfter) {
+    return respondTooManyAttempts(res, result);
+  }
+
+  return res.status(result.statusCode || 401).json({
+    success: false,
+    message: result.error,
+    ...(result.challenge && { two_factor_required: true, data: result.challenge })
+  });
+};
+
+// Refuse a login or OTP attempt while the account or IP address is locked out
+const respondTooManyAttempts = (res, result) => {
+  res.set('Retry-After', String(result.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: result.error,
+    retryAfter: result.retryAfter
+  });
 };
 
 // Register a new user (Step 1: Store data temporarily and send OTP)
@@ -56,6 +116,15 @@ exports.register = async (req, res) => {
   try {
     const { name, email, password, referred_by } = req.body;
 
+    // An email locked out of OTP verification cannot start over for fresh codes
+    const attemptCheck = await authAttemptService.checkAttempt('registration', {
+      email,
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+    if (!attemptCheck.success) {
+      return respondTooManyAttempts(res, attemptCheck);
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ where: { email } });
     if (existingUser) {
@@ -67,8 +136,7 @@ exports.register = async (req, res) => {
 
     // Validate referral code if provided
     if (referred_by) {
-      const referrer = await User.findOne({ where: { referral_code: referred_by } });
-      if (!referrer) {
+      if (!(await referralService.isValidReferralCode(referred_by))) {
         return res.status(400).json({
           success: false,
           message: 'Invalid referral code'
@@ -157,6 +225,14 @@ exports.resendRegistrationOTP = async (req, res) => {
       });
     }
 
+    const attemptCheck = await authAttemptService.checkAttempt('registration', {
+      email,
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+    if (!attemptCheck.success) {
+      return respondTooManyAttempts(res, attemptCheck);
+    }
+
     // Find the pending registration
     const pendingRegistration = await PendingRegistration.findOne({
       where: { email }
@@ -253,6 +329,12 @@ exports.verifyRegistrationOTP = async (req, res) => {
       });
     }
 
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const attemptCheck = await authAttemptService.checkAttempt('registration', { email, ipAddress });
+    if (!attemptCheck.success) {
+      return respondTooManyAttempts(res, attemptCheck);
+    }
+
     // Find the pending registration
     const pendingRegistration = await PendingRegistration.findOne({
       where: { email }
@@ -283,8 +365,14 @@ exports.verifyRegistrationOTP = async (req, res) => {
       });
     }
 
-    // Check attempt limit (max 5 attempts)
-    if (pendingRegistration.attempts >= 5) {
+    // Use up one guess before comparing, so parallel requests cannot get
+    // more than OTP_MAX_ATTEMPTS guesses at the code
+    const [reserved] = await PendingRegistration.update(
+      { attempts: db.sequelize.literal('attempts + 1') },
+      { where: { id: pendingRegistration.id, attempts: { [db.Sequelize.Op.lt]: OTP_MAX_ATTEMPTS } } }
+    );
+    if (reserved === 0) {
+      await pendingRegistration.destroy();
       return res.status(400).json({
         success: false,
         message: 'Too many verification attempts. Please start the registration process again.'
@@ -294,8 +382,16 @@ exports.verifyRegistrationOTP = async (req, res) => {
     // Verify OTP
     const isOTPValid = await bcrypt.compare(otp, pendingRegistration.otp);
     if (!isOTPValid) {
-      // Increment attempts
-      await pendingRegistration.update({ attempts: pendingRegistration.attempts + 1 });
+      await authAttemptService.recordFailure('registration', { email, ipAddress });
+
+      // The last guess invalidates the code
+      if (pendingRegistration.attempts + 1 >= OTP_MAX_ATTEMPTS) {
+        await pendingRegistration.destroy();
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid OTP. Too many verification attempts. Please start the registration process again.'
+        });
+      }
 
       return res.status(400).json({
         success: false,
@@ -303,43 +399,21 @@ exports.verifyRegistrationOTP = async (req, res) => {
       });
     }
 
-    // Generate a unique referral code for the new user
-    let referralCode;
-    let isUnique = false;
-    while (!isUnique) {
-      referralCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-      const existingReferralUser = await User.findOne({ where: { referral_code: referralCode } });
-      if (!existingReferralUser) {
-        isUnique = true;
-      }
-    }
+    await authAttemptService.clearFailures('registration', email);
 
-    // Create the user account
+    // Create the user account with a unique referral code
     const user = await User.create({
       name: pendingRegistration.name,
       email: pendingRegistration.email,
       password: pendingRegistration.password,
-      referral_code: referralCode,
+      referral_code: await referralService.generateReferralCode(),
       referred_by: pendingRegistration.referred_by,
       email_verified: true, // Mark as verified since OTP was validated
       created_at: new Date()
     });
 
     // Log referral if referred_by is present and still valid
-    if (pendingRegistration.referred_by) {
-      const referrer = await User.findOne({ where: { referral_code: pendingRegistration.referred_by } });
-      if (referrer) {
-        await ReferralLog.create({
-          referrer_id: referrer.id,
-          referee_id: user.id,
-          status: 'signed_up',
-          created_at: new Date()
-        });
-      } else {
-        // Referral code is no longer valid, but we'll still create the user
-        console.log(`Warning: Referral code ${pendingRegistration.referred_by} is no longer valid for user ${user.email}`);
-      }
-    }
+    await referralService.recordReferral(pendingRegistration.referred_by, user);
 
     // Mark pending registration as verified and clean up
     await pendingRegistration.update({
@@ -383,6 +457,14 @@ exports.verifyRegistrationOTP = async (req, res) => {
 exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
+    // Accounts and IP addresses with recent failures wait longer after each
+    // one, and are locked out for a while after too many
+    const attemptCheck = await authAttemptService.checkAttempt('login', { email, ipAddress });
+    if (!attemptCheck.success) {
+      return respondTooManyAttempts(res, attemptCheck);
+    }
 
     // Check if user exists (including soft deleted users)
     const user = await User.findOne({ 
@@ -390,89 +472,94 @@ exports.login = async (req, res) => {
       paranoid: false // Include soft deleted users
     });
     if (!user) {
+      await authAttemptService.recordFailure('login', { email, ipAddress });
       return res.status(401).json({
         success: false,
         message: 'Invalid email.'
       });
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
+    // Accounts created with Google or Apple have no password until one is set
+    if (!user.password) {
+      await authAttemptService.recordFailure('login', { email, ipAddress });
       return res.status(401).json({
         success: false,
-        message: 'Invalid password.'
+        message: 'This account signs in with Google or Apple. Use that, or set a password with forgot password.'
       });
     }
 
-    // Check if user is soft deleted and handle reactivation
-    if (user.deleted_at) {
-      const deletedDate = new Date(user.deleted_at);
-      const currentDate = new Date();
-      const daysSinceDeletion = Math.floor((currentDate - deletedDate) / (1000 * 60 * 60 * 24));
+    // Verify password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      const failure = await authAttemptService.recordFailure('login', { email, ipAddress });
 
-      if (daysSinceDeletion > 90) {
-        return res.status(401).json({
-          success: false,
-          message: 'Account has been permanently deleted. Please contact support for assistance.'
-        });
+      // Let the owner know someone is guessing their password
+      if (failure.accountLockedUntil) {
+        await authAttemptService.notifyAccountLocked(user, failure.accountLockedUntil, ipAddress);
       }
 
-      // Reactivate the user account
-      await user.restore(); // This removes the deleted_at timestamp
-      
-      // Log the reactivation
-      console.log(`User ${user.id} (${user.email}) account reactivated after ${daysSinceDeletion} days`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password.'
+      });
     }
 
-    // Invalidate all existing active sessions for this user (single device login enforcement)
-    await SessionLog.update(
-      {
-        is_active: false,
-        revoked_at: new Date(),
-        reason: 'New login from another device'
-      },
-      {
-        where: {
-          user_id: user.id,
-          is_active: true
-        }
-      }
-    );
+    // Soft deleted accounts can be reactivated for 90 days
+    if (user.deleted_at && daysSinceDeletion(user) > 90) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been permanently deleted. Please contact support for assistance.'
+      });
+    }
 
-    // Generate unique session ID
-    const sessionId = crypto.randomBytes(32).toString('hex');
+    // With two-factor authentication on, the password only earns a challenge,
+    // answered with POST /users/login/2fa
+    if (await twoFactorService.isEnabled(user.id)) {
+      const challenge = await twoFactorService.createChallenge(user.id, 'login');
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor verification required',
+        two_factor_required: true,
+        data: challenge
+      });
+    }
 
-    // Generate tokens with session ID
-    const accessToken = generateAccessToken(user, sessionId);
-    const refreshToken = generateRefreshToken(user, sessionId);
+    await completeLogin(req, res, user);
 
-    // Save session to session_logs
-    await SessionLog.create({
-      user_id: user.id,
-      session_id: sessionId,
-      refresh_token: refreshToken,
-      user_agent: req.get('User-Agent'),
-      ip_address: req.ip || req.connection.remoteAddress,
-      is_active: true,
-      created_at: new Date()
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
     });
+  }
+};
 
-    // Set refresh token as HttpOnly cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
+// Complete a login with the second factor
+exports.verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.verifyChallenge(req.body.challenge_token, {
+      code: req.body.code,
+      method: req.body.method,
+      purpose: 'login',
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+    if (!result.success) {
+      return respondTwoFactorRequired(res, result);
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      access_token: accessToken
-    });
+    const user = await User.findByPk(result.data.userId, { paranoid: false });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await completeLogin(req, res, user);
 
   } catch (error) {
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -481,83 +568,95 @@ exports.login = async (req, res) => {
   }
 };
 
-// Refresh access token
-exports.refreshToken = async (req, res) => {
+// Sign in with a Google or Apple ID token; creates the account on first sign-in
+exports.socialSignIn = async (req, res) => {
   try {
-    const refreshToken = req.cookies.refreshToken;
+    const { provider } = req.params;
+    const { id_token, nonce, name, referred_by } = req.body;
 
-    if (!refreshToken) {
-      return res.status(401).json({
+    const verified = await socialAuthService.verifyIdToken(provider, id_token, { nonce });
+    if (!verified.success) {
+      return res.status(verified.statusCode).json({
         success: false,
-        message: 'Refresh token not found'
+        message: verified.error
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
+    const result = await socialAuthService.signIn(verified.data, { name, referredBy: referred_by });
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: 'Invalid token type'
+        message: result.error
       });
     }
 
-    // Check if refresh token exists in session_logs and is active
-    const sessionLog = await SessionLog.findOne({
-      where: {
-        refresh_token: refreshToken,
-        is_active: true
-      }
-    });
+    const { user, isNewUser } = result.data;
 
-    if (!sessionLog) {
+    // Soft deleted accounts can be reactivated for 90 days
+    if (user.deleted_at && daysSinceDeletion(user) > 90) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Account has been permanently deleted. Please contact support for assistance.'
       });
     }
 
-    // Get user data
-    const user = await User.findByPk(decoded.userId);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
+    // The provider replaces the password, not the second factor
+    if (await twoFactorService.isEnabled(user.id)) {
+      const challenge = await twoFactorService.createChallenge(user.id, 'login');
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor verification required',
+        two_factor_required: true,
+        data: challenge
       });
     }
 
-    // Generate new access token with the same session ID
-    const newAccessToken = generateAccessToken(user, decoded.sessionId);
+    await completeLogin(req, res, user, { is_new_user: isNewUser });
 
-    // Update last_used_at in session_logs
-    await sessionLog.update({
-      last_used_at: new Date()
+  } catch (error) {
+    console.error('Social sign-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
     });
+  }
+};
 
-    res.status(200).json({
-      success: true,
-      message: 'Token refreshed successfully',
-      data: {
-        accessToken: newAccessToken
-      }
-    });
+// Refresh access token
+exports.refreshToken = async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refreshToken;
 
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    if (!refreshToken) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Refresh token not found'
       });
     }
 
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    // Rotate the refresh token; replaying an old one revokes the session
+    const result = await sessionService.rotateRefreshToken(refreshToken);
+    if (!result.success) {
+      disconnectSessions(req.app.get('io'), result.revokedSessionIds, 'Refresh token reuse detected');
+      res.clearCookie('refreshToken');
+      return res.status(result.statusCode || 401).json({
         success: false,
-        message: 'Refresh token expired'
+        message: result.error
       });
     }
 
+    res.cookie('refreshToken', result.data.refreshToken, REFRESH_COOKIE_OPTIONS);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        accessToken: result.data.accessToken
+      }
+    });
+
+  } catch (error) {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -573,27 +672,23 @@ exports.logout = async (req, res) => {
     const authHeader = req.headers['authorization'];
     const accessToken = authHeader && authHeader.split(' ')[1];
 
+    const revokedSessionIds = [];
+
     if (refreshToken) {
       // Mark session as inactive
-      await SessionLog.update(
-        {
-          is_active: false,
-          revoked_at: new Date(),
-          reason: 'User logout'
-        },
-        {
-          where: {
-            refresh_token: refreshToken,
-            is_active: true
-          }
-        }
-      );
+      revokedSessionIds.push(...await sessionService.revokeSessions({ refresh_token: refreshToken }, 'User logout'));
     }
 
     // Blacklist access token if provided
     if (accessToken) {
       try {
         const decoded = jwt.verify(accessToken, process.env.JWT_SECRET);
+
+        // Apps without the refresh cookie are signed out through the access token's session
+        if (decoded.sessionId) {
+          revokedSessionIds.push(...await sessionService.revokeSessions({ session_id: decoded.sessionId, user_id: decoded.userId }, 'User logout'));
+        }
+
         await TokenBlacklist.create({
           token: accessToken,
           expired_at: new Date(decoded.exp * 1000),
@@ -625,6 +720,9 @@ exports.logout = async (req, res) => {
       }
     }
 
+    // The device's open sockets stop receiving messages too
+    disconnectSessions(req.app.get('io'), revokedSessionIds, 'User logout');
+
     // Clear refresh token cookie
     res.clearCookie('refreshToken');
 
@@ -642,6 +740,351 @@ exports.logout = async (req, res) => {
   }
 };
 
+// List the devices the user is signed in on
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Sign out one session
+exports.revokeSession = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (!sessionId || sessionId < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID"
+      });
+    }
+
+    const result = await sessionService.revokeSession(req.user.id, sessionId);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    disconnectSessions(req.app.get('io'), result.data.revokedSessionIds, 'Revoked by user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Sign out every session except the current one
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await sessionService.revokeOtherSessions(req.user.id, req.user.sessionId);
+    disconnectSessions(req.app.get('io'), result.data.revokedSessionIds, 'Signed out from another device');
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: {
+        revoked_count: result.data.revokedSessionIds.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Two-factor authentication status
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor status retrieved successfully',
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Start two-factor enrolment: returns the secret for the authenticator app
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'email'] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await twoFactorService.startSetup(user);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from the app',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Confirm enrolment with a code from the authenticator app
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.enable(req.user.id, req.body.code);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe; they are shown only once.',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Turn two-factor authentication off
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    if (!(await twoFactorService.isEnabled(req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const twoFactor = await twoFactorService.requireVerification(req.user.id, 'disable_two_factor', twoFactorAnswer(req));
+    if (!twoFactor.success) {
+      return respondTwoFactorRequired(res, twoFactor);
+    }
+
+    await twoFactorService.disable(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Replace the backup codes; the old ones stop working
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    if (!(await twoFactorService.isEnabled(req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const twoFactor = await twoFactorService.requireVerification(req.user.id, 'regenerate_backup_codes', twoFactorAnswer(req));
+    if (!twoFactor.success) {
+      return respondTwoFactorRequired(res, twoFactor);
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Backup codes regenerated. They are shown only once.',
+      data: {
+        backup_codes: backupCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Email a code for a two-factor challenge, for users without their authenticator
+exports.sendTwoFactorEmailCode = async (req, res) => {
+  try {
+    const result = await twoFactorService.sendEmailCode(req.body.challenge_token);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'A verification code has been sent to your email address',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Two-factor email code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email. Please try again later.',
+      error: error.message
+    });
+  }
+};
+
+// List the Google and Apple accounts linked to the user
+exports.getAuthProviders = async (req, res) => {
+  try {
+    const providers = await socialAuthService.listProviders(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sign-in providers retrieved successfully',
+      data: providers
+    });
+
+  } catch (error) {
+    console.error('Get sign-in providers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Link a Google or Apple account, proven by one of its ID tokens
+exports.linkAuthProvider = async (req, res) => {
+  try {
+    const verified = await socialAuthService.verifyIdToken(req.params.provider, req.body.id_token, {
+      nonce: req.body.nonce
+    });
+    if (!verified.success) {
+      return res.status(verified.statusCode).json({
+        success: false,
+        message: verified.error
+      });
+    }
+
+    const result = await socialAuthService.linkProvider(req.user.id, verified.data);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Sign-in provider linked successfully',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Link sign-in provider error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Unlink a Google or Apple account
+exports.unlinkAuthProvider = async (req, res) => {
+  try {
+    const result = await socialAuthService.unlinkProvider(req.user.id, req.params.provider);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sign-in provider unlinked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlink sign-in provider error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 // Get user profile with all related data
 exports.getProfile = async (req, res) => {
   try {
@@ -979,6 +1422,10 @@ exports.getProfileById = async (req, res) => {
       attributes: ['id', 'platform', 'product_id', 'status', 'is_auto_renewing', 'purchase_date', 'expiry_date', 'is_trial'],
       order: [['expiry_date', 'DESC']]
     });
+
+    // Aggregate peer review ratings for the user's skills
+    const ratingSummary = await reviewService.getUserRatingSummary(user.id);
+    const emptyRating = { average_rating: null, review_count: 0 };
     
     const profileData = {
       id: user.id,
@@ -1007,7 +1454,18 @@ exports.getProfileById = async (req, res) => {
         ...user.profile.toJSON(),
         image_url: user.profile.image_path ? `${baseUrl}/api/files/${user.profile.image_path}` : null
       } : null,
-      work_profiles: user.workProfiles || [],
+      work_profiles: (user.workProfiles || []).map(work => {
+        const workData = work.toJSON();
+        workData.userSkills = (workData.userSkills || []).map(userSkill => ({
+          ...userSkill,
+          rating: ratingSummary.skills[userSkill.id] || emptyRating
+        }));
+        return workData;
+      }),
+      rating_summary: {
+        average_rating: ratingSummary.average_rating,
+        review_count: ratingSummary.review_count
+      },
       addresses: user.addresses || [],
       temp_addresses: user.tempAddresses || [],
       notification_settings: user.notificationSettings || null,
@@ -1158,6 +1616,9 @@ exports.updateProfile = async (req, res) => {
       if (work_profiles !== undefined) {
         const existingWorkProfiles = await WorkProfile.findAll({ where: { user_id: userId }, transaction });
 
+        // Keep skill reviews across the delete/re-create of user skills
+        const detachedReviews = await reviewService.detachSkillReviews(existingWorkProfiles.map(wp => wp.id), transaction);
+
         for (const wp of existingWorkProfiles) {
           await UserSkill.destroy({ where: { work_profile_id: wp.id }, transaction });
         }
@@ -1183,6 +1644,8 @@ exports.updateProfile = async (req, res) => {
             }
           }
         }
+
+        await reviewService.restoreSkillReviews(userId, detachedReviews, transaction);
       }
 
       // --- NOTIFICATION SETTINGS ---
@@ -1336,20 +1799,38 @@ exports.getPublicProfile = async (req, res) => {
 
     // Generate full URL for profile image if it exists
     const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    // Aggregate peer review ratings for the user's skills
+    const ratingSummary = await reviewService.getUserRatingSummary(user.id);
+    const emptyRating = { average_rating: null, review_count: 0 };
+
+    // Feed follower counts, the viewer's relation to this user, and the
+    // presence the viewer may see (only people who chat with the user)
+    const [followCounts, relationship, presence] = await Promise.all([
+      feedFollowService.getFollowCounts(user.id),
+      feedFollowService.getRelationship(req.user.id, user.id),
+      presenceService.getVisiblePresence(req.user.id, user)
+    ]);
     
     // Collect all unique skills from work profiles
     const allSkills = [];
     const skillIds = new Set();
+    const skillRatings = {};
     
     user.workProfiles.forEach(work => {
       work.userSkills.forEach(userSkill => {
         const skillId = userSkill.skill?.id;
         const subSkillId = userSkill.subSkill?.id;
         const uniqueKey = `${skillId}-${subSkillId}`;
+
+        // Same skill listed under several work profiles shares one rating
+        skillRatings[uniqueKey] = skillRatings[uniqueKey] || [];
+        skillRatings[uniqueKey].push(ratingSummary.skills[userSkill.id]);
         
         if (!skillIds.has(uniqueKey)) {
           skillIds.add(uniqueKey);
           allSkills.push({
+            user_skill_id: userSkill.id,
             skill: userSkill.skill ? {
               id: userSkill.skill.id,
               name: userSkill.skill.name,
@@ -1371,8 +1852,8 @@ exports.getPublicProfile = async (req, res) => {
       id: user.id,
       name: user.name,
       member_since: user.created_at,
-      is_online: user.is_online,
-      last_seen: user.last_seen,
+      is_online: presence.is_online,
+      last_seen: presence.last_seen,
       is_verified: user.is_verified,
       subscription_tier: user.subscription_tier,
       profile: {
@@ -1382,7 +1863,19 @@ exports.getPublicProfile = async (req, res) => {
         image_url: user.profile?.image_path ? `${baseUrl}/api/files/${user.profile.image_path}` : null,
         looking_skills: user.profile?.looking_skills || []
       },
-      skills: allSkills,
+      rating_summary: {
+        average_rating: ratingSummary.average_rating,
+        review_count: ratingSummary.review_count
+      },
+      followers_count: followCounts.followers_count,
+      following_count: followCounts.following_count,
+      is_following: relationship.is_following,
+      is_muted: relationship.is_muted,
+      follows_you: relationship.follows_you,
+      skills: allSkills.map(skill => ({
+        ...skill,
+        rating: reviewService.combineRatings(skillRatings[`${skill.skill?.id}-${skill.sub_skill?.id}`])
+      })),
       work_experience: user.workProfiles.map(work => ({
         id: work.id,
         company_name: work.company_name,
@@ -1391,6 +1884,8 @@ exports.getPublicProfile = async (req, res) => {
         end_date: work.end_date,
         duration: calculateWorkDuration(work.start_date, work.end_date),
         skills: work.userSkills.map(userSkill => ({
+          user_skill_id: userSkill.id,
+          rating: ratingSummary.skills[userSkill.id] || emptyRating,
           skill: userSkill.skill ? {
             id: userSkill.skill.id,
             name: userSkill.skill.name,
@@ -1424,31 +1919,70 @@ exports.getPublicProfile = async (req, res) => {
 // Change user password
 exports.changePassword = async (req, res) => {
   try {
-    const { email, new_password } = req.body;
+    const { current_password, new_password } = req.body;
 
-    // Check if user exists with the provided email
-    const user = await User.findOne({ where: { email } });
+    const user = await User.findByPk(req.user.id);
     if (!user) {
       return res.status(404).json({
         success: false,
-        message: 'User with this email does not exist, please register yourself'
+        message: 'User not found'
       });
     }
 
+    // Accounts created with Google or Apple set their first password with forgot password
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has no password yet. Set one with forgot password.'
+      });
+    }
+
+    // Wrong current passwords count as failed logins, so a stolen session
+    // can't be used to guess the password
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const attemptCheck = await authAttemptService.checkAttempt('login', { email: user.email, ipAddress });
+    if (!attemptCheck.success) {
+      return respondTooManyAttempts(res, attemptCheck);
+    }
+
+    // The caller must know the current password
+    const isPasswordValid = await bcrypt.compare(current_password, user.password);
+    if (!isPasswordValid) {
+      const failure = await authAttemptService.recordFailure('login', { email: user.email, ipAddress });
+      if (failure.accountLockedUntil) {
+        await authAttemptService.notifyAccountLocked(user, failure.accountLockedUntil, ipAddress);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Accounts with two-factor authentication must confirm the change
+    const twoFactor = await twoFactorService.requireVerification(req.user.id, 'change_password', twoFactorAnswer(req));
+    if (!twoFactor.success) {
+      return respondTwoFactorRequired(res, twoFactor);
+    }
+
     // Hash the new password
     const saltRounds = 10;
     const hashedNewPassword = await bcrypt.hash(new_password, saltRounds);
 
     // Update the user's password
-    await User.update(
-      { 
-        password: hashedNewPassword,
-        updated_at: new Date()
-      },
-      { 
-        where: { email } 
-      }
+    await user.update({
+      password: hashedNewPassword,
+      updated_at: new Date()
+    });
+    await authAttemptService.clearFailures('login', user.email);
+
+    // Sign out the other devices that used the old password; this one stays signed in
+    const { data: { revokedSessionIds } } = await sessionService.revokeOtherSessions(
+      user.id,
+      req.user.sessionId,
+      'Password changed'
     );
+    disconnectSessions(req.app.get('io'), revokedSessionIds, 'Password changed');
 
     res.status(200).json({
       success: true,
@@ -1479,23 +2013,18 @@ exports.softDeleteUser = async (req, res) => {
       });
     }
 
+    // Accounts with two-factor authentication must confirm the deletion
+    const twoFactor = await twoFactorService.requireVerification(userId, 'delete_account', twoFactorAnswer(req));
+    if (!twoFactor.success) {
+      return respondTwoFactorRequired(res, twoFactor);
+    }
+
     // Perform soft delete
     await user.destroy(); // This will set deleted_at timestamp due to paranoid mode
 
     // Invalidate all active sessions for this user
-    await SessionLog.update(
-      {
-        is_active: false,
-        revoked_at: new Date(),
-        reason: 'User account deleted'
-      },
-      {
-        where: {
-          user_id: userId,
-          is_active: true
-        }
-      }
-    );
+    await sessionService.revokeAllSessions(userId, 'User account deleted');
+    disconnectUser(req.app.get('io'), userId, 'User account deleted');
 
     res.status(200).json({
       success: true,
@@ -1591,6 +2120,9 @@ exports.blockUser = async (req, res) => {
       reason: reason || null
     });
 
+    // Blocking ends feed follows in both directions
+    await feedFollowService.removeFollowsBetween(blockerId, parseInt(userId));
+
     res.status(201).json({
       success: true,
       message: "User blocked successfully",
@@ -1739,6 +2271,15 @@ exports.forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
 
+    // A new code would reset the guesses of a locked out account
+    const attemptCheck = await authAttemptService.checkAttempt('password_reset', {
+      email,
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+    if (!attemptCheck.success) {
+      return respondTooManyAttempts(res, attemptCheck);
+    }
+
     // Check if user exists
     const user = await User.findOne({ where: { email } });
     if (!user) {
@@ -1815,10 +2356,17 @@ exports.forgotPassword = async (req, res) => {
 exports.verifyResetOTP = async (req, res) => {
   try {
     const { email, otp } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
+    const attemptCheck = await authAttemptService.checkAttempt('password_reset', { email, ipAddress });
+    if (!attemptCheck.success) {
+      return respondTooManyAttempts(res, attemptCheck);
+    }
 
     // Find user by email
     const user = await User.findOne({ where: { email } });
     if (!user) {
+      await authAttemptService.recordFailure('password_reset', { ipAddress });
       return res.status(404).json({
         success: false,
         message: 'No account found with this email address'
@@ -1850,8 +2398,14 @@ exports.verifyResetOTP = async (req, res) => {
       });
     }
 
-    // Check maximum attempts (limit to 5 attempts)
-    if (otpRecord.attempts >= 5) {
+    // Use up one guess before comparing, so parallel requests cannot get
+    // more than OTP_MAX_ATTEMPTS guesses at the code
+    const [reserved] = await PasswordResetOTP.update(
+      { attempts: db.sequelize.literal('attempts + 1') },
+      { where: { id: otpRecord.id, attempts: { [db.Sequelize.Op.lt]: OTP_MAX_ATTEMPTS } } }
+    );
+    if (reserved === 0) {
+      await otpRecord.destroy();
       return res.status(400).json({
         success: false,
         message: 'Maximum verification attempts exceeded. Please request a new OTP.'
@@ -1861,19 +2415,27 @@ exports.verifyResetOTP = async (req, res) => {
     // Verify OTP
     const isOTPValid = await bcrypt.compare(otp, otpRecord.otp);
 
-    // Increment attempts
-    await otpRecord.update({
-      attempts: otpRecord.attempts + 1
-    });
-
     if (!isOTPValid) {
-      const remainingAttempts = 5 - (otpRecord.attempts + 1);
+      await authAttemptService.recordFailure('password_reset', { email, ipAddress });
+
+      // The last guess invalidates the code
+      const remainingAttempts = OTP_MAX_ATTEMPTS - (otpRecord.attempts + 1);
+      if (remainingAttempts <= 0) {
+        await otpRecord.destroy();
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid OTP. Maximum verification attempts exceeded. Please request a new OTP.'
+        });
+      }
+
       return res.status(400).json({
         success: false,
         message: `Invalid OTP. ${remainingAttempts} attempt(s) remaining.`
       });
     }
 
+    await authAttemptService.clearFailures('password_reset', email);
+
     // Mark OTP as verified
     await otpRecord.update({
       is_verified: true,
@@ -1981,19 +2543,8 @@ exports.resetPassword = async (req, res) => {
     });
 
     // Invalidate all active sessions for security
-    await SessionLog.update(
-      {
-        is_active: false,
-        revoked_at: new Date(),
-        reason: 'Password reset'
-      },
-      {
-        where: {
-          user_id: user.id,
-          is_active: true
-        }
-      }
-    );
+    await sessionService.revokeAllSessions(user.id, 'Password reset');
+    disconnectUser(req.app.get('io'), user.id, 'Password reset');
 
     // Send password changed confirmation email
     try {
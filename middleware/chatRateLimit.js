@@ -34,8 +34,8 @@ const messageRateLimit = rateLimit({
     });
   },
   skip: (req) => {
-    // Skip rate limiting for system messages or admin users
-    return req.body?.messageType === 'system' || req.user?.role === 'admin';
+    // Skip rate limiting for admin users
+    return req.user?.roles?.includes('admin');
   }
 });
 
@@ -1,4 +1,5 @@
 const { body, param, query } = require('express-validator');
+const { CHAT: { MUTE_DURATIONS } } = require('../utils/constants');
 
 /**
  * Chat Validation Middleware
@@ -61,8 +62,8 @@ const validateSendMessage = [
   
   body('messageType')
     .optional()
-    .isIn(['text', 'image', 'video', 'audio', 'file', 'system'])
-    .withMessage('Message type must be one of: text, image, video, audio, file, system'),
+    .isIn(['text', 'image', 'video', 'audio', 'file'])
+    .withMessage('Message type must be one of: text, image, video, audio, file'),
   
   body('replyToMessageId')
     .optional()
@@ -74,31 +75,20 @@ const validateSendMessage = [
     .isInt({ min: 1 })
     .withMessage('Forward from message ID must be a positive integer'),
   
-  body('attachmentUrl')
-    .optional()
-    .isURL()
-    .withMessage('Attachment URL must be a valid URL'),
-  
-  body('attachmentName')
-    .optional()
-    .isLength({ min: 1, max: 255 })
-    .withMessage('Attachment name must be between 1 and 255 characters')
-    .trim(),
-  
-  body('attachmentSize')
+  body('attachmentId')
     .optional()
-    .isInt({ min: 0, max: 100000000 }) // 100MB max
-    .withMessage('Attachment size must be between 0 and 100MB'),
+    .isInt({ min: 1 })
+    .withMessage('Attachment ID must be a positive integer'),
   
-  body('attachmentMimeType')
-    .optional()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Attachment MIME type must be between 1 and 100 characters')
-    .trim(),
+  // Files are uploaded and scanned first; their URL is never taken from the client
+  body('attachmentUrl')
+    .not()
+    .exists()
+    .withMessage('Upload attachments with POST /api/chat/attachments and send them by attachmentId'),
   
   // Custom validation to ensure either content or attachment is provided
   body().custom((value) => {
-    if (!value.content && !value.attachmentUrl) {
+    if (!value.content && !value.attachmentId) {
       throw new Error('Either content or attachment must be provided');
     }
     return true;
@@ -123,6 +113,28 @@ const validateMessageId = [
     .withMessage('Message ID must be a positive integer')
 ];
 
+/**
+ * Validation for muting a conversation
+ */
+const validateMuteConversation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Conversation ID must be a positive integer'),
+
+  body('duration')
+    .isIn(Object.keys(MUTE_DURATIONS))
+    .withMessage(`Duration must be one of: ${Object.keys(MUTE_DURATIONS).join(', ')}`)
+];
+
+/**
+ * Validation for attachment ID parameter
+ */
+const validateAttachmentId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Attachment ID must be a positive integer')
+];
+
 /**
  * Validation for user ID parameter
  */
@@ -168,7 +180,39 @@ const validateSearch = [
   query('conversation_id')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Conversation ID must be a positive integer')
+    .withMessage('Conversation ID must be a positive integer'),
+  
+  query('sender_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Sender ID must be a positive integer'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be ISO 8601 dates'),
+  
+  query('type')
+    .optional()
+    .custom(value => String(value).split(',').every(type =>
+      ['text', 'image', 'video', 'audio', 'file', 'system'].includes(type.trim())
+    ))
+    .withMessage('type must be a comma-separated list of text, image, video, audio, file or system'),
+  
+  query('has_attachment')
+    .optional()
+    .isBoolean()
+    .withMessage('has_attachment must be true or false'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Page must be a positive integer between 1 and 1000'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be a positive integer between 1 and 50')
 ];
 
 /**
@@ -281,7 +325,98 @@ const validateEditMessage = [
 const validateDeleteMessage = [
   param('id')
     .isInt({ min: 1 })
-    .withMessage('Message ID must be a positive integer')
+    .withMessage('Message ID must be a positive integer'),
+  
+  query('scope')
+    .optional()
+    .isIn(['me', 'everyone'])
+    .withMessage('Scope must be either "me" or "everyone"')
+];
+
+/**
+ * Validation for forwarding a message
+ */
+const validateForwardMessage = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Message ID must be a positive integer'),
+  
+  body('conversationIds')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Conversation IDs must be an array with 1-10 conversations'),
+  
+  body('conversationIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each conversation ID must be a positive integer')
+];
+
+/**
+ * Validation for reacting to a message
+ */
+const validateReaction = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Message ID must be a positive integer'),
+  
+  body('emoji')
+    .isString()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('Emoji must be between 1 and 32 characters')
+];
+
+/**
+ * Validation for chat privacy settings
+ */
+const validatePrivacySettings = [
+  body('hideLastSeen')
+    .isBoolean()
+    .withMessage('hideLastSeen must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation for message-ID cursors (before / after / around)
+ */
+const validateMessageCursor = [
+  query(['before', 'after', 'around'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Message cursors must be positive integers'),
+  
+  query().custom((value, { req }) => {
+    const cursors = ['before', 'after', 'around'].filter(name => req.query[name] !== undefined);
+    if (cursors.length > 1) {
+      throw new Error('Use only one of before, after or around');
+    }
+    return true;
+  })
+];
+
+/**
+ * Validation for acknowledging message delivery
+ */
+const validateMarkDelivered = [
+  body('messageIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Message IDs must be an array with 1-500 messages'),
+  
+  body('messageIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each message ID must be a positive integer')
+];
+
+/**
+ * Validation for syncing chat changes since a cursor
+ */
+const validateSync = [
+  query('since')
+    .isISO8601()
+    .withMessage('since must be an ISO 8601 timestamp'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
 ];
 
 /**
@@ -327,12 +462,20 @@ module.exports = {
   validatePagination,
   validateSearch,
   validateFileUpload,
+  validateAttachmentId,
+  validateMuteConversation,
   validateUpdateConversation,
   validateAddMembers,
   validateRemoveMembers,
   validateUpdateMemberRole,
   validateEditMessage,
   validateDeleteMessage,
+  validateForwardMessage,
+  validateReaction,
+  validatePrivacySettings,
+  validateMarkDelivered,
+  validateSync,
+  validateMessageCursor,
   validateRateLimit,
   sanitizeChatContent
 };
\ No newline at end of file
@@ -24,9 +24,9 @@ const SECURITY_CONFIG = {
   // Allowed file types
   allowedMimeTypes: {
     image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'],
-    video: ['video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/webm'],
+    video: ['video/mp4', 'video/avi', 'video/mov', 'video/quicktime', 'video/wmv', 'video/webm'],
     document: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'],
-    audio: ['audio/mp3', 'audio/wav', 'audio/ogg', 'audio/m4a'],
+    audio: ['audio/mp3', 'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/m4a', 'audio/x-m4a', 'audio/mp4', 'audio/aac', 'audio/webm'],
     archive: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream']
   },
   
@@ -1,99 +1,93 @@
-const jwt = require('jsonwebtoken');
 const db = require('../models');
-const TokenBlacklist = db.TokenBlacklist;
-const SessionLog = db.SessionLog;
+const User = db.User;
+const logger = require('../utils/logger');
+const sessionService = require('../services/sessionService');
 
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token required'
-      });
-    }
+    // Blacklist, token type and session state are checked in one place,
+    // shared with the Socket.io handshake
+    const result = await sessionService.verifyAccessToken(token);
 
-    // Check if token is blacklisted
-    const blacklistedToken = await TokenBlacklist.findOne({
-      where: { token: token }
-    });
-
-    if (blacklistedToken) {
-      return res.status(401).json({
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: 'Token has been revoked'
+        message: result.error
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    if (decoded.type !== 'access') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token type'
-      });
-    }
+    const { decoded } = result.data;
 
-    // Check if session is still active (single device login enforcement)
-    if (decoded.sessionId) {
-      const session = await SessionLog.findOne({
-        where: {
-          session_id: decoded.sessionId,
-          user_id: decoded.userId
-        }
-      });
+    // Add user info to request
+    req.user = {
+      id: decoded.userId,
+      email: decoded.email,
+      roles: decoded.roles || ['user'],
+      sessionId: decoded.sessionId
+    };
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
 
-      if (!session) {
+// Restrict a route to users holding at least one of the given roles.
+// Must be used after authenticateToken. Roles are read from the database
+// because access tokens are long-lived and may carry outdated roles.
+const authorize = (...allowedRoles) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
         return res.status(401).json({
           success: false,
-          message: 'Session not found'
+          message: 'Access token required'
         });
       }
 
-      if (!session.is_active) {
+      const user = await User.findByPk(req.user.id, { attributes: ['id', 'roles'] });
+      if (!user) {
         return res.status(401).json({
           success: false,
-          message: 'Session has been revoked. Please login again.'
+          message: 'User not found'
         });
       }
 
-      // Update last_used_at timestamp
-      await session.update({ last_used_at: new Date() });
-    }
+      req.user.roles = user.roles || ['user'];
 
-    // Add user info to request
-    req.user = {
-      id: decoded.userId,
-      email: decoded.email,
-      sessionId: decoded.sessionId
-    };
+      if (!req.user.roles.some(role => allowedRoles.includes(role))) {
+        logger.warn('Access denied: missing role', {
+          userId: req.user.id,
+          roles: req.user.roles,
+          requiredRoles: allowedRoles,
+          requestId: req.requestId,
+          path: req.originalUrl,
+          method: req.method
+        });
 
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid access token'
-      });
-    }
+        return res.status(403).json({
+          success: false,
+          message: 'You are not authorized to access this resource'
+        });
+      }
 
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+      next();
+    } catch (error) {
+      return res.status(500).json({
         success: false,
-        message: 'Access token expired'
+        message: 'Internal server error'
       });
     }
-
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
-  }
+  };
 };
 
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  authorize
 }; 
\ No newline at end of file
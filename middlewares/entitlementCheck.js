@@ -0,0 +1,102 @@
+const entitlementService = require("../services/entitlementService");
+const logger = require("../utils/logger");
+
+/**
+ * Middleware factory to require a subscription entitlement.
+ * Feature entitlements (e.g. 'see_right_swipes') must be enabled for the
+ * user's tier; quota entitlements (e.g. 'daily_swipes') must have usage left.
+ * Responds 403 with the data the app needs to show a paywall.
+ * @param {string} name - Entitlement name from iap.config TIER_ENTITLEMENTS
+ */
+const requireEntitlement = (name) => {
+  return async (req, res, next) => {
+    try {
+      const userId = req.user?.id;
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: "Authentication required"
+        });
+      }
+
+      const result = await entitlementService.checkEntitlement(userId, name);
+
+      if (!result.allowed) {
+        logger.info('Entitlement check failed', {
+          userId,
+          entitlement: name,
+          tier: result.tier,
+          limit: result.limit,
+          used: result.used,
+          requestId: req.requestId,
+          path: req.path
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: result.used !== null
+            ? "You have reached the limit for your plan. Upgrade to continue."
+            : "This feature requires a premium subscription",
+          data: {
+            entitlement: name,
+            tier: result.tier,
+            limit: result.limit,
+            used: result.used,
+            upgrade_required: true
+          }
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      logger.error("Error in requireEntitlement middleware", {
+        requestId: req.requestId,
+        entitlement: name,
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+        error: process.env.NODE_ENV === "development" ? error.message : undefined
+      });
+    }
+  };
+};
+
+/**
+ * Middleware to apply the user's attachment size entitlement to the next
+ * upload middleware (sets req.uploadMaxFileSize in bytes)
+ */
+const applyAttachmentLimit = async (req, res, next) => {
+  try {
+    const result = await entitlementService.checkEntitlement(req.user.id, 'max_attachment_mb');
+
+    if (result.limit) {
+      req.uploadMaxFileSize = result.limit * 1024 * 1024;
+    }
+
+    next();
+
+  } catch (error) {
+    logger.error("Error in applyAttachmentLimit middleware", {
+      requestId: req.requestId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  requireEntitlement,
+  applyAttachmentLimit
+};
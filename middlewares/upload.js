@@ -11,9 +11,11 @@ const uploadsDir = path.join(__dirname, '../uploads');
 const imagesDir = path.join(uploadsDir, 'images');
 const audioDir = path.join(uploadsDir, 'audio');
 const documentsDir = path.join(uploadsDir, 'documents');
+const chatAttachmentsDir = path.join(uploadsDir, 'chat');
+const chatThumbnailsDir = path.join(chatAttachmentsDir, 'thumbnails');
 
 // Ensure all directories exist
-const directories = [uploadsDir, imagesDir, audioDir, documentsDir];
+const directories = [uploadsDir, imagesDir, audioDir, documentsDir, chatAttachmentsDir, chatThumbnailsDir];
 directories.forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
@@ -188,7 +190,19 @@ const validateFileAccess = (filePath) => {
 };
 
 // Enhanced file validation function for streaming uploads
-const isValidFileType = (mimetype, filename) => {
+// allowedTypes optionally replaces the default list with a { mimetype: [extensions] } map
+const isValidFileType = (mimetype, filename, allowedTypes = null) => {
+  if (allowedTypes) {
+    const extension = path.extname(filename || '').toLowerCase();
+    if (!allowedTypes[mimetype]) {
+      return { valid: false, error: `File type ${mimetype} is not allowed. Allowed types: ${Object.keys(allowedTypes).join(', ')}` };
+    }
+    if (!allowedTypes[mimetype].includes(extension)) {
+      return { valid: false, error: `File extension ${extension} doesn't match MIME type ${mimetype}` };
+    }
+    return { valid: true };
+  }
+
   // Check if file type is allowed
   if (!constants.FILE_UPLOAD.ALLOWED_TYPES.includes(mimetype)) {
     return { valid: false, error: `File type ${mimetype} is not allowed. Allowed types: ${constants.FILE_UPLOAD.ALLOWED_TYPES.join(', ')}` };
@@ -224,10 +238,15 @@ const createStreamingUploadMiddleware = (options = {}) => {
   const {
     fieldNames = ['attachments', 'attachment', 'profile_image'],
     maxFiles = 10,
-    maxFileSize = constants.FILE_UPLOAD.MAX_SIZE
+    maxFileSize = constants.FILE_UPLOAD.MAX_SIZE,
+    allowedTypes = null, // { mimetype: [extensions] }; defaults to FILE_UPLOAD.ALLOWED_TYPES
+    destination = null // Directory for every file; defaults to one per category
   } = options;
 
   return (req, res, next) => {
+    // Plan-based limit set by applyAttachmentLimit, never above the hard limit
+    const fileSizeLimit = Math.min(req.uploadMaxFileSize || maxFileSize, maxFileSize);
+
     // Store files array to maintain compatibility with existing controllers
     req.files = [];
     req.file = null; // For single file uploads
@@ -236,11 +255,12 @@ const createStreamingUploadMiddleware = (options = {}) => {
     let filesProcessed = 0;
     let totalSize = 0;
     const errors = [];
+    const pendingWrites = []; // Busboy can finish before the last file is flushed to disk
 
     const busboy = Busboy({ 
       headers: req.headers,
       limits: {
-        fileSize: maxFileSize,
+        fileSize: fileSizeLimit + 1, // Allow one extra byte so oversized files are rejected, not truncated
         files: maxFiles + 1 // Allow one extra to detect overflow
       }
     });
@@ -260,7 +280,7 @@ const createStreamingUploadMiddleware = (options = {}) => {
       }
 
       // Validate file type
-      const validation = isValidFileType(mimeType, filename);
+      const validation = isValidFileType(mimeType, filename, allowedTypes);
       if (!validation.valid) {
         file.resume(); // Drain the stream
         errors.push(validation.error);
@@ -268,7 +288,7 @@ const createStreamingUploadMiddleware = (options = {}) => {
       }
 
       // Determine destination directory
-      const { dir } = getFileCategory(mimeType);
+      const { dir } = destination ? { dir: destination } : (getFileCategory(mimeType) || {});
       if (!dir) {
         file.resume(); // Drain the stream
         errors.push(`Unsupported file category for ${mimeType}`);
@@ -283,6 +303,7 @@ const createStreamingUploadMiddleware = (options = {}) => {
 
       // Create write stream
       const writeStream = fs.createWriteStream(filePath);
+      pendingWrites.push(new Promise(resolve => writeStream.on('close', resolve)));
       let fileSize = 0;
       let isComplete = false;
 
@@ -295,16 +316,17 @@ const createStreamingUploadMiddleware = (options = {}) => {
         if (totalSize > maxFileSize * maxFiles) { // Allow reasonable total size
           writeStream.destroy();
           file.resume();
+          fs.unlink(filePath, () => {}); // Cleanup partial file
           errors.push(`Total upload size exceeds limit`);
           return;
         }
 
         // Check individual file size limit
-        if (fileSize > maxFileSize) {
+        if (fileSize > fileSizeLimit) {
           writeStream.destroy();
           file.resume();
           fs.unlink(filePath, () => {}); // Cleanup partial file
-          errors.push(`File ${filename} too large. Maximum size allowed is ${maxFileSize / (1024 * 1024)}MB`);
+          errors.push(`File ${filename} too large. Maximum size allowed is ${fileSizeLimit / (1024 * 1024)}MB`);
           return;
         }
 
@@ -375,7 +397,9 @@ const createStreamingUploadMiddleware = (options = {}) => {
       });
     });
 
-    busboy.on('finish', () => {
+    busboy.on('finish', async () => {
+      await Promise.all(pendingWrites);
+
       if (errors.length > 0) {
         // Cleanup any uploaded files on error
         if (req.files && req.files.length > 0) {
@@ -446,6 +470,15 @@ const uploadProfileImageStreaming = createStreamingUploadMiddleware({
   maxFiles: 1
 });
 
+// Chat attachments are scanned and post-processed by chatAttachmentService
+const uploadChatAttachmentStreaming = createStreamingUploadMiddleware({
+  fieldNames: ['file'],
+  maxFiles: 1,
+  maxFileSize: constants.CHAT_ATTACHMENTS.MAX_SIZE,
+  allowedTypes: constants.CHAT_ATTACHMENTS.TYPES,
+  destination: chatAttachmentsDir
+});
+
 // Conditional upload middleware - only processes multipart/form-data, skips JSON
 const conditionalUploadMiddleware = (uploadMiddleware) => {
   return (req, res, next) => {
@@ -482,6 +515,7 @@ module.exports = {
   uploadSingleStreaming,
   uploadMultipleStreaming,
   uploadProfileImageStreaming,
+  uploadChatAttachmentStreaming,
   
   // Conditional uploads (handle both JSON and multipart)
   uploadProfileImageConditional,
@@ -502,5 +536,7 @@ module.exports = {
   uploadsDir,
   imagesDir,
   audioDir,
-  documentsDir
+  documentsDir,
+  chatAttachmentsDir,
+  chatThumbnailsDir
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { AUTH_PROVIDERS } = require('../utils/constants');
 
 // Common validation patterns
 const patterns = {
@@ -27,6 +28,28 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Referral code entered at sign-up (optional)
+const referredByRule = body('referred_by')
+  .optional()
+  .custom((value) => {
+    // Allow null, undefined, or empty string
+    if (value === null || value === undefined || value === '') {
+      return true;
+    }
+    // If value is provided, trim and validate
+    const trimmedValue = value.trim();
+    if (trimmedValue === '') {
+      return true; // Allow empty string after trimming
+    }
+    if (trimmedValue.length !== 6) {
+      throw new Error('Referral code must be 6 characters long');
+    }
+    if (!/^[a-zA-Z0-9]+$/.test(trimmedValue)) {
+      throw new Error('Referral code can only contain letters and numbers');
+    }
+    return true;
+  });
+
 // User registration validation
 const validateUserRegistration = [
   body('name')
@@ -56,26 +79,7 @@ const validateUserRegistration = [
     .matches(patterns.password)
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
   
-  body('referred_by')
-    .optional()
-    .custom((value) => {
-      // Allow null, undefined, or empty string
-      if (value === null || value === undefined || value === '') {
-        return true;
-      }
-      // If value is provided, trim and validate
-      const trimmedValue = value.trim();
-      if (trimmedValue === '') {
-        return true; // Allow empty string after trimming
-      }
-      if (trimmedValue.length !== 6) {
-        throw new Error('Referral code must be 6 characters long');
-      }
-      if (!/^[a-zA-Z0-9]+$/.test(trimmedValue)) {
-        throw new Error('Referral code can only contain letters and numbers');
-      }
-      return true;
-    }),
+  referredByRule,
 
   handleValidationErrors
 ];
@@ -94,6 +98,12 @@ const validateUserLogin = [
     .notEmpty()
     .withMessage('Password is required'),
   
+  body('device_name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be at most 100 characters'),
+  
   handleValidationErrors
 ];
 
@@ -746,15 +756,33 @@ const validatePostUpdate = [
   handleValidationErrors
 ];
 
+// Answer to a two-factor challenge, sent with actions that 2FA guards.
+// Only needed when the account has 2FA on, so every field is optional.
+const twoFactorAnswerRules = [
+  body('challenge_token')
+    .optional()
+    .isString()
+    .withMessage('Challenge token must be a string'),
+  
+  body('code')
+    .if(body('challenge_token').exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required with a challenge token')
+    .isLength({ max: 20 })
+    .withMessage('Code must be at most 20 characters'),
+  
+  body('method')
+    .optional()
+    .isIn(['totp', 'backup_code', 'email'])
+    .withMessage('Method must be one of: totp, backup_code, email')
+];
+
 // Change password validation
 const validateChangePassword = [
-  body('email')
-    .trim()
+  body('current_password')
     .notEmpty()
-    .withMessage('Email is required')
-    .isEmail()
-    .withMessage('Please provide a valid email address')
-    .normalizeEmail({ gmail_remove_dots: false }),
+    .withMessage('Current password is required'),
   
   body('new_password')
     .notEmpty()
@@ -764,6 +792,8 @@ const validateChangePassword = [
     .matches(patterns.password)
     .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
   
+  ...twoFactorAnswerRules,
+  
   handleValidationErrors
 ];
 
@@ -796,6 +826,49 @@ const validateFeedback = [
   handleValidationErrors
 ];
 
+// Skill review validation
+const validateSkillReview = [
+  body('user_skill_id')
+    .notEmpty()
+    .withMessage('User skill ID is required')
+    .isInt({ min: 1 })
+    .withMessage('User skill ID must be a positive integer'),
+  
+  body('rating')
+    .notEmpty()
+    .withMessage('Rating is required')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Comment must not exceed 255 characters'),
+  
+  handleValidationErrors
+];
+
+// Skill review update validation
+const validateSkillReviewUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Review ID must be a positive integer'),
+  
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Comment must not exceed 255 characters'),
+  
+  handleValidationErrors
+];
+
 // Forgot password validation
 const validateForgotPassword = [
   body('email')
@@ -849,6 +922,120 @@ const validateResetPassword = [
   handleValidationErrors
 ];
 
+// Two-factor login validation
+const validateTwoFactorLogin = [
+  body('challenge_token')
+    .notEmpty()
+    .withMessage('Challenge token is required')
+    .isString()
+    .withMessage('Challenge token must be a string'),
+  
+  ...twoFactorAnswerRules,
+  
+  body('device_name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be at most 100 characters'),
+  
+  handleValidationErrors
+];
+
+// Two-factor email code request validation
+const validateTwoFactorChallenge = [
+  body('challenge_token')
+    .notEmpty()
+    .withMessage('Challenge token is required')
+    .isString()
+    .withMessage('Challenge token must be a string'),
+  
+  handleValidationErrors
+];
+
+// Two-factor enrolment validation (code from the authenticator app)
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Code must be 6 digits')
+    .isNumeric()
+    .withMessage('Code must contain only numbers'),
+  
+  handleValidationErrors
+];
+
+// Actions guarded by two-factor authentication
+const validateTwoFactorAnswer = [
+  ...twoFactorAnswerRules,
+  
+  handleValidationErrors
+];
+
+// Google or Apple, in the route path
+const authProviderRule = param('provider')
+  .isIn(Object.values(AUTH_PROVIDERS))
+  .withMessage(`Provider must be one of: ${Object.values(AUTH_PROVIDERS).join(', ')}`);
+
+// ID token from the provider's SDK, and the nonce the client used
+const idTokenRules = [
+  body('id_token')
+    .notEmpty()
+    .withMessage('ID token is required')
+    .isString()
+    .withMessage('ID token must be a string')
+    .isLength({ max: 8192 })
+    .withMessage('ID token is too long'),
+  
+  body('nonce')
+    .optional()
+    .isString()
+    .withMessage('Nonce must be a string')
+    .isLength({ max: 255 })
+    .withMessage('Nonce must be at most 255 characters')
+];
+
+// Google or Apple sign-in validation
+const validateSocialSignIn = [
+  authProviderRule,
+  
+  ...idTokenRules,
+  
+  // Apple shares the user's name with the app only, and only on the first sign-in
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  
+  referredByRule,
+  
+  body('device_name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be at most 100 characters'),
+  
+  handleValidationErrors
+];
+
+// Link a Google or Apple account validation
+const validateLinkAuthProvider = [
+  authProviderRule,
+  
+  ...idTokenRules,
+  
+  handleValidationErrors
+];
+
+// Unlink a Google or Apple account validation
+const validateAuthProvider = [
+  authProviderRule,
+  
+  handleValidationErrors
+];
+
 // Resend registration OTP validation
 const validateResendRegistrationOTP = [
   body('email')
@@ -885,9 +1072,18 @@ module.exports = {
   validatePostUpdate,
   validateChangePassword,
   validateFeedback,
+  validateSkillReview,
+  validateSkillReviewUpdate,
   validateForgotPassword,
   validateVerifyOTP,
   validateResetPassword,
   validateResendRegistrationOTP,
+  validateTwoFactorLogin,
+  validateTwoFactorChallenge,
+  validateTwoFactorCode,
+  validateTwoFactorAnswer,
+  validateSocialSignIn,
+  validateLinkAuthProvider,
+  validateAuthProvider,
   patterns
 };
\ No newline at end of file
@@ -0,0 +1,5 @@
+-- Migration: Allow moderators to hide posts
+-- Description: Adds 'hidden' to the posts.status ENUM used by the admin moderation API
+-- Date: 2026-10-19
+
+ALTER TYPE "enum_posts_status" ADD VALUE IF NOT EXISTS 'hidden';
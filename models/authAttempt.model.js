@@ -0,0 +1,74 @@
+module.exports = (sequelize, DataTypes) => {
+  const AuthAttempt = sequelize.define("auth_attempts", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    action: {
+      type: DataTypes.ENUM('login', 'password_reset', 'registration'),
+      allowNull: false,
+      comment: 'What was attempted: a login or an OTP verification'
+    },
+    scope: {
+      type: DataTypes.ENUM('account', 'ip'),
+      allowNull: false,
+      comment: 'Whether the counter belongs to an email address or an IP address'
+    },
+    identifier: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Lowercased email address or IP address'
+    },
+    failed_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Failures in the current window'
+    },
+    window_started_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'First failure of the current window'
+    },
+    last_failed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Attempts are refused until this time'
+    },
+    lockout_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Lockouts in a row; each one lasts twice as long as the last'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'auth_attempts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['action', 'scope', 'identifier']
+      },
+      {
+        fields: ['updated_at']
+      }
+    ]
+  });
+
+  return AuthAttempt;
+};
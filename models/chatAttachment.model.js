@@ -0,0 +1,113 @@
+module.exports = (sequelize, DataTypes) => {
+  const ChatAttachment = sequelize.define("chat_attachments", {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    uploader_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    message_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'messages',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+      comment: 'Null until the upload is sent in a message'
+    },
+    kind: {
+      type: DataTypes.ENUM('image', 'video', 'audio', 'file'),
+      allowNull: false,
+      comment: 'Becomes the message_type of the message it is sent in'
+    },
+    file_path: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Path relative to the uploads directory; shared by forwarded copies'
+    },
+    thumbnail_path: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'JPEG preview for images and videos, relative to the uploads directory'
+    },
+    file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Original filename'
+    },
+    mime_type: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: 'Size in bytes'
+    },
+    hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 of the file from the security scan'
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    duration_seconds: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      comment: 'Length of audio and video'
+    },
+    waveform: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Audio peaks from 0 to 100 for drawing voice notes'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'chat_attachments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['uploader_id', 'message_id']
+      },
+      {
+        fields: ['message_id']
+      },
+      {
+        fields: ['file_path']
+      }
+    ]
+  });
+
+  ChatAttachment.associate = (models) => {
+    ChatAttachment.belongsTo(models.User, { foreignKey: 'uploader_id', as: 'uploader' });
+    ChatAttachment.belongsTo(models.Message, { foreignKey: 'message_id', as: 'message' });
+  };
+
+  return ChatAttachment;
+};
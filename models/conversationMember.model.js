@@ -36,11 +36,47 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: false,
       comment: 'Whether the user has muted this conversation'
     },
+    muted_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the mute ends (null while muted means muted until turned off)'
+    },
     is_pinned: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
       comment: 'Whether the user has pinned this conversation'
     },
+    pinned_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the conversation was pinned; most recently pinned is listed first'
+    },
+    is_archived: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether the user has archived this conversation'
+    },
+    archived_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cleared_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Messages sent up to this time are hidden from this user (clear history)'
+    },
+    request_status: {
+      type: DataTypes.ENUM('pending', 'accepted', 'declined'),
+      allowNull: false,
+      defaultValue: 'accepted',
+      comment: 'Message request state of a private chat started by a stranger; only the recipient is ever pending'
+    },
+    request_responded_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the recipient accepted, declined or blocked the message request'
+    },
     last_read_message_id: {
       type: DataTypes.BIGINT,
       allowNull: true,
@@ -84,6 +120,12 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['left_at']
+      },
+      {
+        fields: ['user_id', 'is_archived']
+      },
+      {
+        fields: ['user_id', 'request_status']
       }
     ]
   });
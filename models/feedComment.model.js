@@ -90,6 +90,7 @@ module.exports = (sequelize, DataTypes) => {
     FeedComment.belongsTo(models.User, { foreignKey: 'user_id', as: 'user' });
     FeedComment.belongsTo(models.FeedComment, { foreignKey: 'parent_comment_id', as: 'parentComment' });
     FeedComment.hasMany(models.FeedComment, { foreignKey: 'parent_comment_id', as: 'replies' });
+    FeedComment.hasMany(models.FeedCommentLike, { foreignKey: 'feed_comment_id', as: 'likes' });
   };
 
   return FeedComment;
@@ -0,0 +1,48 @@
+module.exports = (sequelize, DataTypes) => {
+  const FeedCommentLike = sequelize.define("feed_comment_likes", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    feed_comment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'feed_comments',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'feed_comment_likes',
+    timestamps: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['feed_comment_id', 'user_id']
+      },
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  FeedCommentLike.associate = (models) => {
+    FeedCommentLike.belongsTo(models.FeedComment, { foreignKey: 'feed_comment_id', as: 'comment' });
+    FeedCommentLike.belongsTo(models.User, { foreignKey: 'user_id', as: 'user' });
+  };
+
+  return FeedCommentLike;
+};
@@ -53,6 +53,10 @@ db.Conversation = require("./conversation.model")(sequelize, Sequelize.DataTypes
 db.ConversationMember = require("./conversationMember.model")(sequelize, Sequelize.DataTypes);
 db.Message = require("./message.model")(sequelize, Sequelize.DataTypes);
 db.MessageStatus = require("./messageStatus.model")(sequelize, Sequelize.DataTypes);
+db.MessageDeletion = require("./messageDeletion.model")(sequelize, Sequelize.DataTypes);
+db.MessageReaction = require("./messageReaction.model")(sequelize, Sequelize.DataTypes);
+db.MessageSearchToken = require("./messageSearchToken.model")(sequelize, Sequelize.DataTypes);
+db.ChatAttachment = require("./chatAttachment.model")(sequelize, Sequelize.DataTypes);
 db.TypingStatus = require("./typingStatus.model")(sequelize, Sequelize.DataTypes);
 db.Notification = require("./notification.model")(sequelize, Sequelize.DataTypes);
 db.NotificationSettings = require("./notificationSettings.model")(sequelize, Sequelize.DataTypes);
@@ -63,6 +67,7 @@ db.FeedPost = require("./feedPost.model")(sequelize, Sequelize.DataTypes);
 db.FeedAttachment = require("./feedAttachment.model")(sequelize, Sequelize.DataTypes);
 db.FeedLike = require("./feedLike.model")(sequelize, Sequelize.DataTypes);
 db.FeedComment = require("./feedComment.model")(sequelize, Sequelize.DataTypes);
+db.FeedCommentLike = require("./feedCommentLike.model")(sequelize, Sequelize.DataTypes);
 db.FeedShare = require("./feedShare.model")(sequelize, Sequelize.DataTypes);
 db.FeedFollow = require("./feedFollow.model")(sequelize, Sequelize.DataTypes);
 db.FeedView = require("./feedView.model")(sequelize, Sequelize.DataTypes);
@@ -70,10 +75,14 @@ db.FeedView = require("./feedView.model")(sequelize, Sequelize.DataTypes);
 // Report models
 db.PostReport = require("./postReport.model")(sequelize, Sequelize.DataTypes);
 db.FeedPostReport = require("./feedPostReport.model")(sequelize, Sequelize.DataTypes);
+db.ModerationAuditLog = require("./moderationAuditLog.model")(sequelize, Sequelize.DataTypes);
 
 // Post swipe/interaction model
 db.PostSwipe = require("./postSwipe.model")(sequelize, Sequelize.DataTypes);
 
+// Skill-exchange match model
+db.Match = require("./match.model")(sequelize, Sequelize.DataTypes);
+
 // User block model
 db.UserBlock = require("./userBlock.model")(sequelize, Sequelize.DataTypes);
 
@@ -91,6 +100,17 @@ db.PasswordResetOTP = require("./passwordResetOTP.model")(sequelize, Sequelize.D
 // Pending registration model
 db.PendingRegistration = require("./pendingRegistration.model")(sequelize, Sequelize.DataTypes);
 
+// Failed login and OTP attempt counters
+db.AuthAttempt = require("./authAttempt.model")(sequelize, Sequelize.DataTypes);
+
+// Two-factor authentication models
+db.UserTwoFactor = require("./userTwoFactor.model")(sequelize, Sequelize.DataTypes);
+db.TwoFactorBackupCode = require("./twoFactorBackupCode.model")(sequelize, Sequelize.DataTypes);
+db.TwoFactorChallenge = require("./twoFactorChallenge.model")(sequelize, Sequelize.DataTypes);
+
+// Google and Apple accounts linked to users
+db.UserAuthProvider = require("./userAuthProvider.model")(sequelize, Sequelize.DataTypes);
+
 // Set up associations
 Object.keys(db).forEach(modelName => {
     if (db[modelName].associate) {
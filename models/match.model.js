@@ -0,0 +1,124 @@
+module.exports = (sequelize, DataTypes) => {
+  const Match = sequelize.define("matches", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    requester_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      comment: 'User who right-swiped the post and proposed the exchange'
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      comment: 'Owner of the post that was right-swiped'
+    },
+    post_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'posts',
+        key: 'id'
+      },
+      comment: 'Post of the owner that the requester is interested in'
+    },
+    requester_post_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'posts',
+        key: 'id'
+      },
+      comment: 'Post of the requester that the owner right-swiped (set on mutual interest)'
+    },
+    status: {
+      type: DataTypes.ENUM('proposed', 'accepted', 'in_progress', 'completed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'proposed'
+    },
+    conversation_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'conversations',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Private conversation opened when the match was accepted'
+    },
+    accepted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'user',
+        key: 'id'
+      }
+    },
+    cancel_reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'matches',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['requester_id', 'post_id'],
+        name: 'unique_match_requester_post'
+      },
+      {
+        fields: ['requester_id', 'status']
+      },
+      {
+        fields: ['owner_id', 'status']
+      }
+    ]
+  });
+
+  Match.associate = (models) => {
+    Match.belongsTo(models.User, { foreignKey: 'requester_id', as: 'requester' });
+    Match.belongsTo(models.User, { foreignKey: 'owner_id', as: 'owner' });
+    Match.belongsTo(models.Post, { foreignKey: 'post_id', as: 'post' });
+    Match.belongsTo(models.Post, { foreignKey: 'requester_post_id', as: 'requesterPost' });
+    Match.belongsTo(models.Conversation, { foreignKey: 'conversation_id', as: 'conversation' });
+  };
+
+  return Match;
+};
@@ -31,11 +31,6 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'Encrypted message content'
     },
-    content_plain: {
-      type: DataTypes.TEXT,
-      allowNull: true,
-      comment: 'Plain text content for search indexing (optional)'
-    },
     message_type: {
       type: DataTypes.ENUM('text', 'image', 'video', 'audio', 'file', 'system'),
       allowNull: false,
@@ -44,7 +39,7 @@ module.exports = (sequelize, DataTypes) => {
     attachment_url: {
       type: DataTypes.TEXT,
       allowNull: true,
-      comment: 'URL to attached file'
+      comment: 'URL to attached file; /api/chat/attachments/:id for uploads'
     },
     attachment_name: {
       type: DataTypes.STRING(255),
@@ -140,6 +135,10 @@ module.exports = (sequelize, DataTypes) => {
     Message.belongsTo(models.Message, { foreignKey: 'reply_to_message_id', as: 'replyToMessage' });
     Message.belongsTo(models.Message, { foreignKey: 'forward_from_message_id', as: 'forwardFromMessage' });
     Message.hasMany(models.MessageStatus, { foreignKey: 'message_id', as: 'statuses' });
+    Message.hasMany(models.MessageDeletion, { foreignKey: 'message_id', as: 'deletions' });
+    Message.hasMany(models.MessageReaction, { foreignKey: 'message_id', as: 'reactions' });
+    Message.hasMany(models.MessageSearchToken, { foreignKey: 'message_id', as: 'searchTokens' });
+    Message.hasOne(models.ChatAttachment, { foreignKey: 'message_id', as: 'attachment' });
     Message.hasMany(models.Message, { foreignKey: 'reply_to_message_id', as: 'replies' });
   };
 
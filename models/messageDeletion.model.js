@@ -0,0 +1,63 @@
+module.exports = (sequelize, DataTypes) => {
+  const MessageDeletion = sequelize.define("message_deletions", {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    message_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'messages',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE',
+      comment: 'User who deleted the message for themselves'
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'message_deletions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['message_id', 'user_id'],
+        unique: true
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  MessageDeletion.associate = (models) => {
+    MessageDeletion.belongsTo(models.Message, { foreignKey: 'message_id', as: 'message' });
+    MessageDeletion.belongsTo(models.User, { foreignKey: 'user_id', as: 'user' });
+  };
+
+  return MessageDeletion;
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+module.exports = (sequelize, DataTypes) => {
+  const MessageReaction = sequelize.define("message_reactions", {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    message_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'messages',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    emoji: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      comment: 'Reaction emoji, one per user per message'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'message_reactions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['message_id', 'user_id'],
+        unique: true
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  MessageReaction.associate = (models) => {
+    MessageReaction.belongsTo(models.Message, { foreignKey: 'message_id', as: 'message' });
+    MessageReaction.belongsTo(models.User, { foreignKey: 'user_id', as: 'user' });
+  };
+
+  return MessageReaction;
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+module.exports = (sequelize, DataTypes) => {
+  const MessageSearchToken = sequelize.define("message_search_tokens", {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    message_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'messages',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    conversation_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: 'Copied from the message so searches can be limited to the user\'s conversations'
+    },
+    token: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      comment: 'Keyed hash of a word or word prefix (blind index); the word itself is never stored'
+    },
+    occurrences: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'How often the word or prefix appears in the message, used for ranking'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'message_search_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['token', 'conversation_id']
+      },
+      {
+        fields: ['message_id']
+      }
+    ]
+  });
+
+  MessageSearchToken.associate = (models) => {
+    MessageSearchToken.belongsTo(models.Message, { foreignKey: 'message_id', as: 'message' });
+  };
+
+  return MessageSearchToken;
+};
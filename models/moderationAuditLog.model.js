@@ -0,0 +1,75 @@
+module.exports = (sequelize, DataTypes) => {
+  const ModerationAuditLog = sequelize.define("moderation_audit_logs", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    moderator_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      comment: 'User who performed the moderation action'
+    },
+    action: {
+      type: DataTypes.ENUM(
+        'report_reviewed',
+        'report_resolved',
+        'report_dismissed',
+        'content_hidden',
+        'content_restored',
+        'user_blocked',
+        'user_unblocked',
+        'role_granted',
+        'role_revoked'
+      ),
+      allowNull: false
+    },
+    target_type: {
+      type: DataTypes.ENUM('post_report', 'feed_post_report', 'post', 'feed_post', 'user'),
+      allowNull: false,
+      comment: 'Kind of record the action was applied to'
+    },
+    target_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Moderator note explaining the action'
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Previous/new state and related record IDs'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'moderation_audit_logs',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['moderator_id', 'created_at']
+      },
+      {
+        fields: ['target_type', 'target_id']
+      },
+      {
+        fields: ['action']
+      }
+    ]
+  });
+
+  ModerationAuditLog.associate = (models) => {
+    ModerationAuditLog.belongsTo(models.User, { foreignKey: 'moderator_id', as: 'moderator' });
+  };
+
+  return ModerationAuditLog;
+};
@@ -42,7 +42,7 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 'online'
     },
     status: {
-      type: DataTypes.ENUM('active', 'hold', 'discussed', 'completed', 'deleted'),
+      type: DataTypes.ENUM('active', 'hold', 'discussed', 'completed', 'deleted', 'hidden'),
       defaultValue: 'active'
     },
     deadline: {
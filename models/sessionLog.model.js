@@ -27,6 +27,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    device_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Name the app gave the device at login, shown in the sessions list'
+    },
     ip_address: {
       type: DataTypes.STRING,
       allowNull: true
@@ -55,7 +60,12 @@ module.exports = (sequelize, DataTypes) => {
     tableName: 'session_logs',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id', 'is_active']
+      }
+    ]
   });
 
   SessionLog.associate = (models) => {
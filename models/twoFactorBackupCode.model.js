@@ -0,0 +1,43 @@
+module.exports = (sequelize, DataTypes) => {
+  const TwoFactorBackupCode = sequelize.define("two_factor_backup_codes", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the normalised recovery code'
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Each code works once'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'two_factor_backup_codes',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['user_id', 'code_hash']
+      }
+    ]
+  });
+
+  return TwoFactorBackupCode;
+};
@@ -0,0 +1,71 @@
+module.exports = (sequelize, DataTypes) => {
+  const TwoFactorChallenge = sequelize.define("two_factor_challenges", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    purpose: {
+      type: DataTypes.ENUM(
+        'login',
+        'change_password',
+        'delete_account',
+        'disable_two_factor',
+        'regenerate_backup_codes'
+      ),
+      allowNull: false,
+      comment: 'Action the challenge unlocks; a challenge cannot be used for another one'
+    },
+    email_otp: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Hashed email fallback code, once requested'
+    },
+    email_otp_sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Wrong codes entered'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    consumed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when verified or invalidated; a challenge works once'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'two_factor_challenges',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  return TwoFactorChallenge;
+};
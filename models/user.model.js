@@ -1,3 +1,5 @@
+const { ROLES } = require('../utils/constants');
+
 module.exports = (sequelize, DataTypes) => {
   const User = sequelize.define("user", {
     id: {
@@ -16,7 +18,8 @@ module.exports = (sequelize, DataTypes) => {
     },
     password: {
       type: DataTypes.STRING,
-      allowNull: false
+      allowNull: true,
+      comment: 'Null for accounts created with Google or Apple sign-in until a password is set'
     },
     referral_code: {
       type: DataTypes.STRING,
@@ -37,10 +40,16 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'Last time the user was active'
     },
+    hide_last_seen: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether last_seen is hidden (and not recorded) for this user'
+    },
     socket_id: {
       type: DataTypes.STRING,
       allowNull: true,
-      comment: 'Current socket connection ID'
+      comment: 'Most recent socket connection ID. Users can have several devices connected; use the user_<id> room to reach them all'
     },
     is_blocked: {
       type: DataTypes.BOOLEAN,
@@ -62,6 +71,20 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 'free',
       comment: 'Current subscription tier of the user'
     },
+    roles: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: ['user'],
+      comment: 'Access roles: user, moderator, admin, support',
+      validate: {
+        isValidRoles(value) {
+          const allowed = Object.values(ROLES);
+          if (!Array.isArray(value) || value.some(role => !allowed.includes(role))) {
+            throw new Error(`Roles must be any of: ${allowed.join(', ')}`);
+          }
+        }
+      }
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -107,6 +130,7 @@ module.exports = (sequelize, DataTypes) => {
     User.hasMany(models.FeedPost, { foreignKey: 'user_id', as: 'feedPosts' });
     User.hasMany(models.FeedLike, { foreignKey: 'user_id', as: 'feedLikes' });
     User.hasMany(models.FeedComment, { foreignKey: 'user_id', as: 'feedComments' });
+    User.hasMany(models.FeedCommentLike, { foreignKey: 'user_id', as: 'feedCommentLikes' });
     User.hasMany(models.FeedShare, { foreignKey: 'user_id', as: 'feedShares' });
     User.hasMany(models.FeedView, { foreignKey: 'user_id', as: 'feedViews' });
     User.hasMany(models.FeedFollow, { foreignKey: 'follower_id', as: 'following' });
@@ -116,6 +140,10 @@ module.exports = (sequelize, DataTypes) => {
     User.hasMany(models.PostReport, { foreignKey: 'reported_by', as: 'postReports' });
     User.hasMany(models.FeedPostReport, { foreignKey: 'reported_by', as: 'feedPostReports' });
     
+    // Match-related associations
+    User.hasMany(models.Match, { foreignKey: 'requester_id', as: 'requestedMatches' });
+    User.hasMany(models.Match, { foreignKey: 'owner_id', as: 'receivedMatches' });
+    
     // Block-related associations
     User.hasMany(models.UserBlock, { foreignKey: 'blocker_id', as: 'blockedUsers' });
     User.hasMany(models.UserBlock, { foreignKey: 'blocked_id', as: 'blockedBy' });
@@ -0,0 +1,68 @@
+const { AUTH_PROVIDERS } = require('../utils/constants');
+
+module.exports = (sequelize, DataTypes) => {
+  const UserAuthProvider = sequelize.define("user_auth_providers", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    provider: {
+      type: DataTypes.ENUM(...Object.values(AUTH_PROVIDERS)),
+      allowNull: false
+    },
+    provider_user_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Subject (sub claim) of the provider ID token; stable for the provider account'
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Email the provider reported when the account was linked; may be an Apple relay address'
+    },
+    last_login_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'user_auth_providers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'provider_user_id']
+      },
+      {
+        unique: true,
+        fields: ['user_id', 'provider']
+      }
+    ]
+  });
+
+  UserAuthProvider.associate = (models) => {
+    UserAuthProvider.belongsTo(models.User, { foreignKey: 'user_id', as: 'user' });
+  };
+
+  return UserAuthProvider;
+};
@@ -0,0 +1,59 @@
+module.exports = (sequelize, DataTypes) => {
+  const UserTwoFactor = sequelize.define("user_two_factor", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'user',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    secret: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Encrypted base32 TOTP secret'
+    },
+    is_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'False until the first code from the authenticator app is confirmed'
+    },
+    enabled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_step: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'TOTP time step of the last accepted code, so a code works only once'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'user_two_factor',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  UserTwoFactor.associate = (models) => {
+    UserTwoFactor.belongsTo(models.User, { foreignKey: 'user_id', as: 'user' });
+  };
+
+  return UserTwoFactor;
+};
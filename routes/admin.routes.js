@@ -0,0 +1,508 @@
+const express = require('express');
+const { param, query, body } = require('express-validator');
+const adminController = require('../controllers/admin.controller');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { handleValidationErrors } = require('../middlewares/validation');
+const { ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+const CONTENT_TYPES = ['post', 'feed_post'];
+
+// Moderation is open to moderators, role management to admins only
+const canModerate = authorize(ROLES.ADMIN, ROLES.MODERATOR);
+const adminOnly = authorize(ROLES.ADMIN);
+
+const validateReportParams = [
+  param('type').isIn(CONTENT_TYPES).withMessage('Type must be post or feed_post'),
+  param('id').isInt({ min: 1 }).withMessage('ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateUserId = [
+  param('id').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateModerationBody = [
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Note must not exceed 1000 characters')
+    .trim(),
+  body('hide_content').optional().isBoolean().withMessage('hide_content must be a boolean'),
+  body('block_author').optional().isBoolean().withMessage('block_author must be a boolean'),
+  handleValidationErrors
+];
+
+const validateRoleChange = [
+  param('id').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  param('role')
+    .optional()
+    .isIn([ROLES.MODERATOR, ROLES.ADMIN, ROLES.SUPPORT])
+    .withMessage('Role must be moderator, admin or support'),
+  body('role')
+    .if((value, { req }) => !req.params.role)
+    .isIn([ROLES.MODERATOR, ROLES.ADMIN, ROLES.SUPPORT])
+    .withMessage('Role must be moderator, admin or support'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Note must not exceed 1000 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+const validateReportFilters = [
+  query('type').optional().isIn(CONTENT_TYPES).withMessage('Type must be post or feed_post'),
+  query('status').optional().isIn(['pending', 'reviewed', 'resolved', 'dismissed']).withMessage('Invalid status'),
+  query('reporter_id').optional().isInt({ min: 1 }).withMessage('reporter_id must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateAuditLogFilters = [
+  query('moderator_id').optional().isInt({ min: 1 }).withMessage('moderator_id must be a positive integer'),
+  query('action')
+    .optional()
+    .isIn(['report_reviewed', 'report_resolved', 'report_dismissed', 'content_hidden', 'content_restored', 'user_blocked', 'user_unblocked', 'role_granted', 'role_revoked'])
+    .withMessage('Invalid action'),
+  query('target_type')
+    .optional()
+    .isIn(['post_report', 'feed_post_report', 'post', 'feed_post', 'user'])
+    .withMessage('Invalid target type'),
+  query('target_id').optional().isInt({ min: 1 }).withMessage('target_id must be a positive integer'),
+  handleValidationErrors
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Moderation
+ *   description: Review reported posts and feed posts, hide content and block users (admin or moderator). Every action is written to the moderation audit log.
+ */
+
+// All admin routes require authentication; each route checks roles
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /admin/reports:
+ *   get:
+ *     summary: List post and feed post reports
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [post, feed_post]
+ *         description: Only one report type (both when omitted)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, reviewed, resolved, dismissed]
+ *       - in: query
+ *         name: reporter_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reports with reporter, reported content and its author
+ *       403:
+ *         description: Not an admin or moderator
+ */
+router.get('/reports', canModerate, validateReportFilters, adminController.getReports);
+
+/**
+ * @swagger
+ * /admin/reports/{type}/{id}:
+ *   get:
+ *     summary: Get a report with the reported content, other reports on it and the audit history
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, feed_post]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report retrieved successfully
+ *       404:
+ *         description: Report not found
+ */
+router.get('/reports/:type/:id', canModerate, validateReportParams, adminController.getReportById);
+
+/**
+ * @swagger
+ * /admin/reports/{type}/{id}/review:
+ *   post:
+ *     summary: Mark a report as reviewed
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, feed_post]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report marked as reviewed
+ *       409:
+ *         description: Report is already resolved or dismissed
+ */
+router.post('/reports/:type/:id/review', canModerate, validateReportParams, validateModerationBody, adminController.reviewReport);
+
+/**
+ * @swagger
+ * /admin/reports/{type}/{id}/resolve:
+ *   post:
+ *     summary: Resolve a report, optionally hiding the content and blocking its author
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, feed_post]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: "Spam link"
+ *               hide_content:
+ *                 type: boolean
+ *                 example: true
+ *               block_author:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Report resolved successfully
+ *       409:
+ *         description: Report is already resolved or dismissed
+ */
+router.post('/reports/:type/:id/resolve', canModerate, validateReportParams, validateModerationBody, adminController.resolveReport);
+
+/**
+ * @swagger
+ * /admin/reports/{type}/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a report
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, feed_post]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report dismissed successfully
+ *       409:
+ *         description: Report is already resolved or dismissed
+ */
+router.post('/reports/:type/:id/dismiss', canModerate, validateReportParams, validateModerationBody, adminController.dismissReport);
+
+/**
+ * @swagger
+ * /admin/content/{type}/{id}/hide:
+ *   post:
+ *     summary: Hide a post or feed post (status 'hidden')
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, feed_post]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Content hidden successfully
+ *       409:
+ *         description: Content is already hidden or was deleted by its author
+ */
+router.post('/content/:type/:id/hide', canModerate, validateReportParams, validateModerationBody, adminController.hideContent);
+
+/**
+ * @swagger
+ * /admin/content/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore hidden content to the status it had before
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, feed_post]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Content restored successfully
+ *       409:
+ *         description: Content is not hidden
+ */
+router.post('/content/:type/:id/restore', canModerate, validateReportParams, validateModerationBody, adminController.restoreContent);
+
+/**
+ * @swagger
+ * /admin/users/{id}/block:
+ *   post:
+ *     summary: Block a user account (User.is_blocked)
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User blocked successfully
+ *       409:
+ *         description: User is already blocked
+ *   delete:
+ *     summary: Unblock a user account
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User unblocked successfully
+ *       409:
+ *         description: User is not blocked
+ */
+router.post('/users/:id/block', canModerate, validateUserId, validateModerationBody, adminController.blockUser);
+router.delete('/users/:id/block', canModerate, validateUserId, validateModerationBody, adminController.unblockUser);
+
+/**
+ * @swagger
+ * /admin/audit-logs:
+ *   get:
+ *     summary: List moderation audit log entries
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: moderator_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [report_reviewed, report_resolved, report_dismissed, content_hidden, content_restored, user_blocked, user_unblocked, role_granted, role_revoked]
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *           enum: [post_report, feed_post_report, post, feed_post, user]
+ *       - in: query
+ *         name: target_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ */
+router.get('/audit-logs', canModerate, validateAuditLogFilters, adminController.getAuditLogs);
+
+/**
+ * @swagger
+ * /admin/users/{id}/roles:
+ *   get:
+ *     summary: Get a user's roles (admin only)
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       403:
+ *         description: Not an admin or moderator
+ *       404:
+ *         description: User not found
+ *   post:
+ *     summary: Grant a role to a user (admin only)
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [moderator, admin, support]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role granted successfully
+ *       409:
+ *         description: User already has the role
+ */
+router.get('/users/:id/roles', adminOnly, validateUserId, adminController.getUserRoles);
+router.post('/users/:id/roles', adminOnly, validateRoleChange, adminController.grantRole);
+
+/**
+ * @swagger
+ * /admin/users/{id}/roles/{role}:
+ *   delete:
+ *     summary: Revoke a role from a user (admin only)
+ *     description: Admins cannot revoke their own admin role. The base 'user' role cannot be revoked.
+ *     tags: [Admin Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [moderator, admin, support]
+ *     responses:
+ *       200:
+ *         description: Role revoked successfully
+ *       409:
+ *         description: User does not have the role
+ */
+router.delete('/users/:id/roles/:role', adminOnly, validateRoleChange, adminController.revokeRole);
+
+module.exports = router;
@@ -11,8 +11,24 @@ const {
   validateNotificationId,
   validatePagination,
   validateSearch,
+  validateUpdateConversation,
+  validateAddMembers,
+  validateRemoveMembers,
+  validateUpdateMemberRole,
+  validateEditMessage,
+  validateDeleteMessage,
+  validateForwardMessage,
+  validateReaction,
+  validatePrivacySettings,
+  validateMarkDelivered,
+  validateSync,
+  validateMessageCursor,
+  validateAttachmentId,
+  validateMuteConversation,
   sanitizeChatContent
 } = require('../middleware/chatValidation');
+const { uploadChatAttachmentStreaming } = require('../middlewares/upload');
+const { applyAttachmentLimit } = require('../middlewares/entitlementCheck');
 const {
   messageRateLimit,
   conversationRateLimit,
@@ -43,15 +59,106 @@ router.post('/conversations',
 router.get('/conversations', chatController.getUserConversations);
 
 
+router.get('/conversations/archived', chatController.getArchivedConversations);
+
+router.get('/conversations/requests', chatController.getMessageRequests);
+
+
 router.get('/conversations/:id', 
   validateConversationId,
   chatController.getConversationById
 );
 
 
+router.put('/conversations/:id',
+  validateUpdateConversation,
+  sanitizeChatContent,
+  chatController.updateConversation
+);
+
+
+router.post('/conversations/:id/members',
+  validateAddMembers,
+  chatController.addMembers
+);
+
+
+router.delete('/conversations/:id/members',
+  validateRemoveMembers,
+  chatController.removeMembers
+);
+
+
+router.put('/conversations/:id/members/:memberId/role',
+  validateUpdateMemberRole,
+  chatController.updateMemberRole
+);
+
+
+// Per-user conversation settings
+router.put('/conversations/:id/pin',
+  validateConversationId,
+  chatController.pinConversation
+);
+
+router.delete('/conversations/:id/pin',
+  validateConversationId,
+  chatController.pinConversation
+);
+
+router.put('/conversations/:id/mute',
+  validateMuteConversation,
+  chatController.muteConversation
+);
+
+router.delete('/conversations/:id/mute',
+  validateConversationId,
+  chatController.muteConversation
+);
+
+router.put('/conversations/:id/archive',
+  validateConversationId,
+  chatController.archiveConversation
+);
+
+router.delete('/conversations/:id/archive',
+  validateConversationId,
+  chatController.archiveConversation
+);
+
+router.post('/conversations/:id/clear',
+  validateConversationId,
+  chatController.clearConversationHistory
+);
+
+
+// Message requests from people the user doesn't know yet
+router.post('/conversations/:id/request/accept',
+  validateConversationId,
+  chatController.acceptMessageRequest
+);
+
+router.post('/conversations/:id/request/decline',
+  validateConversationId,
+  chatController.declineMessageRequest
+);
+
+router.post('/conversations/:id/request/block',
+  validateConversationId,
+  chatController.blockMessageRequest
+);
+
+
+router.post('/conversations/:id/leave',
+  validateConversationId,
+  chatController.leaveConversation
+);
+
+
 router.get('/conversations/:id/messages', 
   validateConversationId,
   validatePagination,
+  validateMessageCursor,
   chatController.getConversationMessages
 );
 
@@ -64,6 +171,27 @@ router.post('/conversations/:id/messages',
 );
 
 
+// Upload a file first, then send it with attachmentId
+router.post('/attachments',
+  messageRateLimit,
+  applyAttachmentLimit,
+  uploadChatAttachmentStreaming,
+  chatController.uploadAttachment
+);
+
+
+router.get('/attachments/:id',
+  validateAttachmentId,
+  chatController.getAttachment
+);
+
+
+router.get('/attachments/:id/thumbnail',
+  validateAttachmentId,
+  chatController.getAttachmentThumbnail
+);
+
+
 router.get('/conversations/:id/stats', 
   validateConversationId,
   chatController.getConversationStats
@@ -76,6 +204,51 @@ router.get('/conversations/:id/typing',
 );
 
 
+// Registered before /messages/:id so "delivered" is not taken as a message ID
+router.put('/messages/delivered',
+  validateMarkDelivered,
+  chatController.markMessagesDelivered
+);
+
+
+router.get('/messages/:id/receipts',
+  validateMessageId,
+  chatController.getMessageReceipts
+);
+
+
+router.put('/messages/:id',
+  validateEditMessage,
+  sanitizeChatContent,
+  chatController.editMessage
+);
+
+
+router.delete('/messages/:id',
+  validateDeleteMessage,
+  chatController.deleteMessage
+);
+
+
+router.post('/messages/:id/forward',
+  messageRateLimit,
+  validateForwardMessage,
+  chatController.forwardMessage
+);
+
+
+router.put('/messages/:id/reactions',
+  validateReaction,
+  chatController.setReaction
+);
+
+
+router.delete('/messages/:id/reactions',
+  validateMessageId,
+  chatController.removeReaction
+);
+
+
 router.put('/messages/:id/read', 
   validateMessageId,
   chatController.markMessageAsRead
@@ -88,6 +261,12 @@ router.put('/conversations/:id/read',
 );
 
 
+router.get('/sync',
+  validateSync,
+  chatController.syncChanges
+);
+
+
 router.get('/search', 
   searchRateLimit,
   validateSearch,
@@ -101,6 +280,15 @@ router.get('/users/:id/status',
 );
 
 
+router.get('/privacy', chatController.getPrivacySettings);
+
+
+router.put('/privacy',
+  validatePrivacySettings,
+  chatController.updatePrivacySettings
+);
+
+
 router.get('/notifications', 
   validatePagination,
   chatController.getUserNotifications
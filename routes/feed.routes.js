@@ -3,6 +3,7 @@ const feedController = require('../controllers/feedController');
 const { authenticateToken } = require('../middlewares/auth');
 const { uploadMultiple, uploadMultipleStreaming, handleUploadError } = require('../middlewares/upload');
 const { checkUserBlocked } = require('../middlewares/blockCheck');
+const { applyAttachmentLimit } = require('../middlewares/entitlementCheck');
 
 const router = express.Router();
 
@@ -11,7 +12,7 @@ router.use(authenticateToken);
 
 // Feed Posts (create requires user not to be blocked)
 // Using streaming upload for better performance
-router.post('/posts', checkUserBlocked, uploadMultipleStreaming, handleUploadError, feedController.createFeedPost);
+router.post('/posts', checkUserBlocked, applyAttachmentLimit, uploadMultipleStreaming, handleUploadError, feedController.createFeedPost);
 router.get('/posts', feedController.getFeed);
 router.get('/posts/my-posts', feedController.getUserFeedPosts);
 router.get('/posts/:id', feedController.getFeedPost);
@@ -19,9 +20,23 @@ router.delete('/posts/:id', feedController.deleteFeedPost);
 
 // Engagement
 router.post('/posts/:id/like', feedController.toggleLike);
+router.put('/posts/:id/reaction', feedController.setReaction);
+router.delete('/posts/:id/reaction', feedController.removeReaction);
+router.get('/posts/:id/reactions', feedController.getPostReactions);
 router.post('/posts/:id/comment', feedController.addComment);
 router.get('/posts/:id/comments', feedController.getComments);
+
+// Comment threads
+router.post('/comments/:commentId/replies', feedController.replyToComment);
+router.get('/comments/:commentId/replies', feedController.getCommentReplies);
+router.post('/comments/:commentId/like', feedController.toggleCommentLike);
+router.put('/comments/:commentId', feedController.editComment);
+router.delete('/comments/:commentId', feedController.deleteComment);
 router.post('/posts/:id/share', feedController.sharePost);
+router.delete('/posts/:id/repost', feedController.removeRepost);
+router.delete('/posts/:id/bookmark', feedController.removeBookmark);
+router.delete('/shares/:shareId', feedController.deleteShare);
+router.get('/bookmarks', feedController.getBookmarks);
 
 // Report
 router.post('/posts/:id/report', feedController.reportFeedPost);
@@ -30,4 +45,12 @@ router.get('/reports/my-reports', feedController.getUserReportedFeedPosts);
 // Discovery
 router.get('/trending', feedController.getTrendingPosts);
 
+// Follow / mute users
+router.post('/users/:id/follow', feedController.followUser);
+router.delete('/users/:id/follow', feedController.unfollowUser);
+router.post('/users/:id/mute', feedController.muteUser);
+router.delete('/users/:id/mute', feedController.unmuteUser);
+router.get('/users/:id/followers', feedController.getFollowers);
+router.get('/users/:id/following', feedController.getFollowing);
+
 module.exports = router;
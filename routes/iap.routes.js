@@ -157,6 +157,23 @@ router.get('/status', authenticateToken, [
   query('productId').optional().isString()
 ], iapController.checkSubscriptionStatus);
 
+/**
+ * @swagger
+ * /iap/entitlements:
+ *   get:
+ *     summary: Get the user's tier, entitlements, usage and available plans
+ *     description: Used by the app to render paywalls. Numeric entitlements are limits (null = unlimited), boolean ones are features.
+ *     tags: [In-App Purchases]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Entitlements retrieved successfully
+ *       500:
+ *         description: Server error
+ */
+router.get('/entitlements', authenticateToken, iapController.getEntitlements);
+
 /**
  * @swagger
  * /iap/refresh/{id}:
@@ -0,0 +1,223 @@
+const express = require('express');
+const { param, body } = require('express-validator');
+const matchController = require('../controllers/match.controller');
+const { authenticateToken } = require('../middlewares/auth');
+const { handleValidationErrors } = require('../middlewares/validation');
+
+const router = express.Router();
+
+const validateMatchId = [
+  param('id').isInt({ min: 1 }).withMessage('Match ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateCancelReason = [
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Matches
+ *   description: Skill-exchange matches created from right swipes on posts
+ */
+
+// Apply authentication to all match routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /matches:
+ *   get:
+ *     summary: List matches of the logged-in user
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [proposed, accepted, in_progress, completed, cancelled]
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [requester, owner]
+ *         description: Only matches the user proposed (requester) or received (owner)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Matches retrieved successfully
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/', matchController.getMatches);
+
+/**
+ * @swagger
+ * /matches/{id}:
+ *   get:
+ *     summary: Get a match by ID
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Match retrieved successfully
+ *       403:
+ *         description: Not a participant of this match
+ *       404:
+ *         description: Match not found
+ */
+router.get('/:id', validateMatchId, matchController.getMatchById);
+
+/**
+ * @swagger
+ * /matches/{id}/accept:
+ *   post:
+ *     summary: Accept a proposed match and open a private conversation
+ *     description: Only the owner of the swiped post can accept. A private conversation is opened between both users.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Match accepted
+ *       403:
+ *         description: Not allowed to accept this match
+ *       409:
+ *         description: Match is not in a state that can be accepted
+ */
+router.post('/:id/accept', validateMatchId, matchController.acceptMatch);
+
+/**
+ * @swagger
+ * /matches/{id}/decline:
+ *   post:
+ *     summary: Decline a proposed match
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match declined
+ *       409:
+ *         description: Match cannot be declined
+ */
+router.post('/:id/decline', validateMatchId, validateCancelReason, matchController.declineMatch);
+
+/**
+ * @swagger
+ * /matches/{id}/start:
+ *   post:
+ *     summary: Mark an accepted match as in progress
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Match started
+ *       409:
+ *         description: Match cannot be started
+ */
+router.post('/:id/start', validateMatchId, matchController.startMatch);
+
+/**
+ * @swagger
+ * /matches/{id}/complete:
+ *   post:
+ *     summary: Mark a match as completed
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Match completed
+ *       409:
+ *         description: Match cannot be completed
+ */
+router.post('/:id/complete', validateMatchId, matchController.completeMatch);
+
+/**
+ * @swagger
+ * /matches/{id}/cancel:
+ *   post:
+ *     summary: Cancel an open match
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match cancelled
+ *       409:
+ *         description: Match cannot be cancelled
+ */
+router.post('/:id/cancel', validateMatchId, validateCancelReason, matchController.cancelMatch);
+
+module.exports = router;
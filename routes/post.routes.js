@@ -4,12 +4,14 @@ const { authenticateToken } = require('../middlewares/auth');
 const { validatePostCreation, validatePostUpdate } = require('../middlewares/validation');
 const { uploadMultiple, uploadMultipleStreaming, handleUploadError } = require('../middlewares/upload');
 const { checkUserBlocked } = require('../middlewares/blockCheck');
+const { requireEntitlement, applyAttachmentLimit } = require('../middlewares/entitlementCheck');
 
 const router = express.Router();
 
 // Create a new post with optional file attachments (requires authentication and user not blocked)
+// Monthly post count and attachment size depend on the subscription tier
 // Using streaming upload for better performance
-router.post('/', authenticateToken, checkUserBlocked, uploadMultipleStreaming, handleUploadError, validatePostCreation, postController.addPost);
+router.post('/', authenticateToken, checkUserBlocked, requireEntitlement('monthly_posts'), applyAttachmentLimit, uploadMultipleStreaming, handleUploadError, validatePostCreation, postController.addPost);
 
 // Get all posts with optional filtering and pagination (requires authentication)
 router.get('/', authenticateToken, postController.getPosts);
@@ -28,7 +30,7 @@ router.put('/:id', authenticateToken, validatePostUpdate, postController.updateP
 
 // Add attachments to existing post (requires authentication)
 // Using streaming upload for better performance
-router.post('/:id/attachments', authenticateToken, uploadMultipleStreaming, handleUploadError, postController.addAttachment);
+router.post('/:id/attachments', authenticateToken, applyAttachmentLimit, uploadMultipleStreaming, handleUploadError, postController.addAttachment);
 
 // Download attachment by ID
 router.get('/attachments/:attachmentId/download', authenticateToken, postController.downloadAttachment);
@@ -43,11 +45,15 @@ router.post('/:id/report', authenticateToken, postController.reportPost);
 router.get('/reports/my-reports', authenticateToken, postController.getUserReportedPosts);
 
 // Swipe post (left = hide for 120 days, right = hide permanently) (requires authentication)
-router.post('/:id/swipe', authenticateToken, postController.swipePost);
+// Daily swipe count depends on the subscription tier
+router.post('/:id/swipe', authenticateToken, requireEntitlement('daily_swipes'), postController.swipePost);
 
 // Get user's swiped posts (requires authentication)
 router.get('/swipes/my-swipes', authenticateToken, postController.getUserSwipedPosts);
 
+// Get users who right-swiped the logged-in user's posts (premium feature)
+router.get('/swipes/received', authenticateToken, requireEntitlement('see_right_swipes'), postController.getReceivedRightSwipes);
+
 // New enhanced file serving routes (requires authentication)
 // Moved to a more generic route - this endpoint now serves all file types
 // router.get('/files/:category/:filename', postController.serveFileByCategory);
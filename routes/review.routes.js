@@ -0,0 +1,183 @@
+const express = require('express');
+const { param } = require('express-validator');
+const reviewController = require('../controllers/review.controller');
+const { authenticateToken } = require('../middlewares/auth');
+const { checkUserBlocked } = require('../middlewares/blockCheck');
+const {
+  handleValidationErrors,
+  validateSkillReview,
+  validateSkillReviewUpdate
+} = require('../middlewares/validation');
+
+const router = express.Router();
+
+const validateReviewId = [
+  param('id').isInt({ min: 1 }).withMessage('Review ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateReviewedUserId = [
+  param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  handleValidationErrors
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Skill Reviews
+ *   description: Peer reviews of user skills after a conversation or completed skill exchange
+ */
+
+// Apply authentication to all review routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /reviews:
+ *   post:
+ *     summary: Review another user's skill
+ *     description: Only allowed after a completed skill-exchange match or a conversation in which both users sent messages. One review per skill per reviewer.
+ *     tags: [Skill Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_skill_id
+ *               - rating
+ *             properties:
+ *               user_skill_id:
+ *                 type: integer
+ *                 example: 12
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: "Explained React hooks really well"
+ *     responses:
+ *       201:
+ *         description: Review submitted successfully
+ *       400:
+ *         description: Validation failed or reviewing own skill
+ *       403:
+ *         description: No prior interaction with this user
+ *       404:
+ *         description: Skill not found
+ *       409:
+ *         description: Skill already reviewed by this user
+ */
+router.post('/', checkUserBlocked, validateSkillReview, reviewController.createReview);
+
+/**
+ * @swagger
+ * /reviews/mine:
+ *   get:
+ *     summary: List reviews written by the logged-in user
+ *     tags: [Skill Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ */
+router.get('/mine', reviewController.getMyReviews);
+
+/**
+ * @swagger
+ * /reviews/users/{userId}:
+ *   get:
+ *     summary: List reviews of a user's skills with aggregate ratings
+ *     tags: [Skill Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: user_skill_id
+ *         schema:
+ *           type: integer
+ *         description: Only reviews of this skill
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reviews and rating summary retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId', validateReviewedUserId, reviewController.getUserReviews);
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   put:
+ *     summary: Edit own review
+ *     tags: [Skill Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated successfully
+ *       403:
+ *         description: Not the author of the review
+ *       404:
+ *         description: Review not found
+ *   delete:
+ *     summary: Delete own review
+ *     tags: [Skill Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       403:
+ *         description: Not the author of the review
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:id', validateSkillReviewUpdate, reviewController.updateReview);
+router.delete('/:id', validateReviewId, reviewController.deleteReview);
+
+module.exports = router;
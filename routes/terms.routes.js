@@ -1,9 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const termsController = require("../controllers/terms.controller");
-const { authenticateToken } = require("../middlewares/auth");
+const { authenticateToken, authorize } = require("../middlewares/auth");
 const { body } = require("express-validator");
 const { handleValidationErrors } = require("../middlewares/validation");
+const { ROLES } = require("../utils/constants");
 
 // Validation for terms acceptance
 const validateTermsAcceptance = [
@@ -276,7 +277,7 @@ router.get("/latest", authenticateToken, termsController.getLatestAcceptance);
  * /terms/admin/all:
  *   get:
  *     summary: Get all terms acceptances (Admin)
- *     description: Retrieve all terms acceptances with filtering options (Admin only)
+ *     description: Retrieve all terms acceptances with filtering options (admin or support role)
  *     tags: [Terms & Conditions]
  *     security:
  *       - bearerAuth: []
@@ -320,17 +321,19 @@ router.get("/latest", authenticateToken, termsController.getLatestAcceptance);
  *         description: Acceptances retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Requires the admin or support role
  *       500:
  *         description: Server error
  */
-router.get("/admin/all", authenticateToken, termsController.getAllAcceptances);
+router.get("/admin/all", authenticateToken, authorize(ROLES.ADMIN, ROLES.SUPPORT), termsController.getAllAcceptances);
 
 /**
  * @swagger
  * /terms/admin/stats:
  *   get:
  *     summary: Get terms acceptance statistics (Admin)
- *     description: Retrieve statistics about terms acceptances (Admin only)
+ *     description: Retrieve statistics about terms acceptances (admin or support role)
  *     tags: [Terms & Conditions]
  *     security:
  *       - bearerAuth: []
@@ -379,10 +382,12 @@ router.get("/admin/all", authenticateToken, termsController.getAllAcceptances);
  *                           example: "last 7 days"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Requires the admin or support role
  *       500:
  *         description: Server error
  */
-router.get("/admin/stats", authenticateToken, termsController.getAcceptanceStats);
+router.get("/admin/stats", authenticateToken, authorize(ROLES.ADMIN, ROLES.SUPPORT), termsController.getAcceptanceStats);
 
 module.exports = router;
 
@@ -10,6 +10,13 @@ const {
     validateVerifyOTP,
     validateResetPassword,
     validateResendRegistrationOTP,
+    validateTwoFactorLogin,
+    validateTwoFactorChallenge,
+    validateTwoFactorCode,
+    validateTwoFactorAnswer,
+    validateSocialSignIn,
+    validateLinkAuthProvider,
+    validateAuthProvider,
 } = require('../middlewares/validation');
 const { uploadProfileImage, uploadProfileImageStreaming, uploadProfileImageConditional, handleUploadError } = require('../middlewares/upload');
 const { validateFileSecurityMiddleware } = require('../middleware/fileSecurityValidation');
@@ -89,6 +96,12 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       '429':
+ *         description: "This email or IP address is locked out after too many wrong OTPs. Retry after retryAfter seconds, also sent as the Retry-After header"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       '500':
  *         description: "Internal server error"
  *         content:
@@ -166,6 +179,12 @@ router.post('/register', validateUserRegistration, userController.register);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       '429':
+ *         description: "Too many wrong OTPs from this email or IP address. Retry after retryAfter seconds, also sent as the Retry-After header"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       '500':
  *         description: "Internal server error"
  *         content:
@@ -227,6 +246,12 @@ router.post('/verify-registration-otp', userController.verifyRegistrationOTP);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       '429':
+ *         description: "This email or IP address is locked out after too many wrong OTPs. Retry after retryAfter seconds, also sent as the Retry-After header"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       '500':
  *         description: "Internal server error"
  *         content:
@@ -241,7 +266,7 @@ router.post('/resend-registration-otp', validateResendRegistrationOTP, userContr
  * /users/login:
  *   post:
  *     summary: "Login user"
- *     description: "Authenticate user with email and password"
+ *     description: "Authenticate user with email and password. The account owner gets a security email when failed logins lock the account"
  *     tags:
  *       - Users
  *     requestBody:
@@ -263,9 +288,14 @@ router.post('/resend-registration-otp', validateResendRegistrationOTP, userContr
  *                 type: string
  *                 example: "SecurePass123"
  *                 description: "User's password"
+ *               device_name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Pixel 8"
+ *                 description: "Name shown in the sessions list. The X-Device-Name header works too"
  *     responses:
  *       '200':
- *         description: "Login successful"
+ *         description: "Login successful. If the user's tier allows no more devices, the sessions used least recently are signed out. If the account has two-factor authentication, no session is started yet: the response has two_factor_required true and a challenge in data, to be answered at POST /users/login/2fa"
  *         content:
  *           application/json:
  *             schema:
@@ -292,6 +322,12 @@ router.post('/resend-registration-otp', validateResendRegistrationOTP, userContr
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       '429':
+ *         description: "Too many failed logins. Each failure makes the next attempt on the account wait longer. 5 failures in 15 minutes lock the account, and 20 lock the IP address, for 15 minutes. Retry after retryAfter seconds, also sent as the Retry-After header"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       '500':
  *         description: "Internal server error"
  *         content:
@@ -300,15 +336,160 @@ router.post('/resend-registration-otp', validateResendRegistrationOTP, userContr
  *               $ref: '#/components/schemas/Error'
  */
 router.post('/login', validateUserLogin, userController.login);
+
+/**
+ * @swagger
+ * /users/login/2fa:
+ *   post:
+ *     summary: "Complete a login with the second factor"
+ *     description: "Answer the challenge returned by POST /users/login with a code from the authenticator app, a backup code, or a code sent by POST /users/2fa/email-code. Wrong codes count as failed logins. A challenge is refused after 5 wrong codes"
+ *     tags:
+ *       - Users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorAnswer'
+ *     responses:
+ *       '200':
+ *         description: "Login successful"
+ *       '401':
+ *         description: "Invalid or expired challenge, or invalid code"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '429':
+ *         description: "Too many failed logins. Retry after retryAfter seconds, also sent as the Retry-After header"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '500':
+ *         description: "Internal server error"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/login/2fa', validateTwoFactorLogin, userController.verifyLoginTwoFactor);
+
+/**
+ * @swagger
+ * /users/login/{provider}:
+ *   post:
+ *     summary: "Sign in with Google or Apple"
+ *     description: "Verifies an ID token from the provider's SDK. The first sign-in links the provider to the user with the same verified email, or creates a new user without a password. Accounts with two-factor authentication get a challenge, as with POST /users/login"
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_token
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *                 description: "ID token from the Google or Apple SDK"
+ *               nonce:
+ *                 type: string
+ *                 description: "Nonce given to the SDK. For Apple, the raw nonce; the token holds its SHA-256 hash"
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "Jane Doe"
+ *                 description: "Name for a new account. Apple shares it with the app on the first sign-in only"
+ *               referred_by:
+ *                 type: string
+ *                 example: "AB12CD"
+ *                 description: "Referral code, used only when the account is created"
+ *               device_name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Pixel 8"
+ *     responses:
+ *       '200':
+ *         description: "Login successful, with is_new_user true when the account was just created. Or a two-factor challenge, with two_factor_required true"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Login successful"
+ *                 access_token:
+ *                   type: string
+ *                 is_new_user:
+ *                   type: boolean
+ *                   example: true
+ *       '400':
+ *         description: "Validation error, invalid referral code, or the provider account has no verified email"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '401':
+ *         description: "Invalid or expired ID token, or nonce mismatch"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '409':
+ *         description: "The email belongs to a user linked to a different account of this provider"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       '503':
+ *         description: "The provider is not configured, or its signing keys can't be fetched"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/login/:provider', validateSocialSignIn, userController.socialSignIn);
 router.post('/refresh-token', userController.refreshToken);
 router.post('/logout', userController.logout);
-router.post('/change-password', validateChangePassword, userController.changePassword);
+router.post('/change-password', authenticateToken, validateChangePassword, userController.changePassword);
+
+// Two-factor authentication routes
+router.get('/2fa', authenticateToken, userController.getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, userController.setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, validateTwoFactorCode, userController.enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, validateTwoFactorAnswer, userController.disableTwoFactor);
+router.post('/2fa/backup-codes', authenticateToken, validateTwoFactorAnswer, userController.regenerateBackupCodes);
+router.post('/2fa/email-code', validateTwoFactorChallenge, userController.sendTwoFactorEmailCode);
+
+// Google and Apple accounts linked for sign-in
+router.get('/auth-providers', authenticateToken, userController.getAuthProviders);
+router.post('/auth-providers/:provider', authenticateToken, validateLinkAuthProvider, userController.linkAuthProvider);
+router.delete('/auth-providers/:provider', authenticateToken, validateAuthProvider, userController.unlinkAuthProvider);
 
 // Forgot password routes
 router.post('/forgot-password', validateForgotPassword, userController.forgotPassword);
 router.post('/verify-reset-otp', validateVerifyOTP, userController.verifyResetOTP);
 router.post('/reset-password', validateResetPassword, userController.resetPassword);
 
+// Session management routes (require authentication)
+router.get('/sessions', authenticateToken, userController.getSessions);
+router.delete('/sessions', authenticateToken, userController.revokeOtherSessions);
+router.delete('/sessions/:id', authenticateToken, userController.revokeSession);
+
 // Profile routes (require authentication)
 router.get('/profile', authenticateToken, userController.getProfile);
 router.get('/profile/:id', authenticateToken, userController.getProfileById);
@@ -318,7 +499,7 @@ router.put('/profile', authenticateToken, uploadProfileImageConditional, handleU
 router.get('/public-profile/:id', authenticateToken, userController.getPublicProfile);
 
 // Soft delete user account (require authentication)
-router.delete('/delete-account', authenticateToken, userController.softDeleteUser);
+router.delete('/delete-account', authenticateToken, validateTwoFactorAnswer, userController.softDeleteUser);
 
 // Block/Unblock user routes (require authentication)
 router.post('/block/:userId', authenticateToken, userController.blockUser);
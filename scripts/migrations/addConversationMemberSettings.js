@@ -0,0 +1,101 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { Sequelize } = require('sequelize');
+
+// Import the database configuration
+const dbConfig = require('../../config/db.config.js');
+
+// Check if required environment variables are set
+if (!dbConfig.DB || !dbConfig.USER || !dbConfig.PASSWORD || !dbConfig.HOST) {
+  console.error('❌ Missing required database environment variables:');
+  console.error('   DB_NAME, DB_USER, DB_PASSWORD, DB_HOST');
+  process.exit(1);
+}
+
+// Create Sequelize instance
+const sequelize = new Sequelize(dbConfig.DB, dbConfig.USER, dbConfig.PASSWORD, {
+  host: dbConfig.HOST,
+  dialect: dbConfig.DIALECT || 'postgres',
+  port: dbConfig.PORT || 5432,
+  logging: console.log, // Show SQL queries
+  dialectOptions: {
+    ssl: {
+      require: true,
+      rejectUnauthorized: false
+    }
+  },
+  pool: {
+    max: 5,
+    min: 0,
+    acquire: 60000,
+    idle: 10000
+  },
+  retry: {
+    max: 3
+  }
+});
+
+/**
+ * Add the per-user conversation settings used for muting with a duration,
+ * pinning order, archiving and clearing history
+ */
+async function addConversationMemberSettings() {
+  try {
+    // Test database connection
+    await sequelize.authenticate();
+    console.log('✅ Database connection established successfully.');
+
+    console.log('🔄 Adding settings columns to conversation_members table...');
+    await sequelize.query(`
+      ALTER TABLE conversation_members
+      ADD COLUMN IF NOT EXISTS muted_until TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS cleared_at TIMESTAMP WITH TIME ZONE;
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS conversation_members_user_id_is_archived
+      ON conversation_members (user_id, is_archived);
+    `);
+    console.log('✅ Settings columns ready.');
+
+    // Conversations pinned before pinned_at existed keep their place
+    console.log('🔄 Backfilling pinned_at for pinned conversations...');
+    await sequelize.query(`
+      UPDATE conversation_members
+      SET pinned_at = updated_at
+      WHERE is_pinned = true AND pinned_at IS NULL;
+    `);
+    console.log('✅ pinned_at backfilled.');
+
+    console.log('\n🎉 Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error adding conversation member settings:', error);
+    throw error;
+  } finally {
+    // Close database connection
+    await sequelize.close();
+    console.log('🔌 Database connection closed.');
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  console.log('🚀 Starting conversation member settings migration...');
+  addConversationMemberSettings()
+    .then(() => {
+      console.log('✅ Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  addConversationMemberSettings
+};
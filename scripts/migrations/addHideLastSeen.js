@@ -0,0 +1,80 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { Sequelize } = require('sequelize');
+
+// Import the database configuration
+const dbConfig = require('../../config/db.config.js');
+
+// Check if required environment variables are set
+if (!dbConfig.DB || !dbConfig.USER || !dbConfig.PASSWORD || !dbConfig.HOST) {
+  console.error('❌ Missing required database environment variables:');
+  console.error('   DB_NAME, DB_USER, DB_PASSWORD, DB_HOST');
+  process.exit(1);
+}
+
+// Create Sequelize instance
+const sequelize = new Sequelize(dbConfig.DB, dbConfig.USER, dbConfig.PASSWORD, {
+  host: dbConfig.HOST,
+  dialect: dbConfig.DIALECT || 'postgres',
+  port: dbConfig.PORT || 5432,
+  logging: console.log, // Show SQL queries
+  dialectOptions: {
+    ssl: {
+      require: true,
+      rejectUnauthorized: false
+    }
+  },
+  pool: {
+    max: 5,
+    min: 0,
+    acquire: 60000,
+    idle: 10000
+  },
+  retry: {
+    max: 3
+  }
+});
+
+async function addHideLastSeen() {
+  try {
+    // Test database connection
+    await sequelize.authenticate();
+    console.log('✅ Database connection established successfully.');
+
+    console.log('🔄 Adding hide_last_seen column to user table...');
+    await sequelize.query(`
+      ALTER TABLE "user"
+      ADD COLUMN IF NOT EXISTS hide_last_seen BOOLEAN NOT NULL DEFAULT false;
+    `);
+    console.log('✅ hide_last_seen column ready.');
+
+    console.log('\n🎉 Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error adding hide_last_seen column:', error);
+    throw error;
+  } finally {
+    // Close database connection
+    await sequelize.close();
+    console.log('🔌 Database connection closed.');
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  console.log('🚀 Starting hide last seen migration...');
+  addHideLastSeen()
+    .then(() => {
+      console.log('✅ Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  addHideLastSeen
+};
@@ -0,0 +1,99 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { Sequelize } = require('sequelize');
+
+// Import the database configuration
+const dbConfig = require('../../config/db.config.js');
+
+// Check if required environment variables are set
+if (!dbConfig.DB || !dbConfig.USER || !dbConfig.PASSWORD || !dbConfig.HOST) {
+  console.error('❌ Missing required database environment variables:');
+  console.error('   DB_NAME, DB_USER, DB_PASSWORD, DB_HOST');
+  process.exit(1);
+}
+
+// Create Sequelize instance
+const sequelize = new Sequelize(dbConfig.DB, dbConfig.USER, dbConfig.PASSWORD, {
+  host: dbConfig.HOST,
+  dialect: dbConfig.DIALECT || 'postgres',
+  port: dbConfig.PORT || 5432,
+  logging: console.log, // Show SQL queries
+  dialectOptions: {
+    ssl: {
+      require: true,
+      rejectUnauthorized: false
+    }
+  },
+  pool: {
+    max: 5,
+    min: 0,
+    acquire: 60000,
+    idle: 10000
+  },
+  retry: {
+    max: 3
+  }
+});
+
+/**
+ * Add the message request state to conversation_members. Existing
+ * memberships become 'accepted', so current chats are not affected.
+ */
+async function addMessageRequests() {
+  try {
+    // Test database connection
+    await sequelize.authenticate();
+    console.log('✅ Database connection established successfully.');
+
+    console.log('🔄 Creating request status type...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_conversation_members_request_status" AS ENUM ('pending', 'accepted', 'declined');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `);
+    console.log('✅ Request status type ready.');
+
+    console.log('🔄 Adding request columns to conversation_members table...');
+    await sequelize.query(`
+      ALTER TABLE conversation_members
+      ADD COLUMN IF NOT EXISTS request_status "enum_conversation_members_request_status" NOT NULL DEFAULT 'accepted',
+      ADD COLUMN IF NOT EXISTS request_responded_at TIMESTAMP WITH TIME ZONE;
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS conversation_members_user_id_request_status
+      ON conversation_members (user_id, request_status);
+    `);
+    console.log('✅ Request columns ready.');
+
+    console.log('\n🎉 Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error adding message requests:', error);
+    throw error;
+  } finally {
+    // Close database connection
+    await sequelize.close();
+    console.log('🔌 Database connection closed.');
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  console.log('🚀 Starting message requests migration...');
+  addMessageRequests()
+    .then(() => {
+      console.log('✅ Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  addMessageRequests
+};
@@ -0,0 +1,88 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { Sequelize } = require('sequelize');
+
+// Import the database configuration
+const dbConfig = require('../../config/db.config.js');
+
+// Check if required environment variables are set
+if (!dbConfig.DB || !dbConfig.USER || !dbConfig.PASSWORD || !dbConfig.HOST) {
+  console.error('❌ Missing required database environment variables:');
+  console.error('   DB_NAME, DB_USER, DB_PASSWORD, DB_HOST');
+  process.exit(1);
+}
+
+// Create Sequelize instance
+const sequelize = new Sequelize(dbConfig.DB, dbConfig.USER, dbConfig.PASSWORD, {
+  host: dbConfig.HOST,
+  dialect: dbConfig.DIALECT || 'postgres',
+  port: dbConfig.PORT || 5432,
+  logging: console.log, // Show SQL queries
+  dialectOptions: {
+    ssl: {
+      require: true,
+      rejectUnauthorized: false
+    }
+  },
+  pool: {
+    max: 5,
+    min: 0,
+    acquire: 60000,
+    idle: 10000
+  },
+  retry: {
+    max: 3
+  }
+});
+
+/**
+ * Add the device name shown in the sessions list, and an index for
+ * looking up a user's active sessions
+ */
+async function addSessionDevices() {
+  try {
+    // Test database connection
+    await sequelize.authenticate();
+    console.log('✅ Database connection established successfully.');
+
+    console.log('🔄 Adding device_name column to session_logs table...');
+    await sequelize.query(`
+      ALTER TABLE session_logs
+      ADD COLUMN IF NOT EXISTS device_name VARCHAR(100);
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS session_logs_user_id_is_active
+      ON session_logs (user_id, is_active);
+    `);
+    console.log('✅ device_name column ready.');
+
+    console.log('\n🎉 Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error adding session devices:', error);
+    throw error;
+  } finally {
+    // Close database connection
+    await sequelize.close();
+    console.log('🔌 Database connection closed.');
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  console.log('🚀 Starting session devices migration...');
+  addSessionDevices()
+    .then(() => {
+      console.log('✅ Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  addSessionDevices
+};
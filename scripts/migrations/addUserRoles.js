@@ -0,0 +1,114 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { Sequelize } = require('sequelize');
+
+// Import the database configuration
+const dbConfig = require('../../config/db.config.js');
+
+// Check if required environment variables are set
+if (!dbConfig.DB || !dbConfig.USER || !dbConfig.PASSWORD || !dbConfig.HOST) {
+  console.error('❌ Missing required database environment variables:');
+  console.error('   DB_NAME, DB_USER, DB_PASSWORD, DB_HOST');
+  process.exit(1);
+}
+
+// Create Sequelize instance
+const sequelize = new Sequelize(dbConfig.DB, dbConfig.USER, dbConfig.PASSWORD, {
+  host: dbConfig.HOST,
+  dialect: dbConfig.DIALECT || 'postgres',
+  port: dbConfig.PORT || 5432,
+  logging: console.log, // Show SQL queries
+  dialectOptions: {
+    ssl: {
+      require: true,
+      rejectUnauthorized: false
+    }
+  },
+  pool: {
+    max: 5,
+    min: 0,
+    acquire: 60000,
+    idle: 10000
+  },
+  retry: {
+    max: 3
+  }
+});
+
+async function addUserRoles() {
+  try {
+    // Test database connection
+    await sequelize.authenticate();
+    console.log('✅ Database connection established successfully.');
+
+    console.log('🔄 Adding roles column to user table...');
+    await sequelize.query(`
+      ALTER TABLE "user"
+      ADD COLUMN IF NOT EXISTS roles VARCHAR(255)[] NOT NULL DEFAULT ARRAY['user']::VARCHAR(255)[];
+    `);
+    console.log('✅ roles column ready.');
+
+    // The audit log table only exists once the app has synced it
+    const [results] = await sequelize.query(`
+      SELECT EXISTS (
+        SELECT FROM pg_type WHERE typname = 'enum_moderation_audit_logs_action'
+      );
+    `);
+
+    if (results[0].exists) {
+      console.log('🔄 Adding role actions to moderation audit log enum...');
+      await sequelize.query(`ALTER TYPE "enum_moderation_audit_logs_action" ADD VALUE IF NOT EXISTS 'role_granted';`);
+      await sequelize.query(`ALTER TYPE "enum_moderation_audit_logs_action" ADD VALUE IF NOT EXISTS 'role_revoked';`);
+      console.log('✅ Audit log actions updated.');
+    } else {
+      console.log('⚠️  moderation_audit_logs action enum does not exist yet. It will be created with the role actions on sync.');
+    }
+
+    // Grant the admin role to the initial admins listed in ADMIN_USER_IDS
+    const adminIds = (process.env.ADMIN_USER_IDS || '')
+      .split(',')
+      .map(id => parseInt(id.trim()))
+      .filter(id => !isNaN(id));
+
+    if (adminIds.length === 0) {
+      console.log('⚠️  ADMIN_USER_IDS is empty. No admin roles granted.');
+    } else {
+      const [, metadata] = await sequelize.query(`
+        UPDATE "user"
+        SET roles = array_append(roles, 'admin')
+        WHERE id IN (:adminIds) AND NOT ('admin' = ANY(roles));
+      `, { replacements: { adminIds } });
+
+      console.log(`✅ Granted admin role to ${metadata.rowCount} user(s).`);
+    }
+
+    console.log('\n🎉 Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error adding user roles:', error);
+    throw error;
+  } finally {
+    // Close database connection
+    await sequelize.close();
+    console.log('🔌 Database connection closed.');
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  console.log('🚀 Starting user roles migration...');
+  addUserRoles()
+    .then(() => {
+      console.log('✅ Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  addUserRoles
+};
@@ -0,0 +1,174 @@
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { Sequelize } = require('sequelize');
+const cryptoJs = require('crypto-js');
+const { buildIndexTokens } = require('../../utils/searchIndex');
+
+// Import the database configuration
+const dbConfig = require('../../config/db.config.js');
+
+// Check if required environment variables are set
+if (!dbConfig.DB || !dbConfig.USER || !dbConfig.PASSWORD || !dbConfig.HOST) {
+  console.error('❌ Missing required database environment variables:');
+  console.error('   DB_NAME, DB_USER, DB_PASSWORD, DB_HOST');
+  process.exit(1);
+}
+
+// Create Sequelize instance
+const sequelize = new Sequelize(dbConfig.DB, dbConfig.USER, dbConfig.PASSWORD, {
+  host: dbConfig.HOST,
+  dialect: dbConfig.DIALECT || 'postgres',
+  port: dbConfig.PORT || 5432,
+  logging: false, // Batches are large; progress is logged below
+  dialectOptions: {
+    ssl: {
+      require: true,
+      rejectUnauthorized: false
+    }
+  },
+  pool: {
+    max: 5,
+    min: 0,
+    acquire: 60000,
+    idle: 10000
+  },
+  retry: {
+    max: 3
+  }
+});
+
+const BATCH_SIZE = 500;
+const encryptionKey = process.env.CHAT_ENCRYPTION_KEY || 'default-key-change-in-production';
+
+function decrypt(content) {
+  try {
+    return cryptoJs.AES.decrypt(content, encryptionKey).toString(cryptoJs.enc.Utf8);
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Build (or rebuild) the blind search index for all chat messages, then drop
+ * the plaintext copy in messages.content_plain. Safe to run again, e.g. after
+ * changing CHAT_SEARCH_INDEX_KEY.
+ */
+async function buildChatSearchIndex() {
+  try {
+    // Test database connection
+    await sequelize.authenticate();
+    console.log('✅ Database connection established successfully.');
+
+    console.log('🔄 Creating message_search_tokens table...');
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS message_search_tokens (
+        id BIGSERIAL PRIMARY KEY,
+        message_id BIGINT NOT NULL REFERENCES messages(id) ON DELETE CASCADE ON UPDATE CASCADE,
+        conversation_id BIGINT NOT NULL,
+        token VARCHAR(32) NOT NULL,
+        occurrences INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS message_search_tokens_token_conversation_id
+      ON message_search_tokens (token, conversation_id);
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS message_search_tokens_message_id
+      ON message_search_tokens (message_id);
+    `);
+    console.log('✅ message_search_tokens table ready.');
+
+    console.log('🔄 Indexing messages...');
+    let lastId = 0;
+    let indexed = 0;
+
+    for (;;) {
+      const messages = await sequelize.query(
+        `SELECT id, conversation_id, content, attachment_name
+           FROM messages
+          WHERE id > :lastId AND is_deleted = false
+          ORDER BY id
+          LIMIT :limit`,
+        { replacements: { lastId, limit: BATCH_SIZE }, type: Sequelize.QueryTypes.SELECT }
+      );
+
+      if (messages.length === 0) {
+        break;
+      }
+
+      const rows = [];
+      messages.forEach(message => {
+        const text = [message.content ? decrypt(message.content) : null, message.attachment_name]
+          .filter(Boolean)
+          .join(' ');
+        buildIndexTokens(text).forEach(({ token, occurrences }) => {
+          rows.push({
+            message_id: message.id,
+            conversation_id: message.conversation_id,
+            token,
+            occurrences,
+            created_at: new Date(),
+            updated_at: new Date()
+          });
+        });
+      });
+
+      await sequelize.transaction(async transaction => {
+        await sequelize.query('DELETE FROM message_search_tokens WHERE message_id IN (:ids)', {
+          replacements: { ids: messages.map(message => message.id) },
+          transaction
+        });
+        if (rows.length > 0) {
+          await sequelize.getQueryInterface().bulkInsert('message_search_tokens', rows, { transaction });
+        }
+      });
+
+      lastId = messages[messages.length - 1].id;
+      indexed += messages.length;
+      console.log(`   ${indexed} messages indexed`);
+    }
+
+    await sequelize.query(`
+      DELETE FROM message_search_tokens t
+      USING messages m
+      WHERE m.id = t.message_id AND m.is_deleted = true;
+    `);
+    console.log(`✅ Indexed ${indexed} messages.`);
+
+    console.log('🔄 Dropping plaintext messages.content_plain column...');
+    await sequelize.query('ALTER TABLE messages DROP COLUMN IF EXISTS content_plain;');
+    console.log('✅ content_plain column removed.');
+
+    console.log('\n🎉 Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error building chat search index:', error);
+    throw error;
+  } finally {
+    // Close database connection
+    await sequelize.close();
+    console.log('🔌 Database connection closed.');
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  console.log('🚀 Starting chat search index migration...');
+  buildChatSearchIndex()
+    .then(() => {
+      console.log('✅ Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  buildChatSearchIndex
+};
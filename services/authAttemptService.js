@@ -0,0 +1,230 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const emailService = require('./emailService');
+const { AUTH_ATTEMPTS } = require('../utils/constants');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * The counters an attempt touches: one for the account and one for the IP
+ * address, when known
+ * @param {string} action - 'login', 'password_reset' or 'registration'
+ * @param {Object} identity - { email, ipAddress }
+ * @returns {Array<Object>} { scope, identifier, policy }
+ */
+function countersFor(action, { email, ipAddress }) {
+  const policies = AUTH_ATTEMPTS.POLICIES[action];
+  const counters = [];
+
+  if (email) {
+    counters.push({ scope: 'account', identifier: String(email).trim().toLowerCase(), policy: policies.account });
+  }
+  if (ipAddress) {
+    counters.push({ scope: 'ip', identifier: String(ipAddress), policy: policies.ip });
+  }
+
+  return counters;
+}
+
+/**
+ * Whether a counter's failures still fall inside its window
+ * @param {Object} attempt - AuthAttempt row
+ * @param {Object} policy - { windowMinutes }
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function isWindowOpen(attempt, policy, now) {
+  return Boolean(attempt.window_started_at) &&
+    now - new Date(attempt.window_started_at).getTime() < policy.windowMinutes * MINUTE;
+}
+
+/**
+ * Seconds a counter makes the caller wait before the next attempt. A locked
+ * counter waits for the lock to end. An account with a few recent failures
+ * waits a little longer after each one.
+ * @param {Object} attempt - AuthAttempt row
+ * @param {Object} policy - Policy of the counter
+ * @param {number} now - Current time in ms
+ * @returns {number} Seconds to wait; 0 when an attempt is allowed
+ */
+function secondsToWait(attempt, policy, now) {
+  if (attempt.locked_until && new Date(attempt.locked_until).getTime() > now) {
+    return Math.ceil((new Date(attempt.locked_until).getTime() - now) / 1000);
+  }
+
+  if (attempt.scope === 'account' && isWindowOpen(attempt, policy, now) &&
+      attempt.failed_count >= AUTH_ATTEMPTS.DELAY_AFTER_FAILURES) {
+    const delaySeconds = Math.min(
+      AUTH_ATTEMPTS.DELAY_BASE_SECONDS * 2 ** (attempt.failed_count - AUTH_ATTEMPTS.DELAY_AFTER_FAILURES),
+      AUTH_ATTEMPTS.MAX_DELAY_SECONDS
+    );
+    const readyAt = new Date(attempt.last_failed_at).getTime() + delaySeconds * 1000;
+    if (readyAt > now) {
+      return Math.ceil((readyAt - now) / 1000);
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Check whether an account and IP address may make another attempt. Call
+ * this before checking the password or OTP.
+ * @param {string} action - 'login', 'password_reset' or 'registration'
+ * @param {Object} identity - { email, ipAddress }
+ * @returns {Object} Result; on failure it has statusCode 429 and retryAfter in seconds
+ */
+async function checkAttempt(action, identity) {
+  const counters = countersFor(action, identity);
+  if (counters.length === 0) {
+    return { success: true };
+  }
+
+  const attempts = await db.AuthAttempt.findAll({
+    where: {
+      action,
+      [Op.or]: counters.map(({ scope, identifier }) => ({ scope, identifier }))
+    }
+  });
+
+  const now = Date.now();
+  let retryAfter = 0;
+  let locked = false;
+
+  attempts.forEach(attempt => {
+    const { policy } = counters.find(counter => counter.scope === attempt.scope);
+    const wait = secondsToWait(attempt, policy, now);
+    if (wait > retryAfter) {
+      retryAfter = wait;
+    }
+    if (attempt.locked_until && new Date(attempt.locked_until).getTime() > now) {
+      locked = true;
+    }
+  });
+
+  if (retryAfter === 0) {
+    return { success: true };
+  }
+
+  return {
+    success: false,
+    statusCode: 429,
+    error: locked
+      ? 'Too many failed attempts. Please try again later.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter
+  };
+}
+
+/**
+ * Count a failure on one counter, locking it once the policy's limit is
+ * reached. The row is locked so parallel failures are all counted.
+ * @param {string} action - Attempt action
+ * @param {Object} counter - { scope, identifier, policy }
+ * @returns {Date|null} End of the lockout this failure started, if any
+ */
+async function recordCounterFailure(action, { scope, identifier, policy }) {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const [attempt] = await db.AuthAttempt.findOrCreate({
+      where: { action, scope, identifier },
+      defaults: { failed_count: 0, lockout_count: 0 },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const now = Date.now();
+    const windowOpen = isWindowOpen(attempt, policy, now);
+    const failedCount = windowOpen ? attempt.failed_count + 1 : 1;
+
+    // Past lockouts stop making the next one longer after a quiet day
+    let lockoutCount = attempt.last_failed_at &&
+      now - new Date(attempt.last_failed_at).getTime() > AUTH_ATTEMPTS.MAX_LOCK_MINUTES * MINUTE
+      ? 0
+      : attempt.lockout_count;
+
+    const updates = {
+      failed_count: failedCount,
+      window_started_at: windowOpen ? attempt.window_started_at : new Date(now),
+      last_failed_at: new Date(now)
+    };
+
+    let lockedUntil = null;
+    if (failedCount >= policy.maxFailures) {
+      const lockMinutes = Math.min(policy.lockMinutes * 2 ** lockoutCount, AUTH_ATTEMPTS.MAX_LOCK_MINUTES);
+      lockedUntil = new Date(now + lockMinutes * MINUTE);
+      lockoutCount += 1;
+
+      // The lock replaces the window; attempts start from zero when it ends
+      updates.locked_until = lockedUntil;
+      updates.failed_count = 0;
+      updates.window_started_at = null;
+    }
+    updates.lockout_count = lockoutCount;
+
+    await attempt.update(updates, { transaction });
+    await transaction.commit();
+
+    if (lockedUntil) {
+      logger.warn('Too many failed attempts, locked', { action, scope, identifier, lockedUntil });
+    }
+
+    return lockedUntil;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Record a failed login or OTP guess against the account and the IP address
+ * @param {string} action - 'login', 'password_reset' or 'registration'
+ * @param {Object} identity - { email, ipAddress }
+ * @returns {Object} { accountLockedUntil, ipLockedUntil }, null where no lockout started
+ */
+async function recordFailure(action, identity) {
+  const result = { accountLockedUntil: null, ipLockedUntil: null };
+
+  for (const counter of countersFor(action, identity)) {
+    const lockedUntil = await recordCounterFailure(action, counter);
+    result[counter.scope === 'account' ? 'accountLockedUntil' : 'ipLockedUntil'] = lockedUntil;
+  }
+
+  return result;
+}
+
+/**
+ * Forget an account's failures after a successful attempt. The IP counter
+ * is kept, so one valid account cannot be used to reset it.
+ * @param {string} action - 'login', 'password_reset' or 'registration'
+ * @param {string} email - Account email
+ */
+async function clearFailures(action, email) {
+  await db.AuthAttempt.destroy({
+    where: { action, scope: 'account', identifier: String(email).trim().toLowerCase() }
+  });
+}
+
+/**
+ * Email the owner of an account that failed logins just locked. A mail
+ * failure is logged and does not fail the request.
+ * @param {Object} user - User with email and name
+ * @param {Date} lockedUntil - End of the lockout
+ * @param {string} ipAddress - IP address of the last attempt
+ */
+async function notifyAccountLocked(user, lockedUntil, ipAddress) {
+  try {
+    await emailService.sendAccountLockedEmail(user.email, user.name || 'User', { lockedUntil, ipAddress });
+  } catch (error) {
+    logger.error('Account locked email error', { userId: user.id, error: error.message });
+  }
+}
+
+module.exports = {
+  checkAttempt,
+  recordFailure,
+  clearFailures,
+  notifyAccountLocked
+};
@@ -0,0 +1,443 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { Jimp } = require('jimp');
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const { FileSecurityValidator } = require('../middleware/fileSecurityValidation');
+const { deleteFile, validateFileAccess, uploadsDir, chatThumbnailsDir } = require('../middlewares/upload');
+const {
+  CHAT_ATTACHMENTS: { THUMBNAIL_SIZE, WAVEFORM_BUCKETS, UNUSED_TTL_HOURS }
+} = require('../utils/constants');
+
+const fileSecurityValidator = new FileSecurityValidator();
+
+// Waveforms are computed from 8kHz mono PCM; one peak per 10ms block
+const WAVEFORM_SAMPLE_RATE = 8000;
+const WAVEFORM_BLOCK_SAMPLES = 80;
+
+/**
+ * Map a MIME type to the attachment kind, which is also the message type
+ * @param {string} mimeType - MIME type
+ * @returns {string} 'image', 'video', 'audio' or 'file'
+ */
+function getAttachmentKind(mimeType) {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'file';
+}
+
+/**
+ * Path under the uploads directory, as stored in chat_attachments
+ * @param {string} filePath - Absolute path
+ * @returns {string} Relative path with forward slashes
+ */
+function toStoredPath(filePath) {
+  return path.relative(uploadsDir, filePath).replace(/\\/g, '/');
+}
+
+/**
+ * Read stream and format information with ffprobe
+ * @param {string} filePath - Media file
+ * @returns {Object} ffprobe metadata
+ */
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+  });
+}
+
+/**
+ * Scale an image down to THUMBNAIL_SIZE and save it as JPEG
+ * @param {string} sourcePath - Image file
+ * @param {string} thumbnailPath - Output file
+ * @returns {Object} { width, height } of the source image
+ */
+async function createImageThumbnail(sourcePath, thumbnailPath) {
+  const image = await Jimp.read(sourcePath);
+  const { width, height } = image.bitmap;
+
+  if (width > THUMBNAIL_SIZE || height > THUMBNAIL_SIZE) {
+    image.scaleToFit({ w: THUMBNAIL_SIZE, h: THUMBNAIL_SIZE });
+  }
+  await image.write(thumbnailPath);
+
+  return { width, height };
+}
+
+/**
+ * Grab a frame 10% into a video as its thumbnail
+ * @param {string} sourcePath - Video file
+ * @param {string} thumbnailPath - Output file (.jpg)
+ */
+function createVideoThumbnail(sourcePath, thumbnailPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(sourcePath)
+      .on('end', resolve)
+      .on('error', reject)
+      .screenshots({
+        timestamps: ['10%'],
+        filename: path.basename(thumbnailPath),
+        folder: path.dirname(thumbnailPath),
+        size: `${THUMBNAIL_SIZE}x?`
+      });
+  });
+}
+
+/**
+ * Decode audio to PCM and reduce it to WAVEFORM_BUCKETS peaks
+ * @param {string} sourcePath - Audio file
+ * @returns {Array<number>} Peaks from 0 to 100, loudest peak is 100
+ */
+function buildWaveform(sourcePath) {
+  return new Promise((resolve, reject) => {
+    const blockPeaks = [];
+    let blockPeak = 0;
+    let blockSamples = 0;
+    let leftover = null;
+
+    const command = ffmpeg(sourcePath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(WAVEFORM_SAMPLE_RATE)
+      .format('s16le')
+      .on('error', reject);
+
+    const stream = command.pipe();
+    stream.on('data', (chunk) => {
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      leftover = usable < data.length ? data.subarray(usable) : null;
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        blockPeak = Math.max(blockPeak, Math.abs(data.readInt16LE(offset)));
+        if (++blockSamples === WAVEFORM_BLOCK_SAMPLES) {
+          blockPeaks.push(blockPeak);
+          blockPeak = 0;
+          blockSamples = 0;
+        }
+      }
+    });
+    stream.on('error', reject);
+    stream.on('end', () => {
+      if (blockSamples > 0) {
+        blockPeaks.push(blockPeak);
+      }
+      if (blockPeaks.length === 0) {
+        return resolve([]);
+      }
+
+      const buckets = [];
+      const perBucket = blockPeaks.length / WAVEFORM_BUCKETS;
+      for (let i = 0; i < Math.min(WAVEFORM_BUCKETS, blockPeaks.length); i++) {
+        const start = Math.floor(i * Math.max(perBucket, 1));
+        const end = Math.max(start + 1, Math.floor((i + 1) * Math.max(perBucket, 1)));
+        buckets.push(blockPeaks.slice(start, end).reduce((max, peak) => Math.max(max, peak), 0));
+      }
+
+      const loudest = Math.max(...buckets) || 1;
+      resolve(buckets.map(peak => Math.round((peak / loudest) * 100)));
+    });
+  });
+}
+
+/**
+ * Thumbnail, dimensions, duration and waveform for an uploaded file.
+ * Failures are logged and leave the fields empty; the upload itself has
+ * already passed the security scan.
+ * @param {string} kind - Attachment kind
+ * @param {Object} file - Uploaded file from the upload middleware
+ * @returns {Object} Columns to store with the attachment
+ */
+async function processMedia(kind, file) {
+  const media = {};
+  const thumbnailPath = path.join(chatThumbnailsDir, `${path.parse(file.filename).name}.jpg`);
+
+  try {
+    if (kind === 'image') {
+      const { width, height } = await createImageThumbnail(file.path, thumbnailPath);
+      Object.assign(media, { width, height, thumbnail_path: toStoredPath(thumbnailPath) });
+    } else if (kind === 'video') {
+      const metadata = await probeMedia(file.path);
+      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video') || {};
+      Object.assign(media, {
+        width: videoStream.width || null,
+        height: videoStream.height || null,
+        duration_seconds: Number(metadata.format.duration) || null
+      });
+      await createVideoThumbnail(file.path, thumbnailPath);
+      media.thumbnail_path = toStoredPath(thumbnailPath);
+    } else if (kind === 'audio') {
+      const metadata = await probeMedia(file.path);
+      media.duration_seconds = Number(metadata.format.duration) || null;
+      media.waveform = await buildWaveform(file.path);
+    }
+  } catch (error) {
+    logger.warn('Chat attachment processing failed', {
+      file: file.filename,
+      kind,
+      error: error.message
+    });
+    if (media.thumbnail_path === undefined) {
+      fs.unlink(thumbnailPath, () => {});
+    }
+  }
+
+  return media;
+}
+
+/**
+ * Shape an attachment for clients. Files are only reachable through the
+ * authenticated attachment endpoints, never by their path on disk.
+ * @param {Object|null} attachment - ChatAttachment instance or plain object
+ * @param {string} baseUrl - Base URL of the application (optional)
+ * @returns {Object|null} Attachment for API responses
+ */
+function formatAttachment(attachment, baseUrl = null) {
+  if (!attachment) {
+    return null;
+  }
+
+  const url = `${baseUrl || ''}${getAttachmentUrl(attachment.id)}`;
+
+  return {
+    id: attachment.id,
+    kind: attachment.kind,
+    file_name: attachment.file_name,
+    mime_type: attachment.mime_type,
+    size: Number(attachment.size),
+    width: attachment.width,
+    height: attachment.height,
+    duration_seconds: attachment.duration_seconds,
+    waveform: attachment.waveform,
+    url,
+    thumbnail_url: attachment.thumbnail_path ? `${url}/thumbnail` : null,
+    created_at: attachment.created_at
+  };
+}
+
+/**
+ * Path of the endpoint that serves an attachment, stored as the message's attachment_url
+ * @param {number} attachmentId - Attachment ID
+ * @returns {string} Path
+ */
+function getAttachmentUrl(attachmentId) {
+  return `/api/chat/attachments/${attachmentId}`;
+}
+
+/**
+ * Delete attachment rows, and their files once no other row (a forwarded
+ * copy) points at them
+ * @param {Array<Object>} attachments - ChatAttachment instances
+ */
+async function destroyAttachments(attachments) {
+  for (const attachment of attachments) {
+    await attachment.destroy();
+
+    const stillUsed = await db.ChatAttachment.count({ where: { file_path: attachment.file_path } });
+    if (stillUsed === 0) {
+      deleteFile(path.join(uploadsDir, attachment.file_path));
+      if (attachment.thumbnail_path) {
+        deleteFile(path.join(uploadsDir, attachment.thumbnail_path));
+      }
+    }
+  }
+}
+
+/**
+ * Remove a user's uploads that were never sent within UNUSED_TTL_HOURS
+ * @param {number} userId - Uploader ID
+ */
+async function removeUnusedAttachments(userId) {
+  const attachments = await db.ChatAttachment.findAll({
+    where: {
+      uploader_id: userId,
+      message_id: null,
+      created_at: { [Op.lt]: new Date(Date.now() - UNUSED_TTL_HOURS * 60 * 60 * 1000) }
+    }
+  });
+
+  await destroyAttachments(attachments);
+}
+
+/**
+ * Scan an uploaded chat file with the shared file security pipeline
+ * (type, size, NSFW, keywords, malware, integrity), then store it with its
+ * thumbnail or waveform. Rejected files are deleted.
+ * @param {Object} file - Uploaded file from the upload middleware
+ * @param {number} userId - Uploader ID
+ * @param {Object} requestInfo - { ip, userAgent, method, url } for security logs
+ * @param {string} baseUrl - Base URL of the application (optional)
+ * @returns {Object} Result with the attachment, or the scan violations
+ */
+async function createAttachment(file, userId, requestInfo = {}, baseUrl = null) {
+  try {
+    const validation = await fileSecurityValidator.validateFile(file, { ...requestInfo, userId });
+    if (!validation.isValid) {
+      deleteFile(file.path);
+      return {
+        success: false,
+        statusCode: 400,
+        error: 'File security validation failed',
+        violations: validation.violations
+      };
+    }
+
+    const kind = getAttachmentKind(file.mimetype);
+    const media = await processMedia(kind, file);
+
+    const attachment = await db.ChatAttachment.create({
+      uploader_id: userId,
+      kind,
+      file_path: toStoredPath(file.path),
+      file_name: path.basename(file.originalname),
+      mime_type: file.mimetype,
+      size: file.size,
+      hash: validation.fileInfo.hash || null,
+      ...media
+    });
+
+    // Opportunistic cleanup instead of a scheduled job
+    removeUnusedAttachments(userId).catch((error) => {
+      logger.warn('Failed to remove unused chat attachments', { userId, error: error.message });
+    });
+
+    return { success: true, data: formatAttachment(attachment, baseUrl) };
+  } catch (error) {
+    deleteFile(file.path);
+    logger.error('Error creating chat attachment:', error);
+    return { success: false, statusCode: 500, error: 'Failed to upload attachment' };
+  }
+}
+
+/**
+ * Lock an upload of the user that has not been sent yet, for sendMessage
+ * @param {number} attachmentId - Attachment ID
+ * @param {number} userId - Sender, who must be the uploader
+ * @param {Object} transaction - Sequelize transaction of the new message
+ * @returns {Object|null} ChatAttachment instance
+ */
+async function findUnusedAttachment(attachmentId, userId, transaction) {
+  return db.ChatAttachment.findOne({
+    where: { id: attachmentId, uploader_id: userId, message_id: null },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+}
+
+/**
+ * Copy an attachment for a forwarded message. The copy shares the file.
+ * @param {Object} attachment - Attachment of the original message
+ * @param {number} userId - User forwarding the message
+ * @param {Object} transaction - Sequelize transaction of the new message
+ * @returns {Object} New ChatAttachment instance, not yet linked to a message
+ */
+async function copyAttachment(attachment, userId, transaction) {
+  const {
+    kind, file_path, thumbnail_path, file_name, mime_type, size, hash, width, height, duration_seconds, waveform
+  } = attachment;
+
+  return db.ChatAttachment.create({
+    uploader_id: userId,
+    kind,
+    file_path,
+    thumbnail_path,
+    file_name,
+    mime_type,
+    size,
+    hash,
+    width,
+    height,
+    duration_seconds,
+    waveform
+  }, { transaction });
+}
+
+/**
+ * Remove the attachment of a message deleted for everyone
+ * @param {number} messageId - Message ID
+ */
+async function removeMessageAttachments(messageId) {
+  const attachments = await db.ChatAttachment.findAll({ where: { message_id: messageId } });
+  await destroyAttachments(attachments);
+}
+
+/**
+ * Resolve an attachment file for download. The uploader can fetch an
+ * upload they have not sent yet; once sent, current members of the
+ * conversation can, unless the message was deleted for everyone or for them.
+ * @param {number} attachmentId - Attachment ID
+ * @param {number} userId - Requesting user
+ * @param {boolean} thumbnail - Serve the thumbnail instead of the file
+ * @returns {Object} Result with { filePath, mimeType, fileName }
+ */
+async function getAttachmentFile(attachmentId, userId, thumbnail = false) {
+  try {
+    const notFound = { success: false, statusCode: 404, error: 'Attachment not found' };
+
+    const attachment = await db.ChatAttachment.findByPk(attachmentId, {
+      include: [{
+        model: db.Message,
+        as: 'message',
+        attributes: ['id', 'conversation_id', 'is_deleted']
+      }]
+    });
+    if (!attachment) {
+      return notFound;
+    }
+
+    if (attachment.message) {
+      if (attachment.message.is_deleted) {
+        return notFound;
+      }
+
+      const [membership, deletedForUser] = await Promise.all([
+        db.ConversationMember.findOne({
+          where: { conversation_id: attachment.message.conversation_id, user_id: userId, left_at: null },
+          attributes: ['id']
+        }),
+        db.MessageDeletion.count({ where: { message_id: attachment.message.id, user_id: userId } })
+      ]);
+      if (!membership || deletedForUser > 0) {
+        return notFound;
+      }
+    } else if (attachment.uploader_id !== userId) {
+      return notFound;
+    }
+
+    const storedPath = thumbnail ? attachment.thumbnail_path : attachment.file_path;
+    if (!storedPath) {
+      return { success: false, statusCode: 404, error: 'Attachment has no thumbnail' };
+    }
+
+    const filePath = path.join(uploadsDir, storedPath);
+    if (!validateFileAccess(filePath)) {
+      return { success: false, statusCode: 404, error: 'Attachment file not found' };
+    }
+
+    return {
+      success: true,
+      data: {
+        filePath,
+        mimeType: thumbnail ? 'image/jpeg' : attachment.mime_type,
+        fileName: attachment.file_name
+      }
+    };
+  } catch (error) {
+    logger.error('Error getting chat attachment:', error);
+    return { success: false, statusCode: 500, error: 'Failed to get attachment' };
+  }
+}
+
+module.exports = {
+  createAttachment,
+  findUnusedAttachment,
+  copyAttachment,
+  removeMessageAttachments,
+  removeUnusedAttachments,
+  getAttachmentFile,
+  formatAttachment,
+  getAttachmentUrl
+};
@@ -3,6 +3,50 @@ const crypto = require("crypto-js");
 const logger = require("../utils/logger");
 const { Op } = require("sequelize");
 const { sendMessageNotification } = require("./notificationService");
+const chatAttachmentService = require("./chatAttachmentService");
+const feedFollowService = require("./feedFollowService");
+const presenceService = require("./presenceService");
+const { buildIndexTokens, buildQueryTerms, buildSnippet } = require("../utils/searchIndex");
+const {
+  CHAT: {
+    MESSAGE_EDIT_WINDOW_MINUTES,
+    REPLY_PREVIEW_LENGTH,
+    MAX_FORWARD_TARGETS,
+    MAX_DELIVERY_ACK_IDS,
+    SYNC_MESSAGE_LIMIT,
+    MAX_SYNC_MESSAGE_LIMIT,
+    MAX_PINNED_CONVERSATIONS,
+    MAX_REQUEST_MESSAGES,
+    MUTE_DURATIONS,
+  },
+} = require("../utils/constants");
+
+// Columns of a replied-to message needed for its preview
+const REPLY_PREVIEW_ATTRIBUTES = [
+  "id",
+  "sender_id",
+  "message_type",
+  "content",
+  "attachment_name",
+  "attachment_mime_type",
+  "is_deleted",
+  "created_at",
+];
+
+// Per-user conversation settings, returned only to their owner as `settings`.
+// The request state is private too: senders never learn that a request was declined.
+const MEMBER_SETTINGS_ATTRIBUTES = [
+  "muted_until",
+  "pinned_at",
+  "is_archived",
+  "archived_at",
+  "cleared_at",
+  "request_status",
+  "request_responded_at",
+];
+
+// A single emoji, including skin tones, ZWJ sequences and flags
+const REACTION_PATTERN = /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
 
 /**
  * Chat Service - Handles all chat-related business logic
@@ -105,6 +149,20 @@ class ChatService {
         }
       }
 
+      // Chats from strangers start as a message request for the recipient
+      let requestStatus = "accepted";
+      if (type === "private") {
+        const recipientId = parseInt(memberIds[0]);
+        if (await feedFollowService.isBlockedEitherWay(createdBy, recipientId)) {
+          throw new Error("You cannot message this user");
+        }
+        if (!(await this.isKnownContact(recipientId, createdBy))) {
+          requestStatus = "pending";
+        }
+      } else if (memberIds.length > 0) {
+        await this.assertCanAddToGroup(createdBy, memberIds.map(Number));
+      }
+
       // Check if private conversation already exists
       if (type === "private") {
         const existingConversation = await this.findPrivateConversation(
@@ -115,7 +173,7 @@ class ChatService {
           await transaction.rollback();
           return {
             success: true,
-            data: existingConversation,
+            data: await this.getConversationById(existingConversation.id),
             message: "Conversation already exists",
           };
         }
@@ -152,6 +210,7 @@ class ChatService {
             conversation_id: conversation.id,
             user_id: userId,
             role: "member",
+            request_status: requestStatus,
             joined_at: new Date(),
           },
           { transaction }
@@ -208,6 +267,10 @@ class ChatService {
         userMessage = error.message;
       } else if (error.message.includes("One or more member IDs are invalid")) {
         userMessage = error.message;
+      } else if (error.message.includes("You cannot message this user")) {
+        userMessage = error.message;
+      } else if (error.statusCode === 403) {
+        userMessage = error.message;
       } else {
         // Log the actual error for debugging but return a generic message
         logger.error("Unhandled error in createConversation:", error);
@@ -259,7 +322,7 @@ class ChatService {
               {
                 model: db.User,
                 as: "user",
-                attributes: ["id", "name", "email", "is_online", "last_seen"],
+                attributes: ["id", "name", "email"],
                 include: [
                   {
                     model: db.UserProfile,
@@ -281,18 +344,125 @@ class ChatService {
   }
 
   /**
-   * Get conversation by ID with members
+   * Whether a user already knows another user, so that a chat from them is
+   * not a message request: the two matched, the user follows them, or the
+   * user has written in a conversation with them before
+   * @param {number} userId - User receiving the chat
+   * @param {number} otherUserId - User starting the chat
+   * @returns {boolean} True if the chat can go straight to the inbox
+   */
+  async isKnownContact(userId, otherUserId) {
+    const [match, follow, message] = await Promise.all([
+      db.Match.findOne({
+        where: {
+          status: { [Op.in]: ["accepted", "in_progress", "completed"] },
+          [Op.or]: [
+            { requester_id: userId, owner_id: otherUserId },
+            { requester_id: otherUserId, owner_id: userId },
+          ],
+        },
+        attributes: ["id"],
+      }),
+      db.FeedFollow.findOne({
+        where: { follower_id: userId, following_id: otherUserId, follow_type: "follow" },
+        attributes: ["id"],
+      }),
+      db.Message.findOne({
+        where: {
+          sender_id: userId,
+          message_type: { [Op.ne]: "system" },
+          conversation_id: {
+            [Op.in]: db.sequelize.literal(
+              `(SELECT conversation_id FROM conversation_members WHERE user_id = ${parseInt(otherUserId)})`
+            ),
+          },
+        },
+        attributes: ["id"],
+      }),
+    ]);
+
+    return Boolean(match || follow || message);
+  }
+
+  /**
+   * Find the open message requests of conversations. Declined requests are
+   * reported as pending, so senders cannot tell they were declined.
+   * @param {Array<number>} conversationIds - Conversation IDs
+   * @returns {Map<string, Object>} Conversation ID => { status, requester_id, recipient_id }
+   */
+  async getMessageRequests(conversationIds) {
+    const requests = new Map();
+    if (conversationIds.length === 0) {
+      return requests;
+    }
+
+    const members = await db.ConversationMember.findAll({
+      where: {
+        conversation_id: { [Op.in]: conversationIds },
+        request_status: { [Op.in]: ["pending", "declined"] },
+        left_at: null,
+      },
+      attributes: ["conversation_id", "user_id"],
+      include: [{ model: db.Conversation, as: "conversation", attributes: ["created_by"] }],
+    });
+
+    members.forEach((member) => {
+      requests.set(String(member.conversation_id), {
+        status: "pending",
+        requester_id: member.conversation.created_by,
+        recipient_id: member.user_id,
+      });
+    });
+
+    return requests;
+  }
+
+  /**
+   * Get the IDs of users whose presence a viewer may see: the viewer and
+   * their presence audience (see presenceService.canSeePresence)
+   * @param {number|null} viewerId - User the data is for
+   * @returns {Set<number>} User IDs, empty without a viewer
+   */
+  async getPresenceVisibleIds(viewerId) {
+    if (!viewerId) {
+      return new Set();
+    }
+
+    const audience = await presenceService.getPresenceAudience(viewerId);
+    return new Set([viewerId, ...audience]);
+  }
+
+  /**
+   * Null the online status and last seen of members outside a set of users
+   * @param {Array<Object>} members - Conversation members with `user`
+   * @param {Set<number>} visibleIds - Users whose presence may be shown
+   */
+  hideMemberPresence(members, visibleIds) {
+    (members || []).forEach((member) => {
+      if (member.user && !visibleIds.has(member.user.id)) {
+        member.user.is_online = null;
+        member.user.last_seen = null;
+      }
+    });
+  }
+
+  /**
+   * Get conversation by ID with members. Members' presence is only shown
+   * to the viewer who may see it; without a viewer, e.g. for data sent to
+   * all members, it is hidden.
    * @param {number} conversationId - Conversation ID
    * @param {string} baseUrl - Base URL of the application (optional)
+   * @param {number} viewerId - User the conversation is for (optional)
    * @returns {Object|null} Conversation with members
    */
-  async getConversationById(conversationId, baseUrl = null) {
+  async getConversationById(conversationId, baseUrl = null, viewerId = null) {
     try {
       const conversation = await db.Conversation.findByPk(conversationId, {
         include: [
           {
             model: db.ConversationMember,
             as: "members",
+            attributes: { exclude: MEMBER_SETTINGS_ATTRIBUTES },
             include: [
               {
                 model: db.User,
@@ -323,7 +493,15 @@ class ChatService {
         ],
       });
 
-      if (conversation && baseUrl) {
+      if (!conversation) {
+        return null;
+      }
+
+      const requests = await this.getMessageRequests([conversation.id]);
+      conversation.dataValues.message_request = requests.get(String(conversation.id)) || null;
+      this.hideMemberPresence(conversation.members, await this.getPresenceVisibleIds(viewerId));
+
+      if (baseUrl) {
         const conversationData = conversation.toJSON();
         
         // Add image URLs to all members
@@ -352,12 +530,16 @@ class ChatService {
   }
 
   /**
-   * Get user's conversations
+   * Get user's conversations, pinned first, each with the user's own `settings`
    * @param {number} userId - User ID
    * @param {string} baseUrl - Base URL of the application
+   * @param {Object} options - { archived: true | false } to list only archived or
+   *   only unarchived conversations (default: all); { requests: true | false } to
+   *   list only message requests sent to the user or only accepted conversations
+   *   (default: all but declined requests)
    * @returns {Array} User's conversations
    */
-  async getUserConversations(userId, baseUrl) {
+  async getUserConversations(userId, baseUrl, options = {}) {
     try {
       // Get users blocked by the current user (same pattern as post filtering)
       const blockedUserIds = await db.UserBlock.findAll({
@@ -366,15 +548,25 @@ class ChatService {
       }).then(blocks => blocks.map(b => b.blocked_id));
 
       // First, get conversation IDs where user is a member
+      const membershipWhere = {
+        user_id: userId,
+        left_at: null, // Only active memberships
+      };
+      if (options.archived !== undefined) {
+        membershipWhere.is_archived = options.archived;
+      }
+      if (options.requests !== undefined) {
+        membershipWhere.request_status = options.requests ? "pending" : "accepted";
+      } else {
+        membershipWhere.request_status = { [Op.ne]: "declined" };
+      }
       const userConversations = await db.ConversationMember.findAll({
-        where: {
-          user_id: userId,
-          left_at: null, // Only active memberships
-        },
-        attributes: ["conversation_id"],
+        where: membershipWhere,
+        attributes: ["conversation_id", "is_muted", "is_pinned", ...MEMBER_SETTINGS_ATTRIBUTES],
       });
 
       const conversationIds = userConversations.map((cm) => cm.conversation_id);
+      const membershipsById = new Map(userConversations.map((cm) => [String(cm.conversation_id), cm]));
 
       if (conversationIds.length === 0) {
         return [];
@@ -388,6 +580,11 @@ class ChatService {
         memberWhereCondition.user_id = { [Op.notIn]: blockedUserIds };
       }
 
+      const [requests, presenceVisibleIds] = await Promise.all([
+        this.getMessageRequests(conversationIds),
+        this.getPresenceVisibleIds(userId),
+      ]);
+
       const conversations = await db.Conversation.findAll({
         where: {
           id: { [Op.in]: conversationIds },
@@ -397,6 +594,7 @@ class ChatService {
             model: db.ConversationMember,
             as: "members",
             where: memberWhereCondition,
+            attributes: { exclude: MEMBER_SETTINGS_ATTRIBUTES },
             include: [
               {
                 model: db.User,
@@ -419,11 +617,20 @@ class ChatService {
       // Get last message for each conversation
       const conversationsWithLastMessage = await Promise.all(
         conversations.map(async (conversation) => {
-          // Build where condition for last message (exclude messages from blocked users)
-          const messageWhereCondition = { conversation_id: conversation.id };
+          // Build where condition for last message (exclude messages from blocked users
+          // and messages deleted for everyone or by the current user)
+          const membership = membershipsById.get(String(conversation.id));
+          const messageWhereCondition = { conversation_id: conversation.id, is_deleted: false };
           if (blockedUserIds.length > 0) {
             messageWhereCondition.sender_id = { [Op.notIn]: blockedUserIds };
           }
+          if (membership.cleared_at) {
+            messageWhereCondition.created_at = { [Op.gt]: membership.cleared_at };
+          }
+          const deletedMessageIds = await this.getDeletedMessageIds(userId, conversation.id);
+          if (deletedMessageIds.length > 0) {
+            messageWhereCondition.id = { [Op.notIn]: deletedMessageIds };
+          }
 
           const lastMessage = await db.Message.findOne({
             where: messageWhereCondition,
@@ -445,6 +652,7 @@ class ChatService {
           });
 
           const conversationData = conversation.toJSON();
+          this.hideMemberPresence(conversationData.members, presenceVisibleIds);
 
           // Add image URLs to all members and mark current user
           if (conversationData.members && baseUrl) {
@@ -483,6 +691,9 @@ class ChatService {
           if (blockedUserIds.length > 0) {
             unreadMessageWhereCondition.sender_id = { [Op.notIn]: blockedUserIds };
           }
+          if (membership.cleared_at) {
+            unreadMessageWhereCondition.created_at = { [Op.gt]: membership.cleared_at };
+          }
 
           const unreadCount = await db.MessageStatus.count({
             where: {
@@ -500,22 +711,288 @@ class ChatService {
             ...conversationData,
             lastMessage: lastMessageData,
             unread_count: unreadCount,
+            settings: this.formatMemberSettings(membership),
+            message_request: requests.get(String(conversation.id)) || null,
           };
         })
       );
 
-      // Filter out conversations that have no messages
+      // Filter out conversations that have no messages, but keep the ones
+      // the user emptied with clear history
       const conversationsWithMessages = conversationsWithLastMessage.filter(
-        (conversation) => conversation.lastMessage !== null
+        (conversation) => conversation.lastMessage !== null || conversation.settings.cleared_at !== null
       );
 
-      return conversationsWithMessages;
+      // Pinned conversations first, most recently pinned on top; the rest
+      // keep their order by last message
+      const pinnedTime = (conversation) =>
+        conversation.settings.is_pinned ? new Date(conversation.settings.pinned_at || 0).getTime() : -1;
+      return conversationsWithMessages.sort((a, b) => pinnedTime(b) - pinnedTime(a));
     } catch (error) {
       logger.error("Error getting user conversations:", error);
       return [];
     }
   }
 
+  /**
+   * Count the conversations a user archived, for the "Archived" entry of the list
+   * @param {number} userId - User ID
+   * @returns {number} Number of archived conversations
+   */
+  async countArchivedConversations(userId) {
+    return db.ConversationMember.count({
+      where: { user_id: userId, left_at: null, is_archived: true, request_status: "accepted" },
+    });
+  }
+
+  /**
+   * Count the message requests waiting for a user. Requests show up once
+   * the first message is sent, as in the requests list.
+   * @param {number} userId - User ID
+   * @returns {number} Number of pending message requests
+   */
+  async countMessageRequests(userId) {
+    return db.ConversationMember.count({
+      where: {
+        user_id: userId,
+        left_at: null,
+        request_status: "pending",
+        [Op.and]: db.sequelize.literal(
+          `EXISTS (SELECT 1 FROM messages WHERE messages.conversation_id = "conversation_members"."conversation_id" AND messages.is_deleted = false)`
+        ),
+      },
+    });
+  }
+
+  /**
+   * Whether a member's mute is in effect (timed mutes end by themselves)
+   * @param {Object} member - ConversationMember
+   * @returns {boolean} True if notifications for the conversation are muted
+   */
+  isMuteActive(member) {
+    return Boolean(member.is_muted) && (!member.muted_until || new Date(member.muted_until) > new Date());
+  }
+
+  /**
+   * A user's own settings for a conversation
+   * @param {Object} member - ConversationMember of the user
+   * @returns {Object} { is_pinned, pinned_at, is_muted, muted_until, is_archived, archived_at, cleared_at }
+   */
+  formatMemberSettings(member) {
+    const isMuted = this.isMuteActive(member);
+
+    return {
+      is_pinned: Boolean(member.is_pinned),
+      pinned_at: member.is_pinned ? member.pinned_at || null : null,
+      is_muted: isMuted,
+      muted_until: isMuted ? member.muted_until || null : null,
+      is_archived: Boolean(member.is_archived),
+      archived_at: member.archived_at || null,
+      cleared_at: member.cleared_at || null,
+    };
+  }
+
+  /**
+   * Load a user's membership of a conversation and apply a settings change
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - User ID
+   * @param {Function} change - async (member) => error result or undefined
+   * @returns {Object} Result with { conversationId, userId, settings }
+   */
+  async updateMemberSettings(conversationId, userId, change) {
+    const member = await db.ConversationMember.findOne({
+      where: { conversation_id: conversationId, user_id: userId, left_at: null },
+    });
+    if (!member) {
+      return { success: false, statusCode: 403, error: "User is not a member of this conversation" };
+    }
+
+    const failure = await change(member);
+    if (failure) {
+      return failure;
+    }
+
+    return {
+      success: true,
+      data: { conversationId, userId, settings: this.formatMemberSettings(member) },
+    };
+  }
+
+  /**
+   * Pin or unpin a conversation for a user
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - User ID
+   * @param {boolean} pinned - Pin (true) or unpin (false)
+   * @returns {Object} Result with the user's settings
+   */
+  async setConversationPinned(conversationId, userId, pinned) {
+    try {
+      return await this.updateMemberSettings(conversationId, userId, async (member) => {
+        if (!pinned) {
+          await member.update({ is_pinned: false, pinned_at: null });
+          return;
+        }
+        if (member.is_pinned) {
+          return;
+        }
+        if (member.is_archived) {
+          return { success: false, statusCode: 400, error: "Unarchive the conversation before pinning it" };
+        }
+
+        const pinnedCount = await db.ConversationMember.count({
+          where: { user_id: userId, left_at: null, is_pinned: true },
+        });
+        if (pinnedCount >= MAX_PINNED_CONVERSATIONS) {
+          return {
+            success: false,
+            statusCode: 400,
+            error: `You can pin up to ${MAX_PINNED_CONVERSATIONS} conversations`,
+          };
+        }
+
+        await member.update({ is_pinned: true, pinned_at: new Date() });
+      });
+    } catch (error) {
+      logger.error("Error pinning conversation:", error);
+      return { success: false, statusCode: 500, error: "Failed to update conversation" };
+    }
+  }
+
+  /**
+   * Mute a conversation's notifications for a while, or unmute it
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - User ID
+   * @param {string|null} duration - Key of CHAT.MUTE_DURATIONS, or null to unmute
+   * @returns {Object} Result with the user's settings
+   */
+  async setConversationMuted(conversationId, userId, duration) {
+    try {
+      if (duration !== null && !Object.prototype.hasOwnProperty.call(MUTE_DURATIONS, duration)) {
+        return {
+          success: false,
+          statusCode: 400,
+          error: `Duration must be one of: ${Object.keys(MUTE_DURATIONS).join(", ")}`,
+        };
+      }
+
+      return await this.updateMemberSettings(conversationId, userId, async (member) => {
+        if (duration === null) {
+          await member.update({ is_muted: false, muted_until: null });
+          return;
+        }
+
+        const minutes = MUTE_DURATIONS[duration];
+        await member.update({
+          is_muted: true,
+          muted_until: minutes === null ? null : new Date(Date.now() + minutes * 60 * 1000),
+        });
+      });
+    } catch (error) {
+      logger.error("Error muting conversation:", error);
+      return { success: false, statusCode: 500, error: "Failed to update conversation" };
+    }
+  }
+
+  /**
+   * Archive or unarchive a conversation for a user. Archiving unpins it.
+   * Archived conversations stay archived when new messages arrive.
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - User ID
+   * @param {boolean} archived - Archive (true) or unarchive (false)
+   * @returns {Object} Result with the user's settings
+   */
+  async setConversationArchived(conversationId, userId, archived) {
+    try {
+      return await this.updateMemberSettings(conversationId, userId, async (member) => {
+        if (archived) {
+          if (!member.is_archived) {
+            await member.update({ is_archived: true, archived_at: new Date(), is_pinned: false, pinned_at: null });
+          }
+          return;
+        }
+        await member.update({ is_archived: false, archived_at: null });
+      });
+    } catch (error) {
+      logger.error("Error archiving conversation:", error);
+      return { success: false, statusCode: 500, error: "Failed to update conversation" };
+    }
+  }
+
+  /**
+   * Clear a conversation's history for one user. Messages sent so far are
+   * hidden from them (not from other members) and no longer count as unread.
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - User ID
+   * @returns {Object} Result with the user's settings
+   */
+  async clearConversationHistory(conversationId, userId) {
+    try {
+      return await this.updateMemberSettings(conversationId, userId, async (member) => {
+        await member.update({ cleared_at: new Date() });
+        await this.markConversationAsRead(conversationId, userId);
+      });
+    } catch (error) {
+      logger.error("Error clearing conversation history:", error);
+      return { success: false, statusCode: 500, error: "Failed to clear conversation history" };
+    }
+  }
+
+  /**
+   * Accept, decline or block a message request sent to the user.
+   * Declining hides the conversation from the recipient; the sender still sees
+   * it as pending and cannot send more. Blocking also blocks the sender.
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - Recipient of the request
+   * @param {string} action - 'accept', 'decline' or 'block'
+   * @returns {Object} Result with { conversationId, userId, requesterId, status }
+   */
+  async respondToMessageRequest(conversationId, userId, action) {
+    const transaction = await db.sequelize.transaction();
+
+    try {
+      const member = await db.ConversationMember.findOne({
+        where: { conversation_id: conversationId, user_id: userId, left_at: null, request_status: "pending" },
+        include: [{ model: db.Conversation, as: "conversation", attributes: ["created_by"] }],
+        transaction,
+      });
+      if (!member) {
+        await transaction.rollback();
+        return { success: false, statusCode: 404, error: "Message request not found" };
+      }
+
+      const requesterId = member.conversation.created_by;
+      const status = action === "accept" ? "accepted" : "declined";
+      await member.update({ request_status: status, request_responded_at: new Date() }, { transaction });
+
+      if (action === "block") {
+        await db.UserBlock.findOrCreate({
+          where: { blocker_id: userId, blocked_id: requesterId },
+          defaults: { reason: "Blocked from a message request" },
+          transaction,
+        });
+      }
+
+      await transaction.commit();
+
+      // Blocking ends feed follows in both directions, as in POST /users/block
+      if (action === "block") {
+        await feedFollowService.removeFollowsBetween(userId, requesterId);
+      }
+
+      return {
+        success: true,
+        data: { conversationId, userId, requesterId, status },
+      };
+    } catch (error) {
+      // The follow cleanup runs after the commit
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      logger.error("Error responding to message request:", error);
+      return { success: false, statusCode: 500, error: "Failed to update message request" };
+    }
+  }
+
   /**
    * Check if user is member of conversation
    * @param {number} conversationId - Conversation ID
@@ -541,6 +1018,8 @@ class ChatService {
 
   /**
    * Send a message
+   * Attachments are referenced by data.attachmentId, the ID returned by
+   * POST /api/chat/attachments; raw attachment URLs are rejected.
    * @param {Object} data - Message data
    * @returns {Object} Result with success status and data
    */
@@ -555,13 +1034,22 @@ class ChatService {
         messageType = "text",
         replyToMessageId,
         forwardFromMessageId,
+        attachmentId,
         attachmentUrl,
-        attachmentName,
-        attachmentSize,
-        attachmentMimeType,
+        forwardedAttachment,
         metadata,
       } = data;
 
+      // System messages are only created by the server (createSystemMessage)
+      if (messageType === "system") {
+        throw new Error("System messages cannot be sent");
+      }
+
+      // Files must go through POST /attachments so they are scanned first
+      if (attachmentUrl) {
+        throw new Error("Upload attachments with POST /api/chat/attachments and send them by attachmentId");
+      }
+
       // Verify user is member of conversation
       const isMember = await this.isConversationMember(
         conversationId,
@@ -571,9 +1059,53 @@ class ChatService {
         throw new Error("User is not a member of this conversation");
       }
 
+      // Until a message request is accepted the sender can only send a
+      // limited number of messages; replying to a request accepts it
+      const requestMember = await db.ConversationMember.findOne({
+        where: { conversation_id: conversationId, left_at: null, request_status: { [Op.ne]: "accepted" } },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+      if (requestMember && requestMember.user_id === senderId) {
+        await requestMember.update({ request_status: "accepted", request_responded_at: new Date() }, { transaction });
+      } else if (requestMember) {
+        const sentCount = await db.Message.count({
+          where: { conversation_id: conversationId, sender_id: senderId, message_type: { [Op.ne]: "system" } },
+          transaction,
+        });
+        if (sentCount >= MAX_REQUEST_MESSAGES) {
+          throw new Error("You can't send more messages until your message request is accepted");
+        }
+      }
+
+      // Replies must point at a message in the same conversation
+      if (replyToMessageId) {
+        const replyTo = await db.Message.findOne({
+          where: { id: replyToMessageId, conversation_id: conversationId, is_deleted: false },
+          attributes: ["id"],
+        });
+        if (!replyTo) {
+          throw new Error("The message you are replying to was not found in this conversation");
+        }
+      }
+
+      // An upload can be sent once; forwards get their own copy of the original's
+      let attachment = null;
+      if (attachmentId) {
+        attachment = await chatAttachmentService.findUnusedAttachment(attachmentId, senderId, transaction);
+        if (!attachment) {
+          throw new Error("Attachment not found or already sent");
+        }
+      } else if (forwardedAttachment) {
+        attachment = await chatAttachmentService.copyAttachment(forwardedAttachment, senderId, transaction);
+      }
+
+      if (!content && !attachment) {
+        throw new Error("Message must have content or an attachment");
+      }
+
       // Encrypt content
       const encryptedContent = content ? this.encryptMessage(content) : null;
-      const contentPlain = content; // For search purposes
 
       // Create message
       const message = await db.Message.create(
@@ -581,14 +1113,13 @@ class ChatService {
           conversation_id: conversationId,
           sender_id: senderId,
           content: encryptedContent,
-          content_plain: contentPlain,
-          message_type: messageType,
+          message_type: attachment ? attachment.kind : messageType,
           reply_to_message_id: replyToMessageId,
           forward_from_message_id: forwardFromMessageId,
-          attachment_url: attachmentUrl,
-          attachment_name: attachmentName,
-          attachment_size: attachmentSize,
-          attachment_mime_type: attachmentMimeType,
+          attachment_url: attachment ? chatAttachmentService.getAttachmentUrl(attachment.id) : null,
+          attachment_name: attachment ? attachment.file_name : null,
+          attachment_size: attachment ? attachment.size : null,
+          attachment_mime_type: attachment ? attachment.mime_type : null,
           metadata: metadata ? JSON.stringify(metadata) : null,
           is_edited: false,
           is_deleted: false,
@@ -596,6 +1127,12 @@ class ChatService {
         { transaction }
       );
 
+      if (attachment) {
+        await attachment.update({ message_id: message.id }, { transaction });
+      }
+
+      await this.indexMessage(message, content, transaction);
+
       // Update conversation last message time
       await db.Conversation.update(
         { last_message_at: new Date() },
@@ -608,17 +1145,17 @@ class ChatService {
         transaction,
       });
 
+      // Recipients stay "sent" until one of their devices acknowledges delivery
       const statusPromises = members.map((member) => {
-        const status = member.user_id === senderId ? "read" : "sent";
-        const readAt = member.user_id === senderId ? new Date() : null;
+        const isSender = member.user_id === senderId;
 
         return db.MessageStatus.create(
           {
             message_id: message.id,
             user_id: member.user_id,
-            status,
-            delivered_at: new Date(),
-            read_at: readAt,
+            status: isSender ? "read" : "sent",
+            delivered_at: isSender ? new Date() : null,
+            read_at: isSender ? new Date() : null,
           },
           { transaction }
         );
@@ -644,6 +1181,7 @@ class ChatService {
           {
             model: db.Message,
             as: "replyToMessage",
+            attributes: REPLY_PREVIEW_ATTRIBUTES,
             include: [
               {
                 model: db.User,
@@ -659,6 +1197,10 @@ class ChatService {
               },
             ],
           },
+          {
+            model: db.ChatAttachment,
+            as: "attachment",
+          },
         ],
         transaction,
       });
@@ -678,14 +1220,26 @@ class ChatService {
           this.addImageUrlToUser(messageData.sender, baseUrl);
         }
         
-        if (messageData.replyToMessage && messageData.replyToMessage.sender) {
-          this.addImageUrlToUser(messageData.replyToMessage.sender, baseUrl);
-        }
-        
         // Update completeMessage with transformed data
         Object.assign(completeMessage.dataValues, messageData);
       }
 
+      const replyToMessage = completeMessage.dataValues.replyToMessage;
+      if (replyToMessage) {
+        completeMessage.dataValues.replyToMessage = this.buildReplyPreview(
+          replyToMessage.toJSON ? replyToMessage.toJSON() : replyToMessage,
+          baseUrl
+        );
+      }
+      completeMessage.dataValues.reactions = [];
+      completeMessage.dataValues.attachment = chatAttachmentService.formatAttachment(
+        completeMessage.dataValues.attachment,
+        baseUrl
+      );
+      if (completeMessage.dataValues.attachment) {
+        completeMessage.dataValues.attachment_url = completeMessage.dataValues.attachment.url;
+      }
+
       await transaction.commit();
 
       // Send notifications to other conversation members (fire and forget)
@@ -720,141 +1274,1221 @@ class ChatService {
   }
 
   /**
-   * Get conversation messages with pagination
-   * @param {number} conversationId - Conversation ID
-   * @param {number} userId - User ID (for permission check)
-   * @param {number} page - Page number
-   * @param {number} limit - Messages per page
-   * @param {string} baseUrl - Base URL of the application (optional)
-   * @returns {Object} Messages with pagination info
+   * Replace a message's search tokens (blind index, see utils/searchIndex)
+   * @param {Object} message - Message instance
+   * @param {string} content - Decrypted message text
+   * @param {Object} transaction - Sequelize transaction (optional)
+   */
+  async indexMessage(message, content, transaction = null) {
+    const tokens = buildIndexTokens([content, message.attachment_name].filter(Boolean).join(" "));
+
+    await db.MessageSearchToken.destroy({ where: { message_id: message.id }, transaction });
+    if (tokens.length > 0) {
+      await db.MessageSearchToken.bulkCreate(
+        tokens.map(({ token, occurrences }) => ({
+          message_id: message.id,
+          conversation_id: message.conversation_id,
+          token,
+          occurrences,
+        })),
+        { transaction }
+      );
+    }
+  }
+
+  /**
+   * Parse message metadata (older messages store it as a JSON string)
+   * @param {Object|string|null} metadata - Stored metadata
+   * @returns {Object} Metadata object
    */
-  async getConversationMessages(conversationId, userId, page = 1, limit = 50, baseUrl = null) {
+  parseMetadata(metadata) {
+    if (!metadata) return {};
+    if (typeof metadata !== "string") return { ...metadata };
     try {
-      // Verify user is member of conversation
-      const isMember = await this.isConversationMember(conversationId, userId);
-      if (!isMember) {
-        throw new Error("User is not a member of this conversation");
-      }
+      return JSON.parse(metadata);
+    } catch (error) {
+      return {};
+    }
+  }
 
-      // Get users blocked by the current user (same pattern as post filtering)
-      const blockedUserIds = await db.UserBlock.findAll({
-        where: { blocker_id: userId },
-        attributes: ['blocked_id']
-      }).then(blocks => blocks.map(b => b.blocked_id));
+  /**
+   * Remove the stored edit history from a message before sending it to clients
+   * @param {Object} messageData - Plain message object
+   * @returns {Object} Message without edit history
+   */
+  stripEditHistory(messageData) {
+    if (messageData.metadata) {
+      const metadata = this.parseMetadata(messageData.metadata);
+      delete metadata.edit_history;
+      messageData.metadata = metadata;
+    }
+    return messageData;
+  }
 
-      const offset = (page - 1) * limit;
+  /**
+   * Get IDs of messages a user deleted for themselves
+   * @param {number} userId - User ID
+   * @param {number|Array<number>} conversationIds - Conversation ID(s) to look in
+   * @returns {Array<number>} Message IDs
+   */
+  async getDeletedMessageIds(userId, conversationIds) {
+    const deletions = await db.MessageDeletion.findAll({
+      where: { user_id: userId },
+      attributes: ["message_id"],
+      include: [{
+        model: db.Message,
+        as: "message",
+        attributes: [],
+        where: { conversation_id: conversationIds },
+      }],
+    });
+
+    return deletions.map((deletion) => deletion.message_id);
+  }
 
-      // Build where condition for messages (exclude messages from blocked users)
-      const messageWhereCondition = {
-        conversation_id: conversationId,
-        is_deleted: false,
-      };
-      if (blockedUserIds.length > 0) {
-        messageWhereCondition.sender_id = { [Op.notIn]: blockedUserIds };
+  /**
+   * Edit a text message within the edit window (sender only)
+   * The previous encrypted content is kept in metadata.edit_history.
+   * @param {number} messageId - Message ID
+   * @param {number} userId - User editing the message
+   * @param {string} content - New content
+   * @returns {Object} Result with success status and data
+   */
+  async editMessage(messageId, userId, content) {
+    try {
+      const message = await db.Message.findByPk(messageId);
+      if (!message || message.is_deleted) {
+        return { success: false, statusCode: 404, error: "Message not found" };
       }
 
-      const { count, rows: messages } = await db.Message.findAndCountAll({
-        where: messageWhereCondition,
-        include: [
-          {
-            model: db.User,
-            as: "sender",
-            attributes: ["id", "name", "email"],
-            include: [
-              {
-                model: db.UserProfile,
-                as: "profile",
-                attributes: ["image_path"],
-              },
-            ],
-          },
-          {
-            model: db.Message,
-            as: "replyToMessage",
-            include: [
-              {
-                model: db.User,
-                as: "sender",
-                attributes: ["id", "name"],
-                include: [
-                  {
-                    model: db.UserProfile,
-                    as: "profile",
-                    attributes: ["image_path"],
-                  },
-                ],
-              },
-            ],
-          },
-          {
-            model: db.MessageStatus,
-            as: "statuses",
-            include: [
-              {
-                model: db.User,
-                as: "user",
-                attributes: ["id", "name"],
-                include: [
-                  {
-                    model: db.UserProfile,
-                    as: "profile",
-                    attributes: ["image_path"],
-                  },
-                ],
-              },
-            ],
-          },
-        ],
+      if (message.sender_id !== userId) {
+        return { success: false, statusCode: 403, error: "You can only edit your own messages" };
+      }
+
+      if (message.message_type !== "text") {
+        return { success: false, statusCode: 400, error: "Only text messages can be edited" };
+      }
+
+      const isMember = await this.isConversationMember(message.conversation_id, userId);
+      if (!isMember) {
+        return { success: false, statusCode: 403, error: "User is not a member of this conversation" };
+      }
+
+      const editDeadline = new Date(message.created_at).getTime() + MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+      if (Date.now() > editDeadline) {
+        return {
+          success: false,
+          statusCode: 403,
+          error: `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`,
+        };
+      }
+
+      if (message.content && this.decryptMessage(message.content) === content) {
+        return { success: false, statusCode: 400, error: "Message content is unchanged" };
+      }
+
+      const editedAt = new Date();
+      const metadata = this.parseMetadata(message.metadata);
+      metadata.edit_history = [
+        ...(metadata.edit_history || []),
+        { content: message.content, edited_at: editedAt },
+      ];
+      metadata.edited_at = editedAt;
+
+      await message.update({
+        content: this.encryptMessage(content),
+        is_edited: true,
+        metadata,
+      });
+      await this.indexMessage(message, content);
+
+      return {
+        success: true,
+        data: {
+          action: "edited",
+          messageId: message.id,
+          conversationId: message.conversation_id,
+          userId,
+          content,
+          is_edited: true,
+          edited_at: editedAt,
+        },
+      };
+    } catch (error) {
+      logger.error("Error editing message:", error);
+      return { success: false, statusCode: 500, error: "Failed to edit message" };
+    }
+  }
+
+  /**
+   * Delete a message for the current user only, or for everyone (sender only)
+   * Deleting for everyone clears the content and attachment.
+   * @param {number} messageId - Message ID
+   * @param {number} userId - User deleting the message
+   * @param {string} scope - 'me' or 'everyone'
+   * @returns {Object} Result with success status and data
+   */
+  async deleteMessage(messageId, userId, scope = "me") {
+    try {
+      const message = await db.Message.findByPk(messageId);
+      if (!message || message.is_deleted) {
+        return { success: false, statusCode: 404, error: "Message not found" };
+      }
+
+      const isMember = await this.isConversationMember(message.conversation_id, userId);
+      if (!isMember) {
+        return { success: false, statusCode: 403, error: "User is not a member of this conversation" };
+      }
+
+      const deletedAt = new Date();
+
+      if (scope === "everyone") {
+        if (message.sender_id !== userId) {
+          return { success: false, statusCode: 403, error: "You can only delete your own messages for everyone" };
+        }
+
+        const metadata = this.parseMetadata(message.metadata);
+        delete metadata.edit_history;
+        metadata.deleted_by = userId;
+
+        await message.update({
+          content: null,
+          attachment_url: null,
+          attachment_name: null,
+          attachment_size: null,
+          attachment_mime_type: null,
+          is_deleted: true,
+          deleted_at: deletedAt,
+          metadata,
+        });
+
+        await db.MessageReaction.destroy({ where: { message_id: message.id } });
+        await db.MessageSearchToken.destroy({ where: { message_id: message.id } });
+        await chatAttachmentService.removeMessageAttachments(message.id);
+      } else {
+        await db.MessageDeletion.findOrCreate({
+          where: { message_id: message.id, user_id: userId },
+          defaults: { deleted_at: deletedAt },
+        });
+
+        // A hidden message should not count as unread
+        await db.MessageStatus.update(
+          { status: "read", read_at: deletedAt },
+          { where: { message_id: message.id, user_id: userId, status: { [Op.ne]: "read" } } }
+        );
+      }
+
+      return {
+        success: true,
+        data: {
+          action: "deleted",
+          messageId: message.id,
+          conversationId: message.conversation_id,
+          userId,
+          scope,
+          deleted_at: deletedAt,
+        },
+      };
+    } catch (error) {
+      logger.error("Error deleting message:", error);
+      return { success: false, statusCode: 500, error: "Failed to delete message" };
+    }
+  }
+
+  /**
+   * Build the preview of a replied-to message shown with a reply
+   * @param {Object} reply - Plain replied-to message with sender
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object|null} Reply preview
+   */
+  buildReplyPreview(reply, baseUrl = null) {
+    if (!reply) return null;
+
+    let content = reply.is_deleted || !reply.content ? null : this.decryptMessage(reply.content);
+    if (content && content.length > REPLY_PREVIEW_LENGTH) {
+      content = `${content.slice(0, REPLY_PREVIEW_LENGTH)}…`;
+    }
+
+    const preview = {
+      id: reply.id,
+      sender_id: reply.sender_id,
+      message_type: reply.message_type,
+      content,
+      attachment_name: reply.is_deleted ? null : reply.attachment_name,
+      attachment_mime_type: reply.is_deleted ? null : reply.attachment_mime_type,
+      is_deleted: reply.is_deleted,
+      created_at: reply.created_at,
+      sender: reply.sender || null,
+    };
+
+    if (baseUrl && preview.sender) {
+      this.addImageUrlToUser(preview.sender, baseUrl);
+    }
+
+    return preview;
+  }
+
+  /**
+   * Summarise reactions per message
+   * @param {Array<number>} messageIds - Message IDs
+   * @returns {Object} Map of message ID to [{ emoji, count, user_ids }]
+   */
+  async getReactionSummaries(messageIds) {
+    if (messageIds.length === 0) return {};
+
+    const reactions = await db.MessageReaction.findAll({
+      where: { message_id: { [Op.in]: messageIds } },
+      attributes: ["message_id", "user_id", "emoji"],
+      order: [["created_at", "ASC"]],
+    });
+
+    const summaries = {};
+    reactions.forEach((reaction) => {
+      const messageReactions = summaries[reaction.message_id] || (summaries[reaction.message_id] = []);
+      let entry = messageReactions.find((item) => item.emoji === reaction.emoji);
+      if (!entry) {
+        entry = { emoji: reaction.emoji, count: 0, user_ids: [] };
+        messageReactions.push(entry);
+      }
+      entry.count += 1;
+      entry.user_ids.push(reaction.user_id);
+    });
+
+    return summaries;
+  }
+
+  /**
+   * Set or remove the current user's reaction on a message
+   * Each user has at most one reaction per message; reacting again replaces it.
+   * @param {number} messageId - Message ID
+   * @param {number} userId - User reacting
+   * @param {string|null} emoji - Emoji to set, or null to remove the reaction
+   * @returns {Object} Result with success status and data
+   */
+  async setReaction(messageId, userId, emoji) {
+    try {
+      if (emoji !== null && (typeof emoji !== "string" || emoji.length > 32 || !REACTION_PATTERN.test(emoji))) {
+        return { success: false, statusCode: 400, error: "Reaction must be a single emoji" };
+      }
+
+      const message = await db.Message.findByPk(messageId, {
+        attributes: ["id", "conversation_id", "message_type", "is_deleted"],
+      });
+      if (!message || message.is_deleted) {
+        return { success: false, statusCode: 404, error: "Message not found" };
+      }
+
+      if (message.message_type === "system") {
+        return { success: false, statusCode: 400, error: "System messages cannot be reacted to" };
+      }
+
+      const isMember = await this.isConversationMember(message.conversation_id, userId);
+      if (!isMember) {
+        return { success: false, statusCode: 403, error: "User is not a member of this conversation" };
+      }
+
+      if (emoji === null) {
+        await db.MessageReaction.destroy({ where: { message_id: messageId, user_id: userId } });
+      } else {
+        const [reaction, created] = await db.MessageReaction.findOrCreate({
+          where: { message_id: messageId, user_id: userId },
+          defaults: { emoji },
+        });
+        if (!created && reaction.emoji !== emoji) {
+          await reaction.update({ emoji });
+        }
+      }
+
+      const summaries = await this.getReactionSummaries([message.id]);
+
+      return {
+        success: true,
+        data: {
+          messageId: message.id,
+          conversationId: message.conversation_id,
+          userId,
+          emoji,
+          reactions: summaries[message.id] || [],
+        },
+      };
+    } catch (error) {
+      logger.error("Error updating message reaction:", error);
+      return { success: false, statusCode: 500, error: "Failed to update reaction" };
+    }
+  }
+
+  /**
+   * Forward a message to one or more conversations
+   * The sender must be a member of the source and every target conversation,
+   * and cannot forward into a private conversation with a blocked user.
+   * Targets are handled one by one, so some can fail while others succeed.
+   * @param {number} messageId - Message ID to forward
+   * @param {number} userId - User forwarding the message
+   * @param {Array<number>} conversationIds - Target conversation IDs
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Result with forwarded messages and failed targets
+   */
+  async forwardMessage(messageId, userId, conversationIds, baseUrl = null) {
+    try {
+      const targetIds = [...new Set(conversationIds.map(Number))];
+      if (targetIds.length === 0 || targetIds.length > MAX_FORWARD_TARGETS) {
+        return {
+          success: false,
+          statusCode: 400,
+          error: `Messages can be forwarded to 1-${MAX_FORWARD_TARGETS} conversations at a time`,
+        };
+      }
+
+      const message = await db.Message.findByPk(messageId, {
+        include: [{ model: db.ChatAttachment, as: "attachment" }],
+      });
+      if (!message || message.is_deleted) {
+        return { success: false, statusCode: 404, error: "Message not found" };
+      }
+
+      if (message.message_type === "system") {
+        return { success: false, statusCode: 400, error: "System messages cannot be forwarded" };
+      }
+
+      const canSeeSource = await this.isConversationMember(message.conversation_id, userId);
+      const deletedForUser = await db.MessageDeletion.count({ where: { message_id: messageId, user_id: userId } });
+      if (!canSeeSource || deletedForUser > 0) {
+        return { success: false, statusCode: 404, error: "Message not found" };
+      }
+
+      const blocks = await db.UserBlock.findAll({
+        where: { [Op.or]: [{ blocker_id: userId }, { blocked_id: userId }] },
+        attributes: ["blocker_id", "blocked_id"],
+      });
+      const blockedIds = new Set(
+        blocks.map((block) => (block.blocker_id === userId ? block.blocked_id : block.blocker_id))
+      );
+
+      const forwarded = [];
+      const failed = [];
+
+      for (const conversationId of targetIds) {
+        const conversation = await db.Conversation.findByPk(conversationId, {
+          attributes: ["id", "type"],
+          include: [{
+            model: db.ConversationMember,
+            as: "members",
+            where: { left_at: null },
+            attributes: ["user_id"],
+          }],
+        });
+
+        if (!conversation || !conversation.members.some((member) => member.user_id === userId)) {
+          failed.push({ conversationId, error: "You are not a member of this conversation" });
+          continue;
+        }
+
+        if (conversation.type === "private" &&
+            conversation.members.some((member) => blockedIds.has(member.user_id))) {
+          failed.push({ conversationId, error: "You cannot message this user" });
+          continue;
+        }
+
+        const result = await this.sendMessage({
+          senderId: userId,
+          conversationId,
+          content: message.content ? this.decryptMessage(message.content) : null,
+          messageType: message.message_type,
+          // Point at the original message, not at an earlier forward
+          forwardFromMessageId: message.forward_from_message_id || message.id,
+          // Attachments sent before uploads were scanned are not forwarded
+          forwardedAttachment: message.attachment,
+        }, baseUrl);
+
+        if (result.success) {
+          forwarded.push(result.data);
+        } else {
+          failed.push({ conversationId, error: result.error });
+        }
+      }
+
+      if (forwarded.length === 0) {
+        return { success: false, statusCode: 400, error: "Message could not be forwarded", failed };
+      }
+
+      return { success: true, data: { forwarded, failed } };
+    } catch (error) {
+      logger.error("Error forwarding message:", error);
+      return { success: false, statusCode: 500, error: "Failed to forward message" };
+    }
+  }
+
+  /**
+   * Associations loaded with messages returned to clients
+   * @returns {Array} Sequelize include options
+   */
+  getMessageIncludes() {
+    const userWithProfile = (as, attributes) => ({
+      model: db.User,
+      as,
+      attributes,
+      include: [
+        {
+          model: db.UserProfile,
+          as: "profile",
+          attributes: ["image_path"],
+        },
+      ],
+    });
+
+    return [
+      userWithProfile("sender", ["id", "name", "email"]),
+      {
+        model: db.Message,
+        as: "replyToMessage",
+        attributes: REPLY_PREVIEW_ATTRIBUTES,
+        include: [userWithProfile("sender", ["id", "name"])],
+      },
+      {
+        model: db.MessageStatus,
+        as: "statuses",
+        include: [userWithProfile("user", ["id", "name"])],
+      },
+      {
+        model: db.ChatAttachment,
+        as: "attachment",
+      },
+    ];
+  }
+
+  /**
+   * Turn a message loaded with getMessageIncludes into the client shape:
+   * decrypted content, reply preview, reactions, receipt roll-up for the
+   * sender's own messages, and image URLs
+   * @param {Object} message - Message instance
+   * @param {number} userId - Viewing user ID
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @param {Object} reactionSummaries - Result of getReactionSummaries
+   * @returns {Object} Plain message
+   */
+  formatMessageForUser(message, userId, baseUrl, reactionSummaries = {}) {
+    const messageData = this.stripEditHistory(message.toJSON());
+    if (messageData.content) {
+      messageData.content = this.decryptMessage(messageData.content);
+    }
+
+    messageData.replyToMessage = this.buildReplyPreview(messageData.replyToMessage, baseUrl);
+    messageData.attachment = chatAttachmentService.formatAttachment(messageData.attachment, baseUrl);
+    if (messageData.attachment) {
+      messageData.attachment_url = messageData.attachment.url;
+    }
+    messageData.reactions = reactionSummaries[messageData.id] || [];
+    const myReaction = messageData.reactions.find((reaction) => reaction.user_ids.includes(userId));
+    messageData.my_reaction = myReaction ? myReaction.emoji : null;
+
+    if (messageData.sender_id === userId && messageData.statuses) {
+      messageData.receipt = this.summarizeReceipts(messageData.statuses, messageData.sender_id);
+    }
+
+    // Add image URLs if baseUrl provided
+    if (baseUrl) {
+      if (messageData.sender) {
+        this.addImageUrlToUser(messageData.sender, baseUrl);
+      }
+
+      if (messageData.statuses) {
+        messageData.statuses = messageData.statuses.map(status => {
+          if (status.user) {
+            this.addImageUrlToUser(status.user, baseUrl);
+          }
+          return status;
+        });
+      }
+    }
+
+    return messageData;
+  }
+
+  /**
+   * Roll up a message's per-recipient statuses
+   * status is 'read' once every recipient read it, 'delivered' once every
+   * recipient received it, otherwise 'sent'.
+   * @param {Array<Object>} statuses - MessageStatus rows of the message
+   * @param {number} senderId - Sender, excluded from the counts
+   * @returns {Object} { status, recipient_count, delivered_count, read_count }
+   */
+  summarizeReceipts(statuses, senderId) {
+    const recipients = statuses.filter((status) => status.user_id !== senderId);
+    const readCount = recipients.filter((status) => status.status === "read").length;
+    const deliveredCount = recipients.filter((status) => status.status !== "sent").length;
+
+    let status = "sent";
+    if (recipients.length > 0 && readCount === recipients.length) {
+      status = "read";
+    } else if (recipients.length > 0 && deliveredCount === recipients.length) {
+      status = "delivered";
+    }
+
+    return {
+      status,
+      recipient_count: recipients.length,
+      delivered_count: deliveredCount,
+      read_count: readCount,
+    };
+  }
+
+  /**
+   * Get conversation messages with pagination
+   * Pass one message-ID cursor to page without offsets: `before` loads older
+   * messages, `after` newer ones, and `around` centres the page on a message
+   * (a search hit or reply target). Without a cursor, page/limit are used.
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - User ID (for permission check)
+   * @param {number} page - Page number
+   * @param {number} limit - Messages per page
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @param {Object} cursor - { before, after, around } message IDs (optional)
+   * @returns {Object} Messages with pagination info
+   */
+  async getConversationMessages(conversationId, userId, page = 1, limit = 50, baseUrl = null, cursor = {}) {
+    try {
+      // Verify user is member of conversation
+      const membership = await db.ConversationMember.findOne({
+        where: { conversation_id: conversationId, user_id: userId, left_at: null },
+        attributes: ["id", "cleared_at"],
+      });
+      if (!membership) {
+        throw new Error("User is not a member of this conversation");
+      }
+
+      // Get users blocked by the current user (same pattern as post filtering)
+      const blockedUserIds = await db.UserBlock.findAll({
+        where: { blocker_id: userId },
+        attributes: ['blocked_id']
+      }).then(blocks => blocks.map(b => b.blocked_id));
+
+      const offset = (page - 1) * limit;
+
+      // Build where condition for messages (exclude messages from blocked users
+      // and messages the user deleted for themselves)
+      const messageWhereCondition = {
+        conversation_id: conversationId,
+        is_deleted: false,
+      };
+      if (blockedUserIds.length > 0) {
+        messageWhereCondition.sender_id = { [Op.notIn]: blockedUserIds };
+      }
+      // Hide messages from before the user cleared the history
+      if (membership.cleared_at) {
+        messageWhereCondition.created_at = { [Op.gt]: membership.cleared_at };
+      }
+      const deletedMessageIds = await this.getDeletedMessageIds(userId, conversationId);
+      if (deletedMessageIds.length > 0) {
+        messageWhereCondition.id = { [Op.notIn]: deletedMessageIds };
+      }
+
+      if (cursor.before || cursor.after || cursor.around) {
+        return await this.getMessagesByCursor(
+          conversationId,
+          userId,
+          messageWhereCondition,
+          cursor,
+          limit,
+          baseUrl
+        );
+      }
+
+      const { count, rows: messages } = await db.Message.findAndCountAll({
+        where: messageWhereCondition,
+        include: this.getMessageIncludes(),
         order: [["created_at", "DESC"]],
         limit,
         offset,
       });
 
-      // Decrypt message contents and add image URLs
-      const decryptedMessages = messages.map((message) => {
-        const messageData = message.toJSON();
-        if (messageData.content) {
-          messageData.content = this.decryptMessage(messageData.content);
-        }
-        
-        // Add image URLs if baseUrl provided
-        if (baseUrl) {
-          if (messageData.sender) {
-            this.addImageUrlToUser(messageData.sender, baseUrl);
-          }
-          
-          if (messageData.replyToMessage && messageData.replyToMessage.sender) {
-            this.addImageUrlToUser(messageData.replyToMessage.sender, baseUrl);
-          }
-          
-          if (messageData.statuses) {
-            messageData.statuses = messageData.statuses.map(status => {
-              if (status.user) {
-                this.addImageUrlToUser(status.user, baseUrl);
-              }
-              return status;
-            });
-          }
+      const reactionSummaries = await this.getReactionSummaries(messages.map((message) => message.id));
+
+      // Decrypt message contents, build reply previews and add image URLs
+      const decryptedMessages = messages.map((message) =>
+        this.formatMessageForUser(message, userId, baseUrl, reactionSummaries)
+      );
+
+      return {
+        success: true,
+        data: {
+          messages: decryptedMessages.reverse(), // Reverse to show oldest first
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(count / limit),
+            totalMessages: count,
+            hasNextPage: page < Math.ceil(count / limit),
+            hasPreviousPage: page > 1,
+          },
+        },
+      };
+    } catch (error) {
+      logger.error("Error getting conversation messages:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Load a page of messages next to a message ID (see getConversationMessages)
+   * Messages are ordered by ID, which never changes, so new messages
+   * arriving between requests do not shift pages.
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - Viewing user ID
+   * @param {Object} visibleWhere - Where condition for messages the user can see
+   * @param {Object} cursor - { before, after, around } message IDs
+   * @param {number} limit - Messages per page
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Messages, oldest first, with cursors in both directions
+   */
+  async getMessagesByCursor(conversationId, userId, visibleWhere, cursor, limit, baseUrl) {
+    // Combine the visibility filter with an ID range
+    const whereId = (range) => ({
+      ...visibleWhere,
+      id: { ...visibleWhere.id, ...range },
+    });
+    // One extra row tells whether more messages follow in that direction
+    const findPage = (range, direction, pageLimit) =>
+      db.Message.findAll({
+        where: whereId(range),
+        include: this.getMessageIncludes(),
+        order: [["id", direction]],
+        limit: pageLimit + 1,
+      });
+    const exists = async (range) =>
+      !!(await db.Message.findOne({ where: whereId(range), attributes: ["id"] }));
+
+    let older = [];
+    let newer = [];
+    let hasMoreBefore;
+    let hasMoreAfter;
+    let anchorMessageId = null;
+
+    if (cursor.around) {
+      const anchor = await db.Message.findOne({
+        where: { id: cursor.around, conversation_id: conversationId },
+        attributes: ["id"],
+      });
+      if (!anchor) {
+        return { success: false, statusCode: 404, error: "Message not found in this conversation" };
+      }
+      anchorMessageId = anchor.id;
+
+      // The anchor goes in the newer half; it is skipped if the user cannot
+      // see it, but the page still opens at its position. Near either end of
+      // the conversation the other side fills the page.
+      [older, newer] = await Promise.all([
+        findPage({ [Op.lt]: anchor.id }, "DESC", limit),
+        findPage({ [Op.gte]: anchor.id }, "ASC", limit),
+      ]);
+      const olderCount = Math.min(older.length, Math.max(Math.floor(limit / 2), limit - newer.length));
+      const newerCount = Math.min(newer.length, limit - olderCount);
+      hasMoreBefore = older.length > olderCount;
+      hasMoreAfter = newer.length > newerCount;
+      older = older.slice(0, olderCount);
+      newer = newer.slice(0, newerCount);
+    } else if (cursor.before) {
+      older = await findPage({ [Op.lt]: cursor.before }, "DESC", limit);
+      hasMoreBefore = older.length > limit;
+      older = older.slice(0, limit);
+      hasMoreAfter = await exists({ [Op.gte]: cursor.before });
+    } else {
+      newer = await findPage({ [Op.gt]: cursor.after }, "ASC", limit);
+      hasMoreAfter = newer.length > limit;
+      newer = newer.slice(0, limit);
+      hasMoreBefore = await exists({ [Op.lte]: cursor.after });
+    }
+
+    const messages = [...older.reverse(), ...newer];
+    const fallbackCursor = cursor.before || cursor.after || anchorMessageId;
+    const reactionSummaries = await this.getReactionSummaries(messages.map((message) => message.id));
+
+    return {
+      success: true,
+      data: {
+        messages: messages.map((message) =>
+          this.formatMessageForUser(message, userId, baseUrl, reactionSummaries)
+        ),
+        pagination: {
+          limit,
+          anchorMessageId,
+          hasMoreBefore,
+          hasMoreAfter,
+          // Pass as `before` / `after` to load the next page in that direction
+          beforeCursor: messages.length > 0 ? messages[0].id : fallbackCursor,
+          afterCursor: messages.length > 0 ? messages[messages.length - 1].id : fallbackCursor,
+        },
+      },
+    };
+  }
+
+  /**
+   * Mark message as read
+   * @param {number} messageId - Message ID
+   * @param {number} userId - User ID
+   * @returns {boolean} Success status
+   */
+  async markMessageAsRead(messageId, userId) {
+    try {
+      await db.MessageStatus.update(
+        this.getReadStatusUpdate(),
+        {
+          where: {
+            message_id: messageId,
+            user_id: userId,
+            status: { [Op.ne]: "read" },
+          },
+        }
+      );
+
+      return true;
+    } catch (error) {
+      logger.error("Error marking message as read:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Mark all messages in a conversation as read (bulk operation)
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - User ID
+   * @returns {Object} Result with success status and count
+   */
+  async markConversationAsRead(conversationId, userId) {
+    try {
+      // Get all unread messages in this conversation for this user
+      const unreadMessages = await db.MessageStatus.findAll({
+        where: {
+          user_id: userId,
+          status: { [Op.ne]: 'read' }
+        },
+        include: [{
+          model: db.Message,
+          as: 'message',
+          where: {
+            conversation_id: conversationId,
+            is_deleted: false
+          },
+          attributes: ['id']
+        }],
+        attributes: ['id', 'message_id']
+      });
+
+      if (unreadMessages.length === 0) {
+        return {
+          success: true,
+          count: 0,
+          messageIds: [],
+          message: 'No unread messages'
+        };
+      }
+
+      // Update all to read status
+      const [updatedCount] = await db.MessageStatus.update(
+        this.getReadStatusUpdate(),
+        {
+          where: {
+            user_id: userId,
+            status: { [Op.ne]: 'read' },
+            message_id: {
+              [Op.in]: unreadMessages.map(um => um.message_id)
+            }
+          },
+        }
+      );
+
+      logger.info(`Marked ${updatedCount} messages as read for user ${userId} in conversation ${conversationId}`);
+
+      return {
+        success: true,
+        count: updatedCount,
+        messageIds: unreadMessages.map(um => um.message_id),
+        message: `Marked ${updatedCount} messages as read`
+      };
+    } catch (error) {
+      logger.error("Error marking conversation as read:", error);
+      return {
+        success: false,
+        count: 0,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Fields for moving a MessageStatus to "read". A message that was read
+   * without a delivery ack counts as delivered at the same time.
+   * @returns {Object} Update values
+   */
+  getReadStatusUpdate() {
+    const now = new Date();
+
+    return {
+      status: "read",
+      read_at: now,
+      delivered_at: db.sequelize.fn("COALESCE", db.sequelize.col("delivered_at"), now),
+    };
+  }
+
+  /**
+   * Acknowledge delivery of messages to one of the user's devices
+   * Only "sent" statuses change, so repeated acks from other devices are no-ops.
+   * @param {Array<number>} messageIds - Message IDs received by the client
+   * @param {number} userId - Recipient user ID
+   * @returns {Object} Result with the newly delivered messages grouped by conversation
+   */
+  async markMessagesDelivered(messageIds, userId) {
+    try {
+      messageIds = (Array.isArray(messageIds) ? messageIds : [])
+        .map((id) => parseInt(id))
+        .filter((id) => id > 0)
+        .slice(0, MAX_DELIVERY_ACK_IDS);
+
+      if (messageIds.length === 0) {
+        return { success: false, statusCode: 400, error: "At least one message ID is required" };
+      }
+
+      const pending = await db.MessageStatus.findAll({
+        where: {
+          message_id: { [Op.in]: messageIds },
+          user_id: userId,
+          status: "sent",
+        },
+        include: [{
+          model: db.Message,
+          as: "message",
+          attributes: ["id", "conversation_id"],
+        }],
+        attributes: ["id", "message_id"],
+      });
+
+      const deliveredAt = new Date();
+      if (pending.length > 0) {
+        await db.MessageStatus.update(
+          { status: "delivered", delivered_at: deliveredAt },
+          { where: { id: { [Op.in]: pending.map((status) => status.id) }, status: "sent" } }
+        );
+      }
+
+      const conversations = {};
+      pending.forEach((status) => {
+        const conversationId = status.message.conversation_id;
+        conversations[conversationId] = conversations[conversationId] || [];
+        conversations[conversationId].push(status.message_id);
+      });
+
+      return {
+        success: true,
+        data: {
+          deliveredAt,
+          messageIds: pending.map((status) => status.message_id),
+          conversations: Object.keys(conversations).map((conversationId) => ({
+            conversationId: parseInt(conversationId),
+            messageIds: conversations[conversationId],
+          })),
+        },
+      };
+    } catch (error) {
+      logger.error("Error marking messages as delivered:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Build receipt roll-ups for messages, to be sent to their senders
+   * @param {Array<number>} messageIds - Message IDs whose statuses changed
+   * @returns {Array<Object>} [{ senderId, conversationId, messageId, receipt }]
+   */
+  async getReceiptUpdates(messageIds) {
+    if (!messageIds || messageIds.length === 0) {
+      return [];
+    }
+
+    const messages = await db.Message.findAll({
+      where: { id: { [Op.in]: messageIds }, message_type: { [Op.ne]: "system" } },
+      attributes: ["id", "conversation_id", "sender_id"],
+      include: [{
+        model: db.MessageStatus,
+        as: "statuses",
+        attributes: ["user_id", "status"],
+      }],
+    });
+
+    return messages.map((message) => ({
+      senderId: message.sender_id,
+      conversationId: message.conversation_id,
+      messageId: message.id,
+      receipt: this.summarizeReceipts(message.statuses, message.sender_id),
+    }));
+  }
+
+  /**
+   * Get delivery and read details of a message (sender only)
+   * @param {number} messageId - Message ID
+   * @param {number} userId - User asking, must be the sender
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Result with receipt roll-up and per-member details
+   */
+  async getMessageReceipts(messageId, userId, baseUrl = null) {
+    try {
+      const message = await db.Message.findByPk(messageId, {
+        attributes: ["id", "conversation_id", "sender_id", "is_deleted"],
+        include: [{
+          model: db.MessageStatus,
+          as: "statuses",
+          include: [{
+            model: db.User,
+            as: "user",
+            attributes: ["id", "name"],
+            include: [{
+              model: db.UserProfile,
+              as: "profile",
+              attributes: ["image_path"],
+            }],
+          }],
+        }],
+      });
+
+      if (!message || message.is_deleted) {
+        return { success: false, statusCode: 404, error: "Message not found" };
+      }
+      if (message.sender_id !== userId) {
+        return { success: false, statusCode: 403, error: "Only the sender can see message receipts" };
+      }
+
+      const recipients = message.statuses
+        .filter((status) => status.user_id !== message.sender_id)
+        .map((status) => {
+          const user = status.user ? status.user.toJSON() : { id: status.user_id };
+          if (baseUrl) {
+            this.addImageUrlToUser(user, baseUrl);
+          }
+          return { user, status: status.status, delivered_at: status.delivered_at, read_at: status.read_at };
+        });
+
+      const byTime = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+      return {
+        success: true,
+        data: {
+          message_id: message.id,
+          conversation_id: message.conversation_id,
+          receipt: this.summarizeReceipts(message.statuses, message.sender_id),
+          read_by: recipients
+            .filter((recipient) => recipient.status === "read")
+            .sort(byTime("read_at"))
+            .map(({ user, read_at }) => ({ user, read_at })),
+          delivered_to: recipients
+            .filter((recipient) => recipient.status === "delivered")
+            .sort(byTime("delivered_at"))
+            .map(({ user, delivered_at }) => ({ user, delivered_at })),
+          pending: recipients
+            .filter((recipient) => recipient.status === "sent")
+            .map(({ user }) => ({ user })),
+        },
+      };
+    } catch (error) {
+      logger.error("Error getting message receipts:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get everything that changed for a user since their last sync, so a
+   * client coming back online can catch up without reloading conversations.
+   * Changes are returned for the window (since, cursor]; the client stores
+   * the returned cursor and passes it as `since` next time. When has_more is
+   * true the client should sync again straight away.
+   * @param {number} userId - User ID
+   * @param {Date|string} since - Cursor from the previous sync
+   * @param {number} limit - Maximum number of messages to return
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Result with messages, deletions, receipts, read state and the next cursor
+   */
+  async syncSince(userId, since, limit = SYNC_MESSAGE_LIMIT, baseUrl = null) {
+    try {
+      since = new Date(since);
+      if (isNaN(since.getTime())) {
+        return { success: false, statusCode: 400, error: "A valid since cursor is required" };
+      }
+      limit = Math.min(Math.max(parseInt(limit) || SYNC_MESSAGE_LIMIT, 1), MAX_SYNC_MESSAGE_LIMIT);
+
+      let until = new Date();
+
+      const memberships = await db.ConversationMember.findAll({
+        where: { user_id: userId },
+        attributes: ["conversation_id", "joined_at", "left_at", "updated_at", "is_muted", "is_pinned", ...MEMBER_SETTINGS_ATTRIBUTES],
+      });
+      const clearedAtById = new Map(memberships
+        .filter((member) => member.cleared_at)
+        .map((member) => [String(member.conversation_id), member.cleared_at]));
+      const conversationIds = memberships
+        .filter((member) => !member.left_at)
+        .map((member) => member.conversation_id);
+
+      const blockedUserIds = await db.UserBlock.findAll({
+        where: { blocker_id: userId },
+        attributes: ["blocked_id"],
+      }).then((blocks) => blocks.map((b) => b.blocked_id));
+
+      const deletedForMe = await db.MessageDeletion.findAll({
+        where: { user_id: userId },
+        attributes: ["message_id", "deleted_at", "updated_at"],
+        include: [{
+          model: db.Message,
+          as: "message",
+          attributes: ["conversation_id"],
+        }],
+      });
+
+      // New and edited messages, oldest change first
+      const messageWhere = {
+        conversation_id: { [Op.in]: conversationIds },
+        is_deleted: false,
+        updated_at: { [Op.gt]: since, [Op.lte]: until },
+      };
+      if (blockedUserIds.length > 0) {
+        messageWhere.sender_id = { [Op.notIn]: blockedUserIds };
+      }
+      if (deletedForMe.length > 0) {
+        messageWhere.id = { [Op.notIn]: deletedForMe.map((deletion) => deletion.message_id) };
+      }
+
+      let messages = conversationIds.length === 0 ? [] : await db.Message.findAll({
+        where: messageWhere,
+        include: this.getMessageIncludes(),
+        order: [["updated_at", "ASC"], ["id", "ASC"]],
+        limit: limit + 1,
+      });
+
+      const hasMore = messages.length > limit;
+      if (hasMore) {
+        // End the window just before the first message left out, so
+        // messages changed in the same millisecond are never split
+        const boundary = messages[limit].updated_at;
+        until = new Date(boundary.getTime() - 1);
+        messages = messages.filter((message) => message.updated_at <= until);
+
+        if (messages.length === 0) {
+          until = boundary;
+          messages = await db.Message.findAll({
+            where: { ...messageWhere, updated_at: boundary },
+            include: this.getMessageIncludes(),
+            order: [["id", "ASC"]],
+          });
         }
-        
+      }
+
+      const inWindow = (date) => date && date > since && date <= until;
+
+      // Edits to messages from before a clear history stay hidden
+      messages = messages.filter((message) => {
+        const clearedAt = clearedAtById.get(String(message.conversation_id));
+        return !clearedAt || message.created_at > clearedAt;
+      });
+
+      const reactionSummaries = await this.getReactionSummaries(messages.map((message) => message.id));
+      const messagesData = messages.map((message) => {
+        const messageData = this.formatMessageForUser(message, userId, baseUrl, reactionSummaries);
+        messageData.sync_action = message.created_at > since ? "created" : "edited";
         return messageData;
       });
 
+      const deletedForEveryone = conversationIds.length === 0 ? [] : await db.Message.findAll({
+        where: {
+          conversation_id: { [Op.in]: conversationIds },
+          is_deleted: true,
+          deleted_at: { [Op.gt]: since, [Op.lte]: until },
+        },
+        attributes: ["id", "conversation_id", "deleted_at"],
+      });
+
+      const deletions = [
+        ...deletedForEveryone.map((message) => ({
+          message_id: message.id,
+          conversation_id: message.conversation_id,
+          scope: "everyone",
+          deleted_at: message.deleted_at,
+        })),
+        ...deletedForMe
+          .filter((deletion) => inWindow(deletion.updated_at))
+          .map((deletion) => ({
+            message_id: deletion.message_id,
+            conversation_id: deletion.message ? deletion.message.conversation_id : null,
+            scope: "me",
+            deleted_at: deletion.deleted_at,
+          })),
+      ];
+
+      const changedStatuses = conversationIds.length === 0 ? [] : await db.MessageStatus.findAll({
+        where: {
+          updated_at: { [Op.gt]: since, [Op.lte]: until },
+          [Op.or]: [{ user_id: userId }, { "$message.sender_id$": userId }],
+        },
+        attributes: ["message_id", "user_id"],
+        include: [{
+          model: db.Message,
+          as: "message",
+          attributes: ["id", "conversation_id", "sender_id"],
+          where: {
+            conversation_id: { [Op.in]: conversationIds },
+            is_deleted: false,
+          },
+        }],
+      });
+
+      // Receipts on the user's own messages that other members received or read
+      const receiptMessageIds = [...new Set(changedStatuses
+        .filter((status) => status.user_id !== userId && status.message.sender_id === userId)
+        .map((status) => status.message_id))];
+      const receipts = (await this.getReceiptUpdates(receiptMessageIds)).map((update) => ({
+        message_id: update.messageId,
+        conversation_id: update.conversationId,
+        receipt: update.receipt,
+      }));
+
+      // Conversations the user read on another device
+      const readConversationIds = [...new Set(changedStatuses
+        .filter((status) => status.user_id === userId && status.message.sender_id !== userId)
+        .map((status) => status.message.conversation_id))];
+      const readState = await Promise.all(readConversationIds.map(async (conversationId) => ({
+        conversation_id: conversationId,
+        unread_count: await this.getUnreadCount(conversationId, userId),
+      })));
+
       return {
         success: true,
         data: {
-          messages: decryptedMessages.reverse(), // Reverse to show oldest first
-          pagination: {
-            currentPage: page,
-            totalPages: Math.ceil(count / limit),
-            totalMessages: count,
-            hasNextPage: page < Math.ceil(count / limit),
-            hasPreviousPage: page > 1,
-          },
+          messages: messagesData,
+          deletions,
+          receipts,
+          read_state: readState,
+          joined_conversation_ids: memberships
+            .filter((member) => !member.left_at && inWindow(member.joined_at))
+            .map((member) => member.conversation_id),
+          removed_conversation_ids: memberships
+            .filter((member) => inWindow(member.left_at))
+            .map((member) => member.conversation_id),
+          // Pin, mute, archive and clear history changes from other devices
+          settings: memberships
+            .filter((member) => !member.left_at && inWindow(member.updated_at))
+            .map((member) => ({
+              conversation_id: member.conversation_id,
+              settings: this.formatMemberSettings(member),
+            })),
+          cursor: until.toISOString(),
+          has_more: hasMore,
         },
       };
     } catch (error) {
-      logger.error("Error getting conversation messages:", error);
+      logger.error("Error syncing chat changes:", error);
       return {
         success: false,
         error: error.message,
@@ -863,43 +2497,81 @@ class ChatService {
   }
 
   /**
-   * Mark message as read
-   * @param {number} messageId - Message ID
+   * Update typing status
+   * @param {number} conversationId - Conversation ID
    * @param {number} userId - User ID
+   * @param {boolean} isTyping - Typing status
    * @returns {boolean} Success status
    */
-  async markMessageAsRead(messageId, userId) {
+  async updateTypingStatus(conversationId, userId, isTyping) {
     try {
-      await db.MessageStatus.update(
-        {
-          status: "read",
-          read_at: new Date(),
-        },
-        {
-          where: {
-            message_id: messageId,
-            user_id: userId,
-          },
-        }
+      const now = new Date();
+
+      await db.TypingStatus.upsert({
+        conversation_id: conversationId,
+        user_id: userId,
+        is_typing: isTyping,
+        started_typing_at: isTyping ? now : null,
+        last_typing_at: now,
+      });
+
+      return true;
+    } catch (error) {
+      logger.error("Error updating typing status:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Clear all typing statuses for a user
+   * @param {number} userId - User ID
+   * @returns {boolean} Success status
+   */
+  async clearUserTypingStatuses(userId) {
+    try {
+      await db.TypingStatus.update(
+        { is_typing: false },
+        { where: { user_id: userId } }
       );
 
       return true;
     } catch (error) {
-      logger.error("Error marking message as read:", error);
+      logger.error("Error clearing typing statuses:", error);
       return false;
     }
   }
 
   /**
-   * Mark all messages in a conversation as read (bulk operation)
+   * Get conversation members
+   * @param {number} conversationId - Conversation ID
+   * @returns {Array} Array of conversation members
+   */
+  async getConversationMembers(conversationId) {
+    try {
+      const members = await db.ConversationMember.findAll({
+        where: {
+          conversation_id: conversationId,
+          left_at: null
+        },
+        attributes: ['user_id', 'role']
+      });
+
+      return members;
+    } catch (error) {
+      logger.error('Error getting conversation members:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get unread message count for a specific user in a conversation
    * @param {number} conversationId - Conversation ID
    * @param {number} userId - User ID
-   * @returns {Object} Result with success status and count
+   * @returns {number} Unread message count
    */
-  async markConversationAsRead(conversationId, userId) {
+  async getUnreadCount(conversationId, userId) {
     try {
-      // Get all unread messages in this conversation for this user
-      const unreadMessages = await db.MessageStatus.findAll({
+      const count = await db.MessageStatus.count({
         where: {
           user_id: userId,
           status: { [Op.ne]: 'read' }
@@ -910,234 +2582,723 @@ class ChatService {
           where: {
             conversation_id: conversationId,
             is_deleted: false
-          },
-          attributes: ['id']
-        }],
-        attributes: ['id', 'message_id']
+          }
+        }]
       });
 
-      if (unreadMessages.length === 0) {
-        return {
-          success: true,
-          count: 0,
-          message: 'No unread messages'
-        };
-      }
+      return count;
+    } catch (error) {
+      logger.error('Error getting unread count:', error);
+      return 0;
+    }
+  }
 
-      // Update all to read status
-      const [updatedCount] = await db.MessageStatus.update(
-        {
-          status: "read",
-          read_at: new Date(),
+  /**
+   * Send notifications for a new message
+   * @param {Object} message - Message object
+   * @returns {boolean} Success status
+   */
+  async sendNotificationsForMessage(message) {
+    try {
+      // Get conversation members who are offline
+      const members = await db.ConversationMember.findAll({
+        where: {
+          conversation_id: message.conversation_id,
+          user_id: { [Op.ne]: message.sender_id },
+          left_at: null,
         },
-        {
-          where: {
-            user_id: userId,
-            status: { [Op.ne]: 'read' },
-            message_id: {
-              [Op.in]: unreadMessages.map(um => um.message_id)
-            }
+        include: [
+          {
+            model: db.User,
+            as: "user",
+            where: { is_online: false },
           },
-        }
+        ],
+      });
+
+      // Create notifications for offline users who have not muted the conversation
+      const notificationPromises = members.filter((member) => !this.isMuteActive(member)).map((member) =>
+        db.Notification.create({
+          user_id: member.user_id,
+          message_id: message.id,
+          conversation_id: message.conversation_id,
+          type: "message",
+          title: `New message from ${message.sender.name}`,
+          body: message.content || "Sent an attachment",
+          data: JSON.stringify({
+            conversationId: message.conversation_id,
+            messageId: message.id,
+          }),
+          is_seen: false,
+          is_read: false,
+          push_sent: false,
+        })
       );
 
-      logger.info(`Marked ${updatedCount} messages as read for user ${userId} in conversation ${conversationId}`);
+      await Promise.all(notificationPromises);
 
-      return {
-        success: true,
-        count: updatedCount,
-        message: `Marked ${updatedCount} messages as read`
-      };
+      return true;
     } catch (error) {
-      logger.error("Error marking conversation as read:", error);
-      return {
-        success: false,
-        count: 0,
-        error: error.message
-      };
+      logger.error("Error sending notifications:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Build an error carrying the HTTP status for group management failures
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   * @returns {Error} Error with statusCode
+   */
+  groupError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Load a group conversation and the acting user's active membership
+   * @param {number} conversationId - Conversation ID
+   * @param {number} userId - Acting user ID
+   * @param {Object} options - { requireAdmin, transaction }
+   * @returns {Object} { conversation, membership }
+   */
+  async getGroupMembership(conversationId, userId, { requireAdmin = false, transaction } = {}) {
+    const conversation = await db.Conversation.findByPk(conversationId, { transaction });
+    if (!conversation) {
+      throw this.groupError(404, "Conversation not found");
+    }
+
+    if (conversation.type !== "group") {
+      throw this.groupError(400, "Only group conversations support this action");
+    }
+
+    const membership = await db.ConversationMember.findOne({
+      where: { conversation_id: conversationId, user_id: userId, left_at: null },
+      transaction,
+    });
+    if (!membership) {
+      throw this.groupError(403, "You are not a member of this conversation");
+    }
+
+    if (requireAdmin && membership.role !== "admin") {
+      throw this.groupError(403, "Only group admins can perform this action");
+    }
+
+    return { conversation, membership };
+  }
+
+  /**
+   * Check that users can be added to a group by another user. Groups have
+   * no message requests, so each user must know the one adding them (see
+   * isKnownContact) and neither may have blocked the other.
+   * @param {number} actorId - User adding the members
+   * @param {Array<number>} userIds - User IDs to add
+   * @param {Object} transaction - Sequelize transaction (optional)
+   */
+  async assertCanAddToGroup(actorId, userIds, transaction) {
+    const block = await db.UserBlock.findOne({
+      where: {
+        [Op.or]: [
+          { blocker_id: actorId, blocked_id: { [Op.in]: userIds } },
+          { blocker_id: { [Op.in]: userIds }, blocked_id: actorId },
+        ],
+      },
+      transaction,
+    });
+    if (block) {
+      throw this.groupError(403, "You cannot add users you have blocked or who have blocked you");
+    }
+
+    for (const userId of userIds) {
+      if (!(await this.isKnownContact(userId, actorId))) {
+        throw this.groupError(403, "You can only add people who know you to a group");
+      }
     }
   }
 
   /**
-   * Update typing status
+   * Post a system message to a conversation (e.g. "Alice added Bob")
+   * Message statuses are created for the members active after the change.
+   * @param {number} conversationId - Conversation ID
+   * @param {number} actorId - User who caused the event
+   * @param {string} text - Human readable text
+   * @param {Object} metadata - Structured event data for clients
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Object} Created message
+   */
+  async createSystemMessage(conversationId, actorId, text, metadata, transaction) {
+    const message = await db.Message.create(
+      {
+        conversation_id: conversationId,
+        sender_id: actorId,
+        content: this.encryptMessage(text),
+        message_type: "system",
+        metadata,
+        is_edited: false,
+        is_deleted: false,
+      },
+      { transaction }
+    );
+    await this.indexMessage(message, text, transaction);
+
+    await db.Conversation.update(
+      { last_message_at: new Date() },
+      { where: { id: conversationId }, transaction }
+    );
+
+    const members = await db.ConversationMember.findAll({
+      where: { conversation_id: conversationId, left_at: null },
+      attributes: ["user_id"],
+      transaction,
+    });
+
+    await db.MessageStatus.bulkCreate(
+      members.map((member) => ({
+        message_id: message.id,
+        user_id: member.user_id,
+        status: member.user_id === actorId ? "read" : "sent",
+        delivered_at: member.user_id === actorId ? new Date() : null,
+        read_at: member.user_id === actorId ? new Date() : null,
+      })),
+      { transaction }
+    );
+
+    return message;
+  }
+
+  /**
+   * Build the result of a group change once its transaction is committed
+   * @param {Object} change - { conversationId, action, actorId, messageId, ... }
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Result with the updated conversation and system message
+   */
+  async buildGroupChangeResult(change, baseUrl) {
+    const { messageId, ...data } = change;
+
+    const message = await db.Message.findByPk(messageId, {
+      include: [
+        {
+          model: db.User,
+          as: "sender",
+          attributes: ["id", "name", "email"],
+          include: [
+            {
+              model: db.UserProfile,
+              as: "profile",
+              attributes: ["image_path"],
+            },
+          ],
+        },
+      ],
+    });
+
+    const systemMessage = message.toJSON();
+    systemMessage.content = this.decryptMessage(systemMessage.content);
+    if (baseUrl && systemMessage.sender) {
+      this.addImageUrlToUser(systemMessage.sender, baseUrl);
+    }
+
+    return {
+      success: true,
+      data: {
+        ...data,
+        conversation: await this.getConversationById(data.conversationId, baseUrl),
+        systemMessage,
+      },
+    };
+  }
+
+  /**
+   * Turn a group management error into a service result
+   * @param {Error} error - Caught error
+   * @param {string} action - Action name for logging
+   * @param {Object} transaction - Transaction to roll back if still open
+   * @returns {Object} Result with success false, statusCode and error
+   */
+  async groupFailure(error, action, transaction) {
+    if (transaction && !transaction.finished) {
+      await transaction.rollback();
+    }
+
+    if (!error.statusCode) {
+      logger.error(`Error in ${action}:`, {
+        message: error.message,
+        stack: error.stack,
+      });
+    }
+
+    return {
+      success: false,
+      statusCode: error.statusCode || 500,
+      error: error.statusCode ? error.message : `Failed to ${action}`,
+    };
+  }
+
+  /**
+   * Add members to a group conversation (admins only)
+   * Users who left or were removed earlier are re-activated.
    * @param {number} conversationId - Conversation ID
-   * @param {number} userId - User ID
-   * @param {boolean} isTyping - Typing status
-   * @returns {boolean} Success status
+   * @param {number} actorId - Admin adding the members
+   * @param {Array<number>} memberIds - User IDs to add
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Result with success status and data
    */
-  async updateTypingStatus(conversationId, userId, isTyping) {
+  async addMembers(conversationId, actorId, memberIds, baseUrl = null) {
+    const transaction = await db.sequelize.transaction();
+
     try {
-      const now = new Date();
+      await this.getGroupMembership(conversationId, actorId, { requireAdmin: true, transaction });
 
-      await db.TypingStatus.upsert({
-        conversation_id: conversationId,
-        user_id: userId,
-        is_typing: isTyping,
-        started_typing_at: isTyping ? now : null,
-        last_typing_at: now,
+      const userIds = [...new Set(memberIds.map(Number))].filter((id) => id !== actorId);
+
+      const users = await db.User.findAll({
+        where: { id: { [Op.in]: userIds } },
+        attributes: ["id", "name"],
+        transaction,
       });
+      if (users.length !== userIds.length) {
+        throw this.groupError(400, "One or more member IDs are invalid");
+      }
 
-      return true;
+      await this.assertCanAddToGroup(actorId, userIds, transaction);
+
+      const existing = await db.ConversationMember.findAll({
+        where: { conversation_id: conversationId, user_id: { [Op.in]: userIds } },
+        transaction,
+      });
+      const existingByUser = new Map(existing.map((member) => [member.user_id, member]));
+
+      const addedUsers = users.filter((user) => {
+        const member = existingByUser.get(user.id);
+        return !member || member.left_at !== null;
+      });
+      if (addedUsers.length === 0) {
+        throw this.groupError(400, "All users are already members of this conversation");
+      }
+
+      for (const user of addedUsers) {
+        const member = existingByUser.get(user.id);
+        if (member) {
+          await member.update(
+            { role: "member", left_at: null, joined_at: new Date() },
+            { transaction }
+          );
+        } else {
+          await db.ConversationMember.create(
+            {
+              conversation_id: conversationId,
+              user_id: user.id,
+              role: "member",
+              joined_at: new Date(),
+            },
+            { transaction }
+          );
+        }
+      }
+
+      const actor = await db.User.findByPk(actorId, { attributes: ["name"], transaction });
+      const addedIds = addedUsers.map((user) => user.id);
+      const message = await this.createSystemMessage(
+        conversationId,
+        actorId,
+        `${actor.name} added ${addedUsers.map((user) => user.name).join(", ")}`,
+        { event: "members_added", actor_id: actorId, user_ids: addedIds },
+        transaction
+      );
+
+      await transaction.commit();
+
+      return this.buildGroupChangeResult({
+        conversationId,
+        action: "members_added",
+        actorId,
+        userIds: addedIds,
+        messageId: message.id,
+      }, baseUrl);
     } catch (error) {
-      logger.error("Error updating typing status:", error);
-      return false;
+      return this.groupFailure(error, "add members", transaction);
     }
   }
 
   /**
-   * Clear all typing statuses for a user
-   * @param {number} userId - User ID
-   * @returns {boolean} Success status
+   * Remove members from a group conversation (admins only)
+   * @param {number} conversationId - Conversation ID
+   * @param {number} actorId - Admin removing the members
+   * @param {Array<number>} memberIds - User IDs to remove
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Result with success status and data
    */
-  async clearUserTypingStatuses(userId) {
+  async removeMembers(conversationId, actorId, memberIds, baseUrl = null) {
+    const transaction = await db.sequelize.transaction();
+
     try {
-      await db.TypingStatus.update(
-        { is_typing: false },
-        { where: { user_id: userId } }
+      await this.getGroupMembership(conversationId, actorId, { requireAdmin: true, transaction });
+
+      const userIds = [...new Set(memberIds.map(Number))];
+      if (userIds.includes(actorId)) {
+        throw this.groupError(400, "Use the leave endpoint to remove yourself from a group");
+      }
+
+      const members = await db.ConversationMember.findAll({
+        where: {
+          conversation_id: conversationId,
+          user_id: { [Op.in]: userIds },
+          left_at: null,
+        },
+        include: [{ model: db.User, as: "user", attributes: ["id", "name"] }],
+        transaction,
+      });
+      if (members.length !== userIds.length) {
+        throw this.groupError(400, "One or more users are not members of this conversation");
+      }
+
+      await db.ConversationMember.update(
+        { left_at: new Date(), role: "member" },
+        { where: { id: { [Op.in]: members.map((member) => member.id) } }, transaction }
       );
 
-      return true;
+      await db.TypingStatus.destroy({
+        where: { conversation_id: conversationId, user_id: { [Op.in]: userIds } },
+        transaction,
+      });
+
+      const actor = await db.User.findByPk(actorId, { attributes: ["name"], transaction });
+      const message = await this.createSystemMessage(
+        conversationId,
+        actorId,
+        `${actor.name} removed ${members.map((member) => member.user.name).join(", ")}`,
+        { event: "members_removed", actor_id: actorId, user_ids: userIds },
+        transaction
+      );
+
+      await transaction.commit();
+
+      return this.buildGroupChangeResult({
+        conversationId,
+        action: "members_removed",
+        actorId,
+        userIds,
+        messageId: message.id,
+      }, baseUrl);
     } catch (error) {
-      logger.error("Error clearing typing statuses:", error);
-      return false;
+      return this.groupFailure(error, "remove members", transaction);
     }
   }
 
   /**
-   * Get conversation members
+   * Promote a member to group admin or demote an admin (admins only)
+   * A group always keeps at least one admin.
    * @param {number} conversationId - Conversation ID
-   * @returns {Array} Array of conversation members
+   * @param {number} actorId - Admin changing the role
+   * @param {number} memberId - User ID of the member
+   * @param {string} role - 'admin' or 'member'
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Result with success status and data
    */
-  async getConversationMembers(conversationId) {
+  async updateMemberRole(conversationId, actorId, memberId, role, baseUrl = null) {
+    const transaction = await db.sequelize.transaction();
+
     try {
-      const members = await db.ConversationMember.findAll({
-        where: {
-          conversation_id: conversationId,
-          left_at: null
-        },
-        attributes: ['user_id', 'role']
+      await this.getGroupMembership(conversationId, actorId, { requireAdmin: true, transaction });
+
+      const member = await db.ConversationMember.findOne({
+        where: { conversation_id: conversationId, user_id: memberId, left_at: null },
+        include: [{ model: db.User, as: "user", attributes: ["id", "name"] }],
+        transaction,
       });
+      if (!member) {
+        throw this.groupError(404, "User is not a member of this conversation");
+      }
 
-      return members;
+      if (member.role === role) {
+        throw this.groupError(400, `User is already ${role === "admin" ? "an admin" : "a member"}`);
+      }
+
+      if (role === "member") {
+        const adminCount = await db.ConversationMember.count({
+          where: { conversation_id: conversationId, role: "admin", left_at: null },
+          transaction,
+        });
+        if (adminCount <= 1) {
+          throw this.groupError(400, "A group must have at least one admin");
+        }
+      }
+
+      await member.update({ role }, { transaction });
+
+      const actor = await db.User.findByPk(actorId, { attributes: ["name"], transaction });
+      const text = role === "admin"
+        ? `${actor.name} made ${member.user.name} an admin`
+        : `${actor.name} removed ${member.user.name} as admin`;
+      const message = await this.createSystemMessage(
+        conversationId,
+        actorId,
+        text,
+        { event: "member_role_updated", actor_id: actorId, user_ids: [member.user_id], role },
+        transaction
+      );
+
+      await transaction.commit();
+
+      return this.buildGroupChangeResult({
+        conversationId,
+        action: "member_role_updated",
+        actorId,
+        userIds: [member.user_id],
+        role,
+        messageId: message.id,
+      }, baseUrl);
     } catch (error) {
-      logger.error('Error getting conversation members:', error);
-      return [];
+      return this.groupFailure(error, "update member role", transaction);
     }
   }
 
   /**
-   * Get unread message count for a specific user in a conversation
+   * Leave a group conversation
+   * If the last admin leaves, the longest-standing member becomes admin.
+   * If nobody is left, the conversation is deactivated.
    * @param {number} conversationId - Conversation ID
-   * @param {number} userId - User ID
-   * @returns {number} Unread message count
+   * @param {number} userId - User leaving the group
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Result with success status and data
    */
-  async getUnreadCount(conversationId, userId) {
+  async leaveConversation(conversationId, userId, baseUrl = null) {
+    const transaction = await db.sequelize.transaction();
+
     try {
-      const count = await db.MessageStatus.count({
-        where: {
-          user_id: userId,
-          status: { [Op.ne]: 'read' }
-        },
-        include: [{
-          model: db.Message,
-          as: 'message',
-          where: {
-            conversation_id: conversationId,
-            is_deleted: false
-          }
-        }]
+      const { conversation, membership } = await this.getGroupMembership(conversationId, userId, { transaction });
+
+      await membership.update({ left_at: new Date(), role: "member" }, { transaction });
+
+      await db.TypingStatus.destroy({
+        where: { conversation_id: conversationId, user_id: userId },
+        transaction,
       });
 
-      return count;
+      const remaining = await db.ConversationMember.findAll({
+        where: { conversation_id: conversationId, left_at: null },
+        order: [["joined_at", "ASC"], ["id", "ASC"]],
+        transaction,
+      });
+
+      let promotedUserId = null;
+      if (remaining.length === 0) {
+        await conversation.update({ is_active: false }, { transaction });
+      } else if (!remaining.some((member) => member.role === "admin")) {
+        await remaining[0].update({ role: "admin" }, { transaction });
+        promotedUserId = remaining[0].user_id;
+      }
+
+      const user = await db.User.findByPk(userId, { attributes: ["name"], transaction });
+      const message = await this.createSystemMessage(
+        conversationId,
+        userId,
+        `${user.name} left the group`,
+        { event: "member_left", actor_id: userId, user_ids: [userId], promoted_user_id: promotedUserId },
+        transaction
+      );
+
+      await transaction.commit();
+
+      return this.buildGroupChangeResult({
+        conversationId,
+        action: "member_left",
+        actorId: userId,
+        userIds: [userId],
+        promotedUserId,
+        messageId: message.id,
+      }, baseUrl);
     } catch (error) {
-      logger.error('Error getting unread count:', error);
-      return 0;
+      return this.groupFailure(error, "leave conversation", transaction);
     }
   }
 
   /**
-   * Send notifications for a new message
-   * @param {Object} message - Message object
-   * @returns {boolean} Success status
+   * Update a group's name, description or avatar (admins only)
+   * @param {number} conversationId - Conversation ID
+   * @param {number} actorId - Admin updating the group
+   * @param {Object} updates - { name, description, avatarUrl }
+   * @param {string} baseUrl - Base URL of the application (optional)
+   * @returns {Object} Result with success status and data
    */
-  async sendNotificationsForMessage(message) {
+  async updateGroupInfo(conversationId, actorId, updates, baseUrl = null) {
+    const transaction = await db.sequelize.transaction();
+
     try {
-      // Get conversation members who are offline
-      const members = await db.ConversationMember.findAll({
-        where: {
-          conversation_id: message.conversation_id,
-          user_id: { [Op.ne]: message.sender_id },
-          left_at: null,
-        },
-        include: [
-          {
-            model: db.User,
-            as: "user",
-            where: { is_online: false },
-          },
-        ],
-      });
+      const { conversation } = await this.getGroupMembership(conversationId, actorId, { requireAdmin: true, transaction });
 
-      // Create notifications for offline users
-      const notificationPromises = members.map((member) =>
-        db.Notification.create({
-          user_id: member.user_id,
-          message_id: message.id,
-          conversation_id: message.conversation_id,
-          type: "message",
-          title: `New message from ${message.sender.name}`,
-          body: message.content_plain || "Sent an attachment",
-          data: JSON.stringify({
-            conversationId: message.conversation_id,
-            messageId: message.id,
-          }),
-          is_seen: false,
-          is_read: false,
-          push_sent: false,
-        })
+      const changes = {};
+      if (updates.name !== undefined && updates.name !== conversation.name) {
+        changes.name = updates.name;
+      }
+      if (updates.description !== undefined && updates.description !== conversation.description) {
+        changes.description = updates.description || null;
+      }
+      if (updates.avatarUrl !== undefined && updates.avatarUrl !== conversation.avatar_url) {
+        changes.avatar_url = updates.avatarUrl || null;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        throw this.groupError(400, "No changes to update");
+      }
+
+      await conversation.update(changes, { transaction });
+
+      const descriptions = [];
+      if (changes.name !== undefined) descriptions.push(`renamed the group to "${changes.name}"`);
+      if (changes.description !== undefined) descriptions.push("changed the group description");
+      if (changes.avatar_url !== undefined) descriptions.push("changed the group photo");
+
+      const actor = await db.User.findByPk(actorId, { attributes: ["name"], transaction });
+      const message = await this.createSystemMessage(
+        conversationId,
+        actorId,
+        `${actor.name} ${descriptions.join(", ")}`,
+        { event: "group_info_updated", actor_id: actorId, changes },
+        transaction
       );
 
-      await Promise.all(notificationPromises);
+      await transaction.commit();
 
-      return true;
+      return this.buildGroupChangeResult({
+        conversationId,
+        action: "group_info_updated",
+        actorId,
+        userIds: [],
+        changes,
+        messageId: message.id,
+      }, baseUrl);
     } catch (error) {
-      logger.error("Error sending notifications:", error);
-      return false;
+      return this.groupFailure(error, "update group", transaction);
     }
   }
 
   /**
-   * Search messages in conversations
+   * Search messages in the user's conversations using the blind index
+   * Every query term must match a word, or the start of a word, in the
+   * message or its attachment name. Results are ranked by how well they
+   * match (whole words count double, repeats count up to 5 times), newest
+   * first on ties.
    * @param {number} userId - User ID
    * @param {string} query - Search query
-   * @param {number} conversationId - Optional conversation ID to limit search
+   * @param {Object} filters - { conversationId, senderId, from, to, messageTypes, hasAttachment, page, limit }
    * @param {string} baseUrl - Base URL of the application (optional)
-   * @returns {Object} Search results
+   * @returns {Object} Search results with snippets and pagination
    */
-  async searchMessages(userId, query, conversationId = null, baseUrl = null) {
+  async searchMessages(userId, query, filters = {}, baseUrl = null) {
     try {
+      const page = filters.page || 1;
+      const limit = filters.limit || 20;
+      const emptyResult = {
+        success: true,
+        data: {
+          messages: [],
+          pagination: { currentPage: page, totalResults: 0, totalPages: 0, hasNextPage: false },
+        },
+      };
+
+      const terms = buildQueryTerms(query);
+      if (terms.length === 0) {
+        return { success: false, statusCode: 400, error: "Search query has no searchable words" };
+      }
+
       // Get user's conversation IDs
       const userConversations = await db.ConversationMember.findAll({
         where: { user_id: userId, left_at: null },
         attributes: ["conversation_id"],
       });
 
-      const conversationIds = userConversations.map((cm) => cm.conversation_id);
+      let conversationIds = userConversations.map((cm) => cm.conversation_id);
+
+      if (filters.conversationId) {
+        // pg returns BIGINT conversation IDs as strings
+        if (!conversationIds.map(String).includes(String(filters.conversationId))) {
+          return { success: false, statusCode: 403, error: "User is not a member of this conversation" };
+        }
+        conversationIds = [filters.conversationId];
+      }
 
       if (conversationIds.length === 0) {
-        return { success: true, data: [] };
+        return emptyResult;
       }
 
-      const whereClause = {
-        conversation_id: conversationId
-          ? conversationId
-          : { [Op.in]: conversationIds },
-        content_plain: { [Op.iLike]: `%${query}%` },
-        is_deleted: false,
+      const blockedUserIds = await db.UserBlock.findAll({
+        where: { blocker_id: userId },
+        attributes: ["blocked_id"],
+      }).then((blocks) => blocks.map((b) => b.blocked_id));
+
+      const replacements = {
+        userId,
+        conversationIds,
+        termCount: terms.length,
+        limit,
+        offset: (page - 1) * limit,
       };
+      const queryTokens = [];
+      terms.forEach(({ tokens }, termIndex) => {
+        tokens.forEach(({ token, weight }) => {
+          const key = `token${queryTokens.length}`;
+          replacements[key] = token;
+          queryTokens.push(`(:${key}, ${termIndex}, ${weight})`);
+        });
+      });
+
+      const conditions = [
+        "t.conversation_id IN (:conversationIds)",
+        "m.is_deleted = false",
+        "NOT EXISTS (SELECT 1 FROM message_deletions d WHERE d.message_id = m.id AND d.user_id = :userId)",
+        `NOT EXISTS (SELECT 1 FROM conversation_members cm
+                      WHERE cm.conversation_id = m.conversation_id AND cm.user_id = :userId
+                        AND cm.cleared_at IS NOT NULL AND m.created_at <= cm.cleared_at)`,
+      ];
+      if (blockedUserIds.length > 0) {
+        conditions.push("(m.sender_id IS NULL OR m.sender_id NOT IN (:blockedUserIds))");
+        replacements.blockedUserIds = blockedUserIds;
+      }
+      if (filters.senderId) {
+        conditions.push("m.sender_id = :senderId");
+        replacements.senderId = filters.senderId;
+      }
+      if (filters.from) {
+        conditions.push("m.created_at >= :from");
+        replacements.from = new Date(filters.from);
+      }
+      if (filters.to) {
+        conditions.push("m.created_at <= :to");
+        replacements.to = new Date(filters.to);
+      }
+      if (filters.messageTypes && filters.messageTypes.length > 0) {
+        conditions.push("m.message_type IN (:messageTypes)");
+        replacements.messageTypes = filters.messageTypes;
+      }
+      if (filters.hasAttachment === true) {
+        conditions.push("m.attachment_url IS NOT NULL");
+      } else if (filters.hasAttachment === false) {
+        conditions.push("m.attachment_url IS NULL");
+      }
+
+      const hits = await db.sequelize.query(
+        `SELECT m.id,
+                SUM(q.weight * LEAST(t.occurrences, 5)) AS score,
+                COUNT(*) OVER () AS total_count
+           FROM message_search_tokens t
+           JOIN (VALUES ${queryTokens.join(", ")}) AS q(token, term, weight) ON q.token = t.token
+           JOIN messages m ON m.id = t.message_id
+          WHERE ${conditions.join(" AND ")}
+          GROUP BY m.id, m.created_at
+         HAVING COUNT(DISTINCT q.term) = :termCount
+          ORDER BY score DESC, m.created_at DESC
+          LIMIT :limit OFFSET :offset`,
+        { replacements, type: db.sequelize.QueryTypes.SELECT }
+      );
+
+      if (hits.length === 0) {
+        return emptyResult;
+      }
 
       const messages = await db.Message.findAll({
-        where: whereClause,
+        where: { id: { [Op.in]: hits.map((hit) => hit.id) } },
         include: [
           {
             model: db.User,
@@ -1156,29 +3317,60 @@ class ChatService {
             as: "conversation",
             attributes: ["id", "name", "type"],
           },
+          {
+            model: db.ChatAttachment,
+            as: "attachment",
+          },
         ],
-        order: [["created_at", "DESC"]],
-        limit: 50,
       });
+      const messagesById = new Map(messages.map((message) => [String(message.id), message]));
+      const normalizedTerms = terms.map(({ term }) => term);
+
+      // Decrypt message contents, build snippets and add image URLs
+      const results = hits
+        .filter((hit) => messagesById.has(String(hit.id)))
+        .map((hit) => {
+          const messageData = this.stripEditHistory(messagesById.get(String(hit.id)).toJSON());
+          if (messageData.content) {
+            messageData.content = this.decryptMessage(messageData.content);
+          }
 
-      // Decrypt message contents and add image URLs
-      const decryptedMessages = messages.map((message) => {
-        const messageData = message.toJSON();
-        if (messageData.content) {
-          messageData.content = this.decryptMessage(messageData.content);
-        }
-        
-        // Add image URL to sender if baseUrl provided
-        if (baseUrl && messageData.sender) {
-          this.addImageUrlToUser(messageData.sender, baseUrl);
-        }
-        
-        return messageData;
-      });
+          messageData.attachment = chatAttachmentService.formatAttachment(messageData.attachment, baseUrl);
+          if (messageData.attachment) {
+            messageData.attachment_url = messageData.attachment.url;
+          }
+
+          messageData.search_score = parseInt(hit.score);
+          messageData.snippet = buildSnippet(messageData.content || messageData.attachment_name, normalizedTerms);
+
+          // Add image URL to sender if baseUrl provided
+          if (baseUrl && messageData.sender) {
+            this.addImageUrlToUser(messageData.sender, baseUrl);
+          }
+
+          // Where to open the conversation to show this hit in context
+          messageData.jump_to = {
+            conversation_id: messageData.conversation_id,
+            around_message_id: messageData.id,
+            path: `/api/chat/conversations/${messageData.conversation_id}/messages?around=${messageData.id}`,
+          };
+
+          return messageData;
+        });
+
+      const totalResults = parseInt(hits[0].total_count);
 
       return {
         success: true,
-        data: decryptedMessages,
+        data: {
+          messages: results,
+          pagination: {
+            currentPage: page,
+            totalResults,
+            totalPages: Math.ceil(totalResults / limit),
+            hasNextPage: page * limit < totalResults,
+          },
+        },
       };
     } catch (error) {
       logger.error("Error searching messages:", error);
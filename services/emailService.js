@@ -100,9 +100,28 @@ const sendEmail = async ({ to, subject, text, html }) => {
     }
 };
 
+// Wording of the OTP email for each thing a code can be requested for
+const OTP_EMAIL_PURPOSES = {
+    password_reset: {
+        subject: 'Password Reset OTP - BUDDyDESK',
+        heading: '🔐 Password Reset Request',
+        request: 'We received a request to reset your BUDDyDESK account password.',
+        instruction: 'Use the OTP below to complete the password reset process:',
+        ignore: "If you didn't request a password reset, please ignore this email or contact our support team if you have concerns about your account security."
+    },
+    two_factor: {
+        subject: 'Verification Code - BUDDyDESK',
+        heading: '🔐 Two-Factor Verification',
+        request: 'Someone who knows your password asked to verify with an email code instead of your authenticator app.',
+        instruction: "Use the OTP below to confirm it's you:",
+        ignore: "If this wasn't you, do not share this code, and change your password as soon as possible."
+    }
+};
+
 // Send OTP email
-const sendOTPEmail = async (email, otp, name = 'User') => {
-    const subject = 'Password Reset OTP - BUDDyDESK';
+const sendOTPEmail = async (email, otp, name = 'User', purpose = 'password_reset') => {
+    const wording = OTP_EMAIL_PURPOSES[purpose] || OTP_EMAIL_PURPOSES.password_reset;
+    const subject = wording.subject;
 
     const html = `
     <!DOCTYPE html>
@@ -168,12 +187,12 @@ const sendOTPEmail = async (email, otp, name = 'User') => {
     <body>
       <div class="container">
         <div class="header">
-          <h1>🔐 Password Reset Request</h1>
+          <h1>${wording.heading}</h1>
         </div>
         
         <p>Hello <strong>${name}</strong>,</p>
         
-        <p>We received a request to reset your BUDDyDESK account password. Use the OTP below to complete the password reset process:</p>
+        <p>${wording.request} ${wording.instruction}</p>
         
         <div class="otp-box">
           <p style="margin: 0; color: #666; font-size: 14px;">Your OTP Code:</p>
@@ -191,7 +210,7 @@ const sendOTPEmail = async (email, otp, name = 'User') => {
           </ul>
         </div>
         
-        <p>If you didn't request a password reset, please ignore this email or contact our support team if you have concerns about your account security.</p>
+        <p>${wording.ignore}</p>
         
         <div class="footer">
           <p><strong>BUDDyDESK Team</strong></p>
@@ -203,11 +222,11 @@ const sendOTPEmail = async (email, otp, name = 'User') => {
   `;
 
     const text = `
-    Password Reset OTP - BUDDyDESK
+    ${wording.subject}
     
     Hello ${name},
     
-    We received a request to reset your BUDDyDESK account password.
+    ${wording.request}
     
     Your OTP Code: ${otp}
     
@@ -579,12 +598,73 @@ const sendEmailVerificationOTP = async (email, name, otp) => {
     return sendEmail({ to: email, subject, text, html });
 };
 
+// Send a security alert when repeated failed logins lock an account
+const sendAccountLockedEmail = async (email, name, { lockedUntil, ipAddress }) => {
+    const subject = 'Security Alert: Account Temporarily Locked - BUDDyDESK';
+    const unlockTime = new Date(lockedUntil).toUTCString();
+
+    const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <style>
+        body {
+          font-family: Arial, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .container {
+          background-color: #f9f9f9;
+          border-radius: 10px;
+          padding: 30px;
+        }
+        .header {
+          text-align: center;
+          color: #dc3545;
+        }
+        .warning {
+          background-color: #fff3cd;
+          border-left: 4px solid #ffc107;
+          padding: 12px;
+          margin: 20px 0;
+          border-radius: 4px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🔒 Account Temporarily Locked</h1>
+        </div>
+        <p>Hello <strong>${name}</strong>,</p>
+        <div class="warning">
+          <p><strong>We noticed several failed sign-in attempts on your account, so we have locked it until ${unlockTime}.</strong></p>
+          ${ipAddress ? `<p>The last attempt came from IP address ${ipAddress}.</p>` : ''}
+        </div>
+        <p>If this was you, you can sign in again once the lock ends.</p>
+        <p>If this wasn't you, someone may be trying to guess your password. We recommend resetting your password with "Forgot password" as soon as the lock ends.</p>
+        <p>Best regards,<br>The BUDDyDESK Team</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+    const text = `Account Temporarily Locked. Hello ${name}, We noticed several failed sign-in attempts on your BUDDyDESK account, so we have locked it until ${unlockTime}.${ipAddress ? ` The last attempt came from IP address ${ipAddress}.` : ''} If this was you, you can sign in again once the lock ends. If this wasn't you, we recommend resetting your password as soon as the lock ends.`;
+
+    return sendEmail({ to: email, subject, text, html });
+};
+
 module.exports = {
     sendEmail,
     sendOTPEmail,
     sendWelcomeEmail,
     sendPasswordChangedEmail,
     sendEmailVerificationOTP,
+    sendAccountLockedEmail,
     verifyConnection
 };
 
@@ -0,0 +1,235 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const iapConfig = require('../config/iap.config');
+
+// Tiers in ascending order, as defined on User.subscription_tier
+const TIERS = db.User.rawAttributes.subscription_tier.values;
+const FREE_TIER = 'free';
+
+/**
+ * Start of the current day / month, used as quota windows
+ */
+const startOfDay = () => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const startOfMonth = () => {
+  const date = startOfDay();
+  date.setDate(1);
+  return date;
+};
+
+const nextDay = () => {
+  const date = startOfDay();
+  date.setDate(date.getDate() + 1);
+  return date;
+};
+
+const nextMonth = () => {
+  const date = startOfMonth();
+  date.setMonth(date.getMonth() + 1);
+  return date;
+};
+
+// Usage counters for the quota entitlements
+const USAGE_COUNTERS = {
+  daily_swipes: {
+    resetsAt: nextDay,
+    count: (userId) => db.PostSwipe.count({
+      where: { user_id: userId, created_at: { [Op.gte]: startOfDay() } }
+    })
+  },
+  monthly_posts: {
+    resetsAt: nextMonth,
+    count: (userId) => db.Post.count({
+      where: { user_id: userId, created_at: { [Op.gte]: startOfMonth() } }
+    })
+  }
+};
+
+/**
+ * Get the tier a product unlocks
+ * @param {string} productId - Store product ID
+ * @returns {string} Subscription tier
+ */
+function getTierForProduct(productId) {
+  const tier = iapConfig.PRODUCT_TIERS[productId];
+  if (tier) {
+    return tier;
+  }
+
+  logger.warn('No tier configured for product, using default paid tier', {
+    productId,
+    tier: iapConfig.DEFAULT_PAID_TIER
+  });
+  return iapConfig.DEFAULT_PAID_TIER;
+}
+
+/**
+ * Get the entitlement values of a tier
+ * @param {string} tier - Subscription tier
+ * @returns {Object} Entitlement name to limit or feature flag
+ */
+function getTierEntitlements(tier) {
+  return iapConfig.TIER_ENTITLEMENTS[tier] || iapConfig.TIER_ENTITLEMENTS[FREE_TIER];
+}
+
+/**
+ * Resolve the highest tier unlocked by a user's entitled subscriptions.
+ * Active subscriptions count until expiry, grace period ones for
+ * GRACE_PERIOD_DAYS after it.
+ * @param {number} userId - User ID
+ * @returns {Object} { tier, subscription }
+ */
+async function getActiveTier(userId) {
+  const now = new Date();
+  const graceCutoff = new Date(now.getTime() - iapConfig.GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+  const subscriptions = await db.Subscription.findAll({
+    where: {
+      user_id: userId,
+      [Op.or]: [
+        { status: 'active', expiry_date: { [Op.gt]: now } },
+        { status: 'grace_period', expiry_date: { [Op.gt]: graceCutoff } }
+      ]
+    },
+    attributes: ['id', 'platform', 'product_id', 'status', 'expiry_date', 'is_auto_renewing', 'is_trial'],
+    order: [['expiry_date', 'DESC']]
+  });
+
+  let best = { tier: FREE_TIER, subscription: null };
+  subscriptions.forEach((subscription) => {
+    const tier = getTierForProduct(subscription.product_id);
+    if (TIERS.indexOf(tier) > TIERS.indexOf(best.tier)) {
+      best = { tier, subscription };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Store a tier in User.subscription_tier if it differs from the cached one
+ * @param {number} userId - User ID
+ * @param {string} tier - Current tier
+ */
+async function storeUserTier(userId, tier) {
+  const user = await db.User.findByPk(userId, { attributes: ['id', 'subscription_tier'] });
+
+  if (user && user.subscription_tier !== tier) {
+    const previousTier = user.subscription_tier;
+    await user.update({ subscription_tier: tier });
+
+    logger.info('User subscription tier updated', {
+      userId,
+      previousTier,
+      tier
+    });
+  }
+}
+
+/**
+ * Recompute a user's tier from their subscriptions and store it in
+ * User.subscription_tier when it changed. Failures are logged, not thrown,
+ * so a purchase or webhook is never rejected because of the cached tier.
+ * @param {number} userId - User ID
+ * @returns {string|null} Current tier, or null if syncing failed
+ */
+async function syncUserTier(userId) {
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    const { tier } = await getActiveTier(userId);
+    await storeUserTier(userId, tier);
+    return tier;
+  } catch (error) {
+    logger.error('Failed to sync user subscription tier', {
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+    return null;
+  }
+}
+
+/**
+ * Check a single entitlement for a user. Quota entitlements also count the
+ * current usage.
+ * @param {number} userId - User ID
+ * @param {string} name - Entitlement name (e.g. 'see_right_swipes', 'daily_swipes')
+ * @returns {Object} { allowed, tier, limit, used }
+ */
+async function checkEntitlement(userId, name) {
+  const { tier } = await getActiveTier(userId);
+  const value = getTierEntitlements(tier)[name];
+  const counter = USAGE_COUNTERS[name];
+
+  if (counter) {
+    // null means unlimited
+    if (value === null) {
+      return { allowed: true, tier, limit: null, used: null };
+    }
+
+    const used = await counter.count(userId);
+    return { allowed: used < value, tier, limit: value, used };
+  }
+
+  return { allowed: Boolean(value), tier, limit: value ?? null, used: null };
+}
+
+/**
+ * Get everything the app needs to render entitlements and paywalls
+ * @param {number} userId - User ID
+ * @returns {Object} Tier, active subscription, entitlements, usage and plans
+ */
+async function getEntitlements(userId) {
+  const { tier, subscription } = await getActiveTier(userId);
+  const entitlements = getTierEntitlements(tier);
+
+  const usage = {};
+  await Promise.all(Object.entries(USAGE_COUNTERS).map(async ([name, counter]) => {
+    const limit = entitlements[name] ?? null;
+    const used = await counter.count(userId);
+    usage[name] = {
+      used,
+      limit,
+      remaining: limit === null ? null : Math.max(limit - used, 0),
+      resets_at: counter.resetsAt()
+    };
+  }));
+
+  // Teaser count for the "see who right-swiped you" paywall
+  const rightSwipesReceived = await db.PostSwipe.count({
+    where: { swipe_type: 'right' },
+    include: [{ model: db.Post, as: 'post', attributes: [], where: { user_id: userId } }]
+  });
+
+  // Keep the cached tier in step, e.g. after an expiry without a webhook
+  await storeUserTier(userId, tier);
+
+  return {
+    tier,
+    subscription,
+    entitlements,
+    usage,
+    right_swipes_received: rightSwipesReceived,
+    plans: TIERS.map(planTier => ({
+      tier: planTier,
+      products: Object.keys(iapConfig.PRODUCT_TIERS).filter(productId => iapConfig.PRODUCT_TIERS[productId] === planTier),
+      entitlements: getTierEntitlements(planTier)
+    }))
+  };
+}
+
+module.exports = {
+  getTierForProduct,
+  getActiveTier,
+  syncUserTier,
+  checkEntitlement,
+  getEntitlements
+};
@@ -0,0 +1,161 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Get the IDs of users the given user has a relation of the given type with
+ * @param {number} userId - Follower user ID
+ * @param {string} followType - 'follow' or 'mute'
+ * @returns {Array<number>} Followed (or muted) user IDs
+ */
+async function getRelatedUserIds(userId, followType) {
+  const relations = await db.FeedFollow.findAll({
+    where: { follower_id: userId, follow_type: followType },
+    attributes: ['following_id']
+  });
+  return relations.map(r => r.following_id);
+}
+
+/**
+ * Get the IDs of users followed by the given user
+ * @param {number} userId - User ID
+ * @returns {Array<number>} Followed user IDs
+ */
+async function getFollowingIds(userId) {
+  return getRelatedUserIds(userId, 'follow');
+}
+
+/**
+ * Get the IDs of users muted by the given user
+ * @param {number} userId - User ID
+ * @returns {Array<number>} Muted user IDs
+ */
+async function getMutedUserIds(userId) {
+  return getRelatedUserIds(userId, 'mute');
+}
+
+/**
+ * Get follower and following counts for a user
+ * @param {number} userId - User ID
+ * @returns {Object} { followers_count, following_count }
+ */
+async function getFollowCounts(userId) {
+  const [followersCount, followingCount] = await Promise.all([
+    db.FeedFollow.count({ where: { following_id: userId, follow_type: 'follow' } }),
+    db.FeedFollow.count({ where: { follower_id: userId, follow_type: 'follow' } })
+  ]);
+
+  return {
+    followers_count: followersCount,
+    following_count: followingCount
+  };
+}
+
+/**
+ * Get the relation the viewer has with another user
+ * @param {number} viewerId - Viewing user ID
+ * @param {number} userId - Viewed user ID
+ * @returns {Object} { is_following, is_muted, follows_you }
+ */
+async function getRelationship(viewerId, userId) {
+  const relations = await db.FeedFollow.findAll({
+    where: {
+      [Op.or]: [
+        { follower_id: viewerId, following_id: userId },
+        { follower_id: userId, following_id: viewerId, follow_type: 'follow' }
+      ]
+    },
+    attributes: ['follower_id', 'follow_type']
+  });
+
+  const outgoing = relations.find(r => r.follower_id === viewerId);
+
+  return {
+    is_following: outgoing?.follow_type === 'follow',
+    is_muted: outgoing?.follow_type === 'mute',
+    follows_you: relations.some(r => r.follower_id === userId)
+  };
+}
+
+/**
+ * Check whether either user has blocked the other
+ * @param {number} userId1 - First user ID
+ * @param {number} userId2 - Second user ID
+ * @returns {boolean} True if a block exists in either direction
+ */
+async function isBlockedEitherWay(userId1, userId2) {
+  const blockCount = await db.UserBlock.count({
+    where: {
+      [Op.or]: [
+        { blocker_id: userId1, blocked_id: userId2 },
+        { blocker_id: userId2, blocked_id: userId1 }
+      ]
+    }
+  });
+  return blockCount > 0;
+}
+
+/**
+ * Set the relation from one user to another. A user can either follow or mute
+ * someone, so setting one replaces the other.
+ * @param {number} followerId - Acting user ID
+ * @param {number} followingId - Target user ID
+ * @param {string} followType - 'follow' or 'mute'
+ * @returns {Object} { relation, changed }
+ */
+async function setRelation(followerId, followingId, followType) {
+  const [relation, created] = await db.FeedFollow.findOrCreate({
+    where: { follower_id: followerId, following_id: followingId },
+    defaults: { follow_type: followType }
+  });
+
+  if (!created && relation.follow_type !== followType) {
+    await relation.update({ follow_type: followType });
+    return { relation, changed: true };
+  }
+
+  return { relation, changed: created };
+}
+
+/**
+ * Remove a relation of the given type between two users
+ * @param {number} followerId - Acting user ID
+ * @param {number} followingId - Target user ID
+ * @param {string} followType - 'follow' or 'mute'
+ * @returns {boolean} True if a relation was removed
+ */
+async function removeRelation(followerId, followingId, followType) {
+  const removed = await db.FeedFollow.destroy({
+    where: { follower_id: followerId, following_id: followingId, follow_type: followType }
+  });
+  return removed > 0;
+}
+
+/**
+ * Remove follow relations in both directions between two users (used on block).
+ * Mutes are kept so the posts stay hidden if the block is lifted.
+ * @param {number} userId1 - First user ID
+ * @param {number} userId2 - Second user ID
+ * @returns {number} Number of removed relations
+ */
+async function removeFollowsBetween(userId1, userId2) {
+  return db.FeedFollow.destroy({
+    where: {
+      follow_type: 'follow',
+      [Op.or]: [
+        { follower_id: userId1, following_id: userId2 },
+        { follower_id: userId2, following_id: userId1 }
+      ]
+    }
+  });
+}
+
+module.exports = {
+  getFollowingIds,
+  getMutedUserIds,
+  getFollowCounts,
+  getRelationship,
+  isBlockedEitherWay,
+  setRelation,
+  removeRelation,
+  removeFollowsBetween
+};
@@ -0,0 +1,362 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const matchingConfig = require('../config/matching.config');
+const { getSkillRatings, combineRatings } = require('./reviewService');
+
+const FACTORS = Object.keys(matchingConfig.WEIGHTS);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a 0-1 factor value for API responses
+ * @param {number} value - Factor value
+ * @returns {number} Value rounded to 2 decimals
+ */
+function roundValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalise a looking_skills entry ({ id, name } or a plain ID) to a skill ID
+ * @param {Array} lookingSkills - UserProfile.looking_skills
+ * @returns {Array<number>} Skill IDs
+ */
+function getLookingSkillIds(lookingSkills) {
+  if (!Array.isArray(lookingSkills)) return [];
+  return lookingSkills
+    .map(skill => (typeof skill === 'object' && skill !== null ? skill.id : skill))
+    .map(id => parseInt(id))
+    .filter(id => !isNaN(id));
+}
+
+/**
+ * Parse "lat,lng" coordinates from free text such as "GPS: 28.6139,77.2090"
+ * @param {string} text - TempAddress.location_data
+ * @returns {Object|null} { lat, lng }
+ */
+function parseCoordinates(text) {
+  if (!text) return null;
+  const match = String(text).match(/(-?\d{1,2}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)/);
+  if (!match) return null;
+
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Distance in kilometres
+ */
+function haversineKm(a, b) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Build comparable locations from a user's addresses and active temp addresses
+ * @param {Array} addresses - Address rows
+ * @param {Array} tempAddresses - TempAddress rows
+ * @returns {Array<Object>} Items of { postal_code, city, state, coordinates }
+ */
+function buildLocations(addresses = [], tempAddresses = []) {
+  const normalise = value => (value ? String(value).trim().toLowerCase() : null);
+
+  return [
+    ...addresses.map(address => ({
+      postal_code: normalise(address.zip_code),
+      city: normalise(address.city),
+      state: normalise(address.state),
+      coordinates: null
+    })),
+    ...tempAddresses.map(temp => ({
+      postal_code: normalise(temp.pincode),
+      city: normalise(temp.city),
+      state: normalise(temp.state),
+      coordinates: parseCoordinates(temp.location_data)
+    }))
+  ];
+}
+
+/**
+ * Score how close two sets of locations are
+ * @param {Array<Object>} viewerLocations - Viewer locations
+ * @param {Array<Object>} posterLocations - Poster locations
+ * @returns {Object|null} { value, detail } or null when either side has no location
+ */
+function scoreDistance(viewerLocations, posterLocations) {
+  if (viewerLocations.length === 0 || posterLocations.length === 0) {
+    return null;
+  }
+
+  let best = { value: 0, detail: { closest: 'none' } };
+
+  viewerLocations.forEach(mine => {
+    posterLocations.forEach(theirs => {
+      let candidate = null;
+
+      if (mine.coordinates && theirs.coordinates) {
+        const distanceKm = haversineKm(mine.coordinates, theirs.coordinates);
+        candidate = {
+          value: Math.max(0, 1 - distanceKm / matchingConfig.MAX_DISTANCE_KM),
+          detail: { closest: 'coordinates', distance_km: Math.round(distanceKm * 10) / 10 }
+        };
+      } else {
+        const level = ['postal_code', 'city', 'state'].find(key => mine[key] && mine[key] === theirs[key]);
+        if (level) {
+          candidate = { value: matchingConfig.LOCATION_SCORES[level], detail: { closest: level } };
+        }
+      }
+
+      if (candidate && candidate.value > best.value) {
+        best = candidate;
+      }
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Load the viewer's data used for scoring
+ * @param {number} userId - Viewer user ID
+ * @returns {Object} { skills, skillIds, subSkillIds, lookingSkillIds, locations }
+ */
+async function loadViewerContext(userId) {
+  const [skills, addresses, tempAddresses, profile] = await Promise.all([
+    db.UserSkill.findAll({
+      include: [{ model: db.WorkProfile, as: 'workProfile', where: { user_id: userId }, attributes: [] }],
+      attributes: ['skill_id', 'sub_skill_id', 'proficiency_level']
+    }),
+    db.Address.findAll({ where: { user_id: userId }, attributes: ['zip_code', 'city', 'state'] }),
+    db.TempAddress.findAll({
+      where: { user_id: userId, is_active: true },
+      attributes: ['pincode', 'city', 'state', 'location_data']
+    }),
+    db.UserProfile.findOne({ where: { user_id: userId }, attributes: ['looking_skills'] })
+  ]);
+
+  return {
+    skills,
+    skillIds: [...new Set(skills.map(s => s.skill_id))],
+    subSkillIds: [...new Set(skills.map(s => s.sub_skill_id).filter(id => id !== null))],
+    lookingSkillIds: getLookingSkillIds(profile?.looking_skills),
+    locations: buildLocations(addresses, tempAddresses)
+  };
+}
+
+/**
+ * Load the posters' skills, locations and ratings used for scoring
+ * @param {Array<number>} posterIds - Post owner user IDs
+ * @returns {Object} Map of user ID -> { skillIds, locations, rating }
+ */
+async function loadPosterContext(posterIds) {
+  const context = {};
+  posterIds.forEach(id => {
+    context[id] = { skillIds: [], userSkillIds: [], addresses: [], tempAddresses: [] };
+  });
+
+  if (posterIds.length === 0) {
+    return context;
+  }
+
+  const [skills, addresses, tempAddresses] = await Promise.all([
+    db.UserSkill.findAll({
+      include: [{
+        model: db.WorkProfile,
+        as: 'workProfile',
+        where: { user_id: { [Op.in]: posterIds } },
+        attributes: ['user_id']
+      }],
+      attributes: ['id', 'skill_id']
+    }),
+    db.Address.findAll({
+      where: { user_id: { [Op.in]: posterIds } },
+      attributes: ['user_id', 'zip_code', 'city', 'state']
+    }),
+    db.TempAddress.findAll({
+      where: { user_id: { [Op.in]: posterIds }, is_active: true },
+      attributes: ['user_id', 'pincode', 'city', 'state', 'location_data']
+    })
+  ]);
+
+  skills.forEach(skill => {
+    const poster = context[skill.workProfile.user_id];
+    poster.skillIds.push(skill.skill_id);
+    poster.userSkillIds.push(skill.id);
+  });
+  addresses.forEach(address => context[address.user_id].addresses.push(address));
+  tempAddresses.forEach(temp => context[temp.user_id].tempAddresses.push(temp));
+
+  const skillRatings = await getSkillRatings(skills.map(s => s.id));
+
+  Object.values(context).forEach(poster => {
+    poster.locations = buildLocations(poster.addresses, poster.tempAddresses);
+    poster.rating = combineRatings(poster.userSkillIds.map(id => skillRatings[id]));
+  });
+
+  return context;
+}
+
+/**
+ * Compute the value (0-1) of every factor for one post. A factor is null when
+ * it does not apply to the post, e.g. distance for an online post.
+ * @param {Object} post - Post with required_skill_id, required_sub_skill_id, medium, deadline, user_id
+ * @param {Object} viewer - Viewer context from loadViewerContext
+ * @param {Object} poster - Poster context from loadPosterContext
+ * @param {Object} options - { preferredMedium, now }
+ * @returns {Object} Map of factor -> { value, detail } | null
+ */
+function computeFactors(post, viewer, poster, { preferredMedium = null, now = new Date() } = {}) {
+  const factors = {};
+
+  // Skill: the viewer has the skill the post asks for
+  const skillMatch = Boolean(post.required_skill_id) && viewer.skillIds.includes(post.required_skill_id);
+  factors.skill = post.required_skill_id
+    ? { value: skillMatch ? 1 : 0, detail: { matched: skillMatch } }
+    : null;
+
+  // Sub-skill: only for posts that name one
+  const subSkillMatch = Boolean(post.required_sub_skill_id) && viewer.subSkillIds.includes(post.required_sub_skill_id);
+  factors.sub_skill = post.required_sub_skill_id
+    ? { value: subSkillMatch ? 1 : 0, detail: { matched: subSkillMatch } }
+    : null;
+
+  // Proficiency: the viewer's best level in the requested sub-skill, else the skill
+  if (post.required_skill_id) {
+    const subSkillRows = post.required_sub_skill_id
+      ? viewer.skills.filter(s => s.sub_skill_id === post.required_sub_skill_id)
+      : [];
+    const relevant = subSkillRows.length > 0
+      ? subSkillRows
+      : viewer.skills.filter(s => s.skill_id === post.required_skill_id);
+
+    let best = null;
+    relevant.forEach(s => {
+      const value = s.proficiency_level
+        ? matchingConfig.PROFICIENCY_SCORES[s.proficiency_level]
+        : matchingConfig.UNKNOWN_PROFICIENCY_SCORE;
+      if (!best || value > best.value) {
+        best = { value, level: s.proficiency_level || null };
+      }
+    });
+
+    factors.proficiency = { value: best ? best.value : 0, detail: { level: best ? best.level : null } };
+  } else {
+    factors.proficiency = null;
+  }
+
+  // Looking skills: the poster offers a skill the viewer wants in exchange
+  if (viewer.lookingSkillIds.length > 0) {
+    const offered = [...new Set(poster.skillIds)].filter(id => viewer.lookingSkillIds.includes(id));
+    factors.looking_skills = { value: offered.length > 0 ? 1 : 0, detail: { skill_ids: offered } };
+  } else {
+    factors.looking_skills = null;
+  }
+
+  // Distance: irrelevant for online posts
+  factors.distance = post.medium === 'online'
+    ? null
+    : scoreDistance(viewer.locations, poster.locations);
+
+  // Medium: the viewer's preference, otherwise how accessible the medium is
+  if (preferredMedium) {
+    const value = post.medium === preferredMedium ? 1 : (post.medium === 'hybrid' || preferredMedium === 'hybrid' ? 0.5 : 0);
+    factors.medium = { value, detail: { medium: post.medium, preferred: preferredMedium } };
+  } else {
+    factors.medium = { value: matchingConfig.MEDIUM_SCORES[post.medium] ?? 0, detail: { medium: post.medium } };
+  }
+
+  // Urgency: sooner deadlines rank higher, past or missing deadlines add nothing
+  if (post.deadline) {
+    const daysLeft = Math.ceil((new Date(post.deadline).getTime() - now.getTime()) / DAY_MS);
+    const window = matchingConfig.URGENCY_WINDOW_DAYS;
+    const value = daysLeft < 0 || window === 0 ? 0 : Math.max(0, 1 - daysLeft / window);
+    factors.urgency = { value, detail: { days_left: daysLeft } };
+  } else {
+    factors.urgency = { value: 0, detail: { days_left: null } };
+  }
+
+  // Reputation: average rating smoothed towards the prior, scaled to 0-1
+  const { average_rating: averageRating, review_count: reviewCount } = poster.rating;
+  const priorReviews = matchingConfig.REPUTATION_PRIOR_REVIEWS;
+  const smoothed = ((averageRating || 0) * reviewCount + matchingConfig.REPUTATION_PRIOR_RATING * priorReviews) /
+    (reviewCount + priorReviews);
+  factors.reputation = {
+    value: smoothed / 5,
+    detail: { average_rating: averageRating, review_count: reviewCount }
+  };
+
+  return factors;
+}
+
+/**
+ * Combine factor values into a 0-100 score using the configured weights.
+ * Factors that do not apply, or are disabled, are left out of the total.
+ * @param {Object} factors - Output of computeFactors
+ * @param {Object} weights - Factor -> weight
+ * @returns {Object} { match_score, match_breakdown }
+ */
+function combineFactors(factors, weights) {
+  const applicable = FACTORS.filter(name => factors[name] && weights[name] > 0);
+  const totalWeight = applicable.reduce((sum, name) => sum + weights[name], 0);
+
+  const breakdown = {};
+  let score = 0;
+
+  FACTORS.forEach(name => {
+    const factor = factors[name];
+    const included = applicable.includes(name);
+    const points = included ? (weights[name] / totalWeight) * factor.value * 100 : 0;
+    score += points;
+
+    breakdown[name] = {
+      applicable: included,
+      weight: weights[name],
+      value: factor ? roundValue(factor.value) : null,
+      points: roundValue(points),
+      ...(factor ? factor.detail : {})
+    };
+  });
+
+  return {
+    match_score: Math.round(score),
+    match_breakdown: breakdown
+  };
+}
+
+/**
+ * Score posts for a viewer
+ * @param {Array<Object>} posts - Posts with required_skill_id, required_sub_skill_id, medium, deadline, user_id
+ * @param {number} userId - Viewer user ID
+ * @param {Object} options - { disabledFactors, preferredMedium }
+ * @returns {Object} { scores: Map of post ID -> { match_score, match_breakdown }, weights, viewer }
+ */
+async function scorePosts(posts, userId, { disabledFactors = [], preferredMedium = null, viewer = null } = {}) {
+  const viewerContext = viewer || await loadViewerContext(userId);
+  const posterContext = await loadPosterContext([...new Set(posts.map(p => p.user_id))]);
+
+  const weights = { ...matchingConfig.WEIGHTS };
+  disabledFactors.forEach(name => { weights[name] = 0; });
+
+  const now = new Date();
+  const scores = {};
+  posts.forEach(post => {
+    const factors = computeFactors(post, viewerContext, posterContext[post.user_id], { preferredMedium, now });
+    scores[post.id] = combineFactors(factors, weights);
+  });
+
+  return { scores, weights, viewer: viewerContext };
+}
+
+module.exports = {
+  FACTORS,
+  loadViewerContext,
+  scorePosts
+};
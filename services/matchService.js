@@ -0,0 +1,397 @@
+const db = require('../models');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+const chatService = require('./chatService');
+const { sendPushToUser } = require('./notificationService');
+
+/**
+ * Allowed status transitions for a skill-exchange match
+ * proposed -> accepted -> in_progress -> completed, any open state -> cancelled
+ */
+const MATCH_TRANSITIONS = {
+  proposed: ['accepted', 'cancelled'],
+  accepted: ['in_progress', 'completed', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const OPEN_STATUSES = ['proposed', 'accepted', 'in_progress'];
+
+const matchIncludes = [
+  {
+    model: db.User,
+    as: 'requester',
+    attributes: ['id', 'name', 'email'],
+    include: [{ model: db.UserProfile, as: 'profile', attributes: ['image_path'] }]
+  },
+  {
+    model: db.User,
+    as: 'owner',
+    attributes: ['id', 'name', 'email'],
+    include: [{ model: db.UserProfile, as: 'profile', attributes: ['image_path'] }]
+  },
+  {
+    model: db.Post,
+    as: 'post',
+    attributes: ['id', 'title', 'status', 'medium', 'deadline'],
+    include: [
+      { model: db.Skill, as: 'requiredSkill', attributes: ['id', 'name'] },
+      { model: db.SubSkill, as: 'requiredSubSkill', attributes: ['id', 'name'] }
+    ]
+  },
+  {
+    model: db.Post,
+    as: 'requesterPost',
+    attributes: ['id', 'title', 'status', 'medium', 'deadline'],
+    include: [
+      { model: db.Skill, as: 'requiredSkill', attributes: ['id', 'name'] },
+      { model: db.SubSkill, as: 'requiredSubSkill', attributes: ['id', 'name'] }
+    ]
+  }
+];
+
+/**
+ * Check whether a status transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  return (MATCH_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether either user has blocked the other
+ * @param {number} userId1 - First user ID
+ * @param {number} userId2 - Second user ID
+ * @returns {boolean} True if a block exists in either direction
+ */
+async function isBlockedBetween(userId1, userId2) {
+  const block = await db.UserBlock.findOne({
+    where: {
+      [Op.or]: [
+        { blocker_id: userId1, blocked_id: userId2 },
+        { blocker_id: userId2, blocked_id: userId1 }
+      ]
+    }
+  });
+  return !!block;
+}
+
+/**
+ * Load a match with participants and posts
+ * @param {number} matchId - Match ID
+ * @returns {Object|null} Match with associations
+ */
+async function loadMatch(matchId) {
+  return db.Match.findByPk(matchId, { include: matchIncludes });
+}
+
+/**
+ * Send a push notification about a match without blocking the request
+ * @param {number} userId - Recipient user ID
+ * @param {Object} match - Match record
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ */
+function notifyMatchParticipant(userId, match, title, body) {
+  setImmediate(async () => {
+    try {
+      await sendPushToUser(userId, {
+        notification: { title, body },
+        data: {
+          match_id: match.id.toString(),
+          match_status: match.status,
+          notification_type: 'match'
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to send match notification', {
+        matchId: match.id,
+        userId,
+        error: error.message
+      });
+    }
+  });
+}
+
+/**
+ * Open (or reuse) the private conversation between match participants
+ * and post a system message announcing the match
+ * @param {Object} match - Match record
+ * @param {number} actorId - User who triggered the acceptance
+ * @returns {number|null} Conversation ID
+ */
+async function openMatchConversation(match, actorId) {
+  const otherUserId = actorId === match.requester_id ? match.owner_id : match.requester_id;
+
+  const result = await chatService.createConversation({
+    createdBy: actorId,
+    type: 'private',
+    memberIds: [otherUserId]
+  });
+
+  if (!result.success) {
+    logger.error('Failed to open match conversation', {
+      matchId: match.id,
+      error: result.error
+    });
+    return null;
+  }
+
+  const conversationId = result.data.id;
+  const post = await db.Post.findByPk(match.post_id, { attributes: ['id', 'title'] });
+
+  await chatService.createSystemMessage(
+    conversationId,
+    actorId,
+    `You matched on "${post && post.title ? post.title : 'a post'}". Say hi and plan your skill exchange!`,
+    { match_id: match.id, post_id: match.post_id }
+  );
+
+  return conversationId;
+}
+
+/**
+ * Accept a match: set status, open the conversation and notify the other side
+ * @param {Object} match - Match record (proposed)
+ * @param {number} actorId - User accepting the match
+ * @returns {Object} Updated match
+ */
+async function markAccepted(match, actorId) {
+  await match.update({ status: 'accepted', accepted_at: new Date() });
+
+  const conversationId = await openMatchConversation(match, actorId);
+  if (conversationId) {
+    await match.update({ conversation_id: conversationId });
+  }
+
+  const otherUserId = actorId === match.requester_id ? match.owner_id : match.requester_id;
+  notifyMatchParticipant(otherUserId, match, "It's a match!", 'You can now chat and plan your skill exchange.');
+
+  return match;
+}
+
+/**
+ * Handle a right swipe on a post. Creates a proposed match, or accepts the
+ * pending proposal from the post owner if they already right-swiped one of
+ * the swiper's posts.
+ * @param {number} userId - User who swiped right
+ * @param {Object} post - Post that was swiped
+ * @returns {Object|null} Match record or null if no match could be created
+ */
+async function handleRightSwipe(userId, post) {
+  try {
+    const ownerId = post.user_id;
+
+    if (await isBlockedBetween(userId, ownerId)) {
+      return null;
+    }
+
+    // Mutual interest: the owner already proposed on one of this user's posts
+    const pendingFromOwner = await db.Match.findOne({
+      where: {
+        requester_id: ownerId,
+        owner_id: userId,
+        status: 'proposed'
+      },
+      order: [['created_at', 'DESC']]
+    });
+
+    if (pendingFromOwner) {
+      await pendingFromOwner.update({ requester_post_id: post.id });
+      await markAccepted(pendingFromOwner, userId);
+
+      logger.info('Mutual right swipe created match', {
+        matchId: pendingFromOwner.id,
+        requesterId: ownerId,
+        ownerId: userId,
+        postId: pendingFromOwner.post_id,
+        requesterPostId: post.id
+      });
+
+      return pendingFromOwner;
+    }
+
+    const [match, created] = await db.Match.findOrCreate({
+      where: { requester_id: userId, post_id: post.id },
+      defaults: {
+        requester_id: userId,
+        owner_id: ownerId,
+        post_id: post.id,
+        status: 'proposed'
+      }
+    });
+
+    if (created) {
+      notifyMatchParticipant(ownerId, match, 'Someone is interested in your post', 'Review the proposal and accept to start chatting.');
+      logger.info('Match proposed', {
+        matchId: match.id,
+        requesterId: userId,
+        ownerId,
+        postId: post.id
+      });
+    }
+
+    return match;
+  } catch (error) {
+    logger.error('Error handling right swipe match', {
+      userId,
+      postId: post.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return null;
+  }
+}
+
+/**
+ * Get matches the user participates in
+ * @param {number} userId - User ID
+ * @param {Object} options - { status, role, page, limit }
+ * @returns {Object} Matches with pagination info
+ */
+async function getUserMatches(userId, { status, role, page = 1, limit = 10 } = {}) {
+  const whereClause = {};
+
+  if (role === 'requester') {
+    whereClause.requester_id = userId;
+  } else if (role === 'owner') {
+    whereClause.owner_id = userId;
+  } else {
+    whereClause[Op.or] = [{ requester_id: userId }, { owner_id: userId }];
+  }
+
+  if (status) {
+    whereClause.status = status;
+  }
+
+  const { count, rows } = await db.Match.findAndCountAll({
+    where: whereClause,
+    include: matchIncludes,
+    order: [['updated_at', 'DESC']],
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true
+  });
+
+  return {
+    matches: rows,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(count / limit),
+      totalItems: count,
+      itemsPerPage: limit
+    }
+  };
+}
+
+/**
+ * Get a single match visible to the user
+ * @param {number} matchId - Match ID
+ * @param {number} userId - User ID
+ * @returns {Object} Result with success status and data
+ */
+async function getMatchForUser(matchId, userId) {
+  const match = await loadMatch(matchId);
+
+  if (!match) {
+    return { success: false, statusCode: 404, error: 'Match not found' };
+  }
+
+  if (match.requester_id !== userId && match.owner_id !== userId) {
+    return { success: false, statusCode: 403, error: 'You are not a participant of this match' };
+  }
+
+  return { success: true, data: match };
+}
+
+/**
+ * Move a match to a new status on behalf of a participant
+ * @param {number} matchId - Match ID
+ * @param {number} userId - Acting user ID
+ * @param {string} targetStatus - accepted | in_progress | completed | cancelled
+ * @param {Object} options - { reason, decline } for cancellations
+ * @returns {Object} Result with success status and data
+ */
+async function transitionMatch(matchId, userId, targetStatus, { reason, decline = false } = {}) {
+  try {
+    const match = await db.Match.findByPk(matchId);
+
+    if (!match) {
+      return { success: false, statusCode: 404, error: 'Match not found' };
+    }
+
+    if (match.requester_id !== userId && match.owner_id !== userId) {
+      return { success: false, statusCode: 403, error: 'You are not a participant of this match' };
+    }
+
+    if (!canTransition(match.status, targetStatus)) {
+      return {
+        success: false,
+        statusCode: 409,
+        error: `Cannot change match from '${match.status}' to '${targetStatus}'`
+      };
+    }
+
+    // Only the post owner can accept an incoming proposal
+    if (targetStatus === 'accepted' && match.owner_id !== userId) {
+      return { success: false, statusCode: 403, error: 'Only the post owner can accept this match' };
+    }
+
+    // Declining is the owner's answer to a proposal; use cancel for anything else
+    if (decline && (match.status !== 'proposed' || match.owner_id !== userId)) {
+      return { success: false, statusCode: 409, error: 'Only a proposed match can be declined by the post owner' };
+    }
+
+    const otherUserId = match.requester_id === userId ? match.owner_id : match.requester_id;
+
+    if (targetStatus === 'accepted') {
+      if (await isBlockedBetween(userId, otherUserId)) {
+        return { success: false, statusCode: 403, error: 'Cannot accept a match with a blocked user' };
+      }
+      await markAccepted(match, userId);
+    } else if (targetStatus === 'in_progress') {
+      await match.update({ status: 'in_progress', started_at: new Date() });
+    } else if (targetStatus === 'completed') {
+      await match.update({ status: 'completed', completed_at: new Date() });
+      notifyMatchParticipant(otherUserId, match, 'Skill exchange completed', 'Your skill exchange was marked as completed.');
+    } else if (targetStatus === 'cancelled') {
+      await match.update({
+        status: 'cancelled',
+        cancelled_at: new Date(),
+        cancelled_by: userId,
+        cancel_reason: reason || null
+      });
+    }
+
+    logger.info('Match status changed', {
+      matchId: match.id,
+      userId,
+      status: targetStatus
+    });
+
+    return { success: true, data: await loadMatch(match.id) };
+  } catch (error) {
+    logger.error('Error changing match status', {
+      matchId,
+      userId,
+      targetStatus,
+      error: error.message,
+      stack: error.stack
+    });
+    return { success: false, statusCode: 500, error: 'Failed to update match' };
+  }
+}
+
+module.exports = {
+  MATCH_TRANSITIONS,
+  OPEN_STATUSES,
+  canTransition,
+  isBlockedBetween,
+  handleRightSwipe,
+  getUserMatches,
+  getMatchForUser,
+  transitionMatch
+};
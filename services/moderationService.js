@@ -0,0 +1,447 @@
+const db = require('../models');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+
+const REPORT_STATUSES = ['pending', 'reviewed', 'resolved', 'dismissed'];
+
+// Report types and the content they point to
+const REPORT_TYPES = {
+  post: {
+    reportModel: () => db.PostReport,
+    contentModel: () => db.Post,
+    contentKey: 'post_id',
+    contentAlias: 'post',
+    contentAttributes: ['id', 'user_id', 'title', 'description', 'status', 'created_at'],
+    reportTarget: 'post_report'
+  },
+  feed_post: {
+    reportModel: () => db.FeedPostReport,
+    contentModel: () => db.FeedPost,
+    contentKey: 'feed_post_id',
+    contentAlias: 'feedPost',
+    contentAttributes: ['id', 'user_id', 'content', 'status', 'created_at'],
+    reportTarget: 'feed_post_report'
+  }
+};
+
+// Audit action written for each report status
+const STATUS_ACTIONS = {
+  reviewed: 'report_reviewed',
+  resolved: 'report_resolved',
+  dismissed: 'report_dismissed'
+};
+
+const userAttributes = ['id', 'name', 'email', 'is_blocked', 'report_count'];
+
+/**
+ * Write a moderation audit log entry
+ * @param {number} moderatorId - Moderator user ID
+ * @param {string} action - Audit action
+ * @param {string} targetType - post_report, feed_post_report, post, feed_post or user
+ * @param {number} targetId - Target record ID
+ * @param {Object} options - { note, details, transaction }
+ * @returns {Object} Created audit log
+ */
+async function writeAuditLog(moderatorId, action, targetType, targetId, { note = null, details = null, transaction } = {}) {
+  const entry = await db.ModerationAuditLog.create({
+    moderator_id: moderatorId,
+    action,
+    target_type: targetType,
+    target_id: targetId,
+    note,
+    details
+  }, { transaction });
+
+  logger.info('Moderation action recorded', {
+    auditLogId: entry.id,
+    moderatorId,
+    action,
+    targetType,
+    targetId
+  });
+
+  return entry;
+}
+
+/**
+ * Build the includes for a report of the given type
+ * @param {string} type - post or feed_post
+ * @returns {Array<Object>} Sequelize includes
+ */
+function reportIncludes(type) {
+  const config = REPORT_TYPES[type];
+  return [
+    { model: db.User, as: 'reporter', attributes: userAttributes },
+    {
+      model: config.contentModel(),
+      as: config.contentAlias,
+      attributes: config.contentAttributes,
+      include: [{ model: db.User, as: 'user', attributes: userAttributes }]
+    }
+  ];
+}
+
+/**
+ * Convert a report of either type into one response shape
+ * @param {Object} report - PostReport or FeedPostReport instance
+ * @param {string} type - post or feed_post
+ * @returns {Object} Formatted report
+ */
+function formatReport(report, type) {
+  const config = REPORT_TYPES[type];
+  const data = report.toJSON ? report.toJSON() : report;
+  const content = data[config.contentAlias] || null;
+
+  return {
+    id: data.id,
+    report_type: type,
+    status: data.status,
+    reason: data.reason,
+    description: data.description,
+    created_at: data.created_at,
+    updated_at: data.updated_at,
+    reporter: data.reporter || null,
+    content_id: data[config.contentKey],
+    content: content ? { ...content, user: undefined } : null,
+    author: content ? content.user || null : null
+  };
+}
+
+/**
+ * List reports of one or both types, newest first
+ * @param {Object} filters - { type, status, reporterId, page, limit }
+ * @returns {Object} Service result with reports and pagination
+ */
+async function listReports({ type, status, reporterId, page = 1, limit = 20 } = {}) {
+  if (type && !REPORT_TYPES[type]) {
+    return { success: false, statusCode: 400, error: 'Invalid report type. Use post or feed_post' };
+  }
+
+  if (status && !REPORT_STATUSES.includes(status)) {
+    return { success: false, statusCode: 400, error: `Invalid status. Allowed: ${REPORT_STATUSES.join(', ')}` };
+  }
+
+  const where = {};
+  if (status) where.status = status;
+  if (reporterId) where.reported_by = reporterId;
+
+  const types = type ? [type] : Object.keys(REPORT_TYPES);
+  const offset = (page - 1) * limit;
+
+  // Fetch enough of each type to merge one page across both tables
+  const results = await Promise.all(types.map(reportType =>
+    REPORT_TYPES[reportType].reportModel().findAndCountAll({
+      where,
+      include: reportIncludes(reportType),
+      order: [['created_at', 'DESC']],
+      limit: offset + limit,
+      distinct: true
+    }).then(({ count, rows }) => ({
+      count,
+      rows: rows.map(row => formatReport(row, reportType))
+    }))
+  ));
+
+  const totalItems = results.reduce((sum, result) => sum + result.count, 0);
+  const reports = results
+    .flatMap(result => result.rows)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(offset, offset + limit);
+
+  return {
+    success: true,
+    data: {
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems,
+        itemsPerPage: limit
+      }
+    }
+  };
+}
+
+/**
+ * Get a report with its content, other reports on the same content and its audit history
+ * @param {string} type - post or feed_post
+ * @param {number} reportId - Report ID
+ * @returns {Object} Service result with report details
+ */
+async function getReport(type, reportId) {
+  const config = REPORT_TYPES[type];
+  if (!config) {
+    return { success: false, statusCode: 400, error: 'Invalid report type. Use post or feed_post' };
+  }
+
+  const report = await config.reportModel().findByPk(reportId, {
+    include: reportIncludes(type)
+  });
+
+  if (!report) {
+    return { success: false, statusCode: 404, error: 'Report not found' };
+  }
+
+  const contentId = report[config.contentKey];
+
+  const [relatedReports, auditLogs] = await Promise.all([
+    config.reportModel().findAll({
+      where: { [config.contentKey]: contentId, id: { [Op.ne]: report.id } },
+      include: [{ model: db.User, as: 'reporter', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']]
+    }),
+    db.ModerationAuditLog.findAll({
+      where: {
+        [Op.or]: [
+          { target_type: config.reportTarget, target_id: report.id },
+          { target_type: type, target_id: contentId }
+        ]
+      },
+      include: [{ model: db.User, as: 'moderator', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']]
+    })
+  ]);
+
+  return {
+    success: true,
+    data: {
+      ...formatReport(report, type),
+      related_reports: relatedReports.map(related => ({
+        id: related.id,
+        status: related.status,
+        reason: related.reason,
+        reporter: related.reporter,
+        created_at: related.created_at
+      })),
+      audit_log: auditLogs
+    }
+  };
+}
+
+/**
+ * Hide or restore reported content
+ * Posts remember their status before hiding so it can be restored
+ * @param {number} moderatorId - Moderator user ID
+ * @param {string} type - post or feed_post
+ * @param {number} contentId - Post or feed post ID
+ * @param {boolean} hidden - True to hide, false to restore
+ * @param {Object} options - { note, reportId, transaction }
+ * @returns {Object} Service result with the content status
+ */
+async function setContentHidden(moderatorId, type, contentId, hidden, { note = null, reportId = null, transaction } = {}) {
+  const config = REPORT_TYPES[type];
+  if (!config) {
+    return { success: false, statusCode: 400, error: 'Invalid content type. Use post or feed_post' };
+  }
+
+  const content = await config.contentModel().findByPk(contentId, { transaction });
+  if (!content) {
+    return { success: false, statusCode: 404, error: 'Content not found' };
+  }
+
+  if (hidden && content.status === 'hidden') {
+    return { success: false, statusCode: 409, error: 'Content is already hidden' };
+  }
+
+  if (!hidden && content.status !== 'hidden') {
+    return { success: false, statusCode: 409, error: 'Content is not hidden' };
+  }
+
+  if (content.status === 'deleted') {
+    return { success: false, statusCode: 409, error: 'Content has been deleted by its author' };
+  }
+
+  const previousStatus = content.status;
+  let newStatus = 'hidden';
+
+  if (!hidden) {
+    // Restore the status the content had before it was hidden
+    const lastHide = await db.ModerationAuditLog.findOne({
+      where: { action: 'content_hidden', target_type: type, target_id: content.id },
+      order: [['created_at', 'DESC']],
+      transaction
+    });
+    newStatus = lastHide?.details?.previous_status || 'active';
+  }
+
+  await content.update({ status: newStatus }, { transaction });
+
+  await writeAuditLog(moderatorId, hidden ? 'content_hidden' : 'content_restored', type, content.id, {
+    note,
+    details: { previous_status: previousStatus, new_status: newStatus, report_id: reportId, author_id: content.user_id },
+    transaction
+  });
+
+  return { success: true, data: { content_type: type, content_id: content.id, author_id: content.user_id, status: newStatus } };
+}
+
+/**
+ * Block or unblock a user account (User.is_blocked)
+ * @param {number} moderatorId - Moderator user ID
+ * @param {number} userId - User to block or unblock
+ * @param {boolean} blocked - True to block, false to unblock
+ * @param {Object} options - { note, reportId, reportType, transaction }
+ * @returns {Object} Service result with the user's block state
+ */
+async function setUserBlocked(moderatorId, userId, blocked, { note = null, reportId = null, reportType = null, transaction } = {}) {
+  if (blocked && userId === moderatorId) {
+    return { success: false, statusCode: 400, error: 'You cannot block your own account' };
+  }
+
+  const user = await db.User.findByPk(userId, { attributes: userAttributes, transaction });
+  if (!user) {
+    return { success: false, statusCode: 404, error: 'User not found' };
+  }
+
+  if (user.is_blocked === blocked) {
+    return { success: false, statusCode: 409, error: blocked ? 'User is already blocked' : 'User is not blocked' };
+  }
+
+  await user.update({ is_blocked: blocked }, { transaction });
+
+  await writeAuditLog(moderatorId, blocked ? 'user_blocked' : 'user_unblocked', 'user', user.id, {
+    note,
+    details: { report_id: reportId, report_type: reportType, report_count: user.report_count },
+    transaction
+  });
+
+  return { success: true, data: { user_id: user.id, is_blocked: blocked } };
+}
+
+/**
+ * Change the status of a report, optionally hiding the content and blocking its author
+ * @param {number} moderatorId - Moderator user ID
+ * @param {string} type - post or feed_post
+ * @param {number} reportId - Report ID
+ * @param {string} status - reviewed, resolved or dismissed
+ * @param {Object} options - { note, hideContent, blockAuthor }
+ * @returns {Object} Service result with the updated report and applied actions
+ */
+async function updateReportStatus(moderatorId, type, reportId, status, { note = null, hideContent = false, blockAuthor = false } = {}) {
+  const config = REPORT_TYPES[type];
+  if (!config) {
+    return { success: false, statusCode: 400, error: 'Invalid report type. Use post or feed_post' };
+  }
+
+  if (!STATUS_ACTIONS[status]) {
+    return { success: false, statusCode: 400, error: 'Invalid status. Allowed: reviewed, resolved, dismissed' };
+  }
+
+  if ((hideContent || blockAuthor) && status !== 'resolved') {
+    return { success: false, statusCode: 400, error: 'Content can only be hidden or its author blocked when resolving a report' };
+  }
+
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const report = await config.reportModel().findByPk(reportId, {
+      include: [{ model: config.contentModel(), as: config.contentAlias, attributes: ['id', 'user_id', 'status'] }],
+      transaction
+    });
+
+    if (!report) {
+      await transaction.rollback();
+      return { success: false, statusCode: 404, error: 'Report not found' };
+    }
+
+    if (['resolved', 'dismissed'].includes(report.status)) {
+      await transaction.rollback();
+      return { success: false, statusCode: 409, error: `Report is already ${report.status}` };
+    }
+
+    const previousStatus = report.status;
+    await report.update({ status }, { transaction });
+
+    await writeAuditLog(moderatorId, STATUS_ACTIONS[status], config.reportTarget, report.id, {
+      note,
+      details: { previous_status: previousStatus, new_status: status, content_id: report[config.contentKey] },
+      transaction
+    });
+
+    const actions = { content_hidden: false, author_blocked: false };
+    const content = report[config.contentAlias];
+
+    if (hideContent && content && content.status !== 'hidden') {
+      const hideResult = await setContentHidden(moderatorId, type, content.id, true, { note, reportId: report.id, transaction });
+      if (!hideResult.success) {
+        await transaction.rollback();
+        return hideResult;
+      }
+      actions.content_hidden = true;
+    }
+
+    if (blockAuthor && content) {
+      const author = await db.User.findByPk(content.user_id, { attributes: ['id', 'is_blocked'], transaction });
+      if (author && !author.is_blocked) {
+        const blockResult = await setUserBlocked(moderatorId, author.id, true, { note, reportId: report.id, reportType: type, transaction });
+        if (!blockResult.success) {
+          await transaction.rollback();
+          return blockResult;
+        }
+        actions.author_blocked = true;
+      }
+    }
+
+    await transaction.commit();
+
+    return {
+      success: true,
+      data: {
+        id: report.id,
+        report_type: type,
+        status,
+        previous_status: previousStatus,
+        author_id: content ? content.user_id : null,
+        ...actions
+      }
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * List moderation audit log entries
+ * @param {Object} filters - { moderatorId, action, targetType, targetId, page, limit }
+ * @returns {Object} Service result with audit logs and pagination
+ */
+async function getAuditLogs({ moderatorId, action, targetType, targetId, page = 1, limit = 20 } = {}) {
+  const where = {};
+  if (moderatorId) where.moderator_id = moderatorId;
+  if (action) where.action = action;
+  if (targetType) where.target_type = targetType;
+  if (targetId) where.target_id = targetId;
+
+  const { count, rows } = await db.ModerationAuditLog.findAndCountAll({
+    where,
+    include: [{ model: db.User, as: 'moderator', attributes: ['id', 'name', 'email'] }],
+    order: [['created_at', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return {
+    success: true,
+    data: {
+      logs: rows,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(count / limit),
+        totalItems: count,
+        itemsPerPage: limit
+      }
+    }
+  };
+}
+
+module.exports = {
+  REPORT_STATUSES,
+  writeAuditLog,
+  listReports,
+  getReport,
+  updateReportStatus,
+  setContentHidden,
+  setUserBlocked,
+  getAuditLogs
+};
@@ -354,6 +354,11 @@ async function sendMessageNotification(message, sender) {
 
 		// Filter users who should receive notifications
 		const usersToNotify = conversationMembers.filter(member => {
+			// Muted conversations send nothing until the mute ends
+			if (member.is_muted && (!member.muted_until || new Date(member.muted_until) > new Date())) {
+				return false;
+			}
+
 			const settings = member.user.notificationSettings;
 			if (!settings) return true; // Default to sending notifications
 			
@@ -379,7 +384,7 @@ async function sendMessageNotification(message, sender) {
 
 		// Prepare message preview
 		if (message.message_type === 'text') {
-			body = message.content_plain || '[Message]';
+			body = message.content || '[Message]';
 			if (body.length > 100) {
 				body = body.substring(0, 100) + '...';
 			}
@@ -475,28 +480,42 @@ async function sendMessageNotification(message, sender) {
 	}
 }
 
+// Notification wording per feed reaction type
+const FEED_REACTION_TEXT = {
+	like: 'liked your post',
+	love: 'loved your post',
+	laugh: 'reacted 😂 to your post',
+	wow: 'reacted 😮 to your post',
+	sad: 'reacted 😢 to your post',
+	angry: 'reacted 😠 to your post'
+};
+
 /**
- * Create a notification in the database for feed post likes
+ * Create a notification in the database for feed post likes and reactions
  * No push notification is sent - only stored for in-app notification tab
+ * reactionType picks the wording (see FEED_REACTION_TEXT) and defaults to 'like'
  */
-async function createFeedLikeNotification(feedPost, likerUser) {
+async function createFeedLikeNotification(feedPost, likerUser, reactionType = 'like') {
 	try {
 		// Don't create notification if user likes their own post
 		if (feedPost.user_id === likerUser.id) {
 			return { success: true, message: 'No notification for own like' };
 		}
 
+		const reactionText = FEED_REACTION_TEXT[reactionType] || FEED_REACTION_TEXT.like;
+
 		// Create notification in database
 		const notification = await db.Notification.create({
 			user_id: feedPost.user_id, // Post owner receives the notification
 			feed_post_id: feedPost.id,
 			type: 'feed_like',
-			title: 'New Like',
-			body: `${likerUser.name} liked your post`,
+			title: reactionType === 'like' ? 'New Like' : 'New Reaction',
+			body: `${likerUser.name} ${reactionText}`,
 			data: {
 				feed_post_id: feedPost.id,
 				liker_user_id: likerUser.id,
 				liker_name: likerUser.name,
+				reaction_type: reactionType,
 				post_content: feedPost.content ? feedPost.content.substring(0, 100) : ''
 			},
 			push_sent: false // No push notification sent
@@ -506,7 +525,8 @@ async function createFeedLikeNotification(feedPost, likerUser) {
 			notificationId: notification.id,
 			feedPostId: feedPost.id,
 			postOwnerId: feedPost.user_id,
-			likerUserId: likerUser.id
+			likerUserId: likerUser.id,
+			reactionType
 		});
 
 		return { success: true, notification };
@@ -0,0 +1,139 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Get IDs of users blocked by, or blocking, a user
+ * @param {number} userId - User ID
+ * @returns {Set<number>} User IDs on either side of a block
+ */
+async function getBlockedUserIds(userId) {
+  const blocks = await db.UserBlock.findAll({
+    where: { [Op.or]: [{ blocker_id: userId }, { blocked_id: userId }] },
+    attributes: ['blocker_id', 'blocked_id']
+  });
+
+  return new Set(blocks.map(block => (block.blocker_id === userId ? block.blocked_id : block.blocker_id)));
+}
+
+/**
+ * Get the users allowed to see a user's presence: everyone who shares an
+ * active conversation with them, minus blocks in either direction.
+ * Conversations count only once their message request is accepted.
+ * @param {number} userId - User whose presence changes
+ * @returns {Array<number>} User IDs
+ */
+async function getPresenceAudience(userId) {
+  const memberships = await db.ConversationMember.findAll({
+    where: { user_id: userId, left_at: null, request_status: 'accepted' },
+    attributes: ['conversation_id']
+  });
+
+  if (memberships.length === 0) {
+    return [];
+  }
+
+  const [contacts, blockedIds] = await Promise.all([
+    db.ConversationMember.findAll({
+      where: {
+        conversation_id: { [Op.in]: memberships.map(member => member.conversation_id) },
+        user_id: { [Op.ne]: userId },
+        left_at: null,
+        request_status: 'accepted'
+      },
+      attributes: ['user_id']
+    }),
+    getBlockedUserIds(userId)
+  ]);
+
+  return [...new Set(contacts.map(contact => contact.user_id))].filter(id => !blockedIds.has(id));
+}
+
+/**
+ * Check whether a viewer may see another user's online status and last seen
+ * @param {number} viewerId - User asking
+ * @param {number} userId - User being looked at
+ * @returns {boolean} True if they share a conversation and neither blocked the other
+ */
+async function canSeePresence(viewerId, userId) {
+  if (viewerId === userId) {
+    return true;
+  }
+
+  const blockedIds = await getBlockedUserIds(viewerId);
+  if (blockedIds.has(userId)) {
+    return false;
+  }
+
+  const shared = await db.ConversationMember.findOne({
+    where: {
+      user_id: viewerId,
+      left_at: null,
+      request_status: 'accepted',
+      conversation_id: {
+        [Op.in]: db.sequelize.literal(
+          `(SELECT conversation_id FROM conversation_members WHERE user_id = ${parseInt(userId)} AND left_at IS NULL AND request_status = 'accepted')`
+        )
+      }
+    },
+    attributes: ['id']
+  });
+
+  return !!shared;
+}
+
+/**
+ * Get the presence fields a viewer may see for a user
+ * @param {number} viewerId - User asking
+ * @param {Object} user - User with id, is_online and last_seen
+ * @returns {Object} { is_online, last_seen }, null when hidden from the viewer
+ */
+async function getVisiblePresence(viewerId, user) {
+  if (!(await canSeePresence(viewerId, user.id))) {
+    return { is_online: null, last_seen: null };
+  }
+
+  return { is_online: user.is_online, last_seen: user.last_seen };
+}
+
+/**
+ * Get a user's chat privacy settings
+ * @param {number} userId - User ID
+ * @returns {Object} Service result with { hide_last_seen }
+ */
+async function getPrivacySettings(userId) {
+  const user = await db.User.findByPk(userId, { attributes: ['id', 'hide_last_seen'] });
+  if (!user) {
+    return { success: false, statusCode: 404, error: 'User not found' };
+  }
+
+  return { success: true, data: { hide_last_seen: user.hide_last_seen } };
+}
+
+/**
+ * Update a user's chat privacy settings. Hiding last seen also clears the
+ * stored value, and it is not recorded again while hidden.
+ * @param {number} userId - User ID
+ * @param {Object} settings - { hideLastSeen }
+ * @returns {Object} Service result with { hide_last_seen }
+ */
+async function updatePrivacySettings(userId, { hideLastSeen }) {
+  const user = await db.User.findByPk(userId, { attributes: ['id', 'hide_last_seen', 'last_seen'] });
+  if (!user) {
+    return { success: false, statusCode: 404, error: 'User not found' };
+  }
+
+  await user.update({
+    hide_last_seen: hideLastSeen,
+    last_seen: hideLastSeen ? null : user.last_seen
+  });
+
+  return { success: true, data: { hide_last_seen: user.hide_last_seen } };
+}
+
+module.exports = {
+  getPresenceAudience,
+  canSeePresence,
+  getVisiblePresence,
+  getPrivacySettings,
+  updatePrivacySettings
+};
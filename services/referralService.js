@@ -0,0 +1,62 @@
+const db = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * Generate a referral code no user has yet
+ * @returns {string} 6 character code
+ */
+async function generateReferralCode() {
+  let referralCode;
+  let isUnique = false;
+
+  while (!isUnique) {
+    referralCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+    const existingReferralUser = await db.User.findOne({ where: { referral_code: referralCode } });
+    if (!existingReferralUser) {
+      isUnique = true;
+    }
+  }
+
+  return referralCode;
+}
+
+/**
+ * Whether a referral code belongs to a user
+ * @param {string} referralCode - Code entered at sign-up
+ * @returns {boolean}
+ */
+async function isValidReferralCode(referralCode) {
+  const referrer = await db.User.findOne({ where: { referral_code: referralCode } });
+  return Boolean(referrer);
+}
+
+/**
+ * Log that a new user signed up with a referral code. A code that stopped
+ * being valid since sign-up started is logged and skipped.
+ * @param {string} referredBy - Referral code the user signed up with
+ * @param {Object} user - The new user
+ */
+async function recordReferral(referredBy, user) {
+  if (!referredBy) {
+    return;
+  }
+
+  const referrer = await db.User.findOne({ where: { referral_code: referredBy } });
+  if (!referrer) {
+    logger.warn('Referral code is no longer valid', { referralCode: referredBy, userId: user.id });
+    return;
+  }
+
+  await db.ReferralLog.create({
+    referrer_id: referrer.id,
+    referee_id: user.id,
+    status: 'signed_up',
+    created_at: new Date()
+  });
+}
+
+module.exports = {
+  generateReferralCode,
+  isValidReferralCode,
+  recordReferral
+};
@@ -0,0 +1,285 @@
+const db = require('../models');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+
+/**
+ * Round an average rating for API responses
+ * @param {number|string|null} value - Raw average from the database
+ * @returns {number|null} Rating rounded to 2 decimals
+ */
+function roundRating(value) {
+  if (value === null || value === undefined) return null;
+  return Math.round(parseFloat(value) * 100) / 100;
+}
+
+/**
+ * Get the IDs of all user_skills that belong to a user
+ * @param {number} userId - User ID
+ * @returns {Array<number>} User skill IDs
+ */
+async function getUserSkillIds(userId) {
+  const userSkills = await db.UserSkill.findAll({
+    attributes: ['id'],
+    include: [{
+      model: db.WorkProfile,
+      as: 'workProfile',
+      attributes: [],
+      where: { user_id: userId }
+    }]
+  });
+  return userSkills.map(us => us.id);
+}
+
+/**
+ * Get the owner (user ID) of a user skill
+ * @param {number} userSkillId - User skill ID
+ * @returns {Object|null} User skill with workProfile.user_id
+ */
+async function getUserSkillWithOwner(userSkillId) {
+  return db.UserSkill.findByPk(userSkillId, {
+    include: [
+      { model: db.WorkProfile, as: 'workProfile', attributes: ['id', 'user_id'] },
+      { model: db.Skill, as: 'skill', attributes: ['id', 'name'] },
+      { model: db.SubSkill, as: 'subSkill', attributes: ['id', 'name'] }
+    ]
+  });
+}
+
+/**
+ * Check whether the reviewer actually interacted with the reviewed user:
+ * a completed skill-exchange match, or a conversation where both sent messages
+ * @param {number} reviewerId - Reviewer user ID
+ * @param {number} revieweeId - Reviewed user ID
+ * @returns {boolean} True if the reviewer is allowed to review
+ */
+async function hasInteractedWith(reviewerId, revieweeId) {
+  const completedMatch = await db.Match.count({
+    where: {
+      status: 'completed',
+      [Op.or]: [
+        { requester_id: reviewerId, owner_id: revieweeId },
+        { requester_id: revieweeId, owner_id: reviewerId }
+      ]
+    }
+  });
+
+  if (completedMatch > 0) {
+    return true;
+  }
+
+  // Conversations both users are members of
+  const sharedConversations = await db.ConversationMember.findAll({
+    attributes: ['conversation_id'],
+    where: { user_id: { [Op.in]: [reviewerId, revieweeId] } },
+    group: ['conversation_id'],
+    having: db.sequelize.literal('COUNT(DISTINCT user_id) = 2')
+  });
+
+  if (sharedConversations.length === 0) {
+    return false;
+  }
+
+  // Both users must have written at least one real message
+  const senders = await db.Message.findAll({
+    attributes: ['sender_id'],
+    where: {
+      conversation_id: { [Op.in]: sharedConversations.map(c => c.conversation_id) },
+      sender_id: { [Op.in]: [reviewerId, revieweeId] },
+      message_type: { [Op.ne]: 'system' },
+      is_deleted: false
+    },
+    group: ['sender_id']
+  });
+
+  return senders.length === 2;
+}
+
+/**
+ * Get aggregate ratings per user skill
+ * @param {Array<number>} userSkillIds - User skill IDs
+ * @returns {Object} Map of user_skill_id -> { average_rating, review_count }
+ */
+async function getSkillRatings(userSkillIds) {
+  if (!userSkillIds || userSkillIds.length === 0) {
+    return {};
+  }
+
+  const rows = await db.UserSkillReview.findAll({
+    attributes: [
+      'user_skill_id',
+      [db.sequelize.fn('AVG', db.sequelize.col('rating')), 'average_rating'],
+      [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'review_count']
+    ],
+    where: {
+      user_skill_id: { [Op.in]: userSkillIds },
+      rating: { [Op.ne]: null }
+    },
+    group: ['user_skill_id'],
+    raw: true
+  });
+
+  return rows.reduce((ratings, row) => {
+    ratings[row.user_skill_id] = {
+      average_rating: roundRating(row.average_rating),
+      review_count: parseInt(row.review_count)
+    };
+    return ratings;
+  }, {});
+}
+
+/**
+ * Combine several per-skill ratings into one weighted rating
+ * @param {Array<Object>} ratings - Items of { average_rating, review_count }
+ * @returns {Object} { average_rating, review_count }
+ */
+function combineRatings(ratings) {
+  let total = 0;
+  let count = 0;
+
+  ratings.forEach(rating => {
+    if (rating && rating.review_count > 0) {
+      total += rating.average_rating * rating.review_count;
+      count += rating.review_count;
+    }
+  });
+
+  return {
+    average_rating: count > 0 ? roundRating(total / count) : null,
+    review_count: count
+  };
+}
+
+/**
+ * Get per-skill and overall ratings for a user
+ * @param {number} userId - User ID
+ * @returns {Object} { average_rating, review_count, skills: { [userSkillId]: rating } }
+ */
+async function getUserRatingSummary(userId) {
+  const userSkillIds = await getUserSkillIds(userId);
+  const skills = await getSkillRatings(userSkillIds);
+
+  return {
+    ...combineRatings(Object.values(skills)),
+    skills
+  };
+}
+
+/**
+ * Take the reviews of a user's skills out of the way before the skills are
+ * re-created by a profile update. Returns a snapshot to restore afterwards.
+ * @param {Array<number>} workProfileIds - Work profiles about to be replaced
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Array<Object>} Snapshot of reviews keyed by skill/sub-skill
+ */
+async function detachSkillReviews(workProfileIds, transaction) {
+  if (!workProfileIds || workProfileIds.length === 0) {
+    return [];
+  }
+
+  const reviews = await db.UserSkillReview.findAll({
+    include: [{
+      model: db.UserSkill,
+      as: 'userSkill',
+      attributes: ['id', 'skill_id', 'sub_skill_id'],
+      where: { work_profile_id: { [Op.in]: workProfileIds } }
+    }],
+    transaction
+  });
+
+  if (reviews.length === 0) {
+    return [];
+  }
+
+  await db.UserSkillReview.destroy({
+    where: { id: { [Op.in]: reviews.map(r => r.id) } },
+    transaction
+  });
+
+  return reviews.map(review => ({
+    skill_id: review.userSkill.skill_id,
+    sub_skill_id: review.userSkill.sub_skill_id,
+    reviewer_user_id: review.reviewer_user_id,
+    rating: review.rating,
+    comment: review.comment,
+    created_at: review.created_at,
+    updated_at: review.updated_at
+  }));
+}
+
+/**
+ * Re-attach detached reviews to the user's re-created skills. Reviews of
+ * skills that no longer exist on the profile are dropped.
+ * @param {number} userId - User ID
+ * @param {Array<Object>} snapshot - Result of detachSkillReviews
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {number} Number of restored reviews
+ */
+async function restoreSkillReviews(userId, snapshot, transaction) {
+  if (!snapshot || snapshot.length === 0) {
+    return 0;
+  }
+
+  const userSkills = await db.UserSkill.findAll({
+    attributes: ['id', 'skill_id', 'sub_skill_id'],
+    include: [{
+      model: db.WorkProfile,
+      as: 'workProfile',
+      attributes: [],
+      where: { user_id: userId }
+    }],
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  const skillKey = (skillId, subSkillId) => `${skillId}-${subSkillId || 0}`;
+  const userSkillByKey = {};
+  userSkills.forEach(us => {
+    const key = skillKey(us.skill_id, us.sub_skill_id);
+    if (!userSkillByKey[key]) {
+      userSkillByKey[key] = us.id;
+    }
+  });
+
+  // Keep the most recent review per reviewer and skill
+  const restored = {};
+  snapshot.forEach(review => {
+    const userSkillId = userSkillByKey[skillKey(review.skill_id, review.sub_skill_id)];
+    if (!userSkillId) return;
+
+    const key = `${userSkillId}-${review.reviewer_user_id}`;
+    if (!restored[key] || new Date(restored[key].updated_at) < new Date(review.updated_at)) {
+      restored[key] = {
+        user_skill_id: userSkillId,
+        reviewer_user_id: review.reviewer_user_id,
+        rating: review.rating,
+        comment: review.comment,
+        created_at: review.created_at,
+        updated_at: review.updated_at
+      };
+    }
+  });
+
+  const rows = Object.values(restored);
+  if (rows.length > 0) {
+    await db.UserSkillReview.bulkCreate(rows, { transaction });
+  }
+
+  logger.info('Skill reviews restored after profile update', {
+    userId,
+    detached: snapshot.length,
+    restored: rows.length
+  });
+
+  return rows.length;
+}
+
+module.exports = {
+  getUserSkillIds,
+  getUserSkillWithOwner,
+  hasInteractedWith,
+  getSkillRatings,
+  combineRatings,
+  getUserRatingSummary,
+  detachSkillReviews,
+  restoreSkillReviews
+};
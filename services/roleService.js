@@ -0,0 +1,80 @@
+const db = require('../models');
+const { ROLES } = require('../utils/constants');
+const { writeAuditLog } = require('./moderationService');
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Roles that can be granted and revoked; every user keeps 'user'
+const ASSIGNABLE_ROLES = ALL_ROLES.filter(role => role !== ROLES.USER);
+
+/**
+ * Get a user's roles
+ * @param {number} userId - User ID
+ * @returns {Object} Service result with { user_id, name, email, roles }
+ */
+async function getUserRoles(userId) {
+  const user = await db.User.findByPk(userId, { attributes: ['id', 'name', 'email', 'roles'] });
+  if (!user) {
+    return { success: false, statusCode: 404, error: 'User not found' };
+  }
+
+  return {
+    success: true,
+    data: { user_id: user.id, name: user.name, email: user.email, roles: user.roles || [ROLES.USER] }
+  };
+}
+
+/**
+ * Grant or revoke a role and record it in the audit log
+ * @param {number} actorId - Admin performing the change
+ * @param {number} userId - User whose roles change
+ * @param {string} role - Role to grant or revoke
+ * @param {boolean} grant - True to grant, false to revoke
+ * @param {Object} options - { note }
+ * @returns {Object} Service result with the updated roles
+ */
+async function changeRole(actorId, userId, role, grant, { note = null } = {}) {
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return { success: false, statusCode: 400, error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` };
+  }
+
+  // Prevent admins from locking themselves out
+  if (!grant && role === ROLES.ADMIN && userId === actorId) {
+    return { success: false, statusCode: 400, error: 'You cannot revoke your own admin role' };
+  }
+
+  return db.sequelize.transaction(async (transaction) => {
+    const user = await db.User.findByPk(userId, { attributes: ['id', 'roles'], transaction });
+    if (!user) {
+      return { success: false, statusCode: 404, error: 'User not found' };
+    }
+
+    const currentRoles = user.roles || [ROLES.USER];
+    const hasRole = currentRoles.includes(role);
+
+    if (grant && hasRole) {
+      return { success: false, statusCode: 409, error: `User already has the ${role} role` };
+    }
+
+    if (!grant && !hasRole) {
+      return { success: false, statusCode: 409, error: `User does not have the ${role} role` };
+    }
+
+    const roles = grant ? [...currentRoles, role] : currentRoles.filter(r => r !== role);
+    await user.update({ roles }, { transaction });
+
+    await writeAuditLog(actorId, grant ? 'role_granted' : 'role_revoked', 'user', user.id, {
+      note,
+      details: { role, previous_roles: currentRoles, roles },
+      transaction
+    });
+
+    return { success: true, data: { user_id: user.id, roles } };
+  });
+}
+
+module.exports = {
+  ASSIGNABLE_ROLES,
+  getUserRoles,
+  changeRole
+};
@@ -0,0 +1,315 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const entitlementService = require('./entitlementService');
+
+/**
+ * Generate an access token for a session
+ * @param {Object} user - User
+ * @param {string} sessionId - Session ID
+ * @returns {string} Signed JWT
+ */
+function generateAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      roles: user.roles || ['user'],
+      sessionId: sessionId,
+      type: 'access'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '365d' }
+  );
+}
+
+/**
+ * Generate a refresh token for a session. Each token gets its own ID, so a
+ * rotated token never equals the one it replaced.
+ * @param {Object} user - User
+ * @param {string} sessionId - Session ID
+ * @returns {string} Signed JWT
+ */
+function generateRefreshToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      sessionId: sessionId,
+      type: 'refresh'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '365d', jwtid: crypto.randomBytes(16).toString('hex') }
+  );
+}
+
+/**
+ * Check an access token and the session it belongs to. HTTP requests and
+ * socket connections both go through here, so a token that was signed out
+ * is refused everywhere.
+ * @param {string} token - Access token
+ * @returns {Object} Result with { decoded, session }
+ */
+async function verifyAccessToken(token) {
+  if (!token) {
+    return { success: false, statusCode: 401, error: 'Access token required' };
+  }
+
+  const blacklistedToken = await db.TokenBlacklist.findOne({ where: { token } });
+  if (blacklistedToken) {
+    return { success: false, statusCode: 401, error: 'Token has been revoked' };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token';
+    return { success: false, statusCode: 401, error: message };
+  }
+
+  if (decoded.type !== 'access') {
+    return { success: false, statusCode: 401, error: 'Invalid token type' };
+  }
+
+  // The session may have been signed out from another device
+  let session = null;
+  if (decoded.sessionId) {
+    session = await db.SessionLog.findOne({
+      where: { session_id: decoded.sessionId, user_id: decoded.userId }
+    });
+
+    if (!session) {
+      return { success: false, statusCode: 401, error: 'Session not found' };
+    }
+
+    if (!session.is_active) {
+      return { success: false, statusCode: 401, error: 'Session has been revoked. Please login again.' };
+    }
+
+    await session.update({ last_used_at: new Date() });
+  }
+
+  return { success: true, data: { decoded, session } };
+}
+
+/**
+ * Revoke the active sessions matching a condition
+ * @param {Object} where - Extra SessionLog conditions
+ * @param {string} reason - Stored in session_logs.reason
+ * @returns {Array<string>} Session IDs that were revoked
+ */
+async function revokeSessions(where, reason) {
+  const sessions = await db.SessionLog.findAll({
+    where: { ...where, is_active: true },
+    attributes: ['id', 'session_id']
+  });
+
+  if (sessions.length === 0) {
+    return [];
+  }
+
+  await db.SessionLog.update(
+    { is_active: false, revoked_at: new Date(), reason },
+    { where: { id: { [Op.in]: sessions.map(session => session.id) } } }
+  );
+
+  return sessions.map(session => session.session_id);
+}
+
+/**
+ * Start a session for a user who just logged in. When the user's tier allows
+ * no more devices, the sessions used least recently are signed out.
+ * @param {Object} user - User
+ * @param {Object} device - { userAgent, ipAddress, deviceName }
+ * @returns {Object} { sessionId, accessToken, refreshToken, revokedSessionIds }
+ */
+async function createSession(user, { userAgent, ipAddress, deviceName }) {
+  const { limit } = await entitlementService.checkEntitlement(user.id, 'max_sessions');
+
+  let revokedSessionIds = [];
+  if (limit !== null) {
+    const activeSessions = await db.SessionLog.findAll({
+      where: { user_id: user.id, is_active: true },
+      attributes: ['id'],
+      order: [[db.sequelize.fn('COALESCE', db.sequelize.col('last_used_at'), db.sequelize.col('created_at')), 'ASC']]
+    });
+
+    const excess = activeSessions.length - Math.max(limit, 1) + 1;
+    if (excess > 0) {
+      revokedSessionIds = await revokeSessions(
+        { id: { [Op.in]: activeSessions.slice(0, excess).map(session => session.id) } },
+        'Device limit reached'
+      );
+    }
+  }
+
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  const accessToken = generateAccessToken(user, sessionId);
+  const refreshToken = generateRefreshToken(user, sessionId);
+
+  await db.SessionLog.create({
+    user_id: user.id,
+    session_id: sessionId,
+    refresh_token: refreshToken,
+    user_agent: userAgent,
+    ip_address: ipAddress,
+    device_name: deviceName ? String(deviceName).slice(0, 100) : null,
+    is_active: true,
+    created_at: new Date(),
+    last_used_at: new Date()
+  });
+
+  return { sessionId, accessToken, refreshToken, revokedSessionIds };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Only the latest refresh token of a session is valid. Presenting an older
+ * one means it was copied, so the whole session is revoked.
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @returns {Object} Result with { accessToken, refreshToken }
+ */
+async function rotateRefreshToken(refreshToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Refresh token expired' : 'Invalid refresh token';
+    return { success: false, statusCode: 401, error: message };
+  }
+
+  if (decoded.type !== 'refresh') {
+    return { success: false, statusCode: 401, error: 'Invalid token type' };
+  }
+
+  const session = await db.SessionLog.findOne({
+    where: { session_id: decoded.sessionId, user_id: decoded.userId }
+  });
+
+  if (!session || !session.is_active) {
+    return { success: false, statusCode: 401, error: 'Invalid refresh token' };
+  }
+
+  const reuseDetected = async () => {
+    await revokeSessions({ id: session.id }, 'Refresh token reuse detected');
+    logger.warn('Refresh token reuse detected, session revoked', {
+      userId: session.user_id,
+      sessionLogId: session.id
+    });
+    return {
+      success: false,
+      statusCode: 401,
+      error: 'Refresh token reuse detected. Please login again.',
+      revokedSessionIds: [session.session_id]
+    };
+  };
+
+  if (session.refresh_token !== refreshToken) {
+    return reuseDetected();
+  }
+
+  const user = await db.User.findByPk(decoded.userId);
+  if (!user) {
+    return { success: false, statusCode: 401, error: 'User not found' };
+  }
+
+  const newRefreshToken = generateRefreshToken(user, session.session_id);
+
+  // Only one request can swap out a given token; a parallel replay loses
+  const [updated] = await db.SessionLog.update(
+    { refresh_token: newRefreshToken, last_used_at: new Date() },
+    { where: { id: session.id, is_active: true, refresh_token: refreshToken } }
+  );
+  if (updated === 0) {
+    return reuseDetected();
+  }
+
+  return {
+    success: true,
+    data: {
+      accessToken: generateAccessToken(user, session.session_id),
+      refreshToken: newRefreshToken
+    }
+  };
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {number} userId - User ID
+ * @param {string} currentSessionId - Session of the request, flagged as is_current
+ * @returns {Array<Object>} Sessions
+ */
+async function listSessions(userId, currentSessionId) {
+  const sessions = await db.SessionLog.findAll({
+    where: { user_id: userId, is_active: true },
+    attributes: ['id', 'session_id', 'device_name', 'user_agent', 'ip_address', 'created_at', 'last_used_at'],
+    order: [[db.sequelize.fn('COALESCE', db.sequelize.col('last_used_at'), db.sequelize.col('created_at')), 'DESC']]
+  });
+
+  return sessions.map(session => ({
+    id: session.id,
+    device_name: session.device_name,
+    user_agent: session.user_agent,
+    ip_address: session.ip_address,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at || session.created_at,
+    is_current: session.session_id === currentSessionId
+  }));
+}
+
+/**
+ * Sign out one of a user's sessions
+ * @param {number} userId - User ID
+ * @param {number} id - Session row ID (from listSessions)
+ * @returns {Object} Result with { revokedSessionIds }
+ */
+async function revokeSession(userId, id) {
+  const revokedSessionIds = await revokeSessions({ id, user_id: userId }, 'Revoked by user');
+  if (revokedSessionIds.length === 0) {
+    return { success: false, statusCode: 404, error: 'Session not found' };
+  }
+
+  return { success: true, data: { revokedSessionIds } };
+}
+
+/**
+ * Sign out every session of a user except the current one
+ * @param {number} userId - User ID
+ * @param {string} currentSessionId - Session to keep
+ * @param {string} reason - Stored in session_logs.reason
+ * @returns {Object} Result with { revokedSessionIds }
+ */
+async function revokeOtherSessions(userId, currentSessionId, reason = 'Signed out from another device') {
+  const revokedSessionIds = await revokeSessions(
+    { user_id: userId, session_id: { [Op.ne]: currentSessionId || '' } },
+    reason
+  );
+
+  return { success: true, data: { revokedSessionIds } };
+}
+
+/**
+ * Sign out all sessions of a user, e.g. after a password reset
+ * @param {number} userId - User ID
+ * @param {string} reason - Stored in session_logs.reason
+ * @returns {Array<string>} Session IDs that were revoked
+ */
+async function revokeAllSessions(userId, reason) {
+  return revokeSessions({ user_id: userId }, reason);
+}
+
+module.exports = {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyAccessToken,
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+  revokeSessions
+};
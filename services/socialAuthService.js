@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { Op, UniqueConstraintError } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const emailService = require('./emailService');
+const referralService = require('./referralService');
+const oauthConfig = require('../config/oauth.config');
+
+// Signing keys per JWKS URI: { keys, fetchedAt }
+const jwksCache = new Map();
+
+/**
+ * Load a JSON Web Key Set from a URL, or from a local file for testing
+ * @param {string} uri - https URL, file:// URL or file path
+ * @returns {Array<Object>} Keys of the set
+ */
+async function fetchJwks(uri) {
+  if (/^https?:\/\//i.test(uri)) {
+    const response = await axios.get(uri, { timeout: oauthConfig.JWKS_TIMEOUT_MS });
+    return response.data.keys || [];
+  }
+
+  const path = uri.startsWith('file://') ? new URL(uri) : uri;
+  return JSON.parse(await fs.promises.readFile(path, 'utf8')).keys || [];
+}
+
+/**
+ * Find the public key an ID token was signed with. Keys are cached, and the
+ * set is fetched again when it is old or the token names a key it lacks, so
+ * key rotation is picked up. If the set cannot be fetched, cached keys are
+ * used until it can.
+ * @param {string} uri - JWKS URI of the provider
+ * @param {string} kid - Key ID from the token header
+ * @returns {KeyObject|null} Public key, or null if the set has no such key
+ */
+async function getSigningKey(uri, kid) {
+  const now = Date.now();
+  let cached = jwksCache.get(uri);
+  let jwk = cached && cached.keys.find(key => key.kid === kid);
+
+  const isStale = !cached || now - cached.fetchedAt > oauthConfig.JWKS_CACHE_MINUTES * 60 * 1000;
+  const mayRefresh = !cached || now - cached.fetchedAt > oauthConfig.JWKS_MIN_REFRESH_SECONDS * 1000;
+
+  if (isStale || (!jwk && mayRefresh)) {
+    try {
+      cached = { keys: await fetchJwks(uri), fetchedAt: now };
+      jwksCache.set(uri, cached);
+      jwk = cached.keys.find(key => key.kid === kid);
+    } catch (error) {
+      if (!cached) {
+        throw error;
+      }
+      logger.warn('JWKS refresh failed, using cached keys', { uri, error: error.message });
+    }
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+}
+
+/**
+ * Shape a linked provider for API responses
+ * @param {Object} link - UserAuthProvider row
+ * @returns {Object}
+ */
+function formatProvider(link) {
+  return {
+    provider: link.provider,
+    email: link.email,
+    linked_at: link.created_at,
+    last_login_at: link.last_login_at
+  };
+}
+
+/**
+ * Verify a Google or Apple ID token: its signature against the provider's
+ * JWKS, its issuer, audience and expiry, and the nonce when one is given
+ * @param {string} provider - 'google' or 'apple'
+ * @param {string} idToken - ID token from the provider's SDK
+ * @param {Object} options - { nonce } sent by the client
+ * @returns {Object} Result with { provider, subject, email, emailVerified, name }
+ */
+async function verifyIdToken(provider, idToken, { nonce } = {}) {
+  const config = oauthConfig.PROVIDERS[provider];
+  if (!config) {
+    return { success: false, statusCode: 400, error: 'Unsupported sign-in provider' };
+  }
+  if (config.CLIENT_IDS.length === 0) {
+    return { success: false, statusCode: 503, error: `${config.NAME} sign-in is not configured` };
+  }
+
+  const invalid = { success: false, statusCode: 401, error: `Invalid ${config.NAME} ID token` };
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    return invalid;
+  }
+
+  let key;
+  try {
+    key = await getSigningKey(config.JWKS_URI, decoded.header.kid);
+  } catch (error) {
+    logger.error('JWKS fetch failed', { provider, uri: config.JWKS_URI, error: error.message });
+    return { success: false, statusCode: 503, error: `${config.NAME} sign-in is unavailable. Please try again later.` };
+  }
+  if (!key) {
+    return invalid;
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      issuer: config.ISSUERS,
+      audience: config.CLIENT_IDS,
+      clockTolerance: oauthConfig.CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { success: false, statusCode: 401, error: `${config.NAME} ID token expired` };
+    }
+    return invalid;
+  }
+  if (!claims.sub) {
+    return invalid;
+  }
+
+  // Apple puts the SHA-256 of the client's nonce in the token, Google the nonce itself
+  if (nonce) {
+    const hashedNonce = crypto.createHash('sha256').update(String(nonce)).digest('hex');
+    if (claims.nonce !== nonce && claims.nonce !== hashedNonce) {
+      return { success: false, statusCode: 401, error: 'ID token nonce does not match' };
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      provider,
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || null
+    }
+  };
+}
+
+/**
+ * Find or create the user behind a verified ID token. A provider account
+ * seen before signs in to its user. Otherwise it is linked to the user with
+ * the same verified email, or a new user is created.
+ * @param {Object} identity - Data from verifyIdToken
+ * @param {Object} options - { name, referredBy } for new users
+ * @returns {Object} Result with { user, isNewUser }
+ */
+async function signIn(identity, { name, referredBy } = {}) {
+  const { NAME } = oauthConfig.PROVIDERS[identity.provider];
+
+  const link = await db.UserAuthProvider.findOne({
+    where: { provider: identity.provider, provider_user_id: identity.subject }
+  });
+  if (link) {
+    const user = await db.User.findByPk(link.user_id, { paranoid: false });
+    if (!user) {
+      return { success: false, statusCode: 401, error: 'User not found' };
+    }
+
+    await link.update({ last_login_at: new Date() });
+    return { success: true, data: { user, isNewUser: false } };
+  }
+
+  // Without a verified email the account can't be matched to a user or reached by email
+  if (!identity.email || !identity.emailVerified) {
+    return { success: false, statusCode: 400, error: `Your ${NAME} account has no verified email address` };
+  }
+
+  const existingUser = await db.User.findOne({ where: { email: identity.email }, paranoid: false });
+  if (existingUser) {
+    const otherLink = await db.UserAuthProvider.findOne({
+      where: { user_id: existingUser.id, provider: identity.provider }
+    });
+    if (otherLink) {
+      return {
+        success: false,
+        statusCode: 409,
+        error: `This email belongs to an account linked to a different ${NAME} account`
+      };
+    }
+
+    await db.UserAuthProvider.create({
+      user_id: existingUser.id,
+      provider: identity.provider,
+      provider_user_id: identity.subject,
+      email: identity.email,
+      last_login_at: new Date()
+    });
+    logger.info('Sign-in provider linked by email', { userId: existingUser.id, provider: identity.provider });
+
+    return { success: true, data: { user: existingUser, isNewUser: false } };
+  }
+
+  if (referredBy && !(await referralService.isValidReferralCode(referredBy))) {
+    return { success: false, statusCode: 400, error: 'Invalid referral code' };
+  }
+
+  const transaction = await db.sequelize.transaction();
+  let user;
+  try {
+    user = await db.User.create({
+      name: name || identity.name,
+      email: identity.email,
+      password: null,
+      referral_code: await referralService.generateReferralCode(),
+      referred_by: referredBy || null
+    }, { transaction });
+
+    await db.UserAuthProvider.create({
+      user_id: user.id,
+      provider: identity.provider,
+      provider_user_id: identity.subject,
+      email: identity.email,
+      last_login_at: new Date()
+    }, { transaction });
+
+    // An email sign-up left waiting for its OTP is no longer needed
+    await db.PendingRegistration.destroy({ where: { email: identity.email }, transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+
+    // Another request signed the same account up first
+    if (error instanceof UniqueConstraintError) {
+      return { success: false, statusCode: 409, error: 'Sign-in already in progress. Please try again.' };
+    }
+    throw error;
+  }
+
+  await referralService.recordReferral(referredBy, user);
+
+  try {
+    await emailService.sendWelcomeEmail(user.email, user.name);
+  } catch (error) {
+    logger.error('Welcome email error', { userId: user.id, error: error.message });
+  }
+
+  return { success: true, data: { user, isNewUser: true } };
+}
+
+/**
+ * Sign-in providers linked to a user
+ * @param {number} userId - User ID
+ * @returns {Object} { providers, has_password }
+ */
+async function listProviders(userId) {
+  const [links, user] = await Promise.all([
+    db.UserAuthProvider.findAll({ where: { user_id: userId }, order: [['created_at', 'ASC']] }),
+    db.User.findByPk(userId, { attributes: ['id', 'password'] })
+  ]);
+
+  return {
+    providers: links.map(formatProvider),
+    has_password: Boolean(user && user.password)
+  };
+}
+
+/**
+ * Link a provider account to a signed-in user
+ * @param {number} userId - User ID
+ * @param {Object} identity - Data from verifyIdToken
+ * @returns {Object} Result with the linked provider
+ */
+async function linkProvider(userId, identity) {
+  const { NAME } = oauthConfig.PROVIDERS[identity.provider];
+
+  const existing = await db.UserAuthProvider.findOne({
+    where: { provider: identity.provider, provider_user_id: identity.subject }
+  });
+  if (existing) {
+    return {
+      success: false,
+      statusCode: 409,
+      error: existing.user_id === userId
+        ? `This ${NAME} account is already linked to your account`
+        : `This ${NAME} account is linked to another user`
+    };
+  }
+
+  const current = await db.UserAuthProvider.findOne({ where: { user_id: userId, provider: identity.provider } });
+  if (current) {
+    return { success: false, statusCode: 409, error: `Unlink your current ${NAME} account first` };
+  }
+
+  try {
+    const link = await db.UserAuthProvider.create({
+      user_id: userId,
+      provider: identity.provider,
+      provider_user_id: identity.subject,
+      email: identity.email
+    });
+    return { success: true, data: formatProvider(link) };
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return { success: false, statusCode: 409, error: `This ${NAME} account is already linked` };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Unlink a provider from a user. The last way to sign in can't be removed
+ * from an account without a password.
+ * @param {number} userId - User ID
+ * @param {string} provider - 'google' or 'apple'
+ * @returns {Object} Result
+ */
+async function unlinkProvider(userId, provider) {
+  const { NAME } = oauthConfig.PROVIDERS[provider];
+
+  const link = await db.UserAuthProvider.findOne({ where: { user_id: userId, provider } });
+  if (!link) {
+    return { success: false, statusCode: 404, error: `No ${NAME} account is linked` };
+  }
+
+  const [user, otherLinks] = await Promise.all([
+    db.User.findByPk(userId, { attributes: ['id', 'password'] }),
+    db.UserAuthProvider.count({ where: { user_id: userId, provider: { [Op.ne]: provider } } })
+  ]);
+  if (!user.password && otherLinks === 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      error: 'Set a password with forgot password before unlinking your only way to sign in'
+    };
+  }
+
+  await link.destroy();
+  return { success: true };
+}
+
+module.exports = {
+  verifyIdToken,
+  signIn,
+  listProviders,
+  linkProvider,
+  unlinkProvider
+};
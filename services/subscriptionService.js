@@ -2,6 +2,7 @@ const db = require('../models');
 const logger = require('../utils/logger');
 const googlePlayService = require('./googlePlayService');
 const appleAppStoreService = require('./appleAppStoreService');
+const entitlementService = require('./entitlementService');
 
 /**
  * Create or update subscription in database
@@ -84,6 +85,9 @@ async function upsertSubscription(userId, platform, subscriptionData) {
       created
     });
 
+    // Keep User.subscription_tier in sync with the new status
+    await entitlementService.syncUserTier(userId);
+
     return subscription;
   } catch (error) {
     logger.error('Failed to upsert subscription', {
@@ -227,6 +231,9 @@ async function processWebhookEvent(platform, eventData) {
       });
     }
 
+    // Keep User.subscription_tier in sync with the new status
+    await entitlementService.syncUserTier(subscription.user_id);
+
     // Log the event
     await db.SubscriptionEvent.create({
       subscription_id: subscription.id,
@@ -381,6 +388,8 @@ async function reconcileSubscription(subscriptionId) {
         newStatus: subscriptionData.status
       });
 
+      await entitlementService.syncUserTier(subscription.user_id);
+
       return { updated: true, subscription };
     }
 
@@ -0,0 +1,540 @@
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const emailService = require('./emailService');
+const authAttemptService = require('./authAttemptService');
+const { TWO_FACTOR } = require('../utils/constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Methods a challenge can be answered with
+const METHODS = ['totp', 'backup_code', 'email'];
+
+/**
+ * Key used to encrypt TOTP secrets at rest
+ * @returns {string}
+ */
+function secretKey() {
+  return process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+}
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding, the format authenticator
+ * apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 text; case, spaces and padding are ignored
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Compute the TOTP code for a time step (RFC 6238, HMAC-SHA1)
+ * @param {Buffer} key - Decoded secret
+ * @param {number} step - Time step (Unix seconds / period)
+ * @returns {string} Zero-padded code
+ */
+function totpCode(key, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TWO_FACTOR.TOTP_DIGITS).padStart(TWO_FACTOR.TOTP_DIGITS, '0');
+}
+
+/**
+ * Find the time step a TOTP code belongs to, allowing for clock drift.
+ * Steps up to lastUsedStep are skipped so a code cannot be replayed.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastUsedStep - Step of the last accepted code
+ * @returns {number|null} Matching step, or null
+ */
+function matchTotp(secret, code, lastUsedStep) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TWO_FACTOR.TOTP_DIGITS) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TWO_FACTOR.TOTP_PERIOD_SECONDS);
+
+  for (let step = currentStep - TWO_FACTOR.TOTP_WINDOW; step <= currentStep + TWO_FACTOR.TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(key, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Hash a backup code for storage and lookup. Codes are random enough that
+ * a plain SHA-256 is safe, and it lets a code be found without comparing
+ * against every stored hash.
+ * @param {string} code - Backup code, with or without the dash
+ * @returns {string} Hex digest
+ */
+function hashBackupCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Replace a user's backup codes with a fresh set
+ * @param {number} userId - User ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Array<string>} The new codes, shown to the user only once
+ */
+async function replaceBackupCodes(userId, transaction) {
+  const codes = Array.from({ length: TWO_FACTOR.BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.TwoFactorBackupCode.destroy({ where: { user_id: userId }, transaction });
+  await db.TwoFactorBackupCode.bulkCreate(
+    codes.map(code => ({ user_id: userId, code_hash: hashBackupCode(code) })),
+    { transaction }
+  );
+
+  return codes;
+}
+
+/**
+ * Load a user's enabled two-factor settings
+ * @param {number} userId - User ID
+ * @returns {Object|null} UserTwoFactor row, or null when 2FA is off
+ */
+async function getEnabledTwoFactor(userId) {
+  return db.UserTwoFactor.findOne({ where: { user_id: userId, is_enabled: true } });
+}
+
+/**
+ * Whether a user has two-factor authentication turned on
+ * @param {number} userId - User ID
+ * @returns {boolean}
+ */
+async function isEnabled(userId) {
+  return Boolean(await getEnabledTwoFactor(userId));
+}
+
+/**
+ * Two-factor status for the settings screen
+ * @param {number} userId - User ID
+ * @returns {Object} { enabled, enabled_at, backup_codes_remaining }
+ */
+async function getStatus(userId) {
+  const twoFactor = await getEnabledTwoFactor(userId);
+  if (!twoFactor) {
+    return { enabled: false, enabled_at: null, backup_codes_remaining: 0 };
+  }
+
+  const remaining = await db.TwoFactorBackupCode.count({ where: { user_id: userId, used_at: null } });
+  return { enabled: true, enabled_at: twoFactor.enabled_at, backup_codes_remaining: remaining };
+}
+
+/**
+ * Start enrolment: create a new secret for the user to add to an
+ * authenticator app. 2FA stays off until a code is confirmed with enable().
+ * @param {Object} user - User with id and email
+ * @returns {Object} Result with { secret, otpauth_url }
+ */
+async function startSetup(user) {
+  const existing = await db.UserTwoFactor.findOne({ where: { user_id: user.id } });
+  if (existing && existing.is_enabled) {
+    return { success: false, statusCode: 409, error: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  const encrypted = CryptoJS.AES.encrypt(secret, secretKey()).toString();
+
+  if (existing) {
+    await existing.update({ secret: encrypted, last_used_step: null });
+  } else {
+    await db.UserTwoFactor.create({ user_id: user.id, secret: encrypted });
+  }
+
+  const label = encodeURIComponent(`${TWO_FACTOR.ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR.ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TWO_FACTOR.TOTP_DIGITS),
+    period: String(TWO_FACTOR.TOTP_PERIOD_SECONDS)
+  });
+
+  return {
+    success: true,
+    data: {
+      secret,
+      otpauth_url: `otpauth://totp/${label}?${params.toString()}`
+    }
+  };
+}
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * @param {number} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Object} Result with { backup_codes }
+ */
+async function enable(userId, code) {
+  const twoFactor = await db.UserTwoFactor.findOne({ where: { user_id: userId } });
+  if (!twoFactor) {
+    return { success: false, statusCode: 400, error: 'Start two-factor setup first' };
+  }
+  if (twoFactor.is_enabled) {
+    return { success: false, statusCode: 409, error: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = CryptoJS.AES.decrypt(twoFactor.secret, secretKey()).toString(CryptoJS.enc.Utf8);
+  const step = matchTotp(secret, code, null);
+  if (step === null) {
+    return { success: false, statusCode: 400, error: 'Invalid verification code' };
+  }
+
+  const transaction = await db.sequelize.transaction();
+  try {
+    await twoFactor.update({ is_enabled: true, enabled_at: new Date(), last_used_step: step }, { transaction });
+    const backupCodes = await replaceBackupCodes(userId, transaction);
+    await transaction.commit();
+
+    return { success: true, data: { backup_codes: backupCodes } };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Turn two-factor authentication off. Callers must verify a challenge first.
+ * @param {number} userId - User ID
+ */
+async function disable(userId) {
+  await db.TwoFactorBackupCode.destroy({ where: { user_id: userId } });
+  await db.TwoFactorChallenge.destroy({ where: { user_id: userId } });
+  await db.UserTwoFactor.destroy({ where: { user_id: userId } });
+}
+
+/**
+ * Replace the user's backup codes. Callers must verify a challenge first.
+ * @param {number} userId - User ID
+ * @returns {Array<string>} New backup codes
+ */
+async function regenerateBackupCodes(userId) {
+  const transaction = await db.sequelize.transaction();
+  try {
+    const codes = await replaceBackupCodes(userId, transaction);
+    await transaction.commit();
+    return codes;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Issue a challenge the user has to answer with a second factor before
+ * an action goes ahead
+ * @param {number} userId - User ID
+ * @param {string} purpose - Action the challenge unlocks
+ * @returns {Object} { challenge_token, methods, expires_in }
+ */
+async function createChallenge(userId, purpose) {
+  const expiresAt = new Date(Date.now() + TWO_FACTOR.CHALLENGE_EXPIRY_MINUTES * 60 * 1000);
+  const challenge = await db.TwoFactorChallenge.create({
+    user_id: userId,
+    purpose,
+    expires_at: expiresAt
+  });
+
+  const challengeToken = jwt.sign(
+    { userId, challengeId: challenge.id, purpose, type: 'two_factor_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${TWO_FACTOR.CHALLENGE_EXPIRY_MINUTES}m` }
+  );
+
+  return {
+    challenge_token: challengeToken,
+    methods: METHODS,
+    expires_in: TWO_FACTOR.CHALLENGE_EXPIRY_MINUTES * 60
+  };
+}
+
+/**
+ * Find the open challenge behind a challenge token
+ * @param {string} challengeToken - Token from createChallenge
+ * @returns {Object} Result with { challenge }
+ */
+async function loadChallenge(challengeToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError'
+      ? 'Verification has expired. Please start again.'
+      : 'Invalid challenge token';
+    return { success: false, statusCode: 401, error: message };
+  }
+
+  if (decoded.type !== 'two_factor_challenge') {
+    return { success: false, statusCode: 401, error: 'Invalid challenge token' };
+  }
+
+  const challenge = await db.TwoFactorChallenge.findOne({
+    where: {
+      id: decoded.challengeId,
+      user_id: decoded.userId,
+      consumed_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    }
+  });
+
+  if (!challenge) {
+    return { success: false, statusCode: 401, error: 'Verification has expired. Please start again.' };
+  }
+
+  return { success: true, data: { challenge } };
+}
+
+/**
+ * Email a one-time code for a challenge, for users without their
+ * authenticator app or backup codes
+ * @param {string} challengeToken - Token from createChallenge
+ * @returns {Object} Result with { expires_in }
+ */
+async function sendEmailCode(challengeToken) {
+  const loaded = await loadChallenge(challengeToken);
+  if (!loaded.success) {
+    return loaded;
+  }
+  const { challenge } = loaded.data;
+
+  if (challenge.email_otp_sent_at &&
+      Date.now() - new Date(challenge.email_otp_sent_at).getTime() < TWO_FACTOR.EMAIL_CODE_RESEND_SECONDS * 1000) {
+    return { success: false, statusCode: 429, error: 'Please wait before requesting another code' };
+  }
+
+  const user = await db.User.findByPk(challenge.user_id, { attributes: ['id', 'email', 'name'], paranoid: false });
+  if (!user) {
+    return { success: false, statusCode: 404, error: 'User not found' };
+  }
+
+  const otp = crypto.randomInt(0, 10 ** TWO_FACTOR.TOTP_DIGITS).toString().padStart(TWO_FACTOR.TOTP_DIGITS, '0');
+  await challenge.update({ email_otp: await bcrypt.hash(otp, 10), email_otp_sent_at: new Date() });
+
+  await emailService.sendOTPEmail(user.email, otp, user.name || 'User', 'two_factor');
+
+  return {
+    success: true,
+    data: { expires_in: Math.ceil((new Date(challenge.expires_at).getTime() - Date.now()) / 1000) }
+  };
+}
+
+/**
+ * Check a code against the user's authenticator, backup codes or the
+ * challenge's email code. A TOTP step or backup code is used up on success.
+ * @param {Object} challenge - TwoFactorChallenge row
+ * @param {string} method - 'totp', 'backup_code' or 'email'
+ * @param {string} code - Code typed by the user
+ * @returns {boolean} Whether the code is valid
+ */
+async function checkCode(challenge, method, code) {
+  if (method === 'email') {
+    return Boolean(challenge.email_otp) && bcrypt.compare(String(code || ''), challenge.email_otp);
+  }
+
+  if (method === 'backup_code') {
+    const [used] = await db.TwoFactorBackupCode.update(
+      { used_at: new Date() },
+      { where: { user_id: challenge.user_id, code_hash: hashBackupCode(code), used_at: null } }
+    );
+    return used > 0;
+  }
+
+  const twoFactor = await getEnabledTwoFactor(challenge.user_id);
+  if (!twoFactor) {
+    return false;
+  }
+
+  const secret = CryptoJS.AES.decrypt(twoFactor.secret, secretKey()).toString(CryptoJS.enc.Utf8);
+  const step = matchTotp(secret, code, twoFactor.last_used_step);
+  if (step === null) {
+    return false;
+  }
+
+  // Only one request can claim a step, so a code seen by someone else is useless
+  const [claimed] = await db.UserTwoFactor.update(
+    { last_used_step: step },
+    {
+      where: {
+        id: twoFactor.id,
+        [Op.or]: [{ last_used_step: null }, { last_used_step: { [Op.lt]: step } }]
+      }
+    }
+  );
+  return claimed > 0;
+}
+
+/**
+ * Answer a challenge. Wrong codes count as failed logins for the account and
+ * IP address, and too many invalidate the challenge.
+ * @param {string} challengeToken - Token from createChallenge
+ * @param {Object} answer - { code, method, purpose, ipAddress }
+ * @returns {Object} Result with { userId }
+ */
+async function verifyChallenge(challengeToken, { code, method = 'totp', purpose, ipAddress }) {
+  if (!METHODS.includes(method)) {
+    return { success: false, statusCode: 400, error: `method must be one of: ${METHODS.join(', ')}` };
+  }
+
+  const loaded = await loadChallenge(challengeToken);
+  if (!loaded.success) {
+    return loaded;
+  }
+  const { challenge } = loaded.data;
+
+  if (challenge.purpose !== purpose) {
+    return { success: false, statusCode: 401, error: 'Invalid challenge token' };
+  }
+
+  const user = await db.User.findByPk(challenge.user_id, { attributes: ['id', 'email', 'name'], paranoid: false });
+  if (!user) {
+    return { success: false, statusCode: 404, error: 'User not found' };
+  }
+
+  const attemptCheck = await authAttemptService.checkAttempt('login', { email: user.email, ipAddress });
+  if (!attemptCheck.success) {
+    return attemptCheck;
+  }
+
+  if (await checkCode(challenge, method, code)) {
+    // Only one request can use a challenge, even when several send a valid code
+    const [consumed] = await db.TwoFactorChallenge.update(
+      { consumed_at: new Date() },
+      { where: { id: challenge.id, consumed_at: null } }
+    );
+    if (consumed === 0) {
+      return { success: false, statusCode: 401, error: 'Verification has expired. Please start again.' };
+    }
+    return { success: true, data: { userId: user.id } };
+  }
+
+  const failure = await authAttemptService.recordFailure('login', { email: user.email, ipAddress });
+  if (failure.accountLockedUntil) {
+    await authAttemptService.notifyAccountLocked(user, failure.accountLockedUntil, ipAddress);
+  }
+
+  // The last wrong code invalidates the challenge. consumed_at is never
+  // cleared here, so a parallel request that used the challenge keeps it used.
+  const attempts = challenge.attempts + 1;
+  await challenge.update({
+    attempts,
+    ...(attempts >= TWO_FACTOR.MAX_CHALLENGE_ATTEMPTS && { consumed_at: new Date() })
+  });
+
+  if (attempts >= TWO_FACTOR.MAX_CHALLENGE_ATTEMPTS) {
+    logger.warn('Two-factor challenge invalidated after too many wrong codes', { userId: user.id, purpose });
+    return { success: false, statusCode: 401, error: 'Too many invalid codes. Please start again.' };
+  }
+
+  return { success: false, statusCode: 401, error: 'Invalid verification code' };
+}
+
+/**
+ * Guard a sensitive action. Users without 2FA pass straight through. Others
+ * get a challenge on the first call, and pass once they send it back with a
+ * valid code.
+ * @param {number} userId - User ID
+ * @param {string} purpose - Action being guarded
+ * @param {Object} answer - { challengeToken, code, method, ipAddress } from the request
+ * @returns {Object} Result; a new challenge is returned as `challenge` with statusCode 403
+ */
+async function requireVerification(userId, purpose, { challengeToken, code, method, ipAddress }) {
+  if (!(await isEnabled(userId))) {
+    return { success: true };
+  }
+
+  if (!challengeToken) {
+    return {
+      success: false,
+      statusCode: 403,
+      error: 'Two-factor verification required',
+      challenge: await createChallenge(userId, purpose)
+    };
+  }
+
+  const result = await verifyChallenge(challengeToken, { code, method, purpose, ipAddress });
+  if (result.success && result.data.userId !== userId) {
+    return { success: false, statusCode: 401, error: 'Invalid challenge token' };
+  }
+
+  return result;
+}
+
+module.exports = {
+  isEnabled,
+  getStatus,
+  startSetup,
+  enable,
+  disable,
+  regenerateBackupCodes,
+  createChallenge,
+  sendEmailCode,
+  verifyChallenge,
+  requireVerification
+};
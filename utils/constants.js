@@ -10,6 +10,20 @@ module.exports = {
     REFRESH: 'refresh'
   },
 
+  // User roles
+  ROLES: {
+    USER: 'user',
+    MODERATOR: 'moderator',
+    ADMIN: 'admin',
+    SUPPORT: 'support'
+  },
+
+  // Sign-in providers besides email and password
+  AUTH_PROVIDERS: {
+    GOOGLE: 'google',
+    APPLE: 'apple'
+  },
+
   // Pagination defaults
   PAGINATION: {
     DEFAULT_LIMIT: 10,
@@ -61,6 +75,93 @@ module.exports = {
     MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
   },
 
+  // Failed login and OTP attempts (services/authAttemptService.js)
+  AUTH_ATTEMPTS: {
+    OTP_MAX_ATTEMPTS: 5, // guesses per OTP code before the code is invalidated
+    DELAY_AFTER_FAILURES: 3, // failures on an account before each retry has to wait
+    DELAY_BASE_SECONDS: 2, // wait after DELAY_AFTER_FAILURES failures, doubled for each further failure
+    MAX_DELAY_SECONDS: 60,
+    MAX_LOCK_MINUTES: 24 * 60, // repeated lockouts double in length up to this
+    // Failures allowed per window before a lockout, counted per account (email) and per IP address
+    POLICIES: {
+      login: {
+        account: { maxFailures: 5, windowMinutes: 15, lockMinutes: 15 },
+        ip: { maxFailures: 20, windowMinutes: 15, lockMinutes: 15 }
+      },
+      password_reset: {
+        account: { maxFailures: 10, windowMinutes: 60, lockMinutes: 60 },
+        ip: { maxFailures: 30, windowMinutes: 60, lockMinutes: 60 }
+      },
+      registration: {
+        account: { maxFailures: 10, windowMinutes: 60, lockMinutes: 60 },
+        ip: { maxFailures: 30, windowMinutes: 60, lockMinutes: 60 }
+      }
+    }
+  },
+
+  // Two-factor authentication (services/twoFactorService.js)
+  TWO_FACTOR: {
+    ISSUER: 'BUDDyDESK', // account label shown in authenticator apps
+    TOTP_PERIOD_SECONDS: 30,
+    TOTP_DIGITS: 6,
+    TOTP_WINDOW: 1, // periods accepted either side of now, for clock drift
+    BACKUP_CODE_COUNT: 10,
+    CHALLENGE_EXPIRY_MINUTES: 10,
+    MAX_CHALLENGE_ATTEMPTS: 5, // wrong codes before a challenge is invalidated
+    EMAIL_CODE_RESEND_SECONDS: 60
+  },
+
+  // Feed
+  FEED: {
+    COMMENT_EDIT_WINDOW_MINUTES: parseInt(process.env.FEED_COMMENT_EDIT_WINDOW_MINUTES) || 15
+  },
+
+  // Chat
+  CHAT: {
+    MESSAGE_EDIT_WINDOW_MINUTES: parseInt(process.env.CHAT_MESSAGE_EDIT_WINDOW_MINUTES) || 15,
+    REPLY_PREVIEW_LENGTH: 100, // characters of the quoted message shown in a reply
+    MAX_FORWARD_TARGETS: 10,
+    MAX_DELIVERY_ACK_IDS: 500, // message IDs per delivery acknowledgement
+    SYNC_MESSAGE_LIMIT: 200, // messages per sync page by default
+    MAX_SYNC_MESSAGE_LIMIT: 500,
+    MAX_PINNED_CONVERSATIONS: 5,
+    MAX_REQUEST_MESSAGES: 1, // messages a stranger can send before the recipient accepts the request
+    // Mute durations in minutes; null mutes until turned off
+    MUTE_DURATIONS: {
+      '1h': 60,
+      '8h': 8 * 60,
+      '1w': 7 * 24 * 60,
+      always: null
+    }
+  },
+
+  // Chat attachments (POST /api/chat/attachments)
+  CHAT_ATTACHMENTS: {
+    MAX_SIZE: 100 * 1024 * 1024, // 100MB for video; smaller per-type limits come from fileSecurityValidation
+    // Allowed MIME types and the file extensions each may use
+    TYPES: {
+      'image/jpeg': ['.jpg', '.jpeg'],
+      'image/png': ['.png'],
+      'image/gif': ['.gif'],
+      'image/webp': ['.webp'],
+      'video/mp4': ['.mp4'],
+      'video/quicktime': ['.mov'],
+      'video/webm': ['.webm'],
+      'audio/mpeg': ['.mp3'],
+      'audio/mp4': ['.m4a', '.mp4'],
+      'audio/x-m4a': ['.m4a'],
+      'audio/aac': ['.aac', '.m4a'],
+      'audio/ogg': ['.ogg', '.oga', '.opus'],
+      'audio/webm': ['.webm', '.weba'],
+      'audio/wav': ['.wav'],
+      'application/pdf': ['.pdf'],
+      'text/plain': ['.txt']
+    },
+    THUMBNAIL_SIZE: 320, // longest side in pixels
+    WAVEFORM_BUCKETS: 64, // peaks per voice note waveform
+    UNUSED_TTL_HOURS: 24 // uploads never sent in a message are removed after this
+  },
+
   // File upload
   FILE_UPLOAD: {
     MAX_SIZE: 25 * 1024 * 1024, // 25MB (increased from 5MB as per docs)
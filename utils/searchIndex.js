@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+/**
+ * Blind index for encrypted chat messages.
+ *
+ * Every word of a message is normalised and stored only as a keyed hash, so
+ * the database can match search terms without ever holding the plaintext.
+ * Prefixes are indexed too, which lets "meet" find "meeting".
+ */
+
+const MIN_WORD_LENGTH = 2;
+const MIN_PREFIX_LENGTH = 3;
+const MAX_PREFIX_LENGTH = 10;
+const MAX_QUERY_TERMS = 8;
+const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+// Content is HTML-escaped before it is stored; entities are not words
+const ENTITY_PATTERN = /&(?:[a-z]+|#x?[0-9a-f]+);/gi;
+
+const WEIGHT_WORD = 2;
+const WEIGHT_PREFIX = 1;
+
+/**
+ * Key for the token hashes. Changing it makes the index unreadable until it
+ * is rebuilt with `npm run migrate:chat-search-index`.
+ * @returns {string} HMAC key
+ */
+function getIndexKey() {
+  return process.env.CHAT_SEARCH_INDEX_KEY || process.env.CHAT_ENCRYPTION_KEY || 'default-key-change-in-production';
+}
+
+/**
+ * Lowercase a word and strip accents, so "Café" and "cafe" match
+ * @param {string} word - Word
+ * @returns {string} Normalised word
+ */
+function normalizeWord(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into words with their positions in the original text
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} [{ word, start, end }] with the normalised word
+ */
+function splitWords(text) {
+  const cleaned = (text || '').replace(ENTITY_PATTERN, entity => ' '.repeat(entity.length));
+  const words = [];
+
+  for (const match of cleaned.matchAll(WORD_PATTERN)) {
+    words.push({
+      word: normalizeWord(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return words;
+}
+
+/**
+ * Hash a word ('w') or prefix ('p') into a blind index token
+ * @param {string} kind - 'w' or 'p'
+ * @param {string} value - Normalised word or prefix
+ * @returns {string} 32 hex characters
+ */
+function hashToken(kind, value) {
+  return crypto.createHmac('sha256', getIndexKey()).update(`${kind}:${value}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Build the index entries for a message
+ * @param {string} text - Decrypted message text (and attachment name)
+ * @returns {Array<Object>} [{ token, occurrences }]
+ */
+function buildIndexTokens(text) {
+  const counts = new Map();
+  const add = (kind, value) => {
+    const key = `${kind}:${value}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  };
+
+  splitWords(text)
+    .filter(({ word }) => word.length >= MIN_WORD_LENGTH)
+    .forEach(({ word }) => {
+      add('w', word);
+      for (let length = MIN_PREFIX_LENGTH; length < word.length && length <= MAX_PREFIX_LENGTH; length++) {
+        add('p', word.slice(0, length));
+      }
+    });
+
+  return [...counts.entries()].map(([key, occurrences]) => {
+    const [kind, value] = [key.slice(0, 1), key.slice(2)];
+    return { token: hashToken(kind, value), occurrences };
+  });
+}
+
+/**
+ * Turn a search query into terms and the tokens that match each term
+ * A term matches a whole word (weight 2) or the start of a word (weight 1).
+ * Terms longer than the longest indexed prefix only match whole words.
+ * @param {string} query - Search query
+ * @returns {Array<Object>} [{ term, tokens: [{ token, weight }] }]
+ */
+function buildQueryTerms(query) {
+  const terms = [...new Set(splitWords(query).map(({ word }) => word))]
+    .filter(word => word.length >= MIN_WORD_LENGTH)
+    .slice(0, MAX_QUERY_TERMS);
+
+  return terms.map(term => {
+    const tokens = [{ token: hashToken('w', term), weight: WEIGHT_WORD }];
+    if (term.length >= MIN_PREFIX_LENGTH && term.length <= MAX_PREFIX_LENGTH) {
+      tokens.push({ token: hashToken('p', term), weight: WEIGHT_PREFIX });
+    }
+    return { term, tokens };
+  });
+}
+
+/**
+ * Build a short excerpt of a message around the first search hit
+ * Highlights are character ranges in the snippet text, so clients can mark
+ * them up safely without the server producing HTML.
+ * @param {string} text - Decrypted message text
+ * @param {Array<string>} terms - Normalised terms from buildQueryTerms
+ * @returns {Object|null} { text, highlights: [{ start, end }] }
+ */
+function buildSnippet(text, terms) {
+  if (!text) {
+    return null;
+  }
+
+  const hits = splitWords(text).filter(({ word }) => terms.some(term => word === term || (
+    term.length >= MIN_PREFIX_LENGTH && word.startsWith(term)
+  )));
+
+  let start = 0;
+  let end = Math.min(text.length, SNIPPET_LENGTH);
+  if (hits.length > 0 && hits[0].end > end) {
+    start = Math.max(0, hits[0].start - Math.floor(SNIPPET_LENGTH / 3));
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  // Do not cut words in half at either edge
+  while (start > 0 && /[\p{L}\p{N}]/u.test(text[start - 1])) start++;
+  while (end < text.length && /[\p{L}\p{N}]/u.test(text[end])) end--;
+  if (end <= start) {
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: hits
+      .filter(hit => hit.start >= start && hit.end <= end)
+      .map(hit => ({ start: hit.start + offset, end: hit.end + offset }))
+  };
+}
+
+module.exports = {
+  buildIndexTokens,
+  buildQueryTerms,
+  buildSnippet
+};